@@ -0,0 +1,169 @@
+/**
+ * --- REFERENCE SYNC SERVER ---
+ *
+ * Minimal backend for the app's optional server sync, for local testing or a small
+ * self-hosted install. No dependencies: node:http plus a single JSON file on disk.
+ *
+ *   npm run sync-server
+ *
+ * Environment:
+ *   PORT        listen port (default 8787)
+ *   DATA_FILE   where records are kept (default server/sync-data.json)
+ *   SYNC_TOKEN  when set, requests must send "Authorization: Bearer <token>"
+ *
+ * Every mission and the saved lists carry a version number. A write must name the
+ * version it was based on (baseVersion); if the stored one has moved on, the server
+ * answers 409 with its current copy and the app merges. Deletes are kept as tombstones
+ * so other devices learn about them. Records are stored as sent (not encrypted), so put
+ * anything beyond a test install behind HTTPS.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.DATA_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), 'sync-data.json');
+const SYNC_TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// seq is a server-wide change counter; each record remembers the seq of its last change
+// so GET /api/missions?since=<seq> returns only what a device hasn't seen yet
+const emptyStore = () => ({ seq: 0, missions: {}, lists: { version: 0, seq: 0, lists: {} } });
+
+const loadStore = async () => {
+  try {
+    return JSON.parse(await fs.readFile(DATA_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return emptyStore();
+    throw error;
+  }
+};
+
+const store = await loadStore();
+
+// Write to a temp file and rename, so a crash mid-write never leaves half a file.
+// The queue itself swallows failures so one bad write (disk full, permissions) doesn't
+// stop every later save; the caller still sees the rejection.
+let writeQueue = Promise.resolve();
+const saveStore = () => {
+  const next = writeQueue.then(async () => {
+    const tmp = `${DATA_FILE}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(store));
+    await fs.rename(tmp, DATA_FILE);
+  });
+  writeQueue = next.catch(() => {});
+  return next;
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) { reject(Object.assign(new Error('Request body too large'), { status: 413 })); req.destroy(); return; }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+    } catch (error) { reject(Object.assign(new Error('Invalid JSON'), { status: 400 })); }
+  });
+  req.on('error', reject);
+});
+
+const currentMission = (id) => store.missions[id] || { id, version: 0, deleted: false, record: null };
+
+// A change that couldn't be written is undone in memory, so the client's retry sees the
+// same version it was based on. seq is left advanced; gaps in it are harmless.
+const writeMission = async (id, changes) => {
+  const previous = store.missions[id];
+  const entry = { ...currentMission(id), ...changes, version: currentMission(id).version + 1, seq: ++store.seq };
+  store.missions[id] = entry;
+  try {
+    await saveStore();
+  } catch (error) {
+    if (store.missions[id] === entry) {
+      if (previous) store.missions[id] = previous;
+      else delete store.missions[id];
+    }
+    throw error;
+  }
+  return entry;
+};
+
+const writeLists = async (lists) => {
+  const previous = store.lists;
+  const entry = { version: store.lists.version + 1, seq: ++store.seq, lists };
+  store.lists = entry;
+  try {
+    await saveStore();
+  } catch (error) {
+    if (store.lists === entry) store.lists = previous;
+    throw error;
+  }
+  return entry;
+};
+
+const handle = async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (url.pathname === '/api/health') return send(res, 200, { ok: true, seq: store.seq });
+  if (SYNC_TOKEN && req.headers.authorization !== `Bearer ${SYNC_TOKEN}`) return send(res, 401, { error: 'Unauthorized' });
+
+  if (url.pathname === '/api/missions' && req.method === 'GET') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    const missions = Object.values(store.missions).filter(m => m.seq > since).sort((a, b) => a.seq - b.seq);
+    return send(res, 200, { cursor: store.seq, missions });
+  }
+
+  const missionMatch = /^\/api\/missions\/([^/]+)$/.exec(url.pathname);
+  if (missionMatch) {
+    const id = decodeURIComponent(missionMatch[1]);
+    if (req.method === 'PUT') {
+      const { baseVersion, record } = await readBody(req);
+      const current = currentMission(id);
+      if (!record || record.id !== id) return send(res, 400, { error: 'Record id does not match the URL' });
+      if (Number(baseVersion) !== current.version) return send(res, 409, { error: 'Version conflict', current });
+      const saved = await writeMission(id, { record, deleted: false });
+      return send(res, 200, { version: saved.version });
+    }
+    if (req.method === 'DELETE') {
+      const current = currentMission(id);
+      if (Number(url.searchParams.get('baseVersion')) !== current.version) return send(res, 409, { error: 'Version conflict', current });
+      const saved = await writeMission(id, { record: null, deleted: true });
+      return send(res, 200, { version: saved.version });
+    }
+  }
+
+  if (url.pathname === '/api/lists') {
+    if (req.method === 'GET') return send(res, 200, { version: store.lists.version, lists: store.lists.lists });
+    if (req.method === 'PUT') {
+      const { baseVersion, lists } = await readBody(req);
+      if (!lists || typeof lists !== 'object') return send(res, 400, { error: 'Missing lists' });
+      if (Number(baseVersion) !== store.lists.version) return send(res, 409, { error: 'Version conflict', current: { version: store.lists.version, lists: store.lists.lists } });
+      const saved = await writeLists(lists);
+      return send(res, 200, { version: saved.version });
+    }
+  }
+
+  return send(res, 404, { error: 'Not found' });
+};
+
+http.createServer((req, res) => {
+  handle(req, res).catch(error => {
+    if (!error.status) console.error(error);
+    send(res, error.status || 500, { error: error.message });
+  });
+}).listen(PORT, () => console.log(`DFO RPAS sync server listening on http://localhost:${PORT} (data: ${DATA_FILE})`));
@@ -1,10 +1,16 @@
 import React, { useState, useEffect, useRef } from 'react';
 import Dexie from 'dexie'; 
+import { feature as topojsonFeature } from 'topojson-client';
+import { zipSync, unzipSync, gzipSync, gunzipSync, strToU8, strFromU8 } from 'fflate';
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
 import { 
   Crosshair, MapPin, FileText, AlertTriangle, Download, Trash2, Plus, Save, 
   ArrowLeft, Navigation, Users, Eye, Box, PenTool, Image as ImageIcon, 
   Eraser, Edit2, Calendar, Database, Upload, Cloud, Radio, FileCheck, Wind, 
-  Thermometer, Eye as VisibilityIcon, Activity, Search, Printer, Globe, Undo2, List
+  Thermometer, Eye as VisibilityIcon, Activity, Search, Printer, Globe, Undo2, List, Layers, Plane, X, ClipboardCheck,
+  History as HistoryIcon, Type as TypeIcon, MousePointer2, Redo2, Pentagon, MoveUpRight, Ban, ShieldCheck, QrCode, Camera, Send, Inbox, Server, RefreshCw, BarChart3, Filter,
+  Paperclip, FileVideo, Package, HardDrive, BadgeCheck, GraduationCap, Copy, BookmarkPlus
 } from 'lucide-react';
 
 /**
@@ -27,7 +33,7 @@ const TRANSLATIONS = {
   "CSV Report": "Rapport CSV", "Full Report": "Rapport complet", "Saved Lists": "Listes de référence",
   "Backup Data": "Sauvegarder les données", "Restore Data": "Restaurer les données",
   "NEW MISSION": "NOUVELLE MISSION", "Search all mission data...": "Rechercher dans les données de mission...",
-  "Recorded Missions": "Missions enregistrées", "RECORDS": "DOSSIERS",
+  "Recorded Missions": "Missions enregistrées", "RECORDS": "DOSSIERS", "Show more": "Afficher plus",
   "No mission data found.": "Aucune donnée de mission trouvée.",
   "Edit": "Modifier", "Print": "Imprimer", "Delete": "Supprimer", "No Map": "Aucune carte",
 
@@ -110,6 +116,305 @@ const TRANSLATIONS = {
   "Preflight Checked": "Prévol vérifié", "Issues": "Problèmes", "Outcomes": "Bilan", "Maintenance": "Maintenance",
   "Flights": "Vols", "Distance (km)": "Distance (km)", "Aerodromes": "Aérodromes", "Start:": "Début :", "End:": "Fin :",
   
+  // Pilot Logbook
+  "Pilot Logbook": "Carnet du pilote", "PILOT LOGBOOK": "CARNET DU PILOTE", "Missions": "Missions", "Last Flown": "Dernier vol",
+  "Role": "Rôle", "PIC": "CdB", "Additional Pilot": "Pilote supplémentaire", "Location": "Emplacement",
+  "Flight Time (h)": "Temps de vol (h)", "Total Flight Time (h)": "Temps de vol total (h)", "PIC Time (h)": "Temps CdB (h)",
+  "Recency Status": "Statut de mise à jour des connaissances", "Recency expires": "Échéance de mise à jour",
+  "Current": "À jour", "Recency requirement due": "Exigence de mise à jour à échéance", "Not flown in 24 months": "Aucun vol depuis 24 mois",
+  "Never flown": "Aucun vol", "Time by Operation Category": "Temps par catégorie d'utilisation", "Time by RPAS": "Temps par SATP",
+
+  // Aircraft Registry
+  "Aircraft Registry": "Registre des aéronefs", "AIRCRAFT REGISTRY": "REGISTRE DES AÉRONEFS", "NEW AIRCRAFT": "NOUVEL AÉRONEF",
+  "ADD": "AJOUTER", "AIRFRAME": "CELLULE", "RPAS Model": "Modèle de SATP", "TC Registration No.": "No d'immatriculation de TC",
+  "Serial No.": "No de série", "Firmware Version": "Version du micrologiciel", "Notes": "Notes",
+  "No aircraft registered.": "Aucun aéronef enregistré.", "Please enter at least the RPAS model.": "Veuillez saisir au moins le modèle de SATP.",
+  "Serviceable": "En état de service", "Due Soon": "Échéance proche", "Overdue": "En retard", "Airtime": "Temps de vol",
+  "Cumulative Airtime": "Temps de vol cumulé", "No maintenance due.": "Aucun entretien à prévoir.",
+  "Batteries": "Batteries", "BATTERY PACKS": "BLOCS-BATTERIES", "No batteries recorded.": "Aucune batterie enregistrée.",
+  "cycles": "cycles", "Retire": "Retirer", "Retired": "Retirée", "Reinstate": "Remettre en service", "Battery ID / serial...": "ID / no de série de la batterie...",
+  "MAINTENANCE / INSPECTION LOG": "REGISTRE D'ENTRETIEN / D'INSPECTION", "No log entries yet.": "Aucune entrée au registre.",
+  "Date": "Date", "Type": "Type", "Work performed / findings...": "Travaux effectués / constatations...", "Performed by": "Effectué par",
+  "Next due": "Prochaine échéance", "Next due at airframe hours": "Prochaine échéance (heures cellule)", "Next due date": "Date de la prochaine échéance",
+  "Add Log Entry": "Ajouter une entrée", "Please enter a date and description for the log entry.": "Veuillez saisir une date et une description pour l'entrée.",
+  "Delete this aircraft and its maintenance log?": "Supprimer cet aéronef et son registre d'entretien ?",
+  "Inspection": "Inspection", "Scheduled Maintenance": "Entretien planifié", "Repair": "Réparation",
+  "Component Replacement": "Remplacement de composant", "Firmware Update": "Mise à jour du micrologiciel",
+
+  // Flight Legs
+  "Flight Legs": "Segments de vol", "FLIGHT LEGS": "SEGMENTS DE VOL", "Add Flight": "Ajouter un vol", "Flight": "Vol",
+  "Take-off": "Décollage", "Landing": "Atterrissage", "Launch Coordinates": "Coordonnées de lancement", "Aircraft": "Aéronef",
+  "Battery": "Batterie", "Max Alt AGL (m)": "Alt. max AGL (m)", "Pilot at Controls": "Pilote aux commandes",
+  "Use mission GPS": "Utiliser le GPS de la mission", "Total flight time": "Temps de vol total", "Remove flight": "Retirer le vol",
+  "No flight legs recorded. The flight count above is used instead.": "Aucun segment de vol enregistré. Le nombre de vols ci-dessus est utilisé.",
+
+  // Flight Log Import
+  "FLIGHT LOGS / TRACKS": "JOURNAUX DE VOL / TRACÉS", "IMPORT LOG": "IMPORTER UN JOURNAL",
+  "DJI flight record CSV, telemetry CSV (timestamp, lat, lon, alt) or GPX.": "Journal de vol DJI (CSV), télémétrie CSV (horodatage, lat, lon, alt) ou GPX.",
+
+  // Map
+  "Mission Map": "Carte des missions", "MISSION MAP": "CARTE DES MISSIONS", "LAYERS": "COUCHES", "Secondary GPS": "GPS secondaire",
+  "Flight Tracks": "Tracés de vol", "100 km Rings": "Cercles de 100 km", "Map Overlays": "Cartes superposées",
+  "Load Map Image": "Charger une image de carte", "Name": "Nom", "North": "Nord", "South": "Sud", "East": "Est", "West": "Ouest",
+  "Fit missions": "Cadrer les missions",
+  "Choose an image and enter valid north/south/east/west bounds.": "Choisissez une image et saisissez des limites nord/sud/est/ouest valides.",
+
+  // GIS Export
+  "GIS Export": "Export SIG", "Exporting filtered missions": "Export des missions filtrées", "Exporting all missions": "Export de toutes les missions",
+  "Nearby Aerodromes": "Aérodromes à proximité", "DFO RPAS Flight Log": "Carnet de vol SATP du MPO",
+
+  // Aerodromes & Airspace
+  "Aerodromes & Airspace": "Aérodromes et espace aérien", "AERODROMES & AIRSPACE": "AÉRODROMES ET ESPACE AÉRIEN",
+  "Airspace Zones": "Zones d'espace aérien", "Airport": "Aéroport", "Heliport": "Héliport", "Identifier": "Indicatif",
+  "Frequency (MHz)": "Fréquence (MHz)",
+  "Controlled": "Contrôlé", "Uncontrolled": "Non contrôlé", "Restricted": "Réglementé",
+  "In controlled airspace (NAV CANADA authorization required)": "En espace aérien contrôlé (autorisation de NAV CANADA requise)",
+  "Please enter a name, identifier and valid coordinates.": "Veuillez saisir un nom, un indicatif et des coordonnées valides.",
+  "Search aerodromes...": "Rechercher des aérodromes...", "IMPORT ZONE (GeoJSON / KML)": "IMPORTER UNE ZONE (GeoJSON / KML)",
+  "IMPORT": "IMPORTER", "Choose a GeoJSON, KML or KMZ file.": "Choisissez un fichier GeoJSON, KML ou KMZ.",
+  "No airspace zones imported.": "Aucune zone d'espace aérien importée.", "polygon(s)": "polygone(s)",
+  "Control Zone": "Zone de contrôle", "Class F Special Use": "Classe F à usage spécial",
+  "Park / Protected Area": "Parc / aire protégée", "Other Restriction": "Autre restriction",
+  "No aerodrome or airspace zone conflicts at the launch point.": "Aucun conflit d'aérodrome ou de zone d'espace aérien au point de lancement.",
+  "Use suggested airspace": "Utiliser l'espace aérien suggéré",
+
+  // Pre-flight Checklists
+  "Checklist Templates": "Modèles de listes de vérification", "CHECKLIST TEMPLATES": "MODÈLES DE LISTES DE VÉRIFICATION",
+  "NEW TEMPLATE": "NOUVEAU MODÈLE", "Template Name": "Nom du modèle", "Section": "Section", "Add Item": "Ajouter un élément",
+  "Add Section": "Ajouter une section", "Mandatory": "Obligatoire", "items": "éléments", "All missions": "Toutes les missions",
+  "Applies to RPAS models": "S'applique aux modèles de SATP", "Applies to operation categories": "S'applique aux catégories d'opération",
+  "Leave both empty to apply this template to every mission.": "Laissez les deux vides pour appliquer ce modèle à toutes les missions.",
+  "Please enter a template name.": "Veuillez saisir un nom de modèle.", "Add at least one checklist item.": "Ajoutez au moins un élément à la liste.",
+  "No checklist templates. Missions will use the single pre-flight confirmation.": "Aucun modèle. Les missions utiliseront la confirmation prévol unique.",
+  "Initials": "Initiales", "checked": "cochés", "Checked": "Coché", "Item": "Élément", "Time": "Heure", "Pre-Flight Checklist": "Liste de vérifications prévol",
+  "Enter your initials before checking off items.": "Saisissez vos initiales avant de cocher des éléments.",
+  "Mandatory item - the mission cannot be saved until it is checked.": "Élément obligatoire - la mission ne peut être enregistrée tant qu'il n'est pas coché.",
+  "Standard Pre-Flight": "Prévol standard", "Site Survey": "Reconnaissance du site", "Controller": "Radiocommande",
+  "Communications": "Communications", "Crew Briefing": "Breffage de l'équipage",
+  "Site survey completed (obstacles, people, boundaries)": "Reconnaissance du site effectuée (obstacles, personnes, limites)",
+  "Take-off / landing area clear and secured": "Aire de décollage / d'atterrissage dégagée et sécurisée",
+  "Emergency landing site identified": "Site d'atterrissage d'urgence identifié",
+  "Airspace class, aerodromes and NOTAMs reviewed": "Classe d'espace aérien, aérodromes et NOTAM vérifiés",
+  "Weather within aircraft limits": "Météo dans les limites de l'aéronef",
+  "Airframe, arms and motors inspected, no damage": "Cellule, bras et moteurs inspectés, aucun dommage",
+  "Propellers undamaged and secure": "Hélices intactes et bien fixées",
+  "Payload / gimbal secured, lens clean": "Charge utile / nacelle fixée, objectif propre",
+  "No maintenance overdue on this airframe": "Aucun entretien en retard sur cette cellule",
+  "Compass / IMU calibrated if required": "Boussole / IMU étalonnées au besoin",
+  "Home point and return-to-home altitude set": "Point de départ et altitude de retour définis",
+  "Flight batteries charged and seated": "Batteries de vol chargées et bien insérées",
+  "No swelling, damage or cell imbalance": "Aucun gonflement, dommage ou déséquilibre des cellules",
+  "Spare batteries charged and stowed": "Batteries de rechange chargées et rangées",
+  "Controller and display device charged": "Radiocommande et écran chargés",
+  "Link established, signal and GNSS lock good": "Liaison établie, bon signal et verrouillage GNSS",
+  "Flight mode and failsafe (RTH) settings verified": "Mode de vol et paramètres de sécurité (RTH) vérifiés",
+  "Altitude and distance limits set": "Limites d'altitude et de distance définies",
+  "Crew radio / phone check completed": "Vérification radio / téléphone de l'équipage effectuée",
+  "ATC authorization or aerodrome contact made, if required": "Autorisation ATC ou contact avec l'aérodrome obtenu, si requis",
+  "Emergency contacts and frequencies on hand": "Contacts et fréquences d'urgence à portée de main",
+  "Roles assigned (PIC, visual observer, payload operator)": "Rôles attribués (commandant de bord, observateur visuel, opérateur de charge utile)",
+  "Mission objectives and flight plan briefed": "Objectifs de mission et plan de vol présentés",
+  "Emergency and lost-link procedures briefed": "Procédures d'urgence et de perte de liaison présentées",
+  "Crew fit for duty": "Équipage apte au service",
+
+  // Risk Matrix
+  "Likelihood": "Probabilité", "Severity": "Gravité", "Residual Likelihood": "Probabilité résiduelle", "Residual Severity": "Gravité résiduelle",
+  "Rare": "Rare", "Unlikely": "Peu probable", "Possible": "Possible", "Likely": "Probable", "Almost Certain": "Presque certain",
+  "Negligible": "Négligeable", "Minor": "Mineure", "Moderate": "Modérée", "Major": "Majeure", "Catastrophic": "Catastrophique",
+  "Extreme": "Extrême", "Initial Risk": "Risque initial", "Residual Risk": "Risque résiduel", "Overall Risk": "Risque global",
+  "Risk Matrix": "Matrice des risques", "Risk Hazards": "Dangers (risques)", "GO": "GO", "GO WITH APPROVAL": "GO AVEC APPROBATION", "NO-GO": "NO-GO",
+  "Add a hazard not listed above...": "Ajouter un danger non listé ci-dessus...",
+  "Select all hazards present and rate likelihood and severity. Mitigation strategies are mandatory for Medium, High and Extreme risk items.": "Sélectionnez tous les dangers présents et évaluez leur probabilité et leur gravité. Les mesures d'atténuation sont obligatoires pour les risques moyens, élevés et extrêmes.",
+  "Residual risk is EXTREME (NO-GO). Save the mission record anyway?": "Le risque résiduel est EXTRÊME (NO-GO). Enregistrer la mission quand même ?",
+
+  // Approval Workflow
+  "Status": "Statut", "Approval": "Approbation", "Comments": "Commentaires",
+  "Draft": "Ébauche", "Submitted": "Soumise", "Approved": "Approuvée", "Rejected": "Refusée", "Flown": "Effectuée", "Closed": "Fermée",
+  "Submit for Approval": "Soumettre pour approbation", "Approve": "Approuver", "Reject": "Refuser",
+  "Return to Draft": "Remettre en ébauche", "Mark Flown": "Marquer comme effectuée", "Close Mission": "Fermer la mission",
+  "Approvers / Supervisors": "Approbateurs / Superviseurs",
+  "Name (approver for approve / reject)": "Nom (approbateur pour approuver / refuser)",
+  "Enter the approver's name.": "Entrez le nom de l'approbateur.",
+  "Add approvers to the saved lists before approving or rejecting missions.": "Ajoutez des approbateurs aux listes de référence avant d'approuver ou de refuser des missions.",
+  "Only people on the saved approvers list can approve or reject a mission.": "Seules les personnes de la liste des approbateurs peuvent approuver ou refuser une mission.",
+  "The pilot in command cannot approve or reject their own mission.": "Le commandant de bord ne peut pas approuver ni refuser sa propre mission.",
+  "Comments are required when rejecting a mission.": "Des commentaires sont requis pour refuser une mission.",
+  "Supervisor approval is required before this mission is flown.": "L'approbation d'un superviseur est requise avant que cette mission soit effectuée.",
+  "No supervisor approval required for this operation.": "Aucune approbation de superviseur requise pour cette opération.",
+  "This status change is not allowed from the current state.": "Ce changement de statut n'est pas permis à partir de l'état actuel.",
+  "Residual risk is EXTREME (NO-GO).": "Le risque résiduel est EXTRÊME (NO-GO).",
+  "This mission must be approved before it can be marked flown.": "Cette mission doit être approuvée avant d'être marquée comme effectuée.",
+  "This mission has been submitted for approval. Saving these changes will return it to draft and it must be resubmitted. Continue?": "Cette mission a été soumise pour approbation. L'enregistrement de ces modifications la remettra en ébauche et elle devra être soumise de nouveau. Continuer?",
+  "Plan changed after submission": "Plan modifié après la soumission",
+
+  // Signatures
+  "SIGNATURES": "SIGNATURES", "Signatures": "Signatures", "Sign": "Signer", "Re-sign": "Signer de nouveau", "Remove": "Retirer",
+  "Pilot in Command": "Commandant de bord", "Visual Observer": "Observateur visuel", "Approving Supervisor": "Superviseur approbateur",
+  "Enter the signer's name first.": "Entrez d'abord le nom du signataire.",
+  "Stale - mission edited after signing": "Périmée - mission modifiée après la signature",
+  "This mission has been signed. Saving these changes will mark the existing signatures as stale. Continue?": "Cette mission a été signée. L'enregistrement de ces modifications rendra les signatures existantes périmées. Continuer?",
+
+  // Audit Trail
+  "History": "Historique", "Mission History": "Historique de la mission",
+  "create": "création", "edit": "modification", "delete": "suppression",
+  "Audit chain intact": "Chaîne d'audit intacte", "entries verified": "entrées vérifiées",
+  "Audit chain broken at entry": "Chaîne d'audit rompue à l'entrée", "records may have been altered": "les enregistrements ont peut-être été modifiés",
+  "Acting user": "Utilisateur actif", "Not set": "Non défini", "Change": "Changer",
+  "No history recorded for this mission.": "Aucun historique enregistré pour cette mission.",
+  "Enter your name for the audit trail:": "Entrez votre nom pour la piste de vérification :",
+  "Could not verify the audit trail.": "Impossible de vérifier la piste de vérification.",
+
+  // Recycle Bin
+  "Recycle Bin": "Corbeille", "Empty Bin": "Vider la corbeille", "The recycle bin is empty.": "La corbeille est vide.",
+  "Keep deleted records for (days)": "Conserver les éléments supprimés pendant (jours)",
+  "Retention must be at least 1 day.": "La durée de conservation doit être d'au moins 1 jour.",
+  "Mission": "Mission", "Deleted": "Supprimé", "Purged after": "Purgé après", "Restore": "Restaurer", "Purge": "Purger",
+  "restore": "restauration", "purge": "purge",
+  "Move this mission to the recycle bin?": "Déplacer cette mission vers la corbeille?",
+  "Move this item to the recycle bin?": "Déplacer cet élément vers la corbeille?",
+
+  // Security
+  "Security": "Sécurité", "App Lock": "Verrouillage de l'application", "Enabled": "Activé", "Disabled": "Désactivé",
+  "Enable App Lock": "Activer le verrouillage", "Disable App Lock": "Désactiver le verrouillage", "Lock Now": "Verrouiller maintenant",
+  "New PIN": "Nouveau NIP", "Repeat PIN": "Confirmer le NIP", "Encrypting...": "Chiffrement...",
+  "Unlock": "Déverrouiller", "Unlocking...": "Déverrouillage...", "Incorrect PIN.": "NIP incorrect.",
+  "Enter your PIN to unlock mission records.": "Entrez votre NIP pour déverrouiller les dossiers de mission.",
+  "The PIN must be at least 4 digits.": "Le NIP doit comporter au moins 4 chiffres.", "The PINs do not match.": "Les NIP ne correspondent pas.",
+  "Disable the app lock and store mission records unencrypted?": "Désactiver le verrouillage et stocker les dossiers de mission sans chiffrement?",
+  "App lock enabled. Mission records are now encrypted on this device.": "Verrouillage activé. Les dossiers de mission sont maintenant chiffrés sur cet appareil.",
+  "App lock disabled. Mission records are stored unencrypted.": "Verrouillage désactivé. Les dossiers de mission sont stockés sans chiffrement.",
+  "When enabled, mission records, mission templates and evidence attachments are encrypted on this device (AES-GCM) and a PIN is required each time the app is opened. The audit trail keeps only field names and keyed digests of changed values. Mission dates, status and aircraft ids stay readable for sorting and sync; other filter fields are indexed as keyed tokens, which shows which missions share a value but not the value. Saved lists and registries are not encrypted. A forgotten PIN cannot be recovered - keep an encrypted backup.": "Lorsqu'il est activé, les dossiers de mission, les modèles de mission et les pièces jointes de preuve sont chiffrés sur cet appareil (AES-GCM) et un NIP est requis à chaque ouverture de l'application. La piste de vérification ne conserve que les noms des champs et des empreintes à clé des valeurs modifiées. Les dates, le statut et les identifiants d'aéronef des missions restent lisibles pour le tri et la synchronisation; les autres champs de filtre sont indexés sous forme de jetons à clé, ce qui révèle quelles missions partagent une valeur, mais pas la valeur. Les listes de référence et les registres ne sont pas chiffrés. Un NIP oublié ne peut pas être récupéré - conservez une sauvegarde chiffrée.",
+  "Passphrase": "Phrase secrète", "Repeat passphrase": "Confirmer la phrase secrète", "OK": "OK",
+  "Backup passphrase": "Phrase secrète de la sauvegarde", "Enter the backup passphrase": "Entrez la phrase secrète de la sauvegarde",
+  "Protect this backup with a passphrase? Recommended before emailing or sharing it.": "Protéger cette sauvegarde par une phrase secrète? Recommandé avant de l'envoyer par courriel ou de la partager.",
+  "Keep this passphrase safe. The backup cannot be restored without it.": "Conservez cette phrase secrète en lieu sûr. La sauvegarde ne peut pas être restaurée sans elle.",
+  "The passphrase must be at least 8 characters.": "La phrase secrète doit comporter au moins 8 caractères.",
+  "The passphrases do not match.": "Les phrases secrètes ne correspondent pas.",
+  "Incorrect passphrase or damaged backup file.": "Phrase secrète incorrecte ou fichier de sauvegarde endommagé.",
+  "Backup failed.": "Échec de la sauvegarde.",
+
+  // Merge Restore
+  "Merge this backup with the data on this device? Choose Cancel to replace all current data instead.": "Fusionner cette sauvegarde avec les données de cet appareil? Choisissez Annuler pour remplacer plutôt toutes les données actuelles.",
+  "Resolve Merge Conflicts": "Résoudre les conflits de fusion", "missions were edited on both devices": "missions ont été modifiées sur les deux appareils",
+  "Keep this device": "Garder cet appareil", "Use backup": "Utiliser la sauvegarde", "Last saved": "Dernier enregistrement",
+  "Field": "Champ", "This device": "Cet appareil", "Backup": "Sauvegarde", "Apply Merge": "Appliquer la fusion",
+
+  // Device Sync
+  "Device Sync": "Synchronisation d'appareils", "Device ID": "ID de l'appareil", "Send": "Envoyer", "Receive": "Recevoir",
+  "Send to (device or officer)": "Envoyer à (appareil ou agent)",
+  "Only missions changed since the last send to this device": "Seulement les missions modifiées depuis le dernier envoi à cet appareil",
+  "Nothing has changed since the last send.": "Rien n'a changé depuis le dernier envoi.",
+  "Show QR Code": "Afficher le code QR", "Save Bundle File": "Enregistrer le fichier de transfert",
+  "Scan QR Code": "Balayer le code QR", "Open Bundle File": "Ouvrir un fichier de transfert",
+  "Enter the name of the receiving device or officer.": "Entrez le nom de l'appareil ou de l'agent destinataire.",
+  "Select at least one mission.": "Sélectionnez au moins une mission.",
+  "This selection is too large for QR transfer. Save a bundle file instead.": "Cette sélection est trop volumineuse pour un transfert par code QR. Enregistrez plutôt un fichier de transfert.",
+  "Camera unavailable. Use a bundle file instead.": "Caméra non disponible. Utilisez plutôt un fichier de transfert.",
+  "Could not read the transferred data.": "Impossible de lire les données transférées.",
+  "frames received": "images reçues", "Frame": "Image", "Done": "Terminé",
+  "Point the camera at the QR code on the sending device.": "Pointez la caméra vers le code QR de l'appareil expéditeur.",
+  "Keep this screen in view of the receiving device until it reports that all frames were received.": "Gardez cet écran devant l'appareil destinataire jusqu'à ce qu'il indique que toutes les images ont été reçues.",
+  "Received missions are merged with the ones on this device. Conflicting edits are shown for review before anything is saved.": "Les missions reçues sont fusionnées avec celles de cet appareil. Les modifications conflictuelles sont présentées pour examen avant tout enregistrement.",
+
+  // Server Sync
+  "Server": "Serveur", "Server Address": "Adresse du serveur", "Access Token": "Jeton d'accès",
+  "Sync missions and saved lists with this server": "Synchroniser les missions et les listes de référence avec ce serveur",
+  "Enter the server address, starting with http:// or https://": "Entrez l'adresse du serveur, commençant par http:// ou https://",
+  "Waiting to upload": "En attente d'envoi", "Last sync": "Dernière synchronisation", "Never": "Jamais", "Sync Now": "Synchroniser maintenant",
+  "Changes made offline are queued and uploaded when the device is back online. Missions edited both here and on the server are shown for review.": "Les modifications faites hors ligne sont mises en file d'attente et envoyées lorsque l'appareil est de nouveau en ligne. Les missions modifiées ici et sur le serveur sont présentées pour examen.",
+  "mission(s) were changed both here and on the sync server.": "mission(s) ont été modifiées ici et sur le serveur de synchronisation.", "Review": "Examiner",
+
+  // Fleet Statistics
+  "FLEET STATISTICS": "STATISTIQUES DE LA FLOTTE", "Statistics": "Statistiques",
+  "This Quarter": "Ce trimestre", "Last Quarter": "Trimestre précédent", "Year to Date": "Depuis le début de l'année", "All Time": "Toutes les dates",
+  "From": "Du", "To": "Au", "Region": "Région", "All locations": "Tous les lieux", "All": "Tous", "Month": "Mois",
+  "Only flown and closed missions": "Seulement les missions effectuées et fermées",
+  "RPAS Model/Reg": "Modèle/immatriculation SATP", "Flight Hours by Month": "Heures de vol par mois",
+  "Risk Levels": "Niveaux de risque", "Hazards": "Dangers", "Hazards by residual risk": "Dangers par risque résiduel",
+  "Missions by highest residual risk": "Missions par risque résiduel le plus élevé",
+
+  // Mission Search
+  "Filters": "Filtres", "RPAS": "SATP", "Work Element": "Élément de travail", "NAV CAN Authorization": "Autorisation NAV CAN", "Sort": "Trier",
+  "Newest first": "Plus récentes d'abord", "Oldest first": "Plus anciennes d'abord", "Recently edited": "Modifiées récemment",
+  "Location (A-Z)": "Lieu (A-Z)", "Pilot (A-Z)": "Pilote (A-Z)", "Longest flight time": "Temps de vol le plus long", "Highest risk": "Risque le plus élevé",
+  "Limit a search term to one field with a prefix:": "Limitez un terme de recherche à un champ avec un préfixe :",
+  "Saved filters...": "Filtres enregistrés...", "No saved filters yet": "Aucun filtre enregistré", "Save Filter": "Enregistrer le filtre", "Clear": "Effacer",
+  "Name for this filter:": "Nom de ce filtre :", "Delete this saved filter?": "Supprimer ce filtre enregistré?",
+
+  // Vector Sketch
+  "REDO": "RÉTABLIR", "Select": "Sélectionner", "Draw": "Dessiner", "Area": "Zone", "No-Fly Area": "Zone d'interdiction de vol",
+  "Arrow": "Flèche", "Text": "Texte", "Symbol": "Symbole", "Georeference": "Géoréférencer",
+  "Launch Point": "Point de décollage", "Landing Zone": "Zone d'atterrissage", "Observer Position": "Position de l'observateur", "Hazard": "Danger",
+  "Latitude, longitude of this point (decimal degrees):": "Latitude, longitude de ce point (degrés décimaux) :",
+  "Enter coordinates like 46.2345, -64.5678": "Entrez des coordonnées comme 46.2345, -64.5678",
+  "Label text:": "Texte de l'étiquette :", "Edit Label": "Modifier l'étiquette", "Finish Shape": "Terminer la forme",
+  "Tap each corner, then the first corner again to close.": "Touchez chaque coin, puis de nouveau le premier coin pour fermer.",
+  "Tap two well-separated points on the map whose coordinates you know.": "Touchez deux points bien espacés de la carte dont vous connaissez les coordonnées.",
+  "Georeferenced": "Géoréférencé", "Not georeferenced": "Non géoréférencé",
+
+  // Evidence Attachments
+  "Evidence": "Preuves", "Evidence Attachments": "Pièces jointes de preuve",
+  "Could not load attachments.": "Impossible de charger les pièces jointes.",
+  "Add Photos, Videos or PDFs": "Ajouter des photos, vidéos ou PDF",
+  "A SHA-256 hash is recorded when each file is added. Photo capture time and GPS position are read from EXIF data and used to link the file to a flight. Every download, check and removal is written to the custody log.": "Une empreinte SHA-256 est enregistrée à l'ajout de chaque fichier. L'heure de prise de vue et la position GPS sont lues dans les données EXIF pour lier le fichier à un vol. Chaque téléchargement, vérification et suppression est inscrit au registre de possession.",
+  "Evidence Package (ZIP)": "Dossier de preuve (ZIP)", "Custody Log (CSV)": "Registre de possession (CSV)",
+  "Attachments are included in backups and encrypted by the app lock, but they are not synced to other devices. Export an evidence package to hand them over.": "Les pièces jointes sont incluses dans les sauvegardes et chiffrées par le verrouillage, mais elles ne sont pas synchronisées avec les autres appareils. Exportez un dossier de preuve pour les remettre.",
+  "No attachments for this mission.": "Aucune pièce jointe pour cette mission.",
+  "Added": "Ajouté", "by": "par", "Captured": "Pris le",
+  "Captured outside the mission window": "Pris en dehors de la période de la mission",
+  "Not linked to a flight": "Non lié à un vol",
+  "File no longer matches its intake hash.": "Le fichier ne correspond plus à son empreinte d'origine.",
+  "Verify": "Vérifier", "Custody": "Possession",
+  "Remove this attachment? The file is deleted from this device; its custody entries stay in the mission history.": "Retirer cette pièce jointe? Le fichier est supprimé de cet appareil; ses entrées de possession restent dans l'historique de la mission.",
+  "Warning: one or more files no longer match their intake hash. See manifest.json.": "Avertissement : un ou plusieurs fichiers ne correspondent plus à leur empreinte d'origine. Voir manifest.json.",
+  "Received": "Reçu", "Exported": "Exporté", "Integrity check": "Vérification d'intégrité", "Flight link changed": "Lien de vol modifié", "Removed": "Retiré",
+  "Download": "Télécharger", "File": "Fichier", "Action": "Action", "By": "Par", "Note": "Remarque",
+  "evidence-intake": "preuve reçue", "evidence-export": "preuve exportée", "evidence-verify": "preuve vérifiée", "evidence-link": "preuve liée", "evidence-remove": "preuve retirée",
+
+  // Storage
+  "Storage": "Stockage", "Device Storage": "Stockage de l'appareil", "used of": "utilisés sur",
+  "Storage is nearly full. Back up your data, then compress images or empty the recycle bin. New missions may fail to save.": "Le stockage est presque plein. Sauvegardez vos données, puis compressez les images ou videz la corbeille. L'enregistrement de nouvelles missions pourrait échouer.",
+  "This browser does not report storage usage.": "Ce navigateur n'indique pas l'utilisation du stockage.",
+  "Persistent storage granted - the browser will not clear this data on its own.": "Stockage persistant accordé - le navigateur n'effacera pas ces données de lui-même.",
+  "Storage is not persistent - the browser may clear it when the device runs low on space.": "Le stockage n'est pas persistant - le navigateur peut l'effacer si l'appareil manque d'espace.",
+  "Request": "Demander", "Images in missions": "Images dans les missions",
+  "Image Compression": "Compression des images",
+  "Weather screenshots, NAV CANADA files and sketch maps are downscaled and saved as JPEG when added. PDFs are stored unchanged.": "Les captures météo, les fichiers de NAV CANADA et les cartes de croquis sont réduits et enregistrés en JPEG lors de l'ajout. Les PDF sont conservés tels quels.",
+  "Max size (px)": "Taille max. (px)", "JPEG quality": "Qualité JPEG",
+  "Compress Existing Images": "Compresser les images existantes",
+  "Re-encode the images in every mission at the current settings? Images are only replaced when the result is smaller. Signed missions are skipped so their signatures stay valid.": "Réencoder les images de toutes les missions selon les paramètres actuels? Les images ne sont remplacées que si le résultat est plus petit. Les missions signées sont ignorées afin que leurs signatures restent valides.",
+  "Usage by Mission": "Utilisation par mission", "Images": "Images", "Total": "Total",
+  "Device storage is full. Free up space in the Storage view, then save again.": "Le stockage de l'appareil est plein. Libérez de l'espace dans la vue Stockage, puis enregistrez de nouveau.",
+  "The browser declined persistent storage. Installing the app to the home screen usually allows it.": "Le navigateur a refusé le stockage persistant. Installer l'application sur l'écran d'accueil le permet généralement.",
+  "Manage": "Gérer",
+
+  // Personnel Registry
+  "Personnel Registry": "Registre du personnel", "PERSONNEL REGISTRY": "REGISTRE DU PERSONNEL", "NEW PERSON": "NOUVELLE PERSONNE",
+  "No personnel registered.": "Aucun membre du personnel enregistré.", "Please enter a name.": "Veuillez saisir un nom.",
+  "A person with this name is already registered.": "Une personne portant ce nom est déjà enregistrée.",
+  "Qualified": "Qualifié", "Expiring Soon": "Expiration proche", "Expired": "Expiré",
+  "Certificate": "Certificat", "DFO Training": "Formation du MPO",
+  "Pilots on saved lists without a registry record": "Pilotes des listes de référence sans fiche au registre",
+  "RPAS PILOT CERTIFICATE": "CERTIFICAT DE PILOTE DE SATP", "Certificate No.": "No de certificat", "Certificate Level": "Niveau du certificat",
+  "None (crew member only)": "Aucun (membre d'équipage seulement)", "Issue Date": "Date de délivrance", "Flight Review Date": "Date de la révision en vol",
+  "Basic": "De base", "Advanced": "Avancées", "Level 1 Complex": "Complexes de niveau 1",
+  "Delete this person and their training records? Missions that name them are not changed.": "Supprimer cette personne et ses dossiers de formation? Les missions qui la nomment ne sont pas modifiées.",
+  "No dated qualifications recorded.": "Aucune qualification datée enregistrée.", "valid until": "valide jusqu'au",
+  "Pilot certificate recency": "Mise à jour des connaissances du certificat de pilote",
+  "DFO TRAINING RECORDS": "DOSSIERS DE FORMATION DU MPO", "No training recorded.": "Aucune formation enregistrée.",
+  "Completed": "Terminée", "Expires": "Expire", "No expiry": "Sans expiration", "Course / qualification...": "Cours / qualification...",
+  "Add Training Record": "Ajouter une formation", "Please enter a course and completion date.": "Veuillez saisir un cours et une date de fin.",
+  "Expiry must be after the completion date.": "L'expiration doit suivre la date de fin.",
+  "Expiring Qualifications": "Qualifications arrivant à échéance", "more": "de plus",
+  "Not in the personnel registry - pilot certificate unverified": "Absent du registre du personnel - certificat de pilote non vérifié",
+
+  // Mission Templates
+  "Duplicate": "Dupliquer", "From template": "À partir d'un modèle", "Save as Template": "Enregistrer comme modèle",
+  "Delete this mission template?": "Supprimer ce modèle de mission?",
+  "Template name (crew, site, equipment and risk assessment are saved):": "Nom du modèle (l'équipage, le site, l'équipement et l'évaluation des risques sont enregistrés) :",
+  "A template with this name exists. Replace it?": "Un modèle portant ce nom existe. Le remplacer?",
+  "Template saved.": "Modèle enregistré.",
+
   // iOS
   "Install DFO RPAS Log": "Installer le carnet de vol SATP",
   "To install this app on your iPhone, tap the ": "Pour installer cette application sur votre iPhone, appuyez sur l'icône ",
@@ -148,6 +453,32 @@ const t = (key, lang) => {
 /**
  * --- DATABASE SETUP (DEXIE) ---
  */
+
+// Brings a mission saved by an older build into the current record shape.
+// Mutates in place so it can be handed straight to Dexie's modify(). A record without a status
+// comes from a build before the approval workflow, when every entry was a flown log, so the
+// database upgrade, restores and merges all treat it as flown. New plans always carry a status.
+const upgradeLegacyMission = (m) => {
+  if (!Array.isArray(m.workElements)) m.workElements = m.workElements ? [m.workElements] : (m.workElement ? [m.workElement] : []);
+  if (!Array.isArray(m.observers)) m.observers = m.observers ? [m.observers] : (m.observer ? [m.observer] : []);
+  if (!Array.isArray(m.additionalPilots)) m.additionalPilots = m.additionalPilots ? [m.additionalPilots] : [];
+  if (!Array.isArray(m.cameraOperators)) m.cameraOperators = m.cameraOperators ? [m.cameraOperators] : [];
+  if (!Array.isArray(m.rpas)) m.rpas = m.rpas ? [m.rpas] : [];
+  if (!Array.isArray(m.payload)) m.payload = m.payload ? [m.payload] : [];
+  if (!m.aerodromesWithin100km) {
+    m.aerodromesWithin100km = Array.isArray(m.aerodromesInfo) ? m.aerodromesInfo.join('\n') : (m.aerodromesInfo || '');
+  }
+  if (m.flightCount == null) m.flightCount = 1;
+  if (!m.risks) m.risks = {};
+  if (!m.status) m.status = 'flown';
+  if (!m.statusHistory) m.statusHistory = [];
+  if (!m.rev) m.rev = 1;
+  delete m.workElement;
+  delete m.observer;
+  delete m.aerodromesInfo;
+  return m;
+};
+
 class DroneLogDatabase extends Dexie {
   constructor() {
     super('DFO_Drone_Log_DB');
@@ -155,11 +486,310 @@ class DroneLogDatabase extends Dexie {
       missions: 'id, created, start', 
       settings: 'key' 
     });
+    // v2: index the fields the dashboard and reports filter on, and migrate legacy records once
+    this.version(2).stores({
+      missions: 'id, created, start, pilot, location, type, opCategory, *rpas, *workElements'
+    }).upgrade(tx => tx.table('missions').toCollection().modify(upgradeLegacyMission));
+    // v3: airframe registry, linked from missions by aircraft id
+    this.version(3).stores({
+      missions: 'id, created, start, pilot, location, type, opCategory, *rpas, *workElements, *aircraftIds',
+      aircraft: 'id, registration, serial, model'
+    });
+    // v4: georeferenced images used as offline map backgrounds
+    this.version(4).stores({
+      mapLayers: 'id, created'
+    });
+    // v5: structured aerodrome registry, seeded from the old saved list, plus imported airspace zones
+    this.version(5).stores({
+      aerodromes: 'id, code, kind',
+      airspaceZones: 'id, created, zoneType'
+    }).upgrade(async tx => {
+      const saved = await tx.table('settings').get('customLists');
+      await tx.table('aerodromes').bulkPut(buildDefaultAerodromes(saved?.value?.aerodromesInfo));
+    });
+    // v6: editable pre-flight checklist templates
+    this.version(6).stores({
+      checklistTemplates: 'id, name'
+    }).upgrade(tx => tx.table('checklistTemplates').put(buildDefaultChecklistTemplate()));
+    // v7: approval workflow state; records from earlier builds are treated as already flown
+    this.version(7).stores({
+      missions: 'id, created, start, pilot, location, type, opCategory, status, *rpas, *workElements, *aircraftIds'
+    }).upgrade(tx => tx.table('missions').toCollection().modify(upgradeLegacyMission));
+    // v8: append-only, hash-chained history of mission writes
+    this.version(8).stores({
+      auditLog: '++seq, missionId, at'
+    });
+    // v9: soft-deleted missions and saved-list entries
+    this.version(9).stores({
+      recycleBin: 'id, kind, deletedAt'
+    });
+    // v10: per-record revision counter, bumped on every change, used to pick what to sync
+    this.version(10).stores({
+      missions: 'id, created, start, pilot, location, type, opCategory, status, rev, *rpas, *workElements, *aircraftIds'
+    }).upgrade(tx => tx.table('missions').toCollection().modify(m => { if (!m.rev) m.rev = 1; }));
+    // v11: local changes waiting to be pushed to the optional sync server
+    this.version(11).stores({
+      syncOutbox: '++seq, kind, recordId'
+    });
+    // v12: evidence files stored as Blobs, outside the mission record
+    this.version(12).stores({
+      attachments: 'id, missionId, sha256, addedAt'
+    });
+    // v13: crew records with pilot certificates and training, matched to missions by name
+    this.version(13).stores({
+      personnel: 'id, name'
+    });
+    // v14: named mission templates for recurring patrols
+    this.version(14).stores({
+      missionTemplates: 'id, name'
+    });
+    // v15: index additional pilots too, so the dashboard pilot filter can run on indexes alone
+    this.version(15).stores({
+      missions: 'id, created, start, pilot, location, type, opCategory, status, rev, *rpas, *workElements, *aircraftIds, *additionalPilots'
+    });
+    this.on('populate', tx => {
+      tx.table('aerodromes').bulkPut(buildDefaultAerodromes());
+      tx.table('checklistTemplates').put(buildDefaultChecklistTemplate());
+    });
   }
 }
 
 const db = new DroneLogDatabase();
 
+/**
+ * --- ENCRYPTION ---
+ */
+
+// AES-GCM with a PBKDF2-derived key for passphrase backups and the optional app lock
+const PBKDF2_ITERATIONS = 250000;
+const ENCRYPTED_BACKUP_FORMAT = 'dfo-encrypted-backup';
+const APP_LOCK_VERIFIER = 'dfo-app-lock';
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+};
+
+const base64ToBytes = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+
+const deriveKey = async (secret, salt, iterations = PBKDF2_ITERATIONS) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+};
+
+const encryptJSON = async (value, key) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+};
+
+// Throws when the key is wrong or the ciphertext was altered (GCM authentication)
+const decryptJSON = async ({ iv, data }, key) => {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+  return JSON.parse(new TextDecoder().decode(plain));
+};
+
+const isEncryptedBackup = (data) => !!data && data.format === ENCRYPTED_BACKUP_FORMAT;
+
+const encryptBackup = async (data, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  const { iv, data: ciphertext } = await encryptJSON(data, key);
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT, version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv },
+    data: ciphertext
+  };
+};
+
+const decryptBackup = async (payload, passphrase) => {
+  const key = await deriveKey(passphrase, base64ToBytes(payload.kdf.salt), payload.kdf.iterations);
+  return decryptJSON({ iv: payload.cipher.iv, data: payload.data }, key);
+};
+
+// Key for the at-rest mission encryption; only held in memory while the app is unlocked.
+// The index key is a separate random HMAC key, stored wrapped by the lock key, used to turn
+// indexed values into opaque tokens so Dexie lookups keep working on locked records.
+let appLockKey = null;
+let appLockIndexKey = null;
+const setAppLockKey = (key, indexKey = null) => { appLockKey = key; appLockIndexKey = key ? indexKey : null; };
+
+const importIndexKey = (raw) => crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+
+// Resolves to the usable HMAC key and its copy wrapped by the lock key, for the lock settings
+const createIndexKey = async (key) => {
+  const raw = crypto.getRandomValues(new Uint8Array(32));
+  return { indexKey: await importIndexKey(raw), wrapped: await encryptJSON(bytesToBase64(raw), key) };
+};
+
+const createAppLock = async (pin) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(pin, salt);
+  const { indexKey, wrapped } = await createIndexKey(key);
+  return { key, indexKey, settings: { salt: bytesToBase64(salt), iterations: PBKDF2_ITERATIONS, verifier: await encryptJSON(APP_LOCK_VERIFIER, key), indexKey: wrapped } };
+};
+
+// Resolves to { key, indexKey } when the PIN is right, null otherwise. Locks set up before
+// blind indexes existed have no index key yet; indexKey is null and the caller adds one.
+const unlockAppLock = async (pin, settings) => {
+  const key = await deriveKey(pin, base64ToBytes(settings.salt), settings.iterations);
+  try {
+    if ((await decryptJSON(settings.verifier, key)) !== APP_LOCK_VERIFIER) return null;
+    const indexKey = settings.indexKey ? await importIndexKey(base64ToBytes(await decryptJSON(settings.indexKey, key))) : null;
+    return { key, indexKey };
+  } catch (err) { return null; }
+};
+
+const blindIndexValue = async (value) => {
+  const mac = await crypto.subtle.sign('HMAC', appLockIndexKey, new TextEncoder().encode(String(value)));
+  return Array.from(new Uint8Array(mac).subarray(0, 16)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// The value to look up in a mission index: the blind token while locked records are in use
+const missionIndexValue = async (value) => (appLockIndexKey ? blindIndexValue(value) : value);
+
+// Locked records keep in the clear what Dexie orders, filters and syncs by without revealing
+// content: dates, workflow status, revision and the aircraft registry ids (random ids, not
+// registrations). Pilot, location, type, category, RPAS, work element and crew indexes hold
+// blind tokens instead. This is a deliberate, documented leak: equal values share a token, so
+// someone with the database can tell which records have the same pilot, but not who it is.
+const BLIND_INDEX_FIELDS = ['pilot', 'location', 'type', 'opCategory'];
+const BLIND_MULTI_INDEX_FIELDS = ['rpas', 'workElements', 'additionalPilots'];
+
+const sealMission = async (m) => {
+  if (!appLockKey) return m;
+  const record = { id: m.id, created: m.created, start: m.start, status: m.status, rev: m.rev, aircraftIds: m.aircraftIds || [], sealed: await encryptJSON(m, appLockKey) };
+  if (appLockIndexKey) {
+    for (const field of BLIND_INDEX_FIELDS) {
+      if (m[field]) record[field] = await blindIndexValue(m[field]);
+    }
+    for (const field of BLIND_MULTI_INDEX_FIELDS) {
+      record[field] = await Promise.all((m[field] || []).filter(Boolean).map(blindIndexValue));
+    }
+  }
+  return record;
+};
+const openMission = async (r) => (r && r.sealed ? decryptJSON(r.sealed, appLockKey) : r);
+
+// Mission templates carry the same kind of content as missions; only the key stays in the clear
+const sealMissionTemplate = async (tpl) => (appLockKey ? { id: tpl.id, sealed: await encryptJSON(tpl, appLockKey) } : tpl);
+const openMissionTemplate = async (r) => (r.sealed ? decryptJSON(r.sealed, appLockKey) : r);
+
+// Evidence files: the metadata is sealed like a mission and the file bytes are encrypted into a
+// new Blob. The mission id, intake time, size and the file's SHA-256 stay in the clear for the
+// per-mission lookup and storage totals; a file digest does not reveal its content.
+const ATTACHMENT_CLEAR_FIELDS = ['missionId', 'sha256', 'addedAt', 'size'];
+
+const sealAttachment = async (a) => {
+  if (!appLockKey) return a;
+  const { blob, ...meta } = a;
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, appLockKey, await blob.arrayBuffer());
+  const record = { id: a.id, sealed: await encryptJSON({ ...meta, blobIv: bytesToBase64(iv) }, appLockKey), blob: new Blob([data]) };
+  ATTACHMENT_CLEAR_FIELDS.forEach(f => { record[f] = a[f]; });
+  return record;
+};
+
+const openAttachment = async (r) => {
+  if (!r || !r.sealed) return r;
+  const { blobIv, ...meta } = await decryptJSON(r.sealed, appLockKey);
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(blobIv) }, appLockKey, await r.blob.arrayBuffer());
+  return { ...meta, blob: new Blob([data], { type: meta.type }) };
+};
+
+const sealRecycleEntry = async (e) => (e.kind === 'mission' ? { ...e, record: await sealMission(e.record) } : e);
+const openRecycleEntry = async (e) => (e.kind === 'mission' ? { ...e, record: await openMission(e.record) } : e);
+
+// Mission reads and writes go through these so app-lock encryption stays transparent
+// Newest-first via the start index, so callers don't have to sort in memory. Records with no
+// start value are missing from that index, so they are fetched by key and appended at the end.
+const getMissionsNewestFirst = async () => {
+  const dated = await db.missions.orderBy('start').reverse().toArray();
+  const undated = await db.missions.where('id').noneOf(dated.map(r => r.id)).toArray();
+  return Promise.all([...dated, ...undated].map(openMission));
+};
+const getMission = async (id) => openMission(await db.missions.get(id));
+// Ids of the missions matching the indexed criteria of a dashboard or stats filter (date range
+// and exact-value fields), or null when none of them are set. Only primary keys are read, so
+// nothing is decrypted; the remaining criteria are still checked in memory.
+const MISSION_FILTER_INDEXES = [['type', 'type'], ['opCategory', 'opCategory'], ['rpas', 'rpas'], ['workElement', 'workElements']];
+
+const queryMissionIds = async (filter) => {
+  const lookups = [];
+  if (filter.from || filter.to) {
+    lookups.push(db.missions.where('start').between(filter.from || '', `${filter.to || '\uffff'}\uffff`, true, true).primaryKeys());
+  }
+  if (filter.pilot) {
+    const pilot = await missionIndexValue(filter.pilot);
+    lookups.push(Promise.all([
+      db.missions.where('pilot').equals(pilot).primaryKeys(),
+      db.missions.where('additionalPilots').equals(pilot).primaryKeys()
+    ]).then(([pic, crew]) => [...pic, ...crew]));
+  }
+  for (const [field, index] of MISSION_FILTER_INDEXES) {
+    if (filter[field]) lookups.push(db.missions.where(index).equals(await missionIndexValue(filter[field])).primaryKeys());
+  }
+  if (!lookups.length) return null;
+  const [first, ...rest] = await Promise.all(lookups);
+  return rest.reduce((ids, keys) => {
+    const next = new Set(keys);
+    return new Set([...ids].filter(id => next.has(id)));
+  }, new Set(first));
+};
+
+// Missions shown per dashboard page; the next page is read on demand
+const DASHBOARD_PAGE_SIZE = 50;
+
+// Text, airspace, risk band and NAV CANADA criteria are only known once a record is opened
+const hasUnindexedCriteria = (filter) => ['airspace', 'riskBand', 'navCan'].some(f => filter[f]) || !!(filter.text || '').trim();
+
+// Dashboard and report reads. Indexed criteria pick the candidate keys and only those records
+// are read with bulkGet; with no filter, a newest or oldest list is paged straight off the start
+// index (undated missions last). Unindexed criteria and the content sorts (location, pilot,
+// hours, risk, last edit) need every candidate opened, which is the whole table when nothing
+// indexed narrows it. Resolves to one page of matches and the total match count.
+const queryMissions = async (filter, sortKey = 'newest', limit = Infinity) => {
+  const ids = await queryMissionIds(filter);
+  if (!ids && !hasUnindexedCriteria(filter) && (sortKey === 'newest' || sortKey === 'oldest')) {
+    const byStart = db.missions.orderBy('start');
+    const dated = await (sortKey === 'newest' ? byStart.reverse() : byStart).limit(limit).toArray();
+    const undated = dated.length < limit
+      ? await db.missions.where('id').noneOf(await db.missions.orderBy('start').primaryKeys()).limit(limit - dated.length).toArray()
+      : [];
+    return { missions: await Promise.all([...dated, ...undated].map(openMission)), total: await db.missions.count() };
+  }
+  const records = ids ? (await db.missions.bulkGet([...ids])).filter(Boolean) : await db.missions.toArray();
+  const matches = (await Promise.all(records.map(openMission))).filter(m => matchesMissionFilter(m, filter)).sort(MISSION_SORTS[sortKey].compare);
+  return { missions: matches.slice(0, limit), total: matches.length };
+};
+
+// Keeps a view's query result in state; re-run when the query or the stored missions change
+const useMissionQuery = (filter, sortKey, limit, revision) => {
+  const [result, setResult] = useState({ missions: [], total: 0, loading: true });
+  const key = JSON.stringify([filter, sortKey, limit]);
+  useEffect(() => {
+    let cancelled = false;
+    setResult(prev => ({ ...prev, loading: true }));
+    queryMissions(filter, sortKey, limit)
+      .then(r => { if (!cancelled) setResult({ ...r, loading: false }); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) setResult(prev => ({ ...prev, loading: false }));
+      });
+    return () => { cancelled = true; };
+  }, [key, revision]);
+  return result;
+};
+
+const getRecycleBinEntries = async () => Promise.all((await db.recycleBin.toArray()).map(openRecycleEntry));
+const getMissionTemplates = async () => (await Promise.all((await db.missionTemplates.toArray()).map(openMissionTemplate))).sort((a, b) => a.name.localeCompare(b.name));
+const putMissionTemplate = async (tpl) => db.missionTemplates.put(await sealMissionTemplate(tpl));
+const getMissionAttachments = async (missionId) => Promise.all((await db.attachments.where('missionId').equals(missionId).sortBy('addedAt')).map(openAttachment));
+const putAttachment = async (a) => db.attachments.put(await sealAttachment(a));
+const getAllAttachments = async () => Promise.all((await db.attachments.toArray()).map(openAttachment));
+
 /**
  * --- UTILITIES ---
  */
@@ -194,6 +824,13 @@ const getCurrentLocalTime = () => {
   return (new Date(now - offset)).toISOString().slice(0, 16);
 };
 
+// ISO timestamp -> value for a datetime-local input
+const toLocalInputValue = (isoString) => {
+  const date = new Date(isoString);
+  const offset = date.getTimezoneOffset() * 60000;
+  return (new Date(date - offset)).toISOString().slice(0, 16);
+};
+
 const getCoordinates = (callback, lang) => {
   if (!("geolocation" in navigator)) {
     alert(lang === 'fr' ? "La géolocalisation n'est pas prise en charge par votre navigateur." : "Geolocation is not supported by your browser.");
@@ -224,1375 +861,6738 @@ const getDistanceFromLatLonInKm = (lat1, lon1, lat2, lon2) => {
   return R * c; 
 };
 
-// --- CSV EXPORT FUNCTION (Images Removed) ---
-const exportToCSV = (missions, lang) => {
-  if (!missions || missions.length === 0) {
-    alert(lang === 'fr' ? "Aucune mission à exporter." : "No missions to export.");
-    return;
-  }
-
-  try {
-    const escapeCSV = (str) => {
-      if (str === null || str === undefined) return '';
-      const stringValue = String(str);
-      if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-        return `"${stringValue.replace(/"/g, '""')}"`;
-      }
-      return stringValue;
-    };
+// --- FLIGHT LEGS ---
+const getMissionFlights = (m) => Array.isArray(m.flights) ? m.flights : [];
 
-    const formatRisks = (risks) => {
-      if (!risks) return t("None", lang);
-      const entries = Object.entries(risks);
-      if (entries.length === 0) return t("None", lang);
-      
-      return entries
-        .filter(([_, val]) => val && val.checked)
-        .map(([key, val]) => {
-          const level = val.level || '-';
-          const mit = val.mitigation ? ` (${t('Mitigation', lang)}: ${val.mitigation})` : '';
-          return `${t(key, lang)} [${t(level, lang)}]${mit}`;
-        })
-        .join(" | ");
-    };
+const getFlightDurationHours = (f) => {
+  if (!f.takeoff || !f.landing) return 0;
+  const ms = new Date(f.landing) - new Date(f.takeoff);
+  return ms > 0 ? ms / 3600000 : 0;
+};
 
-    const headers = [
-      t("Mission ID", lang), t("Start Time", lang), t("End Time", lang), t("Location", lang), t("Lat", lang), t("Lng", lang), 
-      t("Secondary Lat", lang), t("Secondary Lng", lang), t("Ref GPS Unit", lang),
-      t("Pilot In Command", lang), t("Additional Pilots", lang), t("Camera Operators", lang), t("Observers", lang), t("RPAS Model/Reg", lang), t("Payload", lang), t("Op Category", lang), t("Mission Type", lang), t("Work Elements", lang),
-      t("Flights", lang), t("Distance (km)", lang), t("Airspace Class", lang), t("Airspace Type", lang), t("Aerodromes within 100km", lang), t("NOTAMS", lang), t("NavCan Ref", lang),
-      t("Temp (°C)", lang), t("Wind Speed (km/h)", lang), t("Wind Direction", lang), t("Visibility (km)", lang), t("Weather Notes", lang),
-      t("Approach Alt", lang), t("Approach Route", lang), t("Emergency Landing Site", lang),
-      t("Preflight Completed", lang), t("Preflight Issues", lang),
-      t("Outcomes/Summary", lang), t("Incidents/Maintenance", lang),
-      t("Description / Objectives", lang), t("Risk Summary", lang)
-    ];
+// Legs are authoritative when present; older missions only carry a count
+const getMissionFlightCount = (m) => getMissionFlights(m).length || (m.flightCount ?? 1);
 
-    const sortedMissions = [...missions].sort((a, b) => new Date(b.start) - new Date(a.start));
+// New leg continues from the previous one, or from the mission start and primary GPS
+const createFlightLeg = (mission, coords, aircraft, fields = {}) => {
+  const legs = getMissionFlights(mission);
+  const prev = legs[legs.length - 1];
+  const missionAircraft = aircraft.filter(a => (mission.aircraftIds || []).includes(a.id));
+  const takeoff = fields.takeoff || prev?.landing || mission.start || getCurrentLocalTime();
+  return {
+    id: generateId(),
+    takeoff,
+    landing: addMinutes(takeoff, 20),
+    lat: prev ? prev.lat : (coords.lat || ''),
+    lng: prev ? prev.lng : (coords.lng || ''),
+    aircraftId: prev ? prev.aircraftId : (missionAircraft[0]?.id || ''),
+    rpas: prev ? prev.rpas : ((mission.rpas || [])[0] || ''),
+    battery: '',
+    maxAltitude: '',
+    pilot: prev ? prev.pilot : (mission.pilot || ''),
+    trackId: '',
+    ...fields
+  };
+};
 
-    const rows = sortedMissions.map(m => {
-      // Fallback to legacy fields if the new field is missing (protects old data)
-      const aeroOut = m.aerodromesWithin100km ? m.aerodromesWithin100km : (Array.isArray(m.aerodromesInfo) ? m.aerodromesInfo.join('; ') : (m.aerodromesInfo || ''));
-      const workElemStr = Array.isArray(m.workElements) ? m.workElements.join('; ') : (m.workElements || m.workElement || '');
-      const addPilotsStr = Array.isArray(m.additionalPilots) ? m.additionalPilots.join('; ') : '';
-      const camOpsStr = Array.isArray(m.cameraOperators) ? m.cameraOperators.join('; ') : '';
-      const observersStr = Array.isArray(m.observers) ? m.observers.join('; ') : (m.observer || '');
-      const rpasStr = Array.isArray(m.rpas) ? m.rpas.join('; ') : (m.rpas || '');
-      const payloadStr = Array.isArray(m.payload) ? m.payload.join('; ') : (m.payload || '');
+const formatFlightLeg = (f, index, lang) => [
+  `#${index + 1} ${formatDateTime24h(f.takeoff)} - ${formatDateTime24h(f.landing)}`,
+  `${f.rpas || '-'}${f.battery ? ` / ${t('Battery', lang)} ${f.battery}` : ''}`,
+  f.maxAltitude ? `${f.maxAltitude} m AGL` : '-',
+  `${t('Pilot', lang)}: ${f.pilot || '-'}`,
+  (f.lat && f.lng) ? `${f.lat}, ${f.lng}` : '-'
+].join(' | ');
 
-      return [
-        m.id,
-        formatDateTime24h(m.start),
-        formatDateTime24h(m.end),
-        m.location,
-        m.coords?.lat,
-        m.coords?.lng,
-        m.secondaryLat,
-        m.secondaryLng,
-        m.referenceGpsUnit,
-        m.pilot,
-        addPilotsStr,
-        camOpsStr,
-        observersStr,
-        rpasStr,
-        payloadStr,
-        m.opCategory,
-        m.type,
-        workElemStr,
-        m.flightCount || 1,
-        m.distance,
-        m.airspace,
-        m.airspaceType,
-        aeroOut,
-        m.notams,
-        m.navCanRef,
-        m.temperature,
-        m.windSpeed,
-        m.windDir ? t(m.windDir, lang) : '',
-        m.visibility ? t(m.visibility, lang) : '',
-        m.weatherText,
-        m.approachAlt,
-        m.approachRoute ? t(m.approachRoute, lang) : '',
-        m.emergencySite,
-        m.preflightCompleted ? t('Yes', lang) : t('No', lang),
-        m.preflightIssues,
-        m.outcomesSummary,
-        m.incidentsMaintenance,
-        m.description,
-        formatRisks(m.risks)
-      ].map(escapeCSV).join(",");
-    });
+// --- FLIGHT LOG IMPORT (DJI CSV, generic telemetry CSV, GPX) ---
+const MAX_STORED_TRACK_POINTS = 2000;
+const FEET_TO_METRES = 0.3048;
 
-    const csvContent = [headers.join(","), ...rows].join("\n");
-    
-    const blob = new Blob(["\uFEFF" + csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.setAttribute('download', `dfo_mission_log_${new Date().toISOString().slice(0,10)}.csv`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-  } catch (err) {
-    console.error("Export Error:", err);
-    alert((lang === 'fr' ? "Échec de la génération du CSV. Erreur: " : "Failed to generate CSV. Error: ") + err.message);
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and embedded newlines
+const parseCSVText = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') inQuotes = false;
+      else field += c;
+    } else if (c === '"') inQuotes = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
   }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
 };
 
-// --- FULL HTML REPORT EXPORT ---
-const exportToHTML = (missions, lang) => {
-  if (!missions || missions.length === 0) {
-    alert(lang === 'fr' ? "Aucune mission à exporter." : "No missions to export.");
-    return;
+// Splits "OSD.height [ft]" / "height_above_takeoff(feet)" into a bare name and a unit
+const parseColumnHeader = (header) => {
+  const clean = header.replace(/^\uFEFF/, '').trim().toLowerCase();
+  const match = clean.match(/^(.*?)\s*[[(]([^\])]*)[\])]\s*$/);
+  return match ? { name: match[1].trim(), unit: match[2].trim() } : { name: clean, unit: '' };
+};
+
+const parseTimestamp = (value, isUtc = false) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const v = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(v)) {
+    const n = parseFloat(v);
+    return n > 1e12 ? n : n * 1000; // epoch ms or epoch seconds
   }
+  let iso = /^\d{4}-\d{2}-\d{2} \d/.test(v) ? v.replace(' ', 'T') : v;
+  if (isUtc && !/[zZ]|[+-]\d{2}:?\d{2}$/.test(iso)) iso += 'Z';
+  const ms = Date.parse(iso);
+  return isNaN(ms) ? null : ms;
+};
 
-  const sortedMissions = [...missions].sort((a, b) => new Date(b.start) - new Date(a.start));
+const TELEMETRY_COLUMNS = {
+  lat: ['osd.latitude', 'latitude', 'lat', 'gps.latitude'],
+  lng: ['osd.longitude', 'longitude', 'lng', 'lon', 'long', 'gps.longitude'],
+  // Height above take-off is preferred over MSL altitude when a log has both
+  alt: ['osd.height', 'height_above_takeoff', 'height', 'alt', 'altitude', 'osd.altitude', 'altitude_above_sealevel', 'ele', 'elevation'],
+  time: ['datetime', 'timestamp', 'time', 'date_time', 'gps.datetime'],
+  date: ['custom.date'],
+  clock: ['custom.updatetime'],
+  elapsed: ['osd.flytime'],
+  homeLat: ['home.latitude'],
+  homeLng: ['home.longitude']
+};
 
-  let html = `
-  <!DOCTYPE html>
-  <html lang="${lang}">
-  <head>
-    <meta charset="UTF-8">
-    <title>${t("DFO RPAS Flight Log - Full Report", lang)}</title>
-    <style>
-      body { font-family: Arial, sans-serif; background-color: #f1f5f9; color: #333; padding: 20px; }
-      .container { max-width: 1000px; margin: 0 auto; background: #fff; padding: 30px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); border-radius: 8px; }
-      .header { border-bottom: 3px solid #064e3b; padding-bottom: 10px; margin-bottom: 30px; }
-      h1 { color: #064e3b; margin: 0; }
-      .mission-card { border: 1px solid #cbd5e1; border-radius: 8px; padding: 20px; margin-bottom: 40px; background-color: #f8fafc; page-break-inside: avoid; }
-      .mission-title { font-size: 1.25rem; font-weight: bold; color: #0f172a; margin-top: 0; border-bottom: 1px solid #e2e8f0; padding-bottom: 10px; }
-      table { width: 100%; border-collapse: collapse; margin-bottom: 15px; font-size: 0.9rem; }
-      th, td { padding: 8px 12px; border: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
-      th { background-color: #e2e8f0; width: 30%; color: #334155; }
-      td { background-color: #fff; }
-      .image-grid { display: flex; gap: 15px; flex-wrap: wrap; margin-top: 20px; }
-      .img-box { border: 1px solid #e2e8f0; padding: 10px; background: #fff; text-align: center; border-radius: 4px; flex: 1; min-width: 250px; }
-      .img-box h4 { margin-top: 0; margin-bottom: 10px; font-size: 0.85rem; color: #64748b; text-transform: uppercase; }
-      .img-box img { max-width: 100%; max-height: 350px; border-radius: 4px; border: 1px solid #cbd5e1; }
-    </style>
-  </head>
-  <body>
-    <div class="container">
-      <div class="header">
-        <h1>${t("DFO RPAS Flight Log - Full Report", lang)}</h1>
-        <p><strong>${t("Generated:", lang)}</strong> ${new Date().toLocaleString()}</p>
-      </div>
-  `;
+const parseTelemetryCSV = (text) => {
+  const rows = parseCSVText(text);
+  if (rows.length < 2) throw new Error('No telemetry rows found.');
+  const headers = rows[0].map(parseColumnHeader);
+  const find = (key) => {
+    for (const candidate of TELEMETRY_COLUMNS[key]) {
+      const idx = headers.findIndex(h => h.name === candidate);
+      if (idx !== -1) return idx;
+    }
+    return -1;
+  };
+  const col = Object.fromEntries(Object.keys(TELEMETRY_COLUMNS).map(k => [k, find(k)]));
+  if (col.lat === -1 || col.lng === -1) throw new Error('Could not find latitude/longitude columns.');
 
-  sortedMissions.forEach(m => {
-    const risks = m.risks ? Object.entries(m.risks).filter(([_, v]) => v.checked).map(([k, v]) => `${t(k, lang)} (${t(v.level || 'Unrated', lang)} - ${t("Mitigation:", lang)} ${v.mitigation || t('None', lang)})`).join('<br/>') : t('None', lang);
-    const aeroOut = m.aerodromesWithin100km ? m.aerodromesWithin100km.replace(/\n/g, '<br/>') : (Array.isArray(m.aerodromesInfo) ? m.aerodromesInfo.join(', ') : (m.aerodromesInfo || t('None', lang)));
-    const workElemStr = Array.isArray(m.workElements) ? m.workElements.join(', ') : (m.workElements || m.workElement || t('N/A', lang));
-    const addPilotsStr = Array.isArray(m.additionalPilots) ? m.additionalPilots.join(', ') : t('None', lang);
-    const camOpsStr = Array.isArray(m.cameraOperators) ? m.cameraOperators.join(', ') : t('None', lang);
-    const observersStr = Array.isArray(m.observers) ? m.observers.join(', ') : (m.observer || t('None', lang));
-    const rpasStr = Array.isArray(m.rpas) ? m.rpas.join(', ') : (m.rpas || t('N/A', lang));
-    const payloadStr = Array.isArray(m.payload) ? m.payload.join(', ') : (m.payload || t('N/A', lang));
-    
-    html += `
-      <div class="mission-card">
-        <h2 class="mission-title">${m.location || t('Unknown Location', lang)} - ${formatDateTime24h(m.start)}</h2>
-        <table>
-          <tbody>
-            <tr><th>${t("Mission ID", lang)}</th><td>${m.id || t('N/A', lang)}</td></tr>
-            <tr><th>${t("Date & Time", lang)}</th><td>${t("Start:", lang)} ${formatDateTime24h(m.start)}<br/>${t("End:", lang)} ${formatDateTime24h(m.end)}</td></tr>
-            <tr><th>${t("Primary GPS", lang)}</th><td>Lat: ${m.coords?.lat || '-'}, Lng: ${m.coords?.lng || '-'}</td></tr>
-            <tr><th>${t("Secondary GPS", lang)}</th><td>Lat: ${m.secondaryLat || '-'}, Lng: ${m.secondaryLng || '-'} (${t("Ref Unit:", lang)} ${m.referenceGpsUnit || t('N/A', lang)})</td></tr>
-            <tr><th>${t("Pilot In Command", lang)}</th><td>${m.pilot || t('N/A', lang)}</td></tr>
-            <tr><th>${t("Additional Pilots", lang)}</th><td>${addPilotsStr}</td></tr>
-            <tr><th>${t("Camera Operators", lang)}</th><td>${camOpsStr}</td></tr>
-            <tr><th>${t("Observers", lang)}</th><td>${observersStr}</td></tr>
-            <tr><th>${t("RPAS / Payload", lang)}</th><td>${rpasStr} / ${payloadStr}</td></tr>
-            <tr><th>${t("Op Category / Mission Type", lang)}</th><td>${m.opCategory || t('N/A', lang)} / ${m.type || t('N/A', lang)}</td></tr>
-            <tr><th>${t("Work Elements", lang)}</th><td>${workElemStr}</td></tr>
-            <tr><th>${t("Flights / Distance", lang)}</th><td>${m.flightCount || 1} ${t("flight(s)", lang)} / ${m.distance || t('N/A', lang)} km</td></tr>
-            <tr><th>${t("Airspace", lang)}</th><td>${m.airspace || t('N/A', lang)} (${m.airspaceType || t('N/A', lang)})</td></tr>
-            <tr><th>${t("Aerodromes within 100km", lang)}</th><td>${aeroOut}</td></tr>
-            <tr><th>${t("NOTAMS / NavCan Ref", lang)}</th><td>${m.notams || t('None', lang)} / ${m.navCanRef || t('N/A', lang)}</td></tr>
-            <tr><th>${t("Approach / Emergency Site", lang)}</th><td>Alt: ${m.approachAlt || t('N/A', lang)}, Route: ${m.approachRoute ? t(m.approachRoute, lang) : t('N/A', lang)} / Site: ${m.emergencySite || t('None', lang)}</td></tr>
-            <tr><th>${t("Weather Conditions", lang)}</th><td>Temp: ${m.temperature || '-'}°C, Vent: ${m.windSpeed || '-'}km/h ${m.windDir ? t(m.windDir, lang) : ''}, Vis: ${m.visibility ? t(m.visibility, lang) : '-'}</td></tr>
-            <tr><th>${t("Weather Notes", lang)}</th><td>${m.weatherText || t('None', lang)}</td></tr>
-            <tr><th>${t("Preflight Checklist", lang)}</th><td>Completed: ${m.preflightCompleted ? t('Yes', lang) : t('No', lang)}<br/>Issues: ${m.preflightIssues || t('None', lang)}</td></tr>
-            <tr><th>${t("Mission Objectives", lang)}</th><td>${m.description || t('None', lang)}</td></tr>
-            <tr><th>${t("Outcomes / Summary", lang)}</th><td>${m.outcomesSummary || t('None', lang)}</td></tr>
-            <tr><th>${t("Incidents / Maintenance", lang)}</th><td>${m.incidentsMaintenance || t('None', lang)}</td></tr>
-            <tr><th>${t("Risk Assessment", lang)}</th><td>${risks}</td></tr>
-          </tbody>
-        </table>
-        
-        <div class="image-grid">
-          ${m.sketch ? `<div class="img-box"><h4>${t("Mission Area Sketch", lang)}</h4><img src="${m.sketch}" alt="Map Sketch" /></div>` : ''}
-          ${m.weatherImage ? `<div class="img-box"><h4>${t("Weather Forecast / Screenshot", lang)}</h4><img src="${m.weatherImage}" alt="Weather Screenshot" /></div>` : ''}
-          ${m.navCanFile ? `<div class="img-box"><h4>${t("NAV Canada Authorization File", lang)}</h4><img src="${m.navCanFile}" alt="Nav Canada Auth" /></div>` : ''}
-        </div>
-      </div>
-    `;
+  const isDJI = headers.some(h => h.name.startsWith('osd.') || h.name.startsWith('custom.') || h.name === 'height_above_takeoff');
+  const altUnit = col.alt !== -1 ? headers[col.alt].unit : '';
+  const altScale = /^(ft|feet)$/.test(altUnit) ? FEET_TO_METRES : 1;
+  const altIsMsl = col.alt !== -1 && ['altitude', 'osd.altitude', 'altitude_above_sealevel', 'ele', 'elevation'].includes(headers[col.alt].name);
+  // A "time" column counted in (milli)seconds is elapsed flight time, not a clock reading
+  const timeIsElapsed = col.time !== -1 && /^(s|sec|ms|millisecond|milliseconds)$/.test(headers[col.time].unit);
+  const timeIsUtc = col.time !== -1 && headers[col.time].unit === 'utc';
+  const elapsedCol = col.elapsed !== -1 ? col.elapsed : (timeIsElapsed ? col.time : -1);
+  const elapsedScale = elapsedCol !== -1 && /^(ms|millisecond|milliseconds)$/.test(headers[elapsedCol].unit) ? 1 : 1000;
+
+  const points = [];
+  let home = null;
+  rows.slice(1).forEach(r => {
+    const lat = parseFloat(r[col.lat]);
+    const lng = parseFloat(r[col.lng]);
+    // DJI logs record 0,0 until the aircraft has a GPS fix
+    if (isNaN(lat) || isNaN(lng) || (lat === 0 && lng === 0)) return;
+    let time = null;
+    if (col.date !== -1 && col.clock !== -1) time = parseTimestamp(`${r[col.date]} ${r[col.clock]}`);
+    else if (col.time !== -1 && !timeIsElapsed) time = parseTimestamp(r[col.time], timeIsUtc);
+    const elapsed = elapsedCol !== -1 ? parseFloat(r[elapsedCol]) * elapsedScale : NaN;
+    const alt = col.alt !== -1 ? parseFloat(r[col.alt]) * altScale : NaN;
+    if (!home && col.homeLat !== -1) {
+      const hLat = parseFloat(r[col.homeLat]);
+      const hLng = parseFloat(r[col.homeLng]);
+      if (!isNaN(hLat) && !isNaN(hLng) && !(hLat === 0 && hLng === 0)) home = { lat: hLat, lng: hLng };
+    }
+    points.push({ lat, lng, alt: isNaN(alt) ? null : alt, time, elapsed: isNaN(elapsed) ? null : elapsed });
   });
+  if (points.length === 0) throw new Error('No valid GPS positions in file.');
+  return { source: isDJI ? 'DJI' : 'CSV', points, home, altIsMsl };
+};
 
-  html += `
-    </div>
-  </body>
-  </html>
-  `;
+const parseGPX = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Invalid GPX file.');
+  const nodes = [...doc.getElementsByTagName('trkpt'), ...doc.getElementsByTagName('rtept')];
+  const points = nodes.map(n => {
+    const ele = n.getElementsByTagName('ele')[0];
+    const time = n.getElementsByTagName('time')[0];
+    return {
+      lat: parseFloat(n.getAttribute('lat')),
+      lng: parseFloat(n.getAttribute('lon')),
+      alt: ele ? parseFloat(ele.textContent) : null,
+      time: time ? parseTimestamp(time.textContent) : null,
+      elapsed: null
+    };
+  }).filter(p => !isNaN(p.lat) && !isNaN(p.lng));
+  if (points.length === 0) throw new Error('No track points found in GPX file.');
+  return { source: 'GPX', points, home: null, altIsMsl: true };
+};
 
-  const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.setAttribute('download', `dfo_full_report_${new Date().toISOString().slice(0,10)}.html`);
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
+const parseFlightLogFile = (fileName, text) => {
+  const isGpx = /\.gpx$/i.test(fileName) || /^\s*(<\?xml[^>]*>\s*)?<gpx[\s>]/i.test(text);
+  return isGpx ? parseGPX(text) : parseTelemetryCSV(text);
+};
+
+// Reduces a parsed log to launch point, timing, altitude and range, and a stored (thinned) track
+const summarizeFlightTrack = ({ source, points, home, altIsMsl }, name) => {
+  const launch = home || { lat: points[0].lat, lng: points[0].lng };
+  const baseAlt = points.find(p => p.alt !== null)?.alt ?? 0;
+  let maxDistanceKm = 0;
+  let maxAltitude = null;
+  // Single pass with running extremes: long logs have too many samples to spread into Math.min/max
+  let start = null;
+  let end = null;
+  let minElapsed = null;
+  let maxElapsed = null;
+  points.forEach(p => {
+    maxDistanceKm = Math.max(maxDistanceKm, getDistanceFromLatLonInKm(launch.lat, launch.lng, p.lat, p.lng));
+    if (p.alt !== null) {
+      const agl = altIsMsl ? p.alt - baseAlt : p.alt;
+      maxAltitude = maxAltitude === null ? agl : Math.max(maxAltitude, agl);
+    }
+    if (p.time !== null) {
+      start = start === null ? p.time : Math.min(start, p.time);
+      end = end === null ? p.time : Math.max(end, p.time);
+    }
+    if (p.elapsed !== null) {
+      minElapsed = minElapsed === null ? p.elapsed : Math.min(minElapsed, p.elapsed);
+      maxElapsed = maxElapsed === null ? p.elapsed : Math.max(maxElapsed, p.elapsed);
+    }
+  });
+
+  const durationMs = start !== null ? end - start : (minElapsed !== null ? maxElapsed - minElapsed : 0);
+
+  const step = Math.ceil(points.length / MAX_STORED_TRACK_POINTS);
+  const stored = points.filter((_, i) => i % step === 0 || i === points.length - 1);
+
+  return {
+    id: generateId(),
+    name,
+    source,
+    launch: { lat: launch.lat.toFixed(6), lng: launch.lng.toFixed(6) },
+    start: start !== null ? new Date(start).toISOString() : null,
+    end: end !== null ? new Date(end).toISOString() : null,
+    durationMin: Math.round(durationMs / 600) / 100,
+    maxAltitude: maxAltitude !== null ? Math.round(maxAltitude) : null,
+    maxDistanceKm: Math.round(maxDistanceKm * 1000) / 1000,
+    points: stored.map(p => [p.lat, p.lng, p.alt !== null ? Math.round(p.alt * 10) / 10 : null, p.time])
+  };
 };
 
-const backupData = async (missions, lists) => {
-  const data = { missions, lists, version: 'v6-dexie', backupDate: new Date().toISOString() };
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+// Saves a generated Blob through a temporary download link
+const downloadBlob = (blob, filename) => {
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
-  link.setAttribute('href', url);
-  link.setAttribute('download', `dfo_backup_${new Date().toISOString().slice(0,10)}.json`);
+  link.href = url;
+  link.setAttribute('download', filename);
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
 };
 
-const DEFAULT_LISTS = {
-  rpas: ['Mavic 2 Enterprise', 'Matrice 300', 'Mini 3 Pro'],
-  pilots: ['Officer Smith', 'Officer Jones'],
-  additionalPilots: [],
-  cameraOperators: [],
-  payload: ['Visual', 'Thermal', 'LiDAR'],
-  opCategories: ['Microdrone', 'Basic', 'Advanced', 'Level 1 Complex', 'SFOC'],
-  observers: ['None'],
-  types: ['Training', 'Enforcement', 'Search & Rescue', 'Habitat Survey'],
-  workElements: ['Striped Bass', 'Salmon', 'Lobster', 'Snow Crab', 'Ice Fishing', 'Habitat', 'Groundfish', 'Trout'],
-  locations: [],
-  airspaces: ['Class G', 'Class F', 'Class C', 'Class D', 'Class E'],
-  aerodromesInfo: [
-    'Fredericton Int\'l (CYFC) - 119.5 - [45.8688, -66.5372]',
-    'Moncton / Roméo LeBlanc Int\'l (CYQM) - 120.8 - [46.1122, -64.6786]',
-    'Saint John (CYSJ) - 118.5 - [45.3161, -65.8902]',
-    'Bathurst (CYBF) - 122.3 - [47.6297, -65.7388]',
-    'Miramichi (CYCH) - 122.8 - [46.9736, -65.4491]',
-    'Charlo (CYCL) - 122.8 - [47.9905, -66.3302]',
-    'Grand Manan (CYGK) - 122.8 - [44.7108, -66.7944]',
-    'St. Stephen (CYSQ) - 122.8 - [45.2058, -67.2497]',
-    'Sussex (CCY3) - 122.8 - [45.6936, -65.5455]',
-    'Woodstock (CCQ3) - 122.8 - [46.1488, -67.5458]',
-    'Edmundston (CCY5) - 122.8 - [47.4575, -68.3241]',
-    'Florenceville (CCZ3) - 122.8 - [46.4252, -67.6258]',
-    'Bouctouche (CDA5) - 122.8 - [46.4380, -64.6975]',
-    'Havelock (CCS5) - 122.8 - [45.9861, -65.3166]',
-    'Brockway (CCX3) - 122.8 - [45.5700, -67.0983]',
-    'Weyman (CCG3) - 122.8 - [46.0469, -66.8530]',
-    'Saint John Reg Hospital Heliport (CSN6) - 122.8 - [45.3061, -66.0847]',
-    'Moncton Hospital Heliport (CHC9) - 122.8 - [46.1044, -64.7950]',
-    'Shediac Bridge (CSB5) - 122.8 - [46.2411, -64.5555]',
-    'Halifax Stanfield Int\'l (CYHZ) - 118.7 - [44.8808, -63.5086]',
-    'Sydney / J.A. Douglas McCurdy (CYQY) - 118.7 - [46.1613, -60.0477]',
-    'Yarmouth (CYQI) - 122.3 - [43.8272, -66.0019]',
-    'Greenwood (CYZX) - 119.5 - [44.9844, -64.9169]',
-    'Shearwater Heliport (CYAW) - 118.1 - [44.6397, -63.4994]',
-    'Debert (CCQ3) - 122.8 - [45.4180, -63.4608]',
-    'Digby (CYID) - 122.8 - [44.5383, -65.7888]',
-    'Port Hawkesbury (CYPD) - 122.8 - [45.6200, -61.3663]',
-    'Trenton (CYTN) - 122.8 - [45.6111, -62.6225]',
-    'Waterville / Kings County (CCW3) - 122.8 - [45.0538, -64.8016]',
-    'Fox Harbour (CFH4) - 122.8 - [45.8683, -63.4625]',
-    'Margaree (CCZ4) - 122.8 - [46.3392, -60.9805]',
-    'Thorburn (CCZ5) - 122.8 - [45.5666, -62.5983]',
-    'South Noel Road (CSN5) - 122.8 - [45.2411, -63.7547]',
-    'Finlay (CFI4) - 122.8 - [45.8450, -63.6394]',
-    'Halifax (QE II Hosp) Heliport (CHQE) - 122.8 - [44.6444, -63.5855]',
-    'Halifax (IWK) Heliport (CHI2) - 122.8 - [44.6397, -63.5841]',
-    'Kentville (Camp Aldershot) Heliport (CKV4) - 122.8 - [45.0938, -64.5097]',
-    'Charlottetown (CYYG) - 118.0 - [46.2897, -63.1211]',
-    'Summerside (CYSU) - 122.3 - [46.4427, -63.8344]',
-    'Cable Head (CCA3) - 122.8 - [46.4527, -62.5694]',
-    'Charlottetown (Queen Elizabeth Hosp) Heliport (CDV3) - 122.8 - [46.2461, -63.1097]',
-    'Summerside (Prince County Hosp) Heliport (CCH6) - 122.8 - [46.4116, -63.7844]',
-    'St. John\'s Int\'l (CYYT) - 120.6 - [47.6186, -52.7519]',
-    'Gander Int\'l (CYQX) - 118.1 - [48.9369, -54.5680]',
-    'Deer Lake (CYDF) - 122.3 - [49.2108, -57.3913]',
-    'Stephenville (CYJT) - 122.8 - [48.5441, -58.5499]',
-    'Wabush (CYWK) - 122.1 - [52.9219, -66.8644]',
-    'Goose Bay (CYYR) - 119.4 - [53.3191, -60.4258]',
-    'St. Anthony (CYAY) - 122.8 - [51.3919, -56.0830]',
-    'Churchill Falls (CZUM) - 122.8 - [53.5622, -64.0152]',
-    'Nain (CYDP) - 122.8 - [56.5466, -61.6811]',
-    'Hopedale (CYHO) - 122.8 - [55.4483, -60.2286]',
-    'Makkovik (CYFT) - 122.8 - [55.0763, -59.1866]',
-    'Cartwright (CYCA) - 122.8 - [53.6827, -57.0422]',
-    'Mary\'s Harbour (CYMH) - 122.8 - [52.3025, -55.8483]',
-    'Natuashish (CNH2) - 122.8 - [55.9133, -60.8294]',
-    'Postville (CCD4) - 122.8 - [54.9103, -59.7850]',
-    'Port Hope Simpson (CCX4) - 122.8 - [52.5275, -56.2881]',
-    'Rigolet (CCZ2) - 122.8 - [54.3275, -58.4578]',
-    'Black Tickle (CCE4) - 122.8 - [53.4681, -53.5822]',
-    'Charlottetown (NL) (CCH4) - 122.8 - [52.7661, -56.1158]',
-    'Fogo (CDY3) - 122.8 - [49.6952, -54.2394]',
-    'Winterland (CCC2) - 122.8 - [47.1352, -55.3283]',
-    'Springdale (CCD2) - 122.8 - [49.4838, -56.1802]',
-    'St. John\'s (Health Sciences Centre) Heliport (CCK2) - 122.8 - [47.5738, -52.7441]',
-    'Clarenville (CCV3) - 122.8 - [48.1750, -53.9261]'
-  ],
-  airspaceTypes: ['Uncontrolled', 'Controlled', 'Restricted'],
-  referenceGpsUnits: [],
-  approachAlts: [],
-  emergencySites: [],
-  descriptions: [],
-  preflightIssuesList: [],
-  riskDescriptions: [],
-  riskMitigations: []
+const escapeCSV = (str) => {
+  if (str === null || str === undefined) return '';
+  const stringValue = String(str);
+  if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
 };
 
-const RISK_ITEMS = [
-  'Presence of people', 'Proximity to built-up area', 'Proximity to obstacles',
-  'Proximity to protected birds or animals', 'Proximity to air traffic',
-  'Operation in control zones', 'Airspace restriction (F zone)', 'Risk of radio interference',
-  'Proximity to magnetic fields', 'Environment with sand or dust in suspension',
-  'Proximity to glass buildings', 'Strong wind condition', 'Very cold weather',
-  'Heat wave condition (heat stress)', 'Municipal restriction', 'Risk of intrusion into privacy',
-  'Proximity of pyrotechnic', 'Drone not contrasted with the horizon', 'Any other risk'
-];
-
 /**
- * --- COMPONENTS ---
+ * --- RISK MATRIX (LIKELIHOOD x SEVERITY) ---
  */
 
-// -- SAVED LISTS MANAGER VIEW --
-const SavedListsView = ({ lists, onUpdateBulkLists, onBack, lang }) => {
-  const [selectedList, setSelectedList] = useState(null);
-  const [editingIndex, setEditingIndex] = useState(null);
-  const [editValue, setEditValue] = useState('');
-  const [newValue, setNewValue] = useState('');
+const RISK_LIKELIHOOD = ['Rare', 'Unlikely', 'Possible', 'Likely', 'Almost Certain'];
+const RISK_SEVERITY = ['Negligible', 'Minor', 'Moderate', 'Major', 'Catastrophic'];
+
+// Score bands on the 5x5 matrix: residual Extreme is a no-go, residual High needs approval
+const RISK_BANDS = [
+  { band: 'Low', max: 4 },
+  { band: 'Medium', max: 9 },
+  { band: 'High', max: 16 },
+  { band: 'Extreme', max: 25 }
+];
+const RISK_BAND_ORDER = RISK_BANDS.map(b => b.band);
+
+const getRiskBand = (score) => (score ? RISK_BANDS.find(b => score <= b.max).band : null);
 
-  const LIST_NAMES = {
-    locations: t("Locations / Site Names", lang),
-    pilots: t("Pilots In Command", lang),
-    additionalPilots: t("Additional Pilots", lang),
-    cameraOperators: t("Camera Operators", lang),
-    observers: t("Observers", lang),
-    rpas: t("RPAS Models & Reg", lang),
-    payload: t("Payloads", lang),
-    opCategories: t("Operation Categories", lang),
-    types: t("Mission Types", lang),
-    workElements: t("Work Elements", lang),
-    airspaces: t("Airspace Classes", lang),
-    airspaceTypes: t("Airspace Types", lang),
-    aerodromesInfo: t("Aerodromes Info", lang),
-    referenceGpsUnits: t("Reference GPS Units", lang),
-    approachAlts: t("Approach Altitudes", lang),
-    emergencySites: t("Emergency Landing Sites", lang),
-    descriptions: t("Descriptions / Objectives", lang),
-    preflightIssuesList: t("Pre-Flight Issues / Incidents", lang),
-    riskDescriptions: t("Risk Descriptions", lang),
-    riskMitigations: t("Risk Mitigations", lang)
+// Hazards recorded before the matrix only carry a Low/Medium/High level
+const getRiskScores = (risk) => {
+  const initial = risk.likelihood && risk.severity ? risk.likelihood * risk.severity : null;
+  // The form shows an unset residual axis at its initial value, so score it the same way
+  const residual = initial ? (risk.residualLikelihood || risk.likelihood) * (risk.residualSeverity || risk.severity) : null;
+  return {
+    initial,
+    residual,
+    initialBand: initial ? getRiskBand(initial) : (risk.level || null),
+    residualBand: residual ? getRiskBand(residual) : (risk.level || null)
   };
+};
 
-  if (selectedList === null) {
-     return (
-       <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
-         <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
-           <button onClick={onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
-           <h2 className="text-lg font-bold tracking-wide">{t("SAVED LISTS MANAGER", lang)}</h2>
-         </div>
-         <div className="flex-1 overflow-y-auto p-4 pb-24 grid grid-cols-1 sm:grid-cols-2 gap-3">
-           {Object.entries(LIST_NAMES).map(([key, label]) => (
-             <button key={key} onClick={() => setSelectedList(key)} className="bg-white p-4 rounded-md shadow-sm border border-slate-200 text-left hover:bg-emerald-50 transition-colors flex justify-between items-center group">
-               <span className="font-bold text-slate-700 group-hover:text-emerald-800">{label}</span>
-               <span className="text-xs bg-slate-100 text-slate-500 px-2 py-1 rounded-full group-hover:bg-emerald-100 group-hover:text-emerald-700">{(lists[key] || []).length}</span>
-             </button>
-           ))}
-         </div>
-       </div>
-     )
-  }
+const getMissionRiskAssessment = (risks) => {
+  const flagged = Object.entries(risks || {})
+    .filter(([, r]) => r && r.checked)
+    .map(([name, r]) => ({ name, risk: r, ...getRiskScores(r) }));
+  const band = flagged.reduce((worst, f) => (RISK_BAND_ORDER.indexOf(f.residualBand) > RISK_BAND_ORDER.indexOf(worst) ? f.residualBand : worst), null);
+  const score = Math.max(0, ...flagged.map(f => f.residual || 0));
+  const decision = band === 'Extreme' ? 'NO-GO' : band === 'High' ? 'GO WITH APPROVAL' : 'GO';
+  return { flagged, band, score, decision };
+};
 
-  const currentItems = lists[selectedList] || [];
+const formatRiskSummary = (risks, lang) => {
+  if (!risks) return t("None", lang);
+  const entries = Object.entries(risks);
+  if (entries.length === 0) return t("None", lang);
+  
+  return entries
+    .filter(([_, val]) => val && val.checked)
+    .map(([key, val]) => {
+      const { initial, residual, initialBand, residualBand } = getRiskScores(val);
+      const rating = initial
+        ? `${initial} ${t(initialBand, lang)} → ${residual} ${t(residualBand, lang)}`
+        : t(initialBand || '-', lang);
+      const mit = val.mitigation ? ` (${t('Mitigation', lang)}: ${val.mitigation})` : '';
+      return `${t(key, lang)} [${rating}]${mit}`;
+    })
+    .join(" | ");
+};
 
-  return (
-     <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
-         <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
-           <button onClick={() => setSelectedList(null)} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
-           <h2 className="text-lg font-bold tracking-wide uppercase truncate">{LIST_NAMES[selectedList]}</h2>
-         </div>
-         <div className="flex-1 overflow-y-auto p-4 pb-32 space-y-3">
-            {currentItems.length === 0 && <p className="text-center text-slate-500 italic mt-10">{t("This list is currently empty.", lang)}</p>}
-            {currentItems.map((item, idx) => (
-               <div key={idx} className="bg-white p-3 rounded-md shadow-sm border border-slate-200 flex items-start justify-between gap-3">
-                  {editingIndex === idx ? (
-                     <div className="flex-1 flex gap-2">
-                       <textarea className="flex-1 p-2 border border-emerald-500 rounded text-sm w-full outline-none" rows={3} value={editValue} onChange={e => setEditValue(e.target.value)} />
-                       <div className="flex flex-col gap-2 shrink-0">
-                         <button onClick={() => {
-                            const newLists = {...lists};
-                            newLists[selectedList][idx] = editValue;
-                            onUpdateBulkLists(newLists);
-                            setEditingIndex(null);
-                         }} className="bg-emerald-600 text-white px-3 py-2 rounded text-xs font-bold">{t("SAVE", lang)}</button>
-                         <button onClick={() => setEditingIndex(null)} className="bg-slate-200 text-slate-700 px-3 py-2 rounded text-xs font-bold">{t("CANCEL", lang)}</button>
-                       </div>
-                     </div>
-                  ) : (
-                     <>
-                       <span className="text-sm text-slate-800 flex-1 break-words whitespace-pre-wrap leading-relaxed">{item}</span>
-                       <div className="flex items-center gap-1 shrink-0">
-                          <button onClick={() => { setEditingIndex(idx); setEditValue(item); }} className="p-2 text-slate-400 hover:text-blue-600 bg-slate-50 rounded"><Edit2 className="h-4 w-4" /></button>
-                          <button onClick={() => {
-                             if(confirm(t('Delete this item?', lang))) {
-                                const newLists = {...lists};
-                                newLists[selectedList].splice(idx, 1);
-                                onUpdateBulkLists(newLists);
-                             }
-                          }} className="p-2 text-slate-400 hover:text-red-600 bg-slate-50 rounded"><Trash2 className="h-4 w-4" /></button>
-                       </div>
-                     </>
-                  )}
-               </div>
-            ))}
-         </div>
-         <div className="fixed bottom-0 left-0 right-0 bg-slate-200 border-t border-slate-300 z-20" style={{ padding: '1rem', paddingBottom: 'calc(1rem + env(safe-area-inset-bottom))' }}>
-            <div className="max-w-3xl mx-auto flex gap-2">
-               <textarea className="flex-1 border border-slate-300 p-3 rounded-md text-sm outline-none focus:ring-2 focus:ring-emerald-500 bg-white" rows={2} placeholder={t("Add new item...", lang)} value={newValue} onChange={e => setNewValue(e.target.value)} />
-               <button onClick={() => {
-                  if(newValue.trim()==='') return;
-                  const newLists = {...lists};
-                  if(!newLists[selectedList]) newLists[selectedList] = [];
-                  newLists[selectedList].push(newValue.trim());
-                  onUpdateBulkLists(newLists);
-                  setNewValue('');
-               }} className="bg-emerald-700 hover:bg-emerald-800 text-white px-5 rounded-md font-bold flex items-center justify-center transition-colors shadow-md"><Plus className="h-6 w-6" /></button>
-            </div>
-         </div>
-     </div>
-  );
+/**
+ * --- MISSION APPROVAL WORKFLOW ---
+ */
+
+const MISSION_STATUSES = {
+  draft: { label: 'Draft', badge: 'bg-slate-100 text-slate-600' },
+  submitted: { label: 'Submitted', badge: 'bg-blue-100 text-blue-700' },
+  approved: { label: 'Approved', badge: 'bg-emerald-100 text-emerald-800' },
+  rejected: { label: 'Rejected', badge: 'bg-red-100 text-red-700' },
+  flown: { label: 'Flown', badge: 'bg-indigo-100 text-indigo-700' },
+  closed: { label: 'Closed', badge: 'bg-slate-700 text-white' }
 };
 
+// DFO policy: these categories need supervisor sign-off before flight
+const APPROVAL_OP_CATEGORIES = ['Advanced', 'Level 1 Complex', 'SFOC'];
 
-const DynamicSelect = ({ label, icon: Icon, value, options, onChange, onDelete, lang, multiple = false, className = "mb-4" }) => {
-  const id = `list-${label.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase()}`;
-  const [inputValue, setInputValue] = useState('');
-  
-  if (multiple) {
-     return (
-        <div className={className}>
-          <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2">
-            {Icon && <Icon className="h-3 w-3 text-emerald-700" />}
-            {t(label, lang)}
-          </label>
-          <div className="space-y-2">
-            <div className="flex flex-wrap gap-2 mb-2">
-               {Array.isArray(value) && value.map(v => (
-                 <span key={v} className="bg-emerald-100 text-emerald-800 text-xs font-bold px-2 py-1 rounded-full flex items-center gap-1">
-                   {v}
-                   <button onClick={() => {
-                      const newValue = value.filter(i => i !== v);
-                      onChange(newValue);
-                   }} className="hover:text-red-600" title={t("Remove tag", lang)}><Trash2 className="h-3 w-3" /></button>
-                 </span>
-               ))}
-            </div>
-            <div className="flex gap-2 relative">
-               <input
-                list={id}
-                className="flex-1 min-w-0 p-3 border border-slate-300 rounded-md bg-white text-slate-800 focus:ring-2 focus:ring-emerald-500 outline-none"
-                placeholder={t("Type and press + to add...", lang)}
-                value={inputValue}
-                onChange={(e) => setInputValue(e.target.value)}
-                onKeyDown={(e) => {
-                  if (e.key === 'Enter' || e.keyCode === 13) {
-                    e.preventDefault();
-                    const val = inputValue.trim();
-                    if (val) {
-                       const current = Array.isArray(value) ? value : [];
-                       if (!current.includes(val)) onChange([...current, val]);
-                       setInputValue('');
-                    }
-                  }
-                }}
-              />
-              <datalist id={id}>
-                {options && options.map(opt => <option key={opt} value={opt} />)}
-              </datalist>
-              <button
-                type="button"
-                className="bg-emerald-600 hover:bg-emerald-700 text-white px-3 rounded-md flex items-center justify-center transition-colors shadow-sm"
-                onClick={() => {
-                  const val = inputValue.trim();
-                  if (val) {
-                     const current = Array.isArray(value) ? value : [];
-                     if (!current.includes(val)) onChange([...current, val]);
-                     setInputValue('');
-                  }
-                }}
-                title={t("Add Entry", lang)}
-              >
-                <Plus className="h-5 w-5" />
-              </button>
-              {inputValue && options && options.includes(inputValue) && (
-                <button 
-                  onClick={() => {
-                    const confirmMsg = lang === 'fr' ? `Retirer "${inputValue}" de votre liste d'options enregistrées ?` : `Remove "${inputValue}" from your saved options list?`;
-                    if (confirm(confirmMsg)) {
-                      onDelete(inputValue);
-                      setInputValue('');
-                    }
-                  }}
-                  className="bg-slate-100 hover:bg-red-50 text-slate-400 hover:text-red-600 px-3 rounded-md border border-slate-300 shadow-sm"
-                  type="button"
-                  title={t("Delete from saved options", lang)}
-                >
-                  <Trash2 className="h-4 w-4" />
-                </button>
-              )}
-            </div>
-          </div>
-        </div>
-     )
+// Plan fields an approval was granted against; changing any of them reopens review
+const APPROVAL_FIELDS = ['opCategory', 'type', 'location', 'start', 'end', 'pilot', 'rpas', 'aircraftIds', 'risks', 'coords'];
+
+const getMissionStatus = (m) => (MISSION_STATUSES[m.status] ? m.status : 'draft');
+
+// Only these count as time actually in the air (logbooks, recency, airframe hours, statistics)
+const FLOWN_STATUSES = ['flown', 'closed'];
+const isMissionFlown = (m) => FLOWN_STATUSES.includes(getMissionStatus(m));
+
+const requiresApproval = (m) => APPROVAL_OP_CATEGORIES.includes(m.opCategory) || getMissionRiskAssessment(m.risks).decision === 'GO WITH APPROVAL';
+
+// Transitions offered from each state; 'draft' from submitted/approved withdraws the plan for revision
+const getStatusActions = (m) => {
+  switch (getMissionStatus(m)) {
+    case 'draft': return requiresApproval(m) ? ['submitted'] : ['flown'];
+    case 'submitted': return ['approved', 'rejected', 'draft'];
+    case 'rejected': return ['draft'];
+    case 'approved': return ['flown', 'draft'];
+    case 'flown': return ['closed'];
+    default: return [];
   }
+};
 
-  return (
-    <div className={className}>
-      <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2">
-        {Icon && <Icon className="h-3 w-3 text-emerald-700" />}
-        {t(label, lang)}
-      </label>
-      <div className="flex gap-2 relative">
-        <input
-          list={id}
-          className="flex-1 min-w-0 p-3 border border-slate-300 rounded-md bg-white text-slate-800 focus:ring-2 focus:ring-emerald-500 outline-none"
-          value={value}
-          onChange={(e) => onChange(e.target.value)}
-          placeholder={t("Select or type...", lang)}
-        />
-        <datalist id={id}>
-          {options && options.map(opt => <option key={opt} value={opt} />)}
-        </datalist>
-        {value && options && options.includes(value) && (
-          <button 
-            onClick={() => {
-               const confirmMsg = lang === 'fr' ? `Retirer "${value}" de votre liste d'options enregistrées ?` : `Remove "${value}" from your saved options list?`;
-               if (confirm(confirmMsg)) {
-                  onDelete(value);
-               }
-            }}
-            className="bg-slate-100 hover:bg-red-50 text-slate-400 hover:text-red-600 px-3 rounded-md border border-slate-300"
-            type="button"
-            title={t("Delete from saved options", lang)}
-          >
-            <Trash2 className="h-4 w-4" />
-          </button>
-        )}
-      </div>
-    </div>
-  );
+// Returns the reason a transition is not allowed, or null
+const getStatusBlocker = (m, next) => {
+  const noGo = getMissionRiskAssessment(m.risks).decision === 'NO-GO';
+  if ((next === 'approved' || next === 'flown') && noGo) return 'Residual risk is EXTREME (NO-GO).';
+  if (next === 'flown' && requiresApproval(m) && getMissionStatus(m) !== 'approved') return 'This mission must be approved before it can be marked flown.';
+  if (!getStatusActions(m).includes(next)) return 'This status change is not allowed from the current state.';
+  return null;
 };
 
-// --- COMPONENT FOR MULTILINE RETAINED TEXT ---
-const DynamicTextArea = ({ label, icon: Icon, value, options, onChange, onDelete, lang }) => {
-  return (
-    <div className="mb-4">
-      <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2">
-        {Icon && <Icon className="h-3 w-3 text-emerald-700" />}
-        {t(label, lang)}
-      </label>
-      <div className="space-y-2">
-        {(options && options.length > 0) && (
-          <div className="flex gap-2">
-            <select 
-              className="flex-1 min-w-0 p-2 border border-slate-300 rounded-md bg-slate-50 text-xs text-slate-700"
-              onChange={(e) => {
-                if (e.target.value) {
-                  onChange(e.target.value);
-                  e.target.value = ""; 
-                }
-              }}
-            >
-              <option value="">{t("Insert a previously saved entry...", lang)}</option>
-              {options.map(opt => <option key={opt} value={opt}>{opt.substring(0, 60)}{opt.length > 60 ? '...' : ''}</option>)}
-            </select>
-            {value && options.includes(value) && (
-              <button 
-                onClick={() => {
-                   const confirmMsg = lang === 'fr' ? `Retirer cette entrée exacte de votre liste d'options enregistrées ?` : `Delete this exact entry from saved list?`;
-                   if (confirm(confirmMsg)) {
-                      onDelete(value);
-                   }
-                }}
-                className="bg-slate-100 hover:bg-red-50 text-slate-400 hover:text-red-600 px-3 rounded-md border border-slate-300"
-                type="button"
-                title={t("Delete this exact entry from saved list", lang)}
-              >
-                <Trash2 className="h-4 w-4" />
-              </button>
-            )}
-          </div>
-        )}
-        <textarea
-          className="w-full p-3 border border-slate-300 rounded-md bg-white text-slate-800 focus:ring-2 focus:ring-emerald-500 outline-none"
-          rows={3}
-          value={value}
-          onChange={(e) => onChange(e.target.value)}
-          placeholder={t("Type here...", lang)}
-        />
-      </div>
-    </div>
-  );
+// Approve / reject only by someone on the saved approvers list, and never by the mission's own PIC
+const findApprover = (approvers, name) => (approvers || []).find(a => a.trim().toLowerCase() === (name || '').trim().toLowerCase()) || null;
+
+const getApproverBlocker = (m, name, approvers) => {
+  if (!(name || '').trim()) return "Enter the approver's name.";
+  if ((approvers || []).length === 0) return 'Add approvers to the saved lists before approving or rejecting missions.';
+  const approver = findApprover(approvers, name);
+  if (!approver) return 'Only people on the saved approvers list can approve or reject a mission.';
+  if (approver.trim().toLowerCase() === (m.pilot || '').trim().toLowerCase()) return 'The pilot in command cannot approve or reject their own mission.';
+  return null;
 };
 
-const SketchPad = ({ onSave, initialImage, lang }) => {
-  const canvasRef = useRef(null);
-  const [isDrawing, setIsDrawing] = useState(false);
-  const [color, setColor] = useState('#dc2626'); 
-  const [backgroundImage, setBackgroundImage] = useState(initialImage || null);
-  const [history, setHistory] = useState([]);
+const applyStatusChange = (m, next, { by = '', comments = '' } = {}) => {
+  const entry = { id: generateId(), from: getMissionStatus(m), to: next, by: by.trim(), at: new Date().toISOString(), comments: comments.trim() };
+  const updated = { ...m, status: next, statusHistory: [...(m.statusHistory || []), entry] };
+  if (next === 'approved' || next === 'rejected') updated.approval = { decision: next, by: entry.by, at: entry.at, comments: entry.comments };
+  if (next === 'draft') updated.approval = null;
+  return updated;
+};
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    canvas.width = canvas.offsetWidth;
-    canvas.height = 300; 
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+const formatApproval = (approval, lang) => {
+  if (!approval) return t('N/A', lang);
+  const what = t(MISSION_STATUSES[approval.decision].label, lang);
+  return `${what} - ${approval.by} (${formatDateTime24h(approval.at)})${approval.comments ? `: ${approval.comments}` : ''}`;
+};
 
-    if (backgroundImage) {
-      const img = new Image();
-      img.src = backgroundImage;
-      img.onload = () => {
-        const scale = Math.min(canvas.width / img.width, canvas.height / img.height);
-        const x = (canvas.width / 2) - (img.width / 2) * scale;
-        const y = (canvas.height / 2) - (img.height / 2) * scale;
-        ctx.drawImage(img, x, y, img.width * scale, img.height * scale);
-        onSave(canvas.toDataURL());
-      };
-    }
-  }, [backgroundImage]);
+/**
+ * --- SIGNATURES ---
+ */
 
-  const saveState = () => {
-    const canvas = canvasRef.current;
-    if (canvas) {
-      setHistory(prev => [...prev, canvas.toDataURL()]);
-    }
-  };
+const SIGNATURE_ROLES = {
+  pic: 'Pilot in Command',
+  observer: 'Visual Observer',
+  approver: 'Approving Supervisor'
+};
 
-  const getPos = (e) => {
-    const rect = canvasRef.current.getBoundingClientRect();
-    if (e.touches) {
-      return { x: e.touches[0].clientX - rect.left, y: e.touches[0].clientY - rect.top };
-    }
-    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
-  };
+// Workflow bookkeeping changes after signing without altering what was signed
+const UNSIGNED_FIELDS = ['signatures', 'status', 'statusHistory', 'approval', 'updatedAt', 'priorVersions', 'rev'];
 
-  const startDraw = (e) => {
-    saveState();
-    setIsDrawing(true);
-    const ctx = canvasRef.current.getContext('2d');
-    const pos = getPos(e);
-    ctx.beginPath();
-    ctx.moveTo(pos.x, pos.y);
-  };
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
 
-  const draw = (e) => {
-    if (!isDrawing) return;
-    e.preventDefault();
-    const ctx = canvasRef.current.getContext('2d');
-    const pos = getPos(e);
-    ctx.lineTo(pos.x, pos.y);
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 3;
-    ctx.lineCap = 'round';
-    ctx.stroke();
-  };
+// FNV-1a; only needs to notice that a record changed, not resist tampering
+const hashString = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+};
 
-  const stopDraw = () => {
-    if (isDrawing) {
-      setIsDrawing(false);
-      onSave(canvasRef.current.toDataURL());
-    }
-  };
+const getMissionFingerprint = (m) => {
+  const signed = { ...m };
+  UNSIGNED_FIELDS.forEach(f => delete signed[f]);
+  return hashString(stableStringify(signed));
+};
 
-  const undo = () => {
-    if (history.length > 0) {
-      const prevState = history[history.length - 1];
-      setHistory(prev => prev.slice(0, -1));
-      
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext('2d');
-      ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-      
-      if (prevState) {
-        const img = new Image();
-        img.src = prevState;
-        img.onload = () => {
-          ctx.drawImage(img, 0, 0);
-          onSave(canvas.toDataURL());
-        };
-      } else {
-        onSave(null);
-      }
-    }
-  };
+// One slot per person expected to sign: the PIC, each observer and the approver
+const getSignatureSlots = (m) => [
+  { key: 'pic', role: 'pic', name: m.pilot || '' },
+  ...(m.observers || []).filter(o => o && o !== 'None').map(o => ({ key: `observer:${o}`, role: 'observer', name: o })),
+  { key: 'approver', role: 'approver', name: m.approval?.decision === 'approved' ? m.approval.by : '' }
+];
 
-  const handleImageUpload = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (event) => setBackgroundImage(event.target.result);
-      reader.readAsDataURL(file);
+// A signature is stale once the mission it was given on has been edited
+const isSignatureStale = (sig, m) => !!sig.fingerprint && sig.fingerprint !== getMissionFingerprint(m);
+
+// Re-writing anything in a mission that carries current signatures would invalidate them
+const hasValidSignatures = (m) => (m.signatures || []).some(s => s.fingerprint && !isSignatureStale(s, m));
+
+// Binds signatures captured in this edit to the record as it is being saved
+const sealSignatures = (m) => {
+  const fingerprint = getMissionFingerprint(m);
+  return (m.signatures || []).map(s => (s.fingerprint ? s : { ...s, fingerprint }));
+};
+
+/**
+ * --- AUDIT TRAIL ---
+ */
+
+// prevHash of the first entry in the chain
+const AUDIT_GENESIS = '0'.repeat(64);
+
+const sha256HexBytes = async (bytes) => {
+  const buf = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const sha256Hex = (str) => sha256HexBytes(new TextEncoder().encode(str));
+
+// Images and bulky values (tracks, signatures) are logged by digest so the log stays small
+const summarizeAuditValue = (v) => {
+  if (v === undefined || v === null) return null;
+  if (typeof v === 'string' && v.startsWith('data:')) return `[file ${hashString(v)}]`;
+  const json = stableStringify(v);
+  return json.length > 2000 ? `[${json.length} bytes ${hashString(json)}]` : v;
+};
+
+// With the app lock on, logged values would sit in the clear beside the encrypted record, so
+// only the field names and keyed digests of the old and new values are kept
+const sealAuditValue = async (v) => {
+  if (v === undefined || v === null) return null;
+  return appLockIndexKey ? `[sealed ${await blindIndexValue(stableStringify(v))}]` : '[sealed]';
+};
+
+const diffMission = (before, after) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+  return fields
+    .filter(f => stableStringify(before?.[f]) !== stableStringify(after?.[f]))
+    .map(f => ({ field: f, from: summarizeAuditValue(before?.[f]), to: summarizeAuditValue(after?.[f]) }));
+};
+
+const hashAuditEntry = ({ missionId, action, at, user, changes, prevHash }) => sha256Hex(stableStringify({ missionId, action, at, user, changes, prevHash }));
+
+// An audit row is written in the same transaction as the change it records, so a change is
+// never stored without its entry, and a failed append fails the change. Hashes are computed
+// before the transaction opens (a WebCrypto call inside it would let IndexedDB commit early),
+// so the chain head is checked again inside it and the write refused if it moved. Appends from
+// this tab are queued so each entry links to the one written before it.
+let auditQueue = Promise.resolve();
+const commitWithAudit = (entries, tables, write) => {
+  const run = auditQueue.then(async () => {
+    const head = await db.auditLog.orderBy('seq').last();
+    const headHash = head ? head.hash : AUDIT_GENESIS;
+    const records = [];
+    let prevHash = headHash;
+    for (const entry of (await Promise.all(entries)).filter(Boolean)) {
+      const record = { ...entry, prevHash };
+      record.hash = await hashAuditEntry(record);
+      records.push(record);
+      prevHash = record.hash;
     }
-  };
+    await db.transaction('rw', [db.auditLog, ...tables], async () => {
+      const current = await db.auditLog.orderBy('seq').last();
+      if ((current ? current.hash : AUDIT_GENESIS) !== headHash) throw new Error('Audit trail changed during the write');
+      if (write) await write();
+      if (records.length > 0) await db.auditLog.bulkAdd(records);
+    });
+  });
+  auditQueue = run.catch(() => {});
+  return run;
+};
 
-  const clearCanvas = () => {
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    setBackgroundImage(null);
-    setHistory([]);
-    onSave(null);
-  };
+const appendAuditEntry = (entry) => commitWithAudit([entry], []);
 
-  return (
-    <div className="border border-slate-300 rounded-md overflow-hidden bg-white shadow-sm">
-      <div className="bg-slate-100 p-2 flex gap-2 items-center justify-between border-b border-slate-200 flex-wrap">
-        <div className="flex gap-2">
-          <label className="bg-white px-3 py-1 rounded border border-slate-300 text-xs font-bold text-slate-700 cursor-pointer hover:bg-slate-50 flex items-center gap-1">
-            <ImageIcon className="h-3 w-3" />
-            {t("LOAD MAP", lang)}
-            <input type="file" accept="image/*" className="hidden" onChange={handleImageUpload} />
-          </label>
-          <button onClick={undo} type="button" className="bg-white px-3 py-1 rounded border border-slate-300 text-xs font-bold text-slate-700 hover:text-blue-600 flex items-center gap-1">
-            <Undo2 className="h-3 w-3" /> {t("UNDO", lang)}
-          </button>
-          <button onClick={clearCanvas} type="button" className="bg-white px-3 py-1 rounded border border-slate-300 text-xs font-bold text-slate-700 hover:text-red-600 flex items-center gap-1">
-            <Eraser className="h-3 w-3" /> {t("CLEAR", lang)}
-          </button>
-        </div>
-        <div className="flex gap-2 items-center">
-          <div className={`w-5 h-5 rounded-full cursor-pointer border-2 ${color === '#dc2626' ? 'border-slate-800' : 'border-transparent'}`} style={{background: '#dc2626'}} onClick={() => setColor('#dc2626')} />
-          <div className={`w-5 h-5 rounded-full cursor-pointer border-2 ${color === '#2563eb' ? 'border-slate-800' : 'border-transparent'}`} style={{background: '#2563eb'}} onClick={() => setColor('#2563eb')} />
-          <div className={`w-5 h-5 rounded-full cursor-pointer border-2 ${color === '#000000' ? 'border-slate-800' : 'border-transparent'}`} style={{background: '#000000'}} onClick={() => setColor('#000000')} />
-        </div>
-      </div>
-      <canvas 
-        ref={canvasRef}
-        className="w-full h-[300px] touch-none cursor-crosshair bg-white"
-        onMouseDown={startDraw}
-        onMouseMove={draw}
-        onMouseUp={stopDraw}
-        onMouseLeave={stopDraw}
-        onTouchStart={startDraw}
-        onTouchMove={draw}
-        onTouchEnd={stopDraw}
-      />
-    </div>
-  );
+// Resolves to the entry for a mission write, or null when an edit changed nothing
+const buildMissionAuditEntry = async (before, after, user, action = !before ? 'create' : (!after ? 'delete' : 'edit')) => {
+  const changes = diffMission(before, after);
+  if (before && after && changes.length === 0) return null;
+  const entry = { missionId: (after || before).id, action, at: new Date().toISOString(), user };
+  if (!appLockKey) return { ...entry, changes };
+  return { ...entry, changes: await Promise.all(changes.map(async ({ field }) => ({ field, from: await sealAuditValue(before?.[field]), to: await sealAuditValue(after?.[field]) }))) };
 };
 
-const MissionForm = ({ onSave, onCancel, lists, onUpdateList, onUpdateBulkLists, initialData, lang }) => {
-  const [step, setStep] = useState(1);
-  const [coords, setCoords] = useState(initialData?.coords || { lat: '', lng: '' });
-  const scrollRef = useRef(null); 
-  
-  const [formData, setFormData] = useState(() => {
-    if (initialData) return { 
-      ...initialData,
-      workElements: initialData.workElements || (initialData.workElement ? [initialData.workElement] : []),
-      observers: initialData.observers || (initialData.observer ? [initialData.observer] : []),
-      additionalPilots: initialData.additionalPilots || [],
-      cameraOperators: initialData.cameraOperators || [],
-      rpas: initialData.rpas ? (Array.isArray(initialData.rpas) ? initialData.rpas : [initialData.rpas]) : [],
-      payload: initialData.payload ? (Array.isArray(initialData.payload) ? initialData.payload : [initialData.payload]) : [],
-      aerodromesWithin100km: initialData.aerodromesWithin100km || ''
-    };
-    
-    const nowStr = getCurrentLocalTime();
-    return {
-      start: nowStr,
-      end: addMinutes(nowStr, 30),
-      location: '', description: '', pilot: '', additionalPilots: [], cameraOperators: [], observers: [], rpas: [], 
-      payload: [], opCategory: '', 
-      type: '', workElements: [], flightCount: 1, 
-      airspace: '', airspaceType: '', aerodromesWithin100km: '',
-      distance: '', 
-      notams: '', navCanRef: '', navCanFile: null,
-      temperature: '', windSpeed: '', windDir: '', visibility: '',
-      approachAlt: '', approachRoute: '', emergencySite: '',
-      secondaryLat: '', secondaryLng: '', referenceGpsUnit: '',
-      preflightCompleted: false, preflightIssues: '',
-      outcomesSummary: '', incidentsMaintenance: '',
-      sketch: null, weatherText: '', weatherImage: null, risks: {}
-    };
+const putMissionAudited = async (before, after, user) => {
+  const sealed = await sealMission(after);
+  return commitWithAudit([buildMissionAuditEntry(before, after, user)], [db.missions], () => db.missions.put(sealed));
+};
+
+// Moves a mission to the recycle bin; `before` is the open record
+const binMissionAudited = async (before, user) => {
+  const entry = await sealRecycleEntry(createRecycleEntry('mission', { record: before }, user));
+  return commitWithAudit([buildMissionAuditEntry(before, null, user)], [db.missions, db.recycleBin], async () => {
+    await db.recycleBin.put(entry);
+    await db.missions.delete(before.id);
   });
+};
 
-  useEffect(() => {
-    if (scrollRef.current) scrollRef.current.scrollTop = 0;
-  }, [step]);
+// Walks the whole chain in order; returns the seq of the first entry that fails
+const verifyAuditChain = async (entries) => {
+  let prevHash = AUDIT_GENESIS;
+  for (const e of entries) {
+    if (e.prevHash !== prevHash || await hashAuditEntry(e) !== e.hash) return { intact: false, checked: entries.length, brokenAt: e.seq };
+    prevHash = e.hash;
+  }
+  return { intact: true, checked: entries.length, brokenAt: null };
+};
 
-  const update = (k, v) => {
-    setFormData(prev => {
-      const newData = { ...prev, [k]: v };
-      if (k === 'start' && v) newData.end = addMinutes(v, 30);
-      return newData;
-    });
-  };
+const getActingUser = (lang) => {
+  const saved = localStorage.getItem('dfo_app_user');
+  if (saved) return saved;
+  const entered = (prompt(t("Enter your name for the audit trail:", lang)) || '').trim();
+  if (entered) localStorage.setItem('dfo_app_user', entered);
+  return entered || 'Unknown';
+};
 
-  const calculateAerodromes = (lat, lng) => {
-    let nearbyText = "";
-    if (lists.aerodromesInfo && Array.isArray(lists.aerodromesInfo)) {
-      const nearby = [];
-      lists.aerodromesInfo.forEach(aeroStr => {
-         const match = aeroStr.match(/^(.*?)\s*\((.*?)\)\s*-\s*(.*?)\s*-\s*\[(.*?),\s*(.*?)\]$/);
-         if (match) {
-            const [_, name, code, freq, latStr, lngStr] = match;
-            const dist = getDistanceFromLatLonInKm(parseFloat(lat), parseFloat(lng), parseFloat(latStr), parseFloat(lngStr));
-            if (dist <= 100) {
-               nearby.push(`${name} (${code}) - ${freq} MHz - GPS: ${latStr}, ${lngStr} (${dist.toFixed(1)}km)`);
-            }
-         }
-      });
-      if (nearby.length > 0) {
-         nearby.sort((a, b) => {
-           const distA = parseFloat(a.match(/\(([\d\.]+)km\)$/)[1]);
-           const distB = parseFloat(b.match(/\(([\d\.]+)km\)$/)[1]);
-           return distA - distB;
-         });
-         nearbyText = nearby.join('\n');
-      } else {
-         nearbyText = t("No aerodromes within 100km detected.", lang);
-      }
-    }
-    return nearbyText;
+/**
+ * --- RECYCLE BIN ---
+ */
+
+// Deleted missions and saved-list entries wait here until restored, purged or expired
+const DEFAULT_RETENTION_DAYS = 30;
+
+const createRecycleEntry = (kind, data, user) => ({ id: generateId(), kind, deletedAt: new Date().toISOString(), deletedBy: user, ...data });
+
+const getRecycleExpiry = (entry, retentionDays) => new Date(new Date(entry.deletedAt).getTime() + retentionDays * 86400000);
+
+const getExpiredRecycleEntries = (entries, retentionDays, now = new Date()) => entries.filter(e => getRecycleExpiry(e, retentionDays) <= now);
+
+const purgeRecycleEntries = async (entries, user) => {
+  const missionIds = entries.filter(x => x.kind === 'mission').map(e => e.record.id);
+  const at = new Date().toISOString();
+  await commitWithAudit(missionIds.map(missionId => ({ missionId, action: 'purge', at, user, changes: [] })), [db.recycleBin, db.attachments], async () => {
+    await db.recycleBin.bulkDelete(entries.map(e => e.id));
+    if (missionIds.length > 0) await db.attachments.where('missionId').anyOf(missionIds).delete();
+  });
+};
+
+/**
+ * --- EVIDENCE ATTACHMENTS ---
+ */
+
+// Photos, videos and documents are kept as Blobs in their own table, keyed to the mission.
+// Each file is hashed at intake; every later handling step is added to its custody log
+// and to the mission's audit chain so the record holds up for court disclosure.
+const ATTACHMENT_ACCEPT = 'image/*,video/*,application/pdf';
+
+const CUSTODY_ACTIONS = {
+  intake: 'Received',
+  export: 'Exported',
+  verify: 'Integrity check',
+  link: 'Flight link changed',
+  remove: 'Removed'
+};
+
+// Minimal TIFF/EXIF reader: capture time, camera and GPS position from a JPEG's APP1 segment
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const parseExifTiff = (view, start) => {
+  const little = view.getUint16(start) === 0x4949;
+  const u16 = (o) => view.getUint16(start + o, little);
+  const u32 = (o) => view.getUint32(start + o, little);
+  const readValue = (type, count, o) => {
+    if (type === 2) return Array.from({ length: Math.max(0, count - 1) }, (_, i) => String.fromCharCode(view.getUint8(start + o + i))).join('').replace(/\0+$/, '').trim();
+    const values = Array.from({ length: count }, (_, i) => {
+      if (type === 3) return u16(o + i * 2);
+      if (type === 4) return u32(o + i * 4);
+      if (type === 9) return view.getInt32(start + o + i * 4, little);
+      if (type === 5) return u32(o + i * 8) / (u32(o + i * 8 + 4) || 1);
+      if (type === 10) return view.getInt32(start + o + i * 8, little) / (view.getInt32(start + o + i * 8 + 4, little) || 1);
+      return view.getUint8(start + o + i);
+    });
+    return count === 1 ? values[0] : values;
   };
-  
-  const handleGPS = () => {
-    if (coords.lat && coords.lng) {
-      if (!confirm(t("Are you sure you want to re-acquire GPS coordinates? This will overwrite the current coordinates.", lang))) {
-        return;
-      }
+  const readIfd = (ifd) => {
+    const tags = {};
+    if (!ifd) return tags;
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      const type = u16(entry + 2);
+      const n = u32(entry + 4);
+      const bytes = (EXIF_TYPE_SIZES[type] || 1) * n;
+      tags[u16(entry)] = readValue(type, n, bytes > 4 ? u32(entry + 8) : entry + 8);
     }
-    getCoordinates((c) => {
-      setCoords(c);
-      update('aerodromesWithin100km', calculateAerodromes(c.lat, c.lng));
-    }, lang);
+    return tags;
   };
 
-  const handlePopulateAerodromes = () => {
-    if (!coords.lat || !coords.lng) {
-      alert(t("Please acquire or manually enter GPS coordinates first.", lang));
-      return;
-    }
-    update('aerodromesWithin100km', calculateAerodromes(coords.lat, coords.lng));
-  };
-  
-  const handleCoordChange = (field, value) => setCoords(prev => ({ ...prev, [field]: value }));
-  
-  const handleRiskChange = (riskName, field, value) => {
-    setFormData(prev => {
-      const currentRisk = prev.risks[riskName] || { checked: false, level: '', desc: '', mitigation: '' };
-      if (field === 'checked' && value === false) {
-        const newRisks = { ...prev.risks };
-        delete newRisks[riskName];
-        return { ...prev, risks: newRisks };
-      }
-      return { ...prev, risks: { ...prev.risks, [riskName]: { ...currentRisk, [field]: value } } };
-    });
+  const ifd0 = readIfd(u32(4));
+  const exif = readIfd(ifd0[0x8769]);
+  const gps = readIfd(ifd0[0x8825]);
+  const toDegrees = (dms, ref) => (Array.isArray(dms) ? (dms[0] + dms[1] / 60 + dms[2] / 3600) * (ref === 'S' || ref === 'W' ? -1 : 1) : null);
+  // "2024:06:01 14:03:22" is camera local time, the same convention as mission times
+  const stamp = exif[0x9003] || ifd0[0x0132];
+  const takenAt = typeof stamp === 'string' && /^\d{4}:\d{2}:\d{2} \d{2}:\d{2}:\d{2}/.test(stamp) ? `${stamp.slice(0, 10).replace(/:/g, '-')}T${stamp.slice(11, 19)}` : null;
+  const lat = toDegrees(gps[2], gps[1]);
+  const lng = toDegrees(gps[4], gps[3]);
+  return {
+    takenAt,
+    lat: lat !== null ? Math.round(lat * 1e6) / 1e6 : null,
+    lng: lng !== null ? Math.round(lng * 1e6) / 1e6 : null,
+    alt: typeof gps[6] === 'number' ? Math.round(gps[6] * (gps[5] === 1 ? -1 : 1) * 10) / 10 : null,
+    make: ifd0[0x010F] || '',
+    model: ifd0[0x0110] || ''
   };
+};
 
-  const saveMission = () => {
-    if (!formData.location || !formData.pilot) {
-      alert(t("Please enter at least a Location and Pilot In Command.", lang));
-      return;
+const readExif = (buffer) => {
+  try {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+    let offset = 2;
+    while (offset + 10 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) return parseExifTiff(view, offset + 10);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+      offset += 2 + view.getUint16(offset + 2);
     }
+  } catch (err) { console.error(err); }
+  return null;
+};
 
-    // Hazard Mitigation Validation
-    const riskEntries = Object.entries(formData.risks || {});
-    for (let i = 0; i < riskEntries.length; i++) {
-      const [riskName, riskData] = riskEntries[i];
-      if (riskData.checked && (riskData.level === 'Medium' || riskData.level === 'High')) {
-        if (!riskData.mitigation || riskData.mitigation.trim() === '') {
-          const msg = lang === 'fr' 
-            ? `Une stratégie d'atténuation est obligatoire pour l'élément à risque ${t(riskData.level, lang)} : ${t(riskName, lang)}` 
-            : `A Mitigation strategy is mandatory for ${riskData.level} risk item: ${riskName}`;
-          alert(msg);
-          return;
-        }
-      }
-    }
+// The leg whose take-off..landing window contains the capture time
+const matchAttachmentFlight = (mission, takenAt) => {
+  if (!takenAt) return null;
+  const time = new Date(takenAt);
+  const index = getMissionFlights(mission).findIndex(f => f.takeoff && f.landing && time >= new Date(f.takeoff) && time <= new Date(f.landing));
+  return index >= 0 ? index : null;
+};
 
-    // Pre-flight check
-    if (!formData.preflightCompleted) {
-      alert(t("You must complete and check off the pre-flight checklist before saving the mission.", lang));
-      const preflightEl = document.getElementById('preflight-section');
-      if (preflightEl) {
-        preflightEl.scrollIntoView({ behavior: 'smooth' });
+const isWithinMission = (mission, takenAt) => !takenAt || !mission.start || !mission.end || (new Date(takenAt) >= new Date(mission.start) && new Date(takenAt) <= new Date(mission.end));
+
+const logCustody = async (attachment, action, user, note = '') => {
+  const at = new Date().toISOString();
+  // Under the app lock the file name is logged by attachment id instead
+  const field = appLockKey ? `attachment ${attachment.id}` : attachment.name;
+  await appendAuditEntry({ missionId: attachment.missionId, action: `evidence-${action}`, at, user, changes: [{ field, from: null, to: `SHA-256 ${attachment.sha256}${note ? ` - ${note}` : ''}` }] });
+  return { ...attachment, custody: [...attachment.custody, { at, by: user, action, note }] };
+};
+
+const createAttachment = async (file, mission, user) => {
+  const buffer = await file.arrayBuffer();
+  const type = file.type || 'application/octet-stream';
+  const exif = type === 'image/jpeg' || /\.jpe?g$/i.test(file.name) ? readExif(buffer) : null;
+  const attachment = {
+    id: generateId(),
+    missionId: mission.id,
+    name: file.name,
+    type,
+    size: file.size,
+    blob: new Blob([buffer], { type }),
+    sha256: await sha256HexBytes(buffer),
+    exif,
+    flightIndex: matchAttachmentFlight(mission, exif?.takenAt),
+    addedAt: new Date().toISOString(),
+    addedBy: user,
+    custody: []
+  };
+  return logCustody(attachment, 'intake', user, file.lastModified ? `file modified ${new Date(file.lastModified).toISOString()}` : '');
+};
+
+const formatFileSize = (bytes) => {
+  if (bytes >= 1073741824) return `${(bytes / 1073741824).toFixed(1)} GB`;
+  if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+  return `${bytes > 0 ? Math.max(1, Math.round(bytes / 1024)) : 0} KB`;
+};
+
+const verifyAttachment = async (attachment) => (await sha256HexBytes(await attachment.blob.arrayBuffer())) === attachment.sha256;
+
+const getAttachmentFileName = (attachment, index) => `${String(index + 1).padStart(3, '0')}_${attachment.name.replace(/[\\/:*?"<>|]+/g, '_')}`;
+
+const buildCustodyCSV = (attachments, lang) => {
+  const headers = [t("File", lang), "SHA-256", t("Date & Time", lang), t("Action", lang), t("By", lang), t("Note", lang)];
+  const rows = attachments.flatMap((a, i) => a.custody.map(c => [getAttachmentFileName(a, i), a.sha256, c.at, t(CUSTODY_ACTIONS[c.action] || c.action, lang), c.by, c.note]));
+  return [headers, ...rows].map(r => r.map(escapeCSV).join(",")).join("\n");
+};
+
+// Files, a hash manifest and the custody log in one zip; the export itself is logged first
+// so the log inside the package already shows who produced it
+const buildEvidencePackage = async (mission, attachments, user, lang) => {
+  const logged = [];
+  const verified = [];
+  for (const a of attachments) {
+    const intact = await verifyAttachment(a);
+    const updated = await logCustody(await logCustody(a, 'verify', user, intact ? 'hash matches intake' : 'HASH MISMATCH'), 'export', user, 'evidence package');
+    await putAttachment(updated);
+    logged.push(updated);
+    verified.push(intact);
+  }
+  const files = {};
+  for (const [i, a] of logged.entries()) files[`files/${getAttachmentFileName(a, i)}`] = new Uint8Array(await a.blob.arrayBuffer());
+  const manifest = {
+    mission: { id: mission.id, location: mission.location, start: mission.start, end: mission.end },
+    generatedAt: new Date().toISOString(),
+    generatedBy: user,
+    files: logged.map((a, i) => ({
+      file: `files/${getAttachmentFileName(a, i)}`,
+      originalName: a.name,
+      type: a.type,
+      size: a.size,
+      sha256: a.sha256,
+      verified: verified[i],
+      addedAt: a.addedAt,
+      addedBy: a.addedBy,
+      exif: a.exif,
+      flight: a.flightIndex !== null ? a.flightIndex + 1 : null
+    }))
+  };
+  files['manifest.json'] = strToU8(JSON.stringify(manifest, null, 2));
+  files['custody_log.csv'] = strToU8("\uFEFF" + buildCustodyCSV(logged, lang));
+  return { blob: new Blob([zipSync(files)], { type: 'application/zip' }), attachments: logged, verified };
+};
+
+/**
+ * --- IMAGE COMPRESSION & STORAGE ---
+ */
+
+// Uploaded images are inlined into the mission record, every backup and the HTML report,
+// so they are downscaled and re-encoded as JPEG on intake
+const DEFAULT_IMAGE_SETTINGS = { maxDimension: 1600, quality: 0.8 };
+const IMAGE_MAX_DIMENSIONS = [800, 1280, 1600, 2048, 3200];
+const IMAGE_QUALITIES = [0.6, 0.7, 0.8, 0.9];
+const STORAGE_WARNING_RATIO = 0.8;
+const STORAGE_CRITICAL_RATIO = 0.95;
+
+const readFileAsDataURL = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (event) => resolve(event.target.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not decode image'));
+  img.src = src;
+});
+
+// Keeps the original when re-encoding would not make it smaller
+const compressImageDataUrl = async (dataUrl, settings = DEFAULT_IMAGE_SETTINGS) => {
+  if (!/^data:image\/(png|jpeg|webp|bmp)/.test(dataUrl || '')) return dataUrl;
+  try {
+    const img = await loadImage(dataUrl);
+    const scale = Math.min(1, settings.maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const ctx = canvas.getContext('2d');
+    // JPEG has no alpha; screenshots with transparency would otherwise turn black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const compressed = canvas.toDataURL('image/jpeg', settings.quality);
+    return compressed.length < dataUrl.length ? compressed : dataUrl;
+  } catch (err) {
+    console.error(err);
+    return dataUrl;
+  }
+};
+
+// PDFs and other documents are stored as-is
+const compressImageFile = async (file, settings) => compressImageDataUrl(await readFileAsDataURL(file), settings);
+
+// Base64 text is one byte per character, which is what IndexedDB and the backups end up holding
+const getMissionImageBytes = (m) => ['weatherImage', 'navCanFile', 'sketch'].reduce((sum, f) => sum + (typeof m[f] === 'string' ? m[f].length : 0), 0) + (m.sketchVector?.background?.length || 0);
+
+const getMissionStorageBytes = (m) => JSON.stringify(m).length;
+
+// Re-encodes images already saved before intake compression existed (or at a looser setting).
+// Signed missions are left alone: the images are part of what was signed.
+const compressMissionImages = async (m, settings) => {
+  if (hasValidSignatures(m)) return null;
+  const next = { ...m };
+  for (const field of ['weatherImage', 'navCanFile']) {
+    if (typeof m[field] === 'string') next[field] = await compressImageDataUrl(m[field], settings);
+  }
+  // A legacy raster sketch is itself the drawing; a vector sketch is re-rendered over its smaller map
+  if (typeof m.sketch === 'string' && !m.sketchVector) next.sketch = await compressImageDataUrl(m.sketch, settings);
+  if (m.sketchVector?.background) {
+    const background = await compressImageDataUrl(m.sketchVector.background, settings);
+    if (background !== m.sketchVector.background) {
+      next.sketchVector = { ...m.sketchVector, background };
+      next.sketch = renderSketchPNG(next.sketchVector, await loadImage(background));
+    }
+  }
+  return getMissionImageBytes(next) < getMissionImageBytes(m) ? next : null;
+};
+
+const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota, ratio: quota ? usage / quota : 0 };
+};
+
+// Asks the browser not to evict this origin's data under storage pressure
+const requestPersistentStorage = async () => {
+  if (!navigator.storage?.persist) return false;
+  if (await navigator.storage.persisted()) return true;
+  return navigator.storage.persist();
+};
+
+/**
+ * --- MERGE RESTORE ---
+ */
+
+// Bookkeeping that changes on every save; not part of what a mission says
+const VERSION_FIELDS = ['updatedAt', 'priorVersions', 'rev'];
+const MAX_PRIOR_VERSIONS = 50;
+
+const getMissionVersion = (m) => m.updatedAt || m.created || '';
+const getMissionLineage = (m) => [...(m.priorVersions || []), getMissionVersion(m)].filter(Boolean);
+
+const withoutVersionFields = (m) => {
+  const copy = { ...m };
+  VERSION_FIELDS.forEach(f => delete copy[f]);
+  return copy;
+};
+
+const isSameMissionContent = (a, b) => stableStringify(withoutVersionFields(a)) === stableStringify(withoutVersionFields(b));
+
+// Each save gets a new updatedAt and remembers the versions it replaced, so a later
+// merge can tell a newer copy of a record from a parallel edit of it
+const stampMissionVersion = (m, previous) => {
+  if (previous && isSameMissionContent(previous, m)) return { ...m, updatedAt: previous.updatedAt, priorVersions: previous.priorVersions, rev: previous.rev };
+  const lineage = previous ? getMissionLineage(previous) : [];
+  return { ...m, updatedAt: new Date().toISOString(), priorVersions: lineage.slice(-MAX_PRIOR_VERSIONS), rev: (previous?.rev || 0) + 1 };
+};
+
+// Sorts incoming missions by how they relate to the copy on this device (matched by id)
+const planMissionMerge = (localMissions, incomingMissions) => {
+  const localById = new Map(localMissions.map(m => [m.id, m]));
+  const plan = { added: [], updated: [], skipped: [], conflicts: [] };
+  incomingMissions.forEach(incoming => {
+    const local = localById.get(incoming.id);
+    if (!local) plan.added.push(incoming);
+    else if (isSameMissionContent(local, incoming) || getMissionLineage(local).includes(getMissionVersion(incoming))) plan.skipped.push(incoming);
+    else if (getMissionLineage(incoming).includes(getMissionVersion(local))) plan.updated.push({ local, incoming });
+    else plan.conflicts.push({ local, incoming });
+  });
+  return plan;
+};
+
+// The kept side becomes a new version descending from both, so it wins the next merge
+const resolveMergeConflict = (local, incoming, keep) => {
+  const chosen = keep === 'incoming' ? incoming : local;
+  const lineage = [...new Set([...getMissionLineage(local), ...getMissionLineage(incoming)])].sort();
+  return { ...chosen, updatedAt: new Date().toISOString(), priorVersions: lineage.slice(-MAX_PRIOR_VERSIONS), rev: Math.max(local.rev || 1, incoming.rev || 1) + 1 };
+};
+
+const mergeLists = (current, incoming) => {
+  const merged = { ...current };
+  Object.entries(incoming || {}).forEach(([key, values]) => {
+    if (key === 'aerodromesInfo' || !Array.isArray(values)) return;
+    merged[key] = [...new Set([...(current[key] || []), ...values])];
+  });
+  return merged;
+};
+
+// Registry records are only added; one already on this device is left as is.
+// Seeded records (aerodromes, the default checklist) get a fresh id on every device,
+// so naturalKey lets them match on something stable as well.
+const getMissingRecords = (current, incoming, naturalKey) => {
+  const ids = new Set(current.map(r => r.id));
+  const keys = new Set(naturalKey ? current.map(naturalKey).filter(Boolean) : []);
+  return (incoming || []).filter(r => !ids.has(r.id) && !(naturalKey && keys.has(naturalKey(r))));
+};
+
+/**
+ * --- DEVICE SYNC (QR / BUNDLE FILE) ---
+ */
+
+// Offline hand-off of selected missions between devices. Small payloads go as an
+// animated sequence of QR frames, larger ones as a gzip bundle file.
+const SYNC_BUNDLE_FORMAT = 'dfo-sync-bundle';
+const SYNC_FILE_EXTENSION = '.dfosync';
+const QR_FRAME_PREFIX = 'DFO1';
+const QR_CHUNK_SIZE = 700;
+const QR_MAX_FRAMES = 60;
+const QR_FRAME_INTERVAL_MS = 400;
+
+// Aircraft referenced by the missions travel with them so the receiver can resolve aircraftIds
+const buildSyncBundle = (missions, aircraft, from) => {
+  const aircraftIds = new Set(missions.flatMap(m => m.aircraftIds || []));
+  return { format: SYNC_BUNDLE_FORMAT, version: 1, from, created: new Date().toISOString(), missions, aircraft: aircraft.filter(a => aircraftIds.has(a.id)) };
+};
+
+const encodeSyncBundle = (bundle) => gzipSync(strToU8(JSON.stringify(bundle)), { level: 9 });
+
+const decodeSyncBundle = (bytes) => {
+  const data = JSON.parse(strFromU8(gunzipSync(bytes)));
+  if (data.format !== SYNC_BUNDLE_FORMAT || !Array.isArray(data.missions)) throw new Error('Not a sync bundle');
+  return data;
+};
+
+// Frame text: DFO1:<session>:<index>/<total>:<base64 chunk>
+const splitIntoQrFrames = (bytes) => {
+  const b64 = bytesToBase64(bytes);
+  const session = generateId();
+  const total = Math.ceil(b64.length / QR_CHUNK_SIZE);
+  return Array.from({ length: total }, (_, i) => `${QR_FRAME_PREFIX}:${session}:${i + 1}/${total}:${b64.slice(i * QR_CHUNK_SIZE, (i + 1) * QR_CHUNK_SIZE)}`);
+};
+
+const parseQrFrame = (text) => {
+  const match = /^DFO1:([^:]+):(\d+)\/(\d+):([A-Za-z0-9+/=]*)$/.exec(text || '');
+  return match ? { session: match[1], index: Number(match[2]), total: Number(match[3]), chunk: match[4] } : null;
+};
+
+const joinQrFrames = (chunks, total) => base64ToBytes(Array.from({ length: total }, (_, i) => chunks.get(i + 1)).join(''));
+
+// Missions whose revision counter moved past what was last sent to this peer
+const getChangedSince = (missions, sentRevs = {}) => missions.filter(m => (m.rev || 1) > (sentRevs[m.id] || 0));
+
+/**
+ * --- SERVER SYNC (REST) ---
+ */
+
+// Optional push/pull of missions and saved lists to a self-hosted endpoint (see server/sync-server.js).
+// Local changes are queued in syncOutbox and drained whenever the device is online; the server
+// keeps a version per record and answers 409 when a write was based on an old version.
+
+const getRemoteSyncConfig = async () => (await db.settings.get('remoteSync'))?.value || null;
+
+const getRemoteSyncState = async () => (await db.settings.get('remoteSyncState'))?.value || { cursor: 0, versions: {}, listsVersion: 0, lastSyncAt: null };
+
+const saveRemoteSyncState = (state) => db.settings.put({ key: 'remoteSyncState', value: state });
+
+// Kinds: 'mission', 'missionDelete' (recordId is the mission id) and 'lists' (recordId 'lists').
+// Only the latest state of a record is pushed, so re-queuing replaces the earlier entry.
+const queueRemoteSync = async (kind, recordId) => {
+  const config = await getRemoteSyncConfig();
+  if (!config || !config.enabled) return;
+  await db.syncOutbox.where('recordId').equals(recordId).delete();
+  await db.syncOutbox.add({ kind, recordId, queuedAt: new Date().toISOString() });
+};
+
+const setRemoteVersions = async (versions) => {
+  const state = await getRemoteSyncState();
+  await saveRemoteSyncState({ ...state, versions: { ...state.versions, ...versions } });
+};
+
+const remoteRequest = async (config, method, path, body) => {
+  const res = await fetch(`${config.endpoint.replace(/\/+$/, '')}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 409) return { conflict: true, ...data };
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+};
+
+// Drains the outbox, then pulls what changed on the server since the last cursor.
+// Returns server records for the caller to merge ({ record, version }), ids deleted
+// remotely, and the merged saved lists when they changed.
+const syncWithServer = async (config) => {
+  const state = await getRemoteSyncState();
+  const result = { pushed: 0, incoming: [], deletedIds: [], lists: null };
+
+  for (const entry of await db.syncOutbox.orderBy('seq').toArray()) {
+    const id = entry.recordId;
+    if (entry.kind === 'lists') {
+      const local = (await db.settings.get('customLists'))?.value || {};
+      let res = await remoteRequest(config, 'PUT', '/api/lists', { baseVersion: state.listsVersion, lists: local });
+      if (res.conflict) {
+        // Saved lists are unioned, same as a merge restore
+        result.lists = mergeLists(res.current.lists || {}, local);
+        res = await remoteRequest(config, 'PUT', '/api/lists', { baseVersion: res.current.version, lists: result.lists });
+        if (res.conflict) throw new Error('Saved lists changed on the server during sync');
+        await db.settings.put({ key: 'customLists', value: result.lists });
+      }
+      state.listsVersion = res.version;
+    } else if (entry.kind === 'missionDelete') {
+      const res = await remoteRequest(config, 'DELETE', `/api/missions/${encodeURIComponent(id)}?baseVersion=${state.versions[id] || 0}`);
+      // An edit made elsewhere wins over this delete; it comes back with the pull below
+      if (!res.conflict) state.versions[id] = res.version;
+    } else {
+      const local = await getMission(id);
+      if (local) {
+        let res = await remoteRequest(config, 'PUT', `/api/missions/${encodeURIComponent(id)}`, { baseVersion: state.versions[id] || 0, record: local });
+        const remote = res.conflict ? res.current : null;
+        const plan = remote && remote.record && !remote.deleted ? planMissionMerge([local], [remote.record]) : null;
+        if (plan && (plan.updated.length > 0 || plan.conflicts.length > 0)) {
+          // The server copy is newer or was edited in parallel; hand it to the merge
+          result.incoming.push({ record: remote.record, version: remote.version });
+        } else {
+          if (remote) res = await remoteRequest(config, 'PUT', `/api/missions/${encodeURIComponent(id)}`, { baseVersion: remote.version, record: local });
+          if (res.conflict) throw new Error('Mission changed on the server during sync');
+          state.versions[id] = res.version;
+          result.pushed++;
+        }
       }
-      return;
     }
+    await db.syncOutbox.delete(entry.seq);
+    await saveRemoteSyncState(state);
+  }
+
+  const pulled = await remoteRequest(config, 'GET', `/api/missions?since=${state.cursor}`);
+  const outboxIds = new Set((await db.syncOutbox.toArray()).map(e => e.recordId));
+  pulled.missions.forEach(r => {
+    if (state.versions[r.id] === r.version) return;
+    if (r.deleted) {
+      if (!outboxIds.has(r.id)) result.deletedIds.push(r.id);
+      state.versions[r.id] = r.version;
+    } else if (!result.incoming.some(i => i.record.id === r.id)) {
+      result.incoming.push({ record: r.record, version: r.version });
+    }
+  });
+  state.cursor = pulled.cursor;
+
+  const remoteLists = await remoteRequest(config, 'GET', '/api/lists');
+  if (remoteLists.version > state.listsVersion) {
+    const local = (await db.settings.get('customLists'))?.value || {};
+    result.lists = mergeLists(local, remoteLists.lists || {});
+    await db.settings.put({ key: 'customLists', value: result.lists });
+    state.listsVersion = remoteLists.version;
+    // Entries only this device has still need to reach the server
+    if (stableStringify(result.lists) !== stableStringify(mergeLists(remoteLists.lists || {}, {}))) await queueRemoteSync('lists', 'lists');
+  }
+
+  state.lastSyncAt = new Date().toISOString();
+  await saveRemoteSyncState(state);
+  return result;
+};
+
+// --- CSV EXPORT FUNCTION (Images Removed) ---
+const exportToCSV = (missions, lang) => {
+  if (!missions || missions.length === 0) {
+    alert(lang === 'fr' ? "Aucune mission à exporter." : "No missions to export.");
+    return;
+  }
+
+  try {
+    const headers = [
+      t("Mission ID", lang), t("Status", lang), t("Approval", lang), t("Start Time", lang), t("End Time", lang), t("Location", lang), t("Lat", lang), t("Lng", lang), 
+      t("Secondary Lat", lang), t("Secondary Lng", lang), t("Ref GPS Unit", lang),
+      t("Pilot In Command", lang), t("Additional Pilots", lang), t("Camera Operators", lang), t("Observers", lang), t("RPAS Model/Reg", lang), t("Payload", lang), t("Op Category", lang), t("Mission Type", lang), t("Work Elements", lang),
+      t("Flights", lang), t("Flight Time (h)", lang), t("Flight Legs", lang), t("Distance (km)", lang), t("Airspace Class", lang), t("Airspace Type", lang), t("Aerodromes within 100km", lang), t("NOTAMS", lang), t("NavCan Ref", lang),
+      t("Temp (°C)", lang), t("Wind Speed (km/h)", lang), t("Wind Direction", lang), t("Visibility (km)", lang), t("Weather Notes", lang),
+      t("Approach Alt", lang), t("Approach Route", lang), t("Emergency Landing Site", lang),
+      t("Preflight Completed", lang), t("Preflight Issues", lang),
+      t("Outcomes/Summary", lang), t("Incidents/Maintenance", lang),
+      t("Description / Objectives", lang), t("Risk Summary", lang)
+    ];
+
+    const sortedMissions = [...missions].sort((a, b) => new Date(b.start) - new Date(a.start));
+
+    const rows = sortedMissions.map(m => {
+      // Fallback to legacy fields if the new field is missing (protects old data)
+      const aeroOut = m.aerodromesWithin100km ? m.aerodromesWithin100km : (Array.isArray(m.aerodromesInfo) ? m.aerodromesInfo.join('; ') : (m.aerodromesInfo || ''));
+      const workElemStr = Array.isArray(m.workElements) ? m.workElements.join('; ') : (m.workElements || m.workElement || '');
+      const addPilotsStr = Array.isArray(m.additionalPilots) ? m.additionalPilots.join('; ') : '';
+      const camOpsStr = Array.isArray(m.cameraOperators) ? m.cameraOperators.join('; ') : '';
+      const observersStr = Array.isArray(m.observers) ? m.observers.join('; ') : (m.observer || '');
+      const rpasStr = Array.isArray(m.rpas) ? m.rpas.join('; ') : (m.rpas || '');
+      const payloadStr = Array.isArray(m.payload) ? m.payload.join('; ') : (m.payload || '');
+
+      return [
+        m.id,
+        t(MISSION_STATUSES[getMissionStatus(m)].label, lang),
+        m.approval ? formatApproval(m.approval, lang) : '',
+        formatDateTime24h(m.start),
+        formatDateTime24h(m.end),
+        m.location,
+        m.coords?.lat,
+        m.coords?.lng,
+        m.secondaryLat,
+        m.secondaryLng,
+        m.referenceGpsUnit,
+        m.pilot,
+        addPilotsStr,
+        camOpsStr,
+        observersStr,
+        rpasStr,
+        payloadStr,
+        m.opCategory,
+        m.type,
+        workElemStr,
+        getMissionFlightCount(m),
+        formatHours(getMissionDurationHours(m)),
+        getMissionFlights(m).map((f, i) => formatFlightLeg(f, i, lang)).join('\n'),
+        m.distance,
+        m.airspace,
+        m.airspaceType,
+        aeroOut,
+        m.notams,
+        m.navCanRef,
+        m.temperature,
+        m.windSpeed,
+        m.windDir ? t(m.windDir, lang) : '',
+        m.visibility ? t(m.visibility, lang) : '',
+        m.weatherText,
+        m.approachAlt,
+        m.approachRoute ? t(m.approachRoute, lang) : '',
+        m.emergencySite,
+        m.preflightCompleted ? t('Yes', lang) : t('No', lang),
+        m.preflightIssues,
+        m.outcomesSummary,
+        m.incidentsMaintenance,
+        m.description,
+        formatRiskSummary(m.risks, lang)
+      ].map(escapeCSV).join(",");
+    });
+
+    const csvContent = [headers.join(","), ...rows].join("\n");
+    
+    const blob = new Blob(["\uFEFF" + csvContent], { type: 'text/csv;charset=utf-8;' });
+    downloadBlob(blob, `dfo_mission_log_${new Date().toISOString().slice(0,10)}.csv`);
+    
+  } catch (err) {
+    console.error("Export Error:", err);
+    alert((lang === 'fr' ? "Échec de la génération du CSV. Erreur: " : "Failed to generate CSV. Error: ") + err.message);
+  }
+};
+
+// --- FULL HTML REPORT EXPORT ---
+const exportToHTML = (missions, lang) => {
+  if (!missions || missions.length === 0) {
+    alert(lang === 'fr' ? "Aucune mission à exporter." : "No missions to export.");
+    return;
+  }
+
+  const sortedMissions = [...missions].sort((a, b) => new Date(b.start) - new Date(a.start));
+
+  let html = `
+  <!DOCTYPE html>
+  <html lang="${lang}">
+  <head>
+    <meta charset="UTF-8">
+    <title>${t("DFO RPAS Flight Log - Full Report", lang)}</title>
+    <style>
+      body { font-family: Arial, sans-serif; background-color: #f1f5f9; color: #333; padding: 20px; }
+      .container { max-width: 1000px; margin: 0 auto; background: #fff; padding: 30px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); border-radius: 8px; }
+      .header { border-bottom: 3px solid #064e3b; padding-bottom: 10px; margin-bottom: 30px; }
+      h1 { color: #064e3b; margin: 0; }
+      .mission-card { border: 1px solid #cbd5e1; border-radius: 8px; padding: 20px; margin-bottom: 40px; background-color: #f8fafc; page-break-inside: avoid; }
+      .mission-title { font-size: 1.25rem; font-weight: bold; color: #0f172a; margin-top: 0; border-bottom: 1px solid #e2e8f0; padding-bottom: 10px; }
+      table { width: 100%; border-collapse: collapse; margin-bottom: 15px; font-size: 0.9rem; }
+      th, td { padding: 8px 12px; border: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+      th { background-color: #e2e8f0; width: 30%; color: #334155; }
+      td { background-color: #fff; }
+      .image-grid { display: flex; gap: 15px; flex-wrap: wrap; margin-top: 20px; }
+      .img-box { border: 1px solid #e2e8f0; padding: 10px; background: #fff; text-align: center; border-radius: 4px; flex: 1; min-width: 250px; }
+      .img-box h4 { margin-top: 0; margin-bottom: 10px; font-size: 0.85rem; color: #64748b; text-transform: uppercase; }
+      .img-box img { max-width: 100%; max-height: 350px; border-radius: 4px; border: 1px solid #cbd5e1; }
+      .signatures { display: flex; flex-wrap: wrap; gap: 20px; margin-top: 20px; }
+      .signature { flex: 1; min-width: 200px; font-size: 0.85rem; color: #475569; }
+      .signature img { display: block; max-height: 80px; border-bottom: 1px solid #0f172a; margin-bottom: 4px; }
+      .signature .stale { color: #b91c1c; font-weight: bold; text-transform: uppercase; }
+      .legs th { width: auto; }
+      .matrix { width: auto; }
+      .matrix th { width: auto; font-size: 0.75rem; }
+      .matrix td { width: 56px; text-align: center; font-weight: bold; border: 2px solid #fff; }
+      .band-Low { background: #d1fae5 !important; } .band-Medium { background: #fef3c7 !important; }
+      .band-High { background: #fee2e2 !important; } .band-Extreme { background: #b91c1c !important; color: #fff; }
+      .decision { display: inline-block; padding: 2px 8px; border-radius: 4px; font-weight: bold; color: #fff; }
+      .decision-GO { background: #047857; } .decision-GO-WITH-APPROVAL { background: #f59e0b; } .decision-NO-GO { background: #b91c1c; }
+      .section-title { font-size: 0.85rem; color: #64748b; text-transform: uppercase; margin: 20px 0 8px; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h1>${t("DFO RPAS Flight Log - Full Report", lang)}</h1>
+        <p><strong>${t("Generated:", lang)}</strong> ${new Date().toLocaleString()}</p>
+      </div>
+  `;
+
+  sortedMissions.forEach(m => {
+    const assessment = getMissionRiskAssessment(m.risks);
+    const risks = assessment.flagged.length > 0
+      ? `<span class="decision decision-${assessment.decision.replace(/ /g, '-')}">${t(assessment.decision, lang)}</span> ${t("Overall Risk", lang)}: ${assessment.score || '-'}${assessment.band ? ` (${t(assessment.band, lang)})` : ''}`
+      : t('None', lang);
+    const aeroOut = escapeXML(m.aerodromesWithin100km || (Array.isArray(m.aerodromesInfo) ? m.aerodromesInfo.join(', ') : (m.aerodromesInfo || t('None', lang)))).replace(/\n/g, '<br/>');
+    const workElemStr = escapeXML(Array.isArray(m.workElements) ? m.workElements.join(', ') : (m.workElements || m.workElement || t('N/A', lang)));
+    const addPilotsStr = escapeXML(Array.isArray(m.additionalPilots) ? m.additionalPilots.join(', ') : t('None', lang));
+    const camOpsStr = escapeXML(Array.isArray(m.cameraOperators) ? m.cameraOperators.join(', ') : t('None', lang));
+    const observersStr = escapeXML(Array.isArray(m.observers) ? m.observers.join(', ') : (m.observer || t('None', lang)));
+    const rpasStr = escapeXML(Array.isArray(m.rpas) ? m.rpas.join(', ') : (m.rpas || t('N/A', lang)));
+    const payloadStr = escapeXML(Array.isArray(m.payload) ? m.payload.join(', ') : (m.payload || t('N/A', lang)));
+    
+    html += `
+      <div class="mission-card">
+        <h2 class="mission-title">${escapeXML(m.location || t('Unknown Location', lang))} - ${formatDateTime24h(m.start)}</h2>
+        <table>
+          <tbody>
+            <tr><th>${t("Mission ID", lang)}</th><td>${escapeXML(m.id || t('N/A', lang))}</td></tr>
+            <tr><th>${t("Status", lang)}</th><td>${t(MISSION_STATUSES[getMissionStatus(m)].label, lang)}${requiresApproval(m) ? `<br/>${t("Approval", lang)}: ${escapeXML(formatApproval(m.approval, lang))}` : ''}</td></tr>
+            <tr><th>${t("Date & Time", lang)}</th><td>${t("Start:", lang)} ${formatDateTime24h(m.start)}<br/>${t("End:", lang)} ${formatDateTime24h(m.end)}</td></tr>
+            <tr><th>${t("Primary GPS", lang)}</th><td>Lat: ${escapeXML(m.coords?.lat || '-')}, Lng: ${escapeXML(m.coords?.lng || '-')}</td></tr>
+            <tr><th>${t("Secondary GPS", lang)}</th><td>Lat: ${escapeXML(m.secondaryLat || '-')}, Lng: ${escapeXML(m.secondaryLng || '-')} (${t("Ref Unit:", lang)} ${escapeXML(m.referenceGpsUnit || t('N/A', lang))})</td></tr>
+            <tr><th>${t("Pilot In Command", lang)}</th><td>${escapeXML(m.pilot || t('N/A', lang))}</td></tr>
+            <tr><th>${t("Additional Pilots", lang)}</th><td>${addPilotsStr}</td></tr>
+            <tr><th>${t("Camera Operators", lang)}</th><td>${camOpsStr}</td></tr>
+            <tr><th>${t("Observers", lang)}</th><td>${observersStr}</td></tr>
+            <tr><th>${t("RPAS / Payload", lang)}</th><td>${rpasStr} / ${payloadStr}</td></tr>
+            <tr><th>${t("Op Category / Mission Type", lang)}</th><td>${escapeXML(m.opCategory || t('N/A', lang))} / ${escapeXML(m.type || t('N/A', lang))}</td></tr>
+            <tr><th>${t("Work Elements", lang)}</th><td>${workElemStr}</td></tr>
+            <tr><th>${t("Flights / Distance", lang)}</th><td>${escapeXML(getMissionFlightCount(m))} ${t("flight(s)", lang)} (${formatHours(getMissionDurationHours(m))} h) / ${escapeXML(m.distance || t('N/A', lang))} km</td></tr>
+            <tr><th>${t("Airspace", lang)}</th><td>${escapeXML(m.airspace || t('N/A', lang))} (${escapeXML(m.airspaceType || t('N/A', lang))})</td></tr>
+            <tr><th>${t("Aerodromes within 100km", lang)}</th><td>${aeroOut}</td></tr>
+            <tr><th>${t("NOTAMS / NavCan Ref", lang)}</th><td>${escapeXML(m.notams || t('None', lang))} / ${escapeXML(m.navCanRef || t('N/A', lang))}</td></tr>
+            <tr><th>${t("Approach / Emergency Site", lang)}</th><td>Alt: ${escapeXML(m.approachAlt || t('N/A', lang))}, Route: ${escapeXML(m.approachRoute ? t(m.approachRoute, lang) : t('N/A', lang))} / Site: ${escapeXML(m.emergencySite || t('None', lang))}</td></tr>
+            <tr><th>${t("Weather Conditions", lang)}</th><td>Temp: ${escapeXML(m.temperature || '-')}°C, Vent: ${escapeXML(m.windSpeed || '-')}km/h ${escapeXML(m.windDir ? t(m.windDir, lang) : '')}, Vis: ${escapeXML(m.visibility ? t(m.visibility, lang) : '-')}</td></tr>
+            <tr><th>${t("Weather Notes", lang)}</th><td>${escapeXML(m.weatherText || t('None', lang))}</td></tr>
+            <tr><th>${t("Preflight Checklist", lang)}</th><td>Completed: ${m.preflightCompleted ? t('Yes', lang) : t('No', lang)}${(m.checklist || []).length > 0 ? ` (${getChecklistProgress(m.checklist).done}/${getChecklistProgress(m.checklist).total})` : ''}<br/>Issues: ${escapeXML(m.preflightIssues || t('None', lang))}</td></tr>
+            <tr><th>${t("Mission Objectives", lang)}</th><td>${escapeXML(m.description || t('None', lang))}</td></tr>
+            <tr><th>${t("Outcomes / Summary", lang)}</th><td>${escapeXML(m.outcomesSummary || t('None', lang))}</td></tr>
+            <tr><th>${t("Incidents / Maintenance", lang)}</th><td>${escapeXML(m.incidentsMaintenance || t('None', lang))}</td></tr>
+            <tr><th>${t("Risk Assessment", lang)}</th><td>${risks}</td></tr>
+          </tbody>
+        </table>
+
+        ${getMissionFlights(m).length > 0 ? `
+        <h4 class="section-title">${t("Flight Legs", lang)}</h4>
+        <table class="legs">
+          <thead>
+            <tr><th>#</th><th>${t("Take-off", lang)}</th><th>${t("Landing", lang)}</th><th>${t("Aircraft", lang)} / ${t("Battery", lang)}</th><th>${t("Max Alt AGL (m)", lang)}</th><th>${t("Pilot at Controls", lang)}</th><th>${t("Launch Coordinates", lang)}</th></tr>
+          </thead>
+          <tbody>
+            ${getMissionFlights(m).map((f, i) => `<tr><td>${i + 1}</td><td>${formatDateTime24h(f.takeoff)}</td><td>${formatDateTime24h(f.landing)}</td><td>${escapeXML(f.rpas || '-')}${f.battery ? ` / ${escapeXML(f.battery)}` : ''}</td><td>${escapeXML(f.maxAltitude || '-')}</td><td>${escapeXML(f.pilot || '-')}</td><td>${f.lat && f.lng ? escapeXML(`${f.lat}, ${f.lng}`) : '-'}</td></tr>`).join('')}
+          </tbody>
+        </table>` : ''}
+
+        ${(m.checklist || []).map(c => `
+        <h4 class="section-title">${t("Pre-Flight Checklist", lang)}: ${escapeXML(t(c.name, lang))}</h4>
+        <table class="legs">
+          <thead>
+            <tr><th>${t("Item", lang)}</th><th>${t("Checked", lang)}</th><th>${t("Initials", lang)}</th><th>${t("Time", lang)}</th></tr>
+          </thead>
+          <tbody>
+            ${c.sections.map(sec => `<tr><th colspan="4">${escapeXML(t(sec.title, lang))}</th></tr>` + sec.items.map(i => `<tr><td>${escapeXML(t(i.text, lang))}${i.mandatory ? ' *' : ''}</td><td>${i.checked ? '&#10003;' : '&#10007;'}</td><td>${escapeXML(i.initials || '-')}</td><td>${i.checked ? formatDateTime24h(i.checkedAt) : '-'}</td></tr>`).join('')).join('')}
+          </tbody>
+        </table>`).join('')}
+
+        ${assessment.flagged.length > 0 ? `
+        <h4 class="section-title">${t("Risk Matrix", lang)}</h4>
+        <table class="matrix">
+          <thead>
+            <tr><th>${t("Likelihood", lang)} / ${t("Severity", lang)}</th>${RISK_SEVERITY.map((sv, idx) => `<th>${idx + 1} ${t(sv, lang)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${RISK_LIKELIHOOD.map((lk, li) => ({ lk, l: li + 1 })).reverse().map(({ lk, l }) => `<tr><th>${l} ${t(lk, lang)}</th>${RISK_SEVERITY.map((_, si) => {
+              const count = assessment.flagged.filter(f => Number(f.risk.residualLikelihood || f.risk.likelihood) === l && Number(f.risk.residualSeverity || f.risk.severity) === si + 1).length;
+              return `<td class="band-${getRiskBand(l * (si + 1))}">${count || ''}</td>`;
+            }).join('')}</tr>`).join('')}
+          </tbody>
+        </table>
+        <table class="legs">
+          <thead>
+            <tr><th>${t("Risk Factor", lang)}</th><th>L×S</th><th>${t("Initial Risk", lang)}</th><th>${t("Mitigation Strategy", lang)}</th><th>L×S</th><th>${t("Residual Risk", lang)}</th></tr>
+          </thead>
+          <tbody>
+            ${assessment.flagged.map(f => `<tr><td>${escapeXML(t(f.name, lang))}</td><td>${f.initial ? escapeXML(`${f.risk.likelihood}×${f.risk.severity}`) : '-'}</td><td>${f.initial || ''} ${t(f.initialBand || '-', lang)}</td><td>${escapeXML(f.risk.mitigation || t('None', lang))}</td><td>${f.initial ? escapeXML(`${f.risk.residualLikelihood || f.risk.likelihood}×${f.risk.residualSeverity || f.risk.severity}`) : '-'}</td><td><strong>${f.residual || ''} ${t(f.residualBand || '-', lang)}</strong></td></tr>`).join('')}
+          </tbody>
+        </table>` : ''}
+        
+        <div class="image-grid">
+          ${m.sketch ? `<div class="img-box"><h4>${t("Mission Area Sketch", lang)}</h4><img src="${escapeXML(m.sketch)}" alt="Map Sketch" /></div>` : ''}
+          ${m.weatherImage ? `<div class="img-box"><h4>${t("Weather Forecast / Screenshot", lang)}</h4><img src="${escapeXML(m.weatherImage)}" alt="Weather Screenshot" /></div>` : ''}
+          ${m.navCanFile ? `<div class="img-box"><h4>${t("NAV Canada Authorization File", lang)}</h4><img src="${escapeXML(m.navCanFile)}" alt="Nav Canada Auth" /></div>` : ''}
+        </div>
+        ${(m.signatures || []).length > 0 ? `
+        <div class="signatures">
+          ${m.signatures.map(sig => `<div class="signature"><img src="${escapeXML(sig.image)}" alt="${escapeXML(sig.name)}" /><strong>${escapeXML(sig.name)}</strong><br/>${t(SIGNATURE_ROLES[sig.role], lang)} - ${formatDateTime24h(sig.signedAt)}${isSignatureStale(sig, m) ? `<br/><span class="stale">${t('Stale - mission edited after signing', lang)}</span>` : ''}</div>`).join('')}
+        </div>` : ''}
+      </div>
+    `;
+  });
+
+  html += `
+    </div>
+  </body>
+  </html>
+  `;
+
+  const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
+  downloadBlob(blob, `dfo_full_report_${new Date().toISOString().slice(0,10)}.html`);
+};
+
+// Evidence files travel in backups as base64, with their intake hash and custody log unchanged
+const serializeAttachment = async ({ blob, ...meta }) => ({ ...meta, data: bytesToBase64(new Uint8Array(await blob.arrayBuffer())) });
+const deserializeAttachment = ({ data, ...meta }) => ({ ...meta, blob: new Blob([base64ToBytes(data)], { type: meta.type }) });
+
+const backupData = async ({ missions, lists, aircraft, personnel, aerodromes, airspaceZones, checklistTemplates, missionTemplates, recycleBin, attachments, passphrase }) => {
+  const data = {
+    missions, lists, aircraft, personnel, aerodromes, airspaceZones, checklistTemplates, missionTemplates, recycleBin,
+    attachments: await Promise.all((attachments || []).map(serializeAttachment)),
+    version: 'v6-dexie', backupDate: new Date().toISOString()
+  };
+  const payload = passphrase ? await encryptBackup(data, passphrase) : data;
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `dfo_backup_${new Date().toISOString().slice(0,10)}${passphrase ? '_encrypted' : ''}.json`);
+};
+
+/**
+ * --- PILOT LOGBOOK & CURRENCY ---
+ */
+
+// CARs 901.56: a pilot must have completed a recency activity within the previous 24 months
+const RECENCY_MONTHS = 24;
+const RECENCY_WARNING_DAYS = 90;
+
+const getMissionDurationHours = (m) => {
+  const flights = getMissionFlights(m);
+  if (flights.length > 0) return flights.reduce((sum, f) => sum + getFlightDurationHours(f), 0);
+  if (!m.start || !m.end) return 0;
+  const ms = new Date(m.end) - new Date(m.start);
+  return ms > 0 ? ms / 3600000 : 0;
+};
+
+const formatHours = (hours) => (hours || 0).toFixed(1);
+
+// Aggregates every mission a person flew, either as PIC or as an additional pilot
+const buildPilotLogbooks = (missions) => {
+  const books = {};
+  const getBook = (name) => {
+    if (!books[name]) {
+      books[name] = { name, totalHours: 0, picHours: 0, flights: 0, missions: 0, byOpCategory: {}, byRpas: {}, lastFlown: null, entries: [] };
+    }
+    return books[name];
+  };
+
+  // Plans that were never flown (draft, submitted, approved, rejected) earn no time
+  missions.filter(isMissionFlown).forEach(m => {
+    const legs = getMissionFlights(m);
+    const rpasList = Array.isArray(m.rpas) && m.rpas.length > 0 ? m.rpas : ['N/A'];
+    const legPilot = (f) => (f.pilot || m.pilot || '').trim();
+    const crew = [];
+    const addCrew = (name, role) => {
+      if (name && name.trim() && !crew.some(c => c.name === name.trim())) crew.push({ name: name.trim(), role });
+    };
+    addCrew(m.pilot, 'PIC');
+    (m.additionalPilots || []).forEach(p => addCrew(p, 'Additional Pilot'));
+    legs.forEach(f => addCrew(legPilot(f), 'Additional Pilot'));
+
+    crew.forEach(({ name, role }) => {
+      const book = getBook(name);
+      let hours = 0;
+      let flights = 0;
+      let lastFlown = null;
+      if (legs.length > 0) {
+        // With legs recorded, each person is credited only for the flights they were at the controls
+        legs.filter(f => legPilot(f) === name).forEach(f => {
+          const legHours = getFlightDurationHours(f);
+          hours += legHours;
+          flights += 1;
+          const r = f.rpas || 'N/A';
+          book.byRpas[r] = (book.byRpas[r] || 0) + legHours;
+          if (f.takeoff && (!lastFlown || new Date(f.takeoff) > new Date(lastFlown))) lastFlown = f.takeoff;
+        });
+      } else {
+        hours = getMissionDurationHours(m);
+        flights = m.flightCount ?? 1;
+        lastFlown = m.start || null;
+        // Time is split evenly across airframes when a mission lists more than one
+        rpasList.forEach(r => { book.byRpas[r] = (book.byRpas[r] || 0) + hours / rpasList.length; });
+      }
+      book.totalHours += hours;
+      if (role === 'PIC') book.picHours += hours;
+      book.flights += flights;
+      book.missions += 1;
+      const cat = m.opCategory || 'N/A';
+      book.byOpCategory[cat] = (book.byOpCategory[cat] || 0) + hours;
+      if (lastFlown && (!book.lastFlown || new Date(lastFlown) > new Date(book.lastFlown))) book.lastFlown = lastFlown;
+      book.entries.push({ mission: m, role, hours, flights });
+    });
+  });
+
+  return Object.values(books)
+    .map(b => ({ ...b, entries: b.entries.sort((a, c) => new Date(c.mission.start) - new Date(a.mission.start)) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const getPilotCurrency = (lastFlown, now = new Date()) => {
+  if (!lastFlown) return { status: 'lapsed', label: 'Never flown' };
+  const expiry = new Date(lastFlown);
+  expiry.setMonth(expiry.getMonth() + RECENCY_MONTHS);
+  if (now >= expiry) return { status: 'lapsed', label: 'Not flown in 24 months', expiry };
+  const daysLeft = Math.floor((expiry - now) / 86400000);
+  if (daysLeft <= RECENCY_WARNING_DAYS) return { status: 'due', label: 'Recency requirement due', expiry, daysLeft };
+  return { status: 'current', label: 'Current', expiry, daysLeft };
+};
+
+const exportPilotLogbookCSV = (book, lang) => {
+  const headers = [
+    t("Start Time", lang), t("End Time", lang), t("Location", lang), t("Role", lang), t("Op Category", lang),
+    t("Mission Type", lang), t("RPAS Model/Reg", lang), t("Flights", lang), t("Flight Time (h)", lang)
+  ];
+  const rows = book.entries.map(({ mission: m, role, hours, flights }) => [
+    formatDateTime24h(m.start), formatDateTime24h(m.end), m.location, t(role, lang), m.opCategory, m.type,
+    Array.isArray(m.rpas) ? m.rpas.join('; ') : '', flights, formatHours(hours)
+  ].map(escapeCSV).join(","));
+  const currency = getPilotCurrency(book.lastFlown);
+  const summary = [
+    [t("Pilot", lang), book.name],
+    [t("Total Flight Time (h)", lang), formatHours(book.totalHours)],
+    [t("PIC Time (h)", lang), formatHours(book.picHours)],
+    [t("Flights", lang), book.flights],
+    [t("Missions", lang), book.missions],
+    [t("Last Flown", lang), formatDateTime24h(book.lastFlown)],
+    [t("Recency Status", lang), t(currency.label, lang)]
+  ].map(r => r.map(escapeCSV).join(","));
+
+  const csvContent = [...summary, '', headers.join(","), ...rows].join("\n");
+  const blob = new Blob(["\uFEFF" + csvContent], { type: 'text/csv;charset=utf-8;' });
+  const slug = book.name.replace(/[^a-zA-Z0-9]+/g, '_').toLowerCase();
+  downloadBlob(blob, `dfo_pilot_logbook_${slug}_${new Date().toISOString().slice(0,10)}.csv`);
+};
+
+/**
+ * --- FLEET STATISTICS ---
+ */
+
+// Breakdowns offered on the statistics screen. Missions with several work elements or
+// airframes count once under each, with their hours split evenly so columns still add up.
+const STATS_DIMENSIONS = [
+  { key: 'type', label: 'Mission Type', getValues: m => [m.type] },
+  { key: 'workElements', label: 'Work Elements', getValues: m => m.workElements || [] },
+  { key: 'opCategory', label: 'Op Category', getValues: m => [m.opCategory] },
+  { key: 'pilot', label: 'Pilot In Command', getValues: m => [m.pilot] },
+  { key: 'rpas', label: 'RPAS Model/Reg', getValues: m => m.rpas || [] },
+  { key: 'month', label: 'Month', getValues: m => [m.start ? m.start.slice(0, 7) : null] }
+];
+
+const toDateInputValue = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+// Calendar quarter containing date; offset -1 is the previous quarter (Date rolls the year over)
+const getQuarterRange = (date, offset = 0) => {
+  const q = Math.floor(date.getMonth() / 3) + offset;
+  return { from: toDateInputValue(new Date(date.getFullYear(), q * 3, 1)), to: toDateInputValue(new Date(date.getFullYear(), q * 3 + 3, 0)) };
+};
+
+// from/to are inclusive YYYY-MM-DD dates; region matches the mission location text
+const filterMissionsForStats = (missions, { from, to, region, flownOnly }) => missions.filter(m => {
+  const day = m.start ? m.start.slice(0, 10) : '';
+  if (from && (!day || day < from)) return false;
+  if (to && (!day || day > to)) return false;
+  if (region && !(m.location || '').toLowerCase().includes(region.trim().toLowerCase())) return false;
+  if (flownOnly && !isMissionFlown(m)) return false;
+  return true;
+});
+
+const buildFleetStats = (missions) => {
+  const totals = { missions: 0, flights: 0, hours: 0 };
+  const breakdowns = Object.fromEntries(STATS_DIMENSIONS.map(d => [d.key, {}]));
+  const riskBands = Object.fromEntries([...RISK_BAND_ORDER, 'None'].map(b => [b, { hazards: 0, missions: 0 }]));
+
+  missions.forEach(m => {
+    const hours = getMissionDurationHours(m);
+    const flights = getMissionFlightCount(m);
+    totals.missions += 1;
+    totals.flights += flights;
+    totals.hours += hours;
+
+    STATS_DIMENSIONS.forEach(d => {
+      const values = d.getValues(m).filter(Boolean);
+      const keys = values.length > 0 ? values : ['N/A'];
+      keys.forEach(k => {
+        const row = breakdowns[d.key][k] || (breakdowns[d.key][k] = { missions: 0, flights: 0, hours: 0 });
+        row.missions += 1;
+        row.flights += flights / keys.length;
+        row.hours += hours / keys.length;
+      });
+    });
+
+    const assessment = getMissionRiskAssessment(m.risks);
+    riskBands[assessment.band || 'None'].missions += 1;
+    assessment.flagged.forEach(f => { if (riskBands[f.residualBand]) riskBands[f.residualBand].hazards += 1; });
+  });
+
+  // Months read best in calendar order, everything else largest first
+  const toRows = (key, data) => Object.entries(data)
+    .map(([label, row]) => ({ label, ...row }))
+    .sort((a, b) => (key === 'month' ? a.label.localeCompare(b.label) : b.hours - a.hours || b.missions - a.missions));
+
+  return {
+    totals,
+    breakdowns: Object.fromEntries(Object.entries(breakdowns).map(([key, data]) => [key, toRows(key, data)])),
+    riskBands: Object.entries(riskBands).map(([band, counts]) => ({ label: band, ...counts }))
+  };
+};
+
+const exportStatsCSV = (title, headers, rows, range, lang) => {
+  const meta = [
+    [t(title, lang)],
+    [t("From", lang), range.from || '-', t("To", lang), range.to || '-', t("Region", lang), range.region || t('All', lang)]
+  ].map(r => r.map(escapeCSV).join(","));
+  const csvContent = [...meta, '', headers.map(h => escapeCSV(t(h, lang))).join(","), ...rows.map(r => r.map(escapeCSV).join(","))].join("\n");
+  const blob = new Blob(["\uFEFF" + csvContent], { type: 'text/csv;charset=utf-8;' });
+  downloadBlob(blob, `dfo_stats_${title.toLowerCase().replace(/\W+/g, '_')}_${new Date().toISOString().slice(0, 10)}.csv`);
+};
+
+/**
+ * --- MISSION SEARCH & FILTERS ---
+ */
+
+// Free-text search only looks at what a person typed, never at images or attachments.
+// A term can be limited to one field with a prefix, e.g. pilot:smith location:"shediac bay".
+const SEARCH_FIELDS = {
+  id: ['id'],
+  location: ['location', 'emergencySite'],
+  pilot: ['pilot', 'additionalPilots'],
+  crew: ['pilot', 'additionalPilots', 'cameraOperators', 'observers'],
+  rpas: ['rpas', 'payload'],
+  type: ['type', 'opCategory'],
+  work: ['workElements'],
+  airspace: ['airspace', 'airspaceType', 'aerodromesWithin100km'],
+  navcan: ['navCanRef', 'notams'],
+  notes: ['description', 'outcomesSummary', 'incidentsMaintenance', 'preflightIssues', 'weatherText']
+};
+const SEARCH_TEXT_FIELDS = [...new Set(Object.values(SEARCH_FIELDS).flat())];
+
+const EMPTY_MISSION_FILTER = {
+  text: '', from: '', to: '', pilot: '', rpas: '', type: '', opCategory: '', workElement: '', airspace: '', riskBand: '', navCan: ''
+};
+
+const MISSION_SORTS = {
+  newest: { label: 'Newest first', compare: (a, b) => new Date(b.start) - new Date(a.start) },
+  oldest: { label: 'Oldest first', compare: (a, b) => new Date(a.start) - new Date(b.start) },
+  updated: { label: 'Recently edited', compare: (a, b) => (b.updatedAt || b.created || '').localeCompare(a.updatedAt || a.created || '') },
+  location: { label: 'Location (A-Z)', compare: (a, b) => (a.location || '').localeCompare(b.location || '') },
+  pilot: { label: 'Pilot (A-Z)', compare: (a, b) => (a.pilot || '').localeCompare(b.pilot || '') },
+  hours: { label: 'Longest flight time', compare: (a, b) => getMissionDurationHours(b) - getMissionDurationHours(a) },
+  risk: { label: 'Highest risk', compare: (a, b) => getMissionRiskAssessment(b.risks).score - getMissionRiskAssessment(a.risks).score }
+};
+
+const fieldText = (m, field) => (Array.isArray(m[field]) ? m[field].join(' ') : (m[field] || '')).toString().toLowerCase();
+
+// Mission objects are replaced on every save, so caching by object never goes stale
+const searchTextCache = new WeakMap();
+const getMissionSearchText = (m) => {
+  if (!searchTextCache.has(m)) searchTextCache.set(m, SEARCH_TEXT_FIELDS.map(f => fieldText(m, f)).join('\n'));
+  return searchTextCache.get(m);
+};
+
+// "pilot:smith lobster" -> [{ field: 'pilot', value: 'smith' }, { field: null, value: 'lobster' }]
+const parseSearchQuery = (query) => [...(query || '').matchAll(/(?:(\w+):)?(?:"([^"]*)"|(\S+))/g)]
+  .map(([, field, quoted, bare]) => {
+    const key = field && SEARCH_FIELDS[field.toLowerCase()] ? field.toLowerCase() : null;
+    const value = ((key || !field ? '' : `${field}:`) + (quoted !== undefined ? quoted : bare)).toLowerCase();
+    return { field: key, value };
+  })
+  .filter(term => term.value);
+
+const hasNavCanAuthorization = (m) => !!(m.navCanFile || (m.navCanRef || '').trim());
+
+const isMissionFilterActive = (filter) => Object.keys(EMPTY_MISSION_FILTER).some(k => filter[k]);
+
+const matchesMissionFilter = (m, filter) => {
+  const day = m.start ? m.start.slice(0, 10) : '';
+  if (filter.from && (!day || day < filter.from)) return false;
+  if (filter.to && (!day || day > filter.to)) return false;
+  if (filter.pilot && m.pilot !== filter.pilot && !(m.additionalPilots || []).includes(filter.pilot)) return false;
+  if (filter.rpas && !(m.rpas || []).includes(filter.rpas)) return false;
+  if (filter.type && m.type !== filter.type) return false;
+  if (filter.opCategory && m.opCategory !== filter.opCategory) return false;
+  if (filter.workElement && !(m.workElements || []).includes(filter.workElement)) return false;
+  if (filter.airspace && m.airspace !== filter.airspace) return false;
+  if (filter.riskBand && (getMissionRiskAssessment(m.risks).band || 'None') !== filter.riskBand) return false;
+  if (filter.navCan && hasNavCanAuthorization(m) !== (filter.navCan === 'yes')) return false;
+  return parseSearchQuery(filter.text).every(({ field, value }) => (field
+    ? SEARCH_FIELDS[field].some(f => fieldText(m, f).includes(value))
+    : getMissionSearchText(m).includes(value)));
+};
+
+// Choices for the filter dropdowns, taken from what has actually been recorded
+const getMissionFilterOptions = (missions) => {
+  const collect = (getValues) => [...new Set(missions.flatMap(getValues).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  return {
+    pilot: collect(m => [m.pilot, ...(m.additionalPilots || [])]),
+    rpas: collect(m => m.rpas || []),
+    type: collect(m => [m.type]),
+    opCategory: collect(m => [m.opCategory]),
+    workElement: collect(m => m.workElements || []),
+    airspace: collect(m => [m.airspace])
+  };
+};
+
+/**
+ * --- RPAS AIRFRAME REGISTRY ---
+ */
+
+const MAINTENANCE_TYPES = ['Inspection', 'Scheduled Maintenance', 'Repair', 'Component Replacement', 'Firmware Update'];
+const MAINTENANCE_WARNING_HOURS = 5;
+const MAINTENANCE_WARNING_DAYS = 14;
+const DEFAULT_BATTERY_MAX_CYCLES = 200;
+
+const getAircraftLabel = (a) => a.registration ? `${a.model} (${a.registration})` : a.model;
+
+const isMissionOnAircraft = (m, a) => {
+  if (Array.isArray(m.aircraftIds) && m.aircraftIds.length > 0) return m.aircraftIds.includes(a.id);
+  // Missions logged before the registry existed only carry free-text RPAS names
+  return !!a.registration && (m.rpas || []).some(r => r.includes(a.registration));
+};
+
+// Without legs (or for legs with no aircraft set) the time is booked to every airframe
+// listed on the mission, so hour-based maintenance errs early
+const getAircraftAirtimeHours = (a, missions) => missions
+  .filter(m => isMissionFlown(m) && isMissionOnAircraft(m, a))
+  .reduce((sum, m) => {
+    const legs = getMissionFlights(m);
+    if (legs.length === 0) return sum + getMissionDurationHours(m);
+    return sum + legs
+      .filter(f => !f.aircraftId || f.aircraftId === a.id)
+      .reduce((legSum, f) => legSum + getFlightDurationHours(f), 0);
+  }, 0);
+
+// Each flown leg that names the pack counts as one cycle, on top of the cycles entered by hand
+// for use before it was registered or outside logged flights
+const getBatteryCycles = (a, b, missions) => (b.cycles || 0) + missions
+  .filter(isMissionFlown)
+  .reduce((sum, m) => sum + getMissionFlights(m).filter(f => f.aircraftId === a.id && f.battery === b.label).length, 0);
+
+// Only the most recent log entry of each type drives the next-due alerts
+const getAircraftStatus = (a, missions, now = new Date()) => {
+  const airtime = getAircraftAirtimeHours(a, missions);
+  const alerts = [];
+  const latestByType = {};
+  (a.maintenance || []).forEach(e => {
+    const prev = latestByType[e.type];
+    if (!prev || new Date(e.date) >= new Date(prev.date)) latestByType[e.type] = e;
+  });
+
+  Object.values(latestByType).forEach(e => {
+    if (e.nextDueHours !== '' && e.nextDueHours !== undefined && e.nextDueHours !== null) {
+      const remaining = parseFloat(e.nextDueHours) - airtime;
+      if (remaining <= 0) alerts.push({ level: 'overdue', type: e.type, hours: -remaining });
+      else if (remaining <= MAINTENANCE_WARNING_HOURS) alerts.push({ level: 'due', type: e.type, hours: remaining });
+    }
+    if (e.nextDueDate) {
+      const days = Math.ceil((new Date(e.nextDueDate) - now) / 86400000);
+      if (days < 0) alerts.push({ level: 'overdue', type: e.type, days: -days });
+      else if (days <= MAINTENANCE_WARNING_DAYS) alerts.push({ level: 'due', type: e.type, days });
+    }
+  });
+
+  (a.batteries || []).filter(b => !b.retired).forEach(b => {
+    const maxCycles = parseInt(b.maxCycles) || DEFAULT_BATTERY_MAX_CYCLES;
+    const cycles = getBatteryCycles(a, b, missions);
+    if (cycles >= maxCycles) alerts.push({ level: 'due', type: 'Battery', battery: b.label, cycles });
+  });
+
+  const level = alerts.some(x => x.level === 'overdue') ? 'overdue' : (alerts.length > 0 ? 'due' : 'ok');
+  return { airtime, alerts, level };
+};
+
+const formatMaintenanceAlert = (alert, lang) => {
+  if (alert.type === 'Battery') {
+    return lang === 'fr'
+      ? `Batterie ${alert.battery} : ${alert.cycles} cycles, remplacement à prévoir`
+      : `Battery ${alert.battery}: ${alert.cycles} cycles, due for replacement`;
+  }
+  const what = t(alert.type, lang);
+  if (alert.level === 'overdue') {
+    if (alert.hours !== undefined) return lang === 'fr' ? `${what} en retard de ${formatHours(alert.hours)} h` : `${what} overdue by ${formatHours(alert.hours)} h`;
+    return lang === 'fr' ? `${what} en retard de ${alert.days} jour(s)` : `${what} overdue by ${alert.days} day(s)`;
+  }
+  if (alert.hours !== undefined) return lang === 'fr' ? `${what} dû dans ${formatHours(alert.hours)} h` : `${what} due in ${formatHours(alert.hours)} h`;
+  return lang === 'fr' ? `${what} dû dans ${alert.days} jour(s)` : `${what} due in ${alert.days} day(s)`;
+};
+
+/**
+ * --- PERSONNEL & QUALIFICATIONS ---
+ */
+
+// Missions keep crew as name strings; registry records are matched to them by name
+const CERTIFICATE_LEVELS = ['Basic', 'Advanced', 'Level 1 Complex'];
+// Minimum pilot certificate for each operation category; categories not listed (Microdrone, SFOC) aren't checked here
+const OP_CATEGORY_CERTIFICATE = { 'Basic': 'Basic', 'Advanced': 'Advanced', 'Level 1 Complex': 'Level 1 Complex' };
+const TRAINING_WARNING_DAYS = 30;
+
+const normalizePersonName = (name) => (name || '').trim().toLowerCase();
+
+const findPerson = (personnel, name) => personnel.find(p => normalizePersonName(p.name) === normalizePersonName(name)) || null;
+
+const certificateCovers = (level, opCategory) => {
+  const required = OP_CATEGORY_CERTIFICATE[opCategory];
+  return !required || CERTIFICATE_LEVELS.indexOf(level) >= CERTIFICATE_LEVELS.indexOf(required);
+};
+
+// Getting the certificate or passing a flight review both restart the CARs 901.56 recency clock
+const getCertificateRecencyExpiry = (p) => {
+  const dates = [p.certificateIssued, p.flightReviewDate].filter(Boolean).sort();
+  if (dates.length === 0) return null;
+  const expiry = new Date(`${dates[dates.length - 1]}T00:00`);
+  expiry.setMonth(expiry.getMonth() + RECENCY_MONTHS);
+  return expiry;
+};
+
+// Everything with an end date, each rated expired / due / ok as of `now`
+const getPersonQualifications = (p, now = new Date()) => {
+  const rate = (expiry, warningDays) => {
+    const days = Math.ceil((expiry - now) / 86400000);
+    return { expiry, days, level: days < 0 ? 'expired' : (days <= warningDays ? 'due' : 'ok') };
+  };
+  const items = [];
+  if (p.certificateLevel) {
+    const expiry = getCertificateRecencyExpiry(p);
+    items.push(expiry ? { kind: 'recency', label: 'Pilot certificate recency', ...rate(expiry, RECENCY_WARNING_DAYS) } : { kind: 'recency', label: 'Pilot certificate recency', expiry: null, days: null, level: 'expired' });
+  }
+  (p.training || []).filter(tr => tr.expires).forEach(tr => {
+    items.push({ kind: 'training', label: tr.course, ...rate(new Date(`${tr.expires}T23:59`), TRAINING_WARNING_DAYS) });
+  });
+  return items;
+};
+
+const getPersonStatus = (p, now = new Date()) => {
+  const alerts = getPersonQualifications(p, now).filter(q => q.level !== 'ok');
+  const level = alerts.some(a => a.level === 'expired') ? 'expired' : (alerts.length > 0 ? 'due' : 'ok');
+  return { alerts, level };
+};
+
+const formatQualificationAlert = (alert, lang) => {
+  const what = t(alert.label, lang);
+  if (alert.level === 'unverified') return what;
+  if (alert.days === null) return lang === 'fr' ? `${what} : aucune date de délivrance ni de révision en vol` : `${what}: no issue or flight review date`;
+  if (alert.level === 'expired') return lang === 'fr' ? `${what} expirée depuis ${-alert.days} jour(s)` : `${what} expired ${-alert.days} day(s) ago`;
+  return lang === 'fr' ? `${what} expire dans ${alert.days} jour(s)` : `${what} expires in ${alert.days} day(s)`;
+};
+
+// Checked as of the mission start, so planning ahead catches qualifications that lapse before the flight.
+// A certificate below the operation category blocks the save; expired qualifications only warn,
+// and so does a PIC missing from the registry, whose certificate can't be checked at all.
+const checkCrewQualifications = (mission, personnel) => {
+  const at = mission.start ? new Date(mission.start) : new Date();
+  const errors = [];
+  const warnings = [];
+  const pic = findPerson(personnel, mission.pilot);
+  if (pic && !certificateCovers(pic.certificateLevel, mission.opCategory)) {
+    errors.push({ name: pic.name, certificateLevel: pic.certificateLevel, opCategory: mission.opCategory });
+  }
+  if (!pic && mission.pilot) {
+    warnings.push({ name: mission.pilot, kind: 'unregistered', label: 'Not in the personnel registry - pilot certificate unverified', level: 'unverified', days: null });
+  }
+  const crew = [mission.pilot, ...(mission.additionalPilots || []), ...(mission.cameraOperators || []), ...(mission.observers || []), ...getMissionFlights(mission).map(f => f.pilot)];
+  [...new Set(crew.filter(Boolean).map(normalizePersonName))].forEach(key => {
+    const person = findPerson(personnel, key);
+    if (!person) return;
+    getPersonQualifications(person, at).filter(q => q.level === 'expired').forEach(q => warnings.push({ name: person.name, ...q }));
+  });
+  return { errors, warnings };
+};
+
+const formatCertificateError = ({ name, certificateLevel, opCategory }, lang) => {
+  const level = certificateLevel ? t(certificateLevel, lang) : t('None', lang);
+  return lang === 'fr'
+    ? `${name} : le certificat de pilote (${level}) ne permet pas les opérations ${t(opCategory, lang)}.`
+    : `${name}: pilot certificate (${level}) does not cover ${t(opCategory, lang)} operations.`;
+};
+
+// Dashboard list: every due or expired item across the registry, soonest first
+const getQualificationAlerts = (personnel, now = new Date()) => personnel
+  .flatMap(p => getPersonStatus(p, now).alerts.map(a => ({ ...a, personId: p.id, name: p.name })))
+  .sort((a, b) => (a.days ?? -Infinity) - (b.days ?? -Infinity));
+
+/**
+ * --- MISSION TEMPLATES & DUPLICATES ---
+ */
+
+// What a recurring patrol has in common: crew, equipment, site, approach data and the risk assessment.
+// Times, weather, authorizations, flights and anything signed are always entered fresh.
+const MISSION_TEMPLATE_FIELDS = [
+  'pilot', 'additionalPilots', 'cameraOperators', 'observers', 'rpas', 'aircraftIds', 'payload',
+  'opCategory', 'type', 'workElements', 'location', 'description', 'coords',
+  'airspace', 'airspaceType', 'aerodromesWithin100km', 'distance',
+  'emergencySite', 'approachAlt', 'approachRoute', 'secondaryLat', 'secondaryLng', 'referenceGpsUnit',
+  'risks'
+];
+
+// Per-flight and per-approval data a duplicate must not inherit
+const DUPLICATE_RESET_FIELDS = {
+  flights: [], tracks: [], flightCount: 1,
+  notams: '', navCanRef: '', navCanFile: null,
+  temperature: '', windSpeed: '', windDir: '', visibility: '', weatherText: '', weatherImage: null,
+  preflightCompleted: false, preflightIssues: '', checklist: [],
+  outcomesSummary: '', incidentsMaintenance: '',
+  status: 'draft', statusHistory: [], approval: null, signatures: []
+};
+
+const pickTemplateFields = (m) => JSON.parse(JSON.stringify(Object.fromEntries(MISSION_TEMPLATE_FIELDS.filter(f => m[f] !== undefined).map(f => [f, m[f]]))));
+
+const buildMissionTemplate = (name, mission, existing) => ({
+  id: existing ? existing.id : generateId(),
+  name,
+  fields: pickTemplateFields(mission),
+  created: existing ? existing.created : new Date().toISOString(),
+  updated: new Date().toISOString()
+});
+
+// Starts now and keeps the planned length of the original
+const buildDuplicateMission = (m) => {
+  const { id, created, updatedAt, priorVersions, rev, ...rest } = m;
+  const minutes = m.start && m.end ? Math.round((new Date(m.end) - new Date(m.start)) / 60000) : 0;
+  const start = getCurrentLocalTime();
+  return { ...JSON.parse(JSON.stringify(rest)), ...DUPLICATE_RESET_FIELDS, start, end: addMinutes(start, minutes > 0 ? minutes : 30) };
+};
+
+/**
+ * --- PRE-FLIGHT CHECKLISTS ---
+ */
+
+// [item, mandatory] per section; seeds the default template on first run
+const DEFAULT_CHECKLIST_SECTIONS = [
+  { title: 'Site Survey', items: [
+    ['Site survey completed (obstacles, people, boundaries)', true],
+    ['Take-off / landing area clear and secured', true],
+    ['Emergency landing site identified', true],
+    ['Airspace class, aerodromes and NOTAMs reviewed', true],
+    ['Weather within aircraft limits', true]
+  ] },
+  { title: 'Aircraft', items: [
+    ['Airframe, arms and motors inspected, no damage', true],
+    ['Propellers undamaged and secure', true],
+    ['Payload / gimbal secured, lens clean', false],
+    ['No maintenance overdue on this airframe', true],
+    ['Compass / IMU calibrated if required', false],
+    ['Home point and return-to-home altitude set', true]
+  ] },
+  { title: 'Batteries', items: [
+    ['Flight batteries charged and seated', true],
+    ['No swelling, damage or cell imbalance', true],
+    ['Spare batteries charged and stowed', false]
+  ] },
+  { title: 'Controller', items: [
+    ['Controller and display device charged', true],
+    ['Link established, signal and GNSS lock good', true],
+    ['Flight mode and failsafe (RTH) settings verified', true],
+    ['Altitude and distance limits set', false]
+  ] },
+  { title: 'Communications', items: [
+    ['Crew radio / phone check completed', true],
+    ['ATC authorization or aerodrome contact made, if required', false],
+    ['Emergency contacts and frequencies on hand', true]
+  ] },
+  { title: 'Crew Briefing', items: [
+    ['Roles assigned (PIC, visual observer, payload operator)', true],
+    ['Mission objectives and flight plan briefed', true],
+    ['Emergency and lost-link procedures briefed', true],
+    ['Crew fit for duty', true]
+  ] }
+];
+
+const buildDefaultChecklistTemplate = () => ({
+  id: generateId(),
+  name: 'Standard Pre-Flight',
+  rpasModels: [],
+  opCategories: [],
+  sections: DEFAULT_CHECKLIST_SECTIONS.map(s => ({
+    id: generateId(),
+    title: s.title,
+    items: s.items.map(([text, mandatory]) => ({ id: generateId(), text, mandatory }))
+  })),
+  created: new Date().toISOString()
+});
+
+// A template with no RPAS models or op categories applies to every mission;
+// otherwise it applies when any listed model or category matches
+const getApplicableChecklistTemplates = (templates, mission, aircraft) => {
+  const names = [
+    ...(mission.rpas || []),
+    ...aircraft.filter(a => (mission.aircraftIds || []).includes(a.id)).map(a => a.model)
+  ].map(n => String(n).toLowerCase());
+  return templates.filter(tpl => {
+    const models = tpl.rpasModels || [];
+    const categories = tpl.opCategories || [];
+    if (models.length === 0 && categories.length === 0) return true;
+    return models.some(model => names.some(n => n.includes(model.toLowerCase()))) || categories.includes(mission.opCategory);
+  });
+};
+
+// Missions keep a snapshot of each template so later template edits never rewrite history
+const createMissionChecklist = (tpl) => ({
+  templateId: tpl.id,
+  name: tpl.name,
+  sections: tpl.sections.map(s => ({
+    title: s.title,
+    items: s.items.map(item => ({ id: item.id, text: item.text, mandatory: !!item.mandatory, checked: false, checkedAt: null, initials: '' }))
+  }))
+});
+
+const syncMissionChecklist = (current, applicable) => applicable.map(tpl => (current || []).find(c => c.templateId === tpl.id) || createMissionChecklist(tpl));
+
+const getChecklistItems = (checklist) => (checklist || []).flatMap(c => c.sections.flatMap(s => s.items));
+
+const getChecklistProgress = (checklist) => {
+  const items = getChecklistItems(checklist);
+  return {
+    done: items.filter(i => i.checked).length,
+    total: items.length,
+    missingMandatory: items.filter(i => i.mandatory && !i.checked)
+  };
+};
+
+const getInitials = (name) => (name || '').split(/\s+/).filter(Boolean).map(w => w[0].toUpperCase()).join('').slice(0, 3);
+
+/**
+ * --- OFFLINE MAP ---
+ */
+
+const AERODROME_RING_KM = 100;
+const DEFAULT_MAP_BOUNDS = { west: -69.5, south: 43.2, east: -59.5, north: 48.5 };
+
+// Web Mercator in unit coordinates (0..1), matching most exported map images
+const projectMercator = (lat, lng) => {
+  const clampedLat = Math.max(-85, Math.min(85, lat));
+  const sin = Math.sin(clampedLat * Math.PI / 180);
+  return { x: (lng + 180) / 360, y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI) };
+};
+
+const unprojectMercator = (x, y) => ({
+  lat: (Math.atan(Math.exp((0.5 - y) * 2 * Math.PI)) * 360 / Math.PI) - 90,
+  lng: x * 360 - 180
+});
+
+// Point at a given distance and bearing on the sphere, so range rings are true circles on the ground
+const destinationPoint = (lat, lng, distanceKm, bearingDeg) => {
+  const R = 6371;
+  const d = distanceKm / R;
+  const brng = bearingDeg * Math.PI / 180;
+  const lat1 = lat * Math.PI / 180;
+  const lng1 = lng * Math.PI / 180;
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng));
+  const lng2 = lng1 + Math.atan2(Math.sin(brng) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+  return { lat: lat2 * 180 / Math.PI, lng: lng2 * 180 / Math.PI };
+};
+
+const getGeoCircle = (lat, lng, radiusKm, steps = 72) => Array.from({ length: steps + 1 }, (_, i) => destinationPoint(lat, lng, radiusKm, (i * 360) / steps));
+
+// Legacy "Name (CODE) - freq - [lat, lng]" aerodrome strings (old saved lists and backups)
+const parseAerodromeInfo = (aeroStr) => {
+  // The code is the last parenthesised group, so names like "Halifax (IWK) Heliport" survive
+  const match = aeroStr.match(/^(.*)\(([^()]*)\)\s*-\s*(.*?)\s*-\s*\[(.*?),\s*(.*?)\]$/);
+  if (!match) return null;
+  const [, name, code, freq, latStr, lngStr] = match;
+  return { name: name.trim(), code, freq, latStr, lngStr, lat: parseFloat(latStr), lng: parseFloat(lngStr) };
+};
+
+// Flattens GeoJSON polygons/lines into projected rings with bounding boxes for viewport culling
+const projectGeoJsonRings = (features) => {
+  const rings = [];
+  const addRing = (coords) => {
+    const pts = coords.map(([lng, lat]) => { const p = projectMercator(lat, lng); return [p.x, p.y]; });
+    const xs = pts.map(p => p[0]);
+    const ys = pts.map(p => p[1]);
+    rings.push({ pts, minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) });
+  };
+  features.forEach(f => {
+    const g = f.geometry;
+    if (!g) return;
+    if (g.type === 'Polygon' || g.type === 'MultiLineString') g.coordinates.forEach(addRing);
+    else if (g.type === 'MultiPolygon') g.coordinates.forEach(poly => poly.forEach(addRing));
+    else if (g.type === 'LineString') addRing(g.coordinates);
+  });
+  return rings;
+};
+
+const getMissionMapPoints = (m) => {
+  const lat = parseFloat(m.coords?.lat);
+  const lng = parseFloat(m.coords?.lng);
+  const secLat = parseFloat(m.secondaryLat);
+  const secLng = parseFloat(m.secondaryLng);
+  return {
+    primary: (!isNaN(lat) && !isNaN(lng)) ? { lat, lng } : null,
+    secondary: (!isNaN(secLat) && !isNaN(secLng)) ? { lat: secLat, lng: secLng } : null
+  };
+};
+
+/**
+ * --- AIRSPACE & AERODROME PROXIMITY ---
+ */
+
+const NM_TO_KM = 1.852;
+
+// CARs 901.47(2): keep 3 NM from the centre of an airport and 1 NM from the centre of a heliport
+const AERODROME_KINDS = {
+  airport: { label: 'Airport', thresholdNm: 3 },
+  heliport: { label: 'Heliport', thresholdNm: 1 }
+};
+
+const ZONE_TYPES = {
+  controlZone: { label: 'Control Zone', airspaceType: 'Controlled', level: 'danger', rank: 2 },
+  classF: { label: 'Class F Special Use', airspaceType: 'Restricted', level: 'danger', rank: 3 },
+  park: { label: 'Park / Protected Area', airspaceType: null, level: 'warning', rank: 0 },
+  other: { label: 'Other Restriction', airspaceType: null, level: 'warning', rank: 0 }
+};
+
+// Tower-controlled aerodromes among the seeded defaults; editable in the registry
+const DEFAULT_CONTROLLED_AERODROMES = {
+  CYHZ: 'Class C', CYYT: 'Class C', CYFC: 'Class D', CYQM: 'Class D', CYSJ: 'Class D', CYQY: 'Class D',
+  CYZX: 'Class D', CYAW: 'Class D', CYYG: 'Class D', CYQX: 'Class D', CYYR: 'Class D'
+};
+
+// Converts a legacy "Name (CODE) - freq - [lat, lng]" saved-list entry into a registry record
+const aerodromeFromInfo = (aeroStr) => {
+  const parsed = parseAerodromeInfo(aeroStr);
+  if (!parsed || isNaN(parsed.lat) || isNaN(parsed.lng)) return null;
+  const airspaceClass = DEFAULT_CONTROLLED_AERODROMES[parsed.code] || '';
+  return {
+    id: generateId(),
+    name: parsed.name,
+    code: parsed.code,
+    kind: /heliport/i.test(parsed.name) ? 'heliport' : 'airport',
+    freq: parsed.freq,
+    lat: parsed.lat,
+    lng: parsed.lng,
+    controlled: !!airspaceClass,
+    airspaceClass,
+    created: new Date().toISOString()
+  };
+};
+
+const buildDefaultAerodromes = (infoList) => (Array.isArray(infoList) && infoList.length > 0 ? infoList : DEFAULT_AERODROMES_INFO)
+  .map(aerodromeFromInfo).filter(Boolean);
+
+// Ray casting on raw lng/lat, which is accurate enough at control-zone and park scale
+const isPointInRing = (lat, lng, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+const isPointInPolygon = (lat, lng, rings) => isPointInRing(lat, lng, rings[0]) && !rings.slice(1).some(hole => isPointInRing(lat, lng, hole));
+
+const isPointInZone = (lat, lng, zone) => (zone.features || []).some(f => {
+  const g = f.geometry;
+  if (g.type === 'Polygon') return isPointInPolygon(lat, lng, g.coordinates);
+  if (g.type === 'MultiPolygon') return g.coordinates.some(poly => isPointInPolygon(lat, lng, poly));
+  return false;
+});
+
+// Only polygons are kept; points and lines have no area to be inside of
+const parseZoneGeoJSON = (text) => {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features : data.type === 'Feature' ? [data] : [{ type: 'Feature', properties: {}, geometry: data }];
+  return (features || [])
+    .filter(f => f && f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'))
+    .map(f => ({ type: 'Feature', properties: { name: f.properties?.name || f.properties?.NAME || '' }, geometry: f.geometry }));
+};
+
+const parseKMLCoordinates = (text) => text.trim().split(/\s+/)
+  .map(c => c.split(',').map(Number))
+  .filter(c => c.length >= 2 && !isNaN(c[0]) && !isNaN(c[1]))
+  .map(([lng, lat]) => [lng, lat]);
+
+const parseZoneKML = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Invalid KML file');
+  return Array.from(doc.getElementsByTagName('Placemark')).map(pm => {
+    const name = pm.getElementsByTagName('name')[0]?.textContent.trim() || '';
+    const polygons = Array.from(pm.getElementsByTagName('Polygon')).map(poly => {
+      const ringsIn = (tag) => Array.from(poly.getElementsByTagName(tag))
+        .map(b => parseKMLCoordinates(b.getElementsByTagName('coordinates')[0]?.textContent || ''));
+      return [...ringsIn('outerBoundaryIs'), ...ringsIn('innerBoundaryIs')].filter(r => r.length >= 3);
+    }).filter(rings => rings.length > 0);
+    if (polygons.length === 0) return null;
+    const geometry = polygons.length === 1 ? { type: 'Polygon', coordinates: polygons[0] } : { type: 'MultiPolygon', coordinates: polygons };
+    return { type: 'Feature', properties: { name }, geometry };
+  }).filter(Boolean);
+};
+
+const parseZoneFile = (name, buffer) => {
+  const lower = name.toLowerCase();
+  const bytes = new Uint8Array(buffer);
+  let features;
+  if (lower.endsWith('.kmz')) {
+    const files = unzipSync(bytes);
+    const kmlName = Object.keys(files).find(f => f.toLowerCase().endsWith('.kml'));
+    if (!kmlName) throw new Error('No KML document inside KMZ');
+    features = parseZoneKML(strFromU8(files[kmlName]));
+  } else if (lower.endsWith('.kml')) {
+    features = parseZoneKML(strFromU8(bytes));
+  } else {
+    features = parseZoneGeoJSON(strFromU8(bytes));
+  }
+  if (features.length === 0) throw new Error('No polygons found');
+  return features;
+};
+
+// Checks a point against the aerodrome registry and imported zones. Returns warnings
+// (most severe first), aerodromes within listing range, and the airspace the point most
+// likely sits in: Class F beats a control zone, which beats a controlled aerodrome's 3 NM.
+const checkAirspaceProximity = (lat, lng, aerodromes, zones) => {
+  const warnings = [];
+  const nearby = [];
+  let best = { rank: 0, airspace: 'Class G', airspaceType: 'Uncontrolled' };
+
+  (aerodromes || []).forEach(a => {
+    const distKm = getDistanceFromLatLonInKm(lat, lng, a.lat, a.lng);
+    if (distKm <= AERODROME_RING_KM) nearby.push({ aero: a, distKm });
+    const thresholdNm = (AERODROME_KINDS[a.kind] || AERODROME_KINDS.airport).thresholdNm;
+    if (distKm > thresholdNm * NM_TO_KM) return;
+    warnings.push({ type: 'aerodrome', level: a.controlled ? 'danger' : 'warning', aero: a, thresholdNm, distNm: distKm / NM_TO_KM });
+    if (a.controlled && best.rank < 1) best = { rank: 1, airspace: a.airspaceClass || best.airspace, airspaceType: 'Controlled' };
+  });
+
+  (zones || []).forEach(z => {
+    if (!isPointInZone(lat, lng, z)) return;
+    const def = ZONE_TYPES[z.zoneType] || ZONE_TYPES.other;
+    warnings.push({ type: 'zone', level: def.level, zone: z });
+    if (def.airspaceType && def.rank > best.rank) {
+      best = { rank: def.rank, airspace: z.airspaceClass || (z.zoneType === 'classF' ? 'Class F' : best.airspace), airspaceType: def.airspaceType };
+    }
+  });
+
+  warnings.sort((a, b) => (a.level === b.level ? 0 : a.level === 'danger' ? -1 : 1));
+  nearby.sort((a, b) => a.distKm - b.distKm);
+  return { warnings, nearby, airspace: best.airspace, airspaceType: best.airspaceType };
+};
+
+const formatProximityWarning = (w, lang) => {
+  const fr = lang === 'fr';
+  if (w.type === 'aerodrome') {
+    const where = fr
+      ? `À moins de ${w.thresholdNm} NM de ${w.aero.code} (${w.distNm.toFixed(1)} NM)`
+      : `Inside ${w.thresholdNm} NM of ${w.aero.code} (${w.distNm.toFixed(1)} NM)`;
+    if (w.aero.controlled) return `${where} — ${fr ? 'autorisation de NAV CANADA requise' : 'NAV CANADA authorization required'}`;
+    return `${where} — ${fr ? "suivre la procédure établie pour l'aérodrome (RAC 901.47)" : 'follow established aerodrome procedures (CARs 901.47)'}`;
+  }
+  const name = w.zone.name;
+  if (w.zone.zoneType === 'controlZone') return fr ? `Dans la zone de contrôle ${name} — autorisation de NAV CANADA requise` : `Inside ${name} control zone — NAV CANADA authorization required`;
+  if (w.zone.zoneType === 'classF') return fr ? `Dans l'espace de classe F ${name} — vérifier l'activation et obtenir l'accord de l'organisme utilisateur` : `Inside Class F ${name} — check activation and obtain user agency approval`;
+  if (w.zone.zoneType === 'park') return fr ? `Dans ${name} — permission de l'autorité du parc requise` : `Inside ${name} — park authority permission required`;
+  return fr ? `Dans ${name} — vérifier les restrictions` : `Inside ${name} — check restrictions`;
+};
+
+const formatNearbyAerodrome = ({ aero, distKm }) => `${aero.name} (${aero.code}) - ${aero.freq} MHz - GPS: ${aero.lat}, ${aero.lng} (${distKm.toFixed(1)}km)`;
+
+// --- GIS EXPORTS (KML / KMZ / GeoJSON) ---
+const escapeXML = (str) => String(str ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+const joinList = (val) => Array.isArray(val) ? val.join('; ') : (val || '');
+
+// Stable, untranslated attribute keys so GIS layers join cleanly across exports
+const getMissionGisProperties = (m, lang) => ({
+  missionId: m.id,
+  location: m.location || '',
+  start: formatDateTime24h(m.start),
+  end: formatDateTime24h(m.end),
+  pilot: m.pilot || '',
+  additionalPilots: joinList(m.additionalPilots),
+  cameraOperators: joinList(m.cameraOperators),
+  observers: joinList(m.observers),
+  rpas: joinList(m.rpas),
+  payload: joinList(m.payload),
+  opCategory: m.opCategory || '',
+  missionType: m.type || '',
+  workElements: joinList(m.workElements),
+  flights: getMissionFlightCount(m),
+  flightTimeHours: formatHours(getMissionDurationHours(m)),
+  distanceKm: m.distance || '',
+  airspace: m.airspace || '',
+  airspaceType: m.airspaceType || '',
+  navCanRef: m.navCanRef || '',
+  riskSummary: formatRiskSummary(m.risks, lang),
+  description: m.description || ''
+});
+
+// Aerodromes within range of at least one exported mission
+const getNearbyAerodromes = (missions, aerodromes) => {
+  const points = missions.map(m => getMissionMapPoints(m).primary).filter(Boolean);
+  return aerodromes.filter(a => points.some(p => getDistanceFromLatLonInKm(p.lat, p.lng, a.lat, a.lng) <= AERODROME_RING_KM));
+};
+
+const kmlPlacemark = (name, styleUrl, geometry, props = {}) => {
+  const rows = Object.entries(props).map(([k, v]) => `<Data name="${escapeXML(k)}"><value>${escapeXML(v)}</value></Data>`).join('');
+  return `<Placemark><name>${escapeXML(name)}</name><styleUrl>#${styleUrl}</styleUrl>${rows ? `<ExtendedData>${rows}</ExtendedData>` : ''}${geometry}</Placemark>`;
+};
+
+const kmlPoint = (lat, lng) => `<Point><coordinates>${lng},${lat},0</coordinates></Point>`;
+
+const buildKML = (missions, aerodromes, lang) => {
+  const missionMarks = [];
+  const secondaryMarks = [];
+  const trackMarks = [];
+  missions.forEach(m => {
+    const { primary, secondary } = getMissionMapPoints(m);
+    const props = getMissionGisProperties(m, lang);
+    const title = `${m.location || t('Unknown Location', lang)} - ${formatDateTime24h(m.start)}`;
+    if (primary) missionMarks.push(kmlPlacemark(title, 'mission', kmlPoint(primary.lat, primary.lng), props));
+    if (secondary) secondaryMarks.push(kmlPlacemark(`${title} (${t('Ref GPS', lang)})`, 'secondary', kmlPoint(secondary.lat, secondary.lng), { missionId: m.id, referenceGpsUnit: m.referenceGpsUnit || '' }));
+    (m.tracks || []).forEach(tr => {
+      const coords = tr.points.map(([lat, lng, alt]) => `${lng},${lat},${alt ?? 0}`).join(' ');
+      trackMarks.push(kmlPlacemark(`${title} - ${tr.name}`, 'track', `<LineString><tessellate>1</tessellate><altitudeMode>relativeToGround</altitudeMode><coordinates>${coords}</coordinates></LineString>`, {
+        missionId: m.id, source: tr.source, start: formatDateTime24h(tr.start), durationMin: tr.durationMin, maxAltitudeM: tr.maxAltitude ?? '', maxDistanceKm: tr.maxDistanceKm
+      }));
+    });
+  });
+  const aeroMarks = getNearbyAerodromes(missions, aerodromes).map(a => kmlPlacemark(`${a.name} (${a.code})`, 'aerodrome', kmlPoint(a.lat, a.lng), { code: a.code, kind: a.kind, frequency: a.freq, airspaceClass: a.airspaceClass || '' }));
+
+  const folder = (name, marks) => `<Folder><name>${escapeXML(name)}</name>${marks.join('\n')}</Folder>`;
+  const style = (id, inner) => `<Style id="${id}">${inner}</Style>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+<name>${escapeXML(t("DFO RPAS Flight Log", lang))} ${new Date().toISOString().slice(0, 10)}</name>
+${style('mission', '<IconStyle><color>ff2c7804</color><Icon><href>http://maps.google.com/mapfiles/kml/paddle/grn-circle.png</href></Icon></IconStyle>')}
+${style('secondary', '<IconStyle><color>ffeb6325</color><scale>0.7</scale><Icon><href>http://maps.google.com/mapfiles/kml/paddle/blu-circle.png</href></Icon></IconStyle>')}
+${style('aerodrome', '<IconStyle><color>ffed3a7c</color><Icon><href>http://maps.google.com/mapfiles/kml/shapes/airports.png</href></Icon></IconStyle>')}
+${style('track', '<LineStyle><color>ff0c58ea</color><width>3</width></LineStyle>')}
+${folder(t("Missions", lang), missionMarks)}
+${folder(t("Secondary GPS", lang), secondaryMarks)}
+${folder(t("Flight Tracks", lang), trackMarks)}
+${folder(t("Nearby Aerodromes", lang), aeroMarks)}
+</Document>
+</kml>`;
+};
+
+const exportToKML = (missions, aerodromes, lang, asKmz = false) => {
+  if (!missions || missions.length === 0) {
+    alert(lang === 'fr' ? "Aucune mission à exporter." : "No missions to export.");
+    return;
+  }
+  const kml = buildKML(missions, aerodromes, lang);
+  const date = new Date().toISOString().slice(0, 10);
+  if (asKmz) {
+    const zipped = zipSync({ 'doc.kml': strToU8(kml) });
+    downloadBlob(new Blob([zipped], { type: 'application/vnd.google-earth.kmz' }), `dfo_missions_${date}.kmz`);
+  } else {
+    downloadBlob(new Blob([kml], { type: 'application/vnd.google-earth.kml+xml;charset=utf-8;' }), `dfo_missions_${date}.kml`);
+  }
+};
+
+const buildGeoJSON = (missions, aerodromes, lang) => {
+  const features = [];
+  missions.forEach(m => {
+    const { primary, secondary } = getMissionMapPoints(m);
+    const props = getMissionGisProperties(m, lang);
+    if (primary) features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: [primary.lng, primary.lat] }, properties: { layer: 'mission', ...props } });
+    if (secondary) features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: [secondary.lng, secondary.lat] }, properties: { layer: 'secondary', missionId: m.id, referenceGpsUnit: m.referenceGpsUnit || '' } });
+    (m.tracks || []).forEach(tr => features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: tr.points.map(([lat, lng, alt]) => alt !== null && alt !== undefined ? [lng, lat, alt] : [lng, lat]) },
+      properties: { layer: 'track', missionId: m.id, name: tr.name, source: tr.source, start: tr.start, end: tr.end, durationMin: tr.durationMin, maxAltitudeM: tr.maxAltitude, maxDistanceKm: tr.maxDistanceKm }
+    }));
+    features.push(...getSketchGeoFeatures(m.sketchVector, { missionId: m.id }));
+  });
+  getNearbyAerodromes(missions, aerodromes).forEach(a => features.push({
+    type: 'Feature', geometry: { type: 'Point', coordinates: [a.lng, a.lat] }, properties: { layer: 'aerodrome', name: a.name, code: a.code, kind: a.kind, frequency: a.freq, airspaceClass: a.airspaceClass || '' }
+  }));
+  return { type: 'FeatureCollection', features };
+};
+
+const exportToGeoJSON = (missions, aerodromes, lang) => {
+  if (!missions || missions.length === 0) {
+    alert(lang === 'fr' ? "Aucune mission à exporter." : "No missions to export.");
+    return;
+  }
+  const blob = new Blob([JSON.stringify(buildGeoJSON(missions, aerodromes, lang), null, 2)], { type: 'application/geo+json' });
+  downloadBlob(blob, `dfo_missions_${new Date().toISOString().slice(0, 10)}.geojson`);
+};
+
+const DEFAULT_LISTS = {
+  rpas: ['Mavic 2 Enterprise', 'Matrice 300', 'Mini 3 Pro'],
+  pilots: ['Officer Smith', 'Officer Jones'],
+  additionalPilots: [],
+  cameraOperators: [],
+  payload: ['Visual', 'Thermal', 'LiDAR'],
+  opCategories: ['Microdrone', 'Basic', 'Advanced', 'Level 1 Complex', 'SFOC'],
+  observers: ['None'],
+  types: ['Training', 'Enforcement', 'Search & Rescue', 'Habitat Survey'],
+  workElements: ['Striped Bass', 'Salmon', 'Lobster', 'Snow Crab', 'Ice Fishing', 'Habitat', 'Groundfish', 'Trout'],
+  locations: [],
+  airspaces: ['Class G', 'Class F', 'Class C', 'Class D', 'Class E'],
+  airspaceTypes: ['Uncontrolled', 'Controlled', 'Restricted'],
+  referenceGpsUnits: [],
+  approachAlts: [],
+  emergencySites: [],
+  descriptions: [],
+  preflightIssuesList: [],
+  riskDescriptions: [],
+  riskMitigations: [],
+  riskHazards: [
+    'Presence of people', 'Proximity to built-up area', 'Proximity to obstacles',
+    'Proximity to protected birds or animals', 'Proximity to air traffic',
+    'Operation in control zones', 'Airspace restriction (F zone)', 'Risk of radio interference',
+    'Proximity to magnetic fields', 'Environment with sand or dust in suspension',
+    'Proximity to glass buildings', 'Strong wind condition', 'Very cold weather',
+    'Heat wave condition (heat stress)', 'Municipal restriction', 'Risk of intrusion into privacy',
+    'Proximity of pyrotechnic', 'Drone not contrasted with the horizon', 'Any other risk'
+  ],
+  approvers: ['Philip Bouma', 'Ulysse Brideau']
+};
+
+// Seed data for the aerodrome registry; also the format older backups stored aerodromes in
+const DEFAULT_AERODROMES_INFO = [
+  'Fredericton Int\'l (CYFC) - 119.5 - [45.8688, -66.5372]',
+  'Moncton / Roméo LeBlanc Int\'l (CYQM) - 120.8 - [46.1122, -64.6786]',
+  'Saint John (CYSJ) - 118.5 - [45.3161, -65.8902]',
+  'Bathurst (CYBF) - 122.3 - [47.6297, -65.7388]',
+  'Miramichi (CYCH) - 122.8 - [46.9736, -65.4491]',
+  'Charlo (CYCL) - 122.8 - [47.9905, -66.3302]',
+  'Grand Manan (CYGK) - 122.8 - [44.7108, -66.7944]',
+  'St. Stephen (CYSQ) - 122.8 - [45.2058, -67.2497]',
+  'Sussex (CCY3) - 122.8 - [45.6936, -65.5455]',
+  'Woodstock (CCQ3) - 122.8 - [46.1488, -67.5458]',
+  'Edmundston (CCY5) - 122.8 - [47.4575, -68.3241]',
+  'Florenceville (CCZ3) - 122.8 - [46.4252, -67.6258]',
+  'Bouctouche (CDA5) - 122.8 - [46.4380, -64.6975]',
+  'Havelock (CCS5) - 122.8 - [45.9861, -65.3166]',
+  'Brockway (CCX3) - 122.8 - [45.5700, -67.0983]',
+  'Weyman (CCG3) - 122.8 - [46.0469, -66.8530]',
+  'Saint John Reg Hospital Heliport (CSN6) - 122.8 - [45.3061, -66.0847]',
+  'Moncton Hospital Heliport (CHC9) - 122.8 - [46.1044, -64.7950]',
+  'Shediac Bridge (CSB5) - 122.8 - [46.2411, -64.5555]',
+  'Halifax Stanfield Int\'l (CYHZ) - 118.7 - [44.8808, -63.5086]',
+  'Sydney / J.A. Douglas McCurdy (CYQY) - 118.7 - [46.1613, -60.0477]',
+  'Yarmouth (CYQI) - 122.3 - [43.8272, -66.0019]',
+  'Greenwood (CYZX) - 119.5 - [44.9844, -64.9169]',
+  'Shearwater Heliport (CYAW) - 118.1 - [44.6397, -63.4994]',
+  'Debert (CCQ3) - 122.8 - [45.4180, -63.4608]',
+  'Digby (CYID) - 122.8 - [44.5383, -65.7888]',
+  'Port Hawkesbury (CYPD) - 122.8 - [45.6200, -61.3663]',
+  'Trenton (CYTN) - 122.8 - [45.6111, -62.6225]',
+  'Waterville / Kings County (CCW3) - 122.8 - [45.0538, -64.8016]',
+  'Fox Harbour (CFH4) - 122.8 - [45.8683, -63.4625]',
+  'Margaree (CCZ4) - 122.8 - [46.3392, -60.9805]',
+  'Thorburn (CCZ5) - 122.8 - [45.5666, -62.5983]',
+  'South Noel Road (CSN5) - 122.8 - [45.2411, -63.7547]',
+  'Finlay (CFI4) - 122.8 - [45.8450, -63.6394]',
+  'Halifax (QE II Hosp) Heliport (CHQE) - 122.8 - [44.6444, -63.5855]',
+  'Halifax (IWK) Heliport (CHI2) - 122.8 - [44.6397, -63.5841]',
+  'Kentville (Camp Aldershot) Heliport (CKV4) - 122.8 - [45.0938, -64.5097]',
+  'Charlottetown (CYYG) - 118.0 - [46.2897, -63.1211]',
+  'Summerside (CYSU) - 122.3 - [46.4427, -63.8344]',
+  'Cable Head (CCA3) - 122.8 - [46.4527, -62.5694]',
+  'Charlottetown (Queen Elizabeth Hosp) Heliport (CDV3) - 122.8 - [46.2461, -63.1097]',
+  'Summerside (Prince County Hosp) Heliport (CCH6) - 122.8 - [46.4116, -63.7844]',
+  'St. John\'s Int\'l (CYYT) - 120.6 - [47.6186, -52.7519]',
+  'Gander Int\'l (CYQX) - 118.1 - [48.9369, -54.5680]',
+  'Deer Lake (CYDF) - 122.3 - [49.2108, -57.3913]',
+  'Stephenville (CYJT) - 122.8 - [48.5441, -58.5499]',
+  'Wabush (CYWK) - 122.1 - [52.9219, -66.8644]',
+  'Goose Bay (CYYR) - 119.4 - [53.3191, -60.4258]',
+  'St. Anthony (CYAY) - 122.8 - [51.3919, -56.0830]',
+  'Churchill Falls (CZUM) - 122.8 - [53.5622, -64.0152]',
+  'Nain (CYDP) - 122.8 - [56.5466, -61.6811]',
+  'Hopedale (CYHO) - 122.8 - [55.4483, -60.2286]',
+  'Makkovik (CYFT) - 122.8 - [55.0763, -59.1866]',
+  'Cartwright (CYCA) - 122.8 - [53.6827, -57.0422]',
+  'Mary\'s Harbour (CYMH) - 122.8 - [52.3025, -55.8483]',
+  'Natuashish (CNH2) - 122.8 - [55.9133, -60.8294]',
+  'Postville (CCD4) - 122.8 - [54.9103, -59.7850]',
+  'Port Hope Simpson (CCX4) - 122.8 - [52.5275, -56.2881]',
+  'Rigolet (CCZ2) - 122.8 - [54.3275, -58.4578]',
+  'Black Tickle (CCE4) - 122.8 - [53.4681, -53.5822]',
+  'Charlottetown (NL) (CCH4) - 122.8 - [52.7661, -56.1158]',
+  'Fogo (CDY3) - 122.8 - [49.6952, -54.2394]',
+  'Winterland (CCC2) - 122.8 - [47.1352, -55.3283]',
+  'Springdale (CCD2) - 122.8 - [49.4838, -56.1802]',
+  'St. John\'s (Health Sciences Centre) Heliport (CCK2) - 122.8 - [47.5738, -52.7441]',
+  'Clarenville (CCV3) - 122.8 - [48.1750, -53.9261]'
+];
+
+// Saved-list keys and their display names
+const LIST_LABELS = {
+  locations: "Locations / Site Names",
+  pilots: "Pilots In Command",
+  additionalPilots: "Additional Pilots",
+  cameraOperators: "Camera Operators",
+  observers: "Observers",
+  rpas: "RPAS Models & Reg",
+  payload: "Payloads",
+  opCategories: "Operation Categories",
+  types: "Mission Types",
+  workElements: "Work Elements",
+  airspaces: "Airspace Classes",
+  airspaceTypes: "Airspace Types",
+  referenceGpsUnits: "Reference GPS Units",
+  approachAlts: "Approach Altitudes",
+  emergencySites: "Emergency Landing Sites",
+  descriptions: "Descriptions / Objectives",
+  preflightIssuesList: "Pre-Flight Issues / Incidents",
+  riskDescriptions: "Risk Descriptions",
+  riskMitigations: "Risk Mitigations",
+  riskHazards: "Risk Hazards",
+  approvers: "Approvers / Supervisors"
+};
+
+/**
+ * --- VECTOR SKETCH ---
+ */
+
+// Sketches are kept as editable objects in a fixed drawing space (sketchVector on the
+// mission); m.sketch still holds a rendered PNG for cards, print and reports.
+const SKETCH_WIDTH = 800;
+const SKETCH_HEIGHT = 450;
+const SKETCH_COLORS = ['#dc2626', '#2563eb', '#000000'];
+
+const SKETCH_SYMBOLS = {
+  launch: { label: 'Launch Point', glyph: 'L', color: '#047857' },
+  landing: { label: 'Landing Zone', glyph: 'H', color: '#2563eb' },
+  observer: { label: 'Observer Position', glyph: 'O', color: '#7c3aed' },
+  hazard: { label: 'Hazard', glyph: '!', color: '#d97706' }
+};
+
+const emptySketch = (background = null) => ({ version: 1, width: SKETCH_WIDTH, height: SKETCH_HEIGHT, background, georef: null, objects: [] });
+
+// Missions drawn before vector sketches only have the PNG, which becomes the background
+const getMissionSketch = (m) => m.sketchVector || emptySketch(m.sketch || null);
+
+// Two reference points fix scale, rotation and offset from the drawing onto Web Mercator
+// (a similarity transform, done with complex arithmetic: z' = a * z + b)
+const getSketchGeoTransform = (georef) => {
+  if (!georef || !georef.points || georef.points.length < 2) return null;
+  const [p1, p2] = georef.points;
+  const m1 = projectMercator(p1.lat, p1.lng);
+  const m2 = projectMercator(p2.lat, p2.lng);
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const denom = dx * dx + dy * dy;
+  if (!denom || (m1.x === m2.x && m1.y === m2.y)) return null;
+  const ux = m2.x - m1.x;
+  const uy = m2.y - m1.y;
+  const a = (ux * dx + uy * dy) / denom;
+  const b = (uy * dx - ux * dy) / denom;
+  return {
+    toLatLng: (x, y) => {
+      const rx = x - p1.x;
+      const ry = y - p1.y;
+      return unprojectMercator(m1.x + a * rx - b * ry, m1.y + b * rx + a * ry);
+    }
+  };
+};
+
+const getPathLengthM = (latLngs) => latLngs.slice(1).reduce((sum, p, i) => sum + getDistanceFromLatLonInKm(latLngs[i].lat, latLngs[i].lng, p.lat, p.lng) * 1000, 0);
+
+// Shoelace formula on a local equirectangular projection; accurate enough at mission scale
+const getPolygonAreaM2 = (latLngs) => {
+  const R = 6371000;
+  const lat0 = (latLngs.reduce((s, p) => s + p.lat, 0) / latLngs.length) * Math.PI / 180;
+  const pts = latLngs.map(p => [p.lng * Math.PI / 180 * R * Math.cos(lat0), p.lat * Math.PI / 180 * R]);
+  return Math.abs(pts.reduce((s, [x, y], i) => {
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    return s + x * y2 - x2 * y;
+  }, 0)) / 2;
+};
+
+const getSketchMeasurement = (obj, transform) => {
+  if (!transform) return null;
+  const latLngs = obj.points.map(([x, y]) => transform.toLatLng(x, y));
+  if (obj.type === 'stroke' || obj.type === 'arrow') return { lengthM: getPathLengthM(latLngs) };
+  if (obj.type === 'polygon' && latLngs.length >= 3) return { areaM2: getPolygonAreaM2(latLngs), perimeterM: getPathLengthM([...latLngs, latLngs[0]]) };
+  return null;
+};
+
+const formatDistanceM = (m) => (m >= 1000 ? `${(m / 1000).toFixed(2)} km` : `${Math.round(m)} m`);
+const formatAreaM2 = (a) => (a >= 10000 ? `${(a / 10000).toFixed(2)} ha` : `${Math.round(a)} m²`);
+const formatSketchMeasurement = (meas) => {
+  if (!meas) return '';
+  return meas.areaM2 !== undefined ? `${formatAreaM2(meas.areaM2)} / ${formatDistanceM(meas.perimeterM)}` : formatDistanceM(meas.lengthM);
+};
+
+// Georeferenced sketch objects as GeoJSON features (nothing without a georeference)
+const getSketchGeoFeatures = (sketch, props = {}) => {
+  const transform = getSketchGeoTransform(sketch && sketch.georef);
+  if (!transform) return [];
+  return sketch.objects.map(obj => {
+    const coords = obj.points.map(([x, y]) => {
+      const p = transform.toLatLng(x, y);
+      return [p.lng, p.lat];
+    });
+    const geometry = obj.type === 'polygon' ? { type: 'Polygon', coordinates: [[...coords, coords[0]]] }
+      : (obj.type === 'stroke' || obj.type === 'arrow') ? { type: 'LineString', coordinates: coords }
+      : { type: 'Point', coordinates: coords[0] };
+    const kind = obj.type === 'symbol' ? obj.symbol : obj.type === 'polygon' ? obj.kind : obj.type;
+    return { type: 'Feature', geometry, properties: { layer: 'sketch', ...props, kind, label: obj.text || '', color: obj.color || '', ...getSketchMeasurement(obj, transform) } };
+  });
+};
+
+const getSketchCentroid = (points) => [
+  points.reduce((s, p) => s + p[0], 0) / points.length,
+  points.reduce((s, p) => s + p[1], 0) / points.length
+];
+
+const distanceToSegment = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len = dx * dx + dy * dy;
+  const u = len ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len)) : 0;
+  return Math.hypot(px - (ax + u * dx), py - (ay + u * dy));
+};
+
+// Topmost object under a point, in drawing coordinates
+const hitTestSketch = (objects, point) => [...objects].reverse().find(obj => {
+  if (obj.type === 'text' || obj.type === 'symbol') return Math.hypot(obj.points[0][0] - point[0], obj.points[0][1] - point[1]) < 20;
+  if (obj.type === 'polygon' && isPointInRing(point[1], point[0], obj.points)) return true;
+  const pts = obj.type === 'polygon' ? [...obj.points, obj.points[0]] : obj.points;
+  return pts.slice(1).some((p, i) => distanceToSegment(point, pts[i], p) < 10);
+});
+
+const drawSketchLabel = (ctx, text, x, y, color = '#0f172a') => {
+  ctx.font = 'bold 14px sans-serif';
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = '#ffffff';
+  ctx.strokeText(text, x, y);
+  ctx.fillStyle = color;
+  ctx.fillText(text, x, y);
+};
+
+// Renders a sketch onto a SKETCH_WIDTH x SKETCH_HEIGHT canvas; background is a loaded Image
+const drawSketch = (ctx, sketch, background, selectedId = null) => {
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, SKETCH_WIDTH, SKETCH_HEIGHT);
+  if (background) {
+    const scale = Math.min(SKETCH_WIDTH / background.width, SKETCH_HEIGHT / background.height);
+    ctx.drawImage(background, (SKETCH_WIDTH - background.width * scale) / 2, (SKETCH_HEIGHT - background.height * scale) / 2, background.width * scale, background.height * scale);
+  }
+  const transform = getSketchGeoTransform(sketch.georef);
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  sketch.objects.forEach(obj => {
+    const pts = obj.points;
+    ctx.setLineDash([]);
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = obj.color || '#dc2626';
+    if (obj.type === 'stroke' || obj.type === 'arrow' || obj.type === 'polygon') {
+      ctx.beginPath();
+      pts.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      if (obj.type === 'polygon') {
+        if (obj.kind === 'nofly') {
+          ctx.strokeStyle = '#dc2626';
+          ctx.setLineDash([10, 6]);
+        }
+        if (!obj.draft) ctx.closePath();
+        ctx.fillStyle = obj.kind === 'nofly' ? 'rgba(220, 38, 38, 0.25)' : `${obj.color || '#dc2626'}33`;
+        if (!obj.draft) ctx.fill();
+      }
+      ctx.stroke();
+      if (obj.type === 'arrow' && pts.length === 2) {
+        const [[x1, y1], [x2, y2]] = pts;
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        ctx.beginPath();
+        ctx.moveTo(x2, y2);
+        ctx.lineTo(x2 - 16 * Math.cos(angle - Math.PI / 7), y2 - 16 * Math.sin(angle - Math.PI / 7));
+        ctx.lineTo(x2 - 16 * Math.cos(angle + Math.PI / 7), y2 - 16 * Math.sin(angle + Math.PI / 7));
+        ctx.closePath();
+        ctx.fillStyle = obj.color || '#dc2626';
+        ctx.fill();
+      }
+      if (obj.type === 'polygon' && obj.kind === 'nofly' && !obj.draft) drawSketchLabel(ctx, 'NO-FLY', ...getSketchCentroid(pts), '#dc2626');
+    } else if (obj.type === 'text') {
+      drawSketchLabel(ctx, obj.text, pts[0][0], pts[0][1], obj.color);
+    } else if (obj.type === 'symbol') {
+      const sym = SKETCH_SYMBOLS[obj.symbol] || SKETCH_SYMBOLS.hazard;
+      ctx.beginPath();
+      ctx.arc(pts[0][0], pts[0][1], 13, 0, Math.PI * 2);
+      ctx.fillStyle = sym.color;
+      ctx.fill();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = '#ffffff';
+      ctx.stroke();
+      ctx.font = 'bold 14px sans-serif';
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(sym.glyph, pts[0][0], pts[0][1] + 1);
+    }
+
+    const measurement = !obj.draft && formatSketchMeasurement(getSketchMeasurement(obj, transform));
+    if (measurement) {
+      const [lx, ly] = obj.type === 'polygon' ? getSketchCentroid(pts) : pts[pts.length - 1];
+      drawSketchLabel(ctx, measurement, lx, ly + (obj.type === 'polygon' && obj.kind === 'nofly' ? 18 : -14));
+    }
+
+    if (obj.id === selectedId) {
+      const xs = pts.map(p => p[0]);
+      const ys = pts.map(p => p[1]);
+      ctx.setLineDash([4, 4]);
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = '#0ea5e9';
+      ctx.strokeRect(Math.min(...xs) - 16, Math.min(...ys) - 16, Math.max(...xs) - Math.min(...xs) + 32, Math.max(...ys) - Math.min(...ys) + 32);
+      ctx.setLineDash([]);
+    }
+  });
+
+  (sketch.georef?.points || []).forEach((p, i) => {
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#0f172a';
+    ctx.beginPath();
+    ctx.moveTo(p.x - 8, p.y);
+    ctx.lineTo(p.x + 8, p.y);
+    ctx.moveTo(p.x, p.y - 8);
+    ctx.lineTo(p.x, p.y + 8);
+    ctx.stroke();
+    drawSketchLabel(ctx, `${i + 1}`, p.x + 12, p.y - 10);
+  });
+};
+
+// The PNG saved alongside the vectors (null for an empty sketch)
+const renderSketchPNG = (sketch, background) => {
+  if (!background && sketch.objects.length === 0) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = SKETCH_WIDTH;
+  canvas.height = SKETCH_HEIGHT;
+  drawSketch(canvas.getContext('2d'), sketch, background);
+  return canvas.toDataURL('image/png');
+};
+
+/**
+ * --- COMPONENTS ---
+ */
+
+// -- SAVED LISTS MANAGER VIEW --
+const SavedListsView = ({ lists, onUpdateBulkLists, onDeleteItem, onBack, lang }) => {
+  const [selectedList, setSelectedList] = useState(null);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editValue, setEditValue] = useState('');
+  const [newValue, setNewValue] = useState('');
+
+  const LIST_NAMES = Object.fromEntries(Object.entries(LIST_LABELS).map(([key, label]) => [key, t(label, lang)]));
+
+  if (selectedList === null) {
+     return (
+       <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+         <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+           <button onClick={onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+           <h2 className="text-lg font-bold tracking-wide">{t("SAVED LISTS MANAGER", lang)}</h2>
+         </div>
+         <div className="flex-1 overflow-y-auto p-4 pb-24 grid grid-cols-1 sm:grid-cols-2 gap-3">
+           {Object.entries(LIST_NAMES).map(([key, label]) => (
+             <button key={key} onClick={() => setSelectedList(key)} className="bg-white p-4 rounded-md shadow-sm border border-slate-200 text-left hover:bg-emerald-50 transition-colors flex justify-between items-center group">
+               <span className="font-bold text-slate-700 group-hover:text-emerald-800">{label}</span>
+               <span className="text-xs bg-slate-100 text-slate-500 px-2 py-1 rounded-full group-hover:bg-emerald-100 group-hover:text-emerald-700">{(lists[key] || []).length}</span>
+             </button>
+           ))}
+         </div>
+       </div>
+     )
+  }
+
+  const currentItems = lists[selectedList] || [];
+
+  return (
+     <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+         <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+           <button onClick={() => setSelectedList(null)} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+           <h2 className="text-lg font-bold tracking-wide uppercase truncate">{LIST_NAMES[selectedList]}</h2>
+         </div>
+         <div className="flex-1 overflow-y-auto p-4 pb-32 space-y-3">
+            {currentItems.length === 0 && <p className="text-center text-slate-500 italic mt-10">{t("This list is currently empty.", lang)}</p>}
+            {currentItems.map((item, idx) => (
+               <div key={idx} className="bg-white p-3 rounded-md shadow-sm border border-slate-200 flex items-start justify-between gap-3">
+                  {editingIndex === idx ? (
+                     <div className="flex-1 flex gap-2">
+                       <textarea className="flex-1 p-2 border border-emerald-500 rounded text-sm w-full outline-none" rows={3} value={editValue} onChange={e => setEditValue(e.target.value)} />
+                       <div className="flex flex-col gap-2 shrink-0">
+                         <button onClick={() => {
+                            const newLists = {...lists};
+                            newLists[selectedList][idx] = editValue;
+                            onUpdateBulkLists(newLists);
+                            setEditingIndex(null);
+                         }} className="bg-emerald-600 text-white px-3 py-2 rounded text-xs font-bold">{t("SAVE", lang)}</button>
+                         <button onClick={() => setEditingIndex(null)} className="bg-slate-200 text-slate-700 px-3 py-2 rounded text-xs font-bold">{t("CANCEL", lang)}</button>
+                       </div>
+                     </div>
+                  ) : (
+                     <>
+                       <span className="text-sm text-slate-800 flex-1 break-words whitespace-pre-wrap leading-relaxed">{item}</span>
+                       <div className="flex items-center gap-1 shrink-0">
+                          <button onClick={() => { setEditingIndex(idx); setEditValue(item); }} className="p-2 text-slate-400 hover:text-blue-600 bg-slate-50 rounded"><Edit2 className="h-4 w-4" /></button>
+                          <button onClick={() => {
+                             if(confirm(t('Move this item to the recycle bin?', lang))) onDeleteItem(selectedList, item);
+                          }} className="p-2 text-slate-400 hover:text-red-600 bg-slate-50 rounded"><Trash2 className="h-4 w-4" /></button>
+                       </div>
+                     </>
+                  )}
+               </div>
+            ))}
+         </div>
+         <div className="fixed bottom-0 left-0 right-0 bg-slate-200 border-t border-slate-300 z-20" style={{ padding: '1rem', paddingBottom: 'calc(1rem + env(safe-area-inset-bottom))' }}>
+            <div className="max-w-3xl mx-auto flex gap-2">
+               <textarea className="flex-1 border border-slate-300 p-3 rounded-md text-sm outline-none focus:ring-2 focus:ring-emerald-500 bg-white" rows={2} placeholder={t("Add new item...", lang)} value={newValue} onChange={e => setNewValue(e.target.value)} />
+               <button onClick={() => {
+                  if(newValue.trim()==='') return;
+                  const newLists = {...lists};
+                  if(!newLists[selectedList]) newLists[selectedList] = [];
+                  newLists[selectedList].push(newValue.trim());
+                  onUpdateBulkLists(newLists);
+                  setNewValue('');
+               }} className="bg-emerald-700 hover:bg-emerald-800 text-white px-5 rounded-md font-bold flex items-center justify-center transition-colors shadow-md"><Plus className="h-6 w-6" /></button>
+            </div>
+         </div>
+     </div>
+  );
+};
+
+
+// -- PILOT LOGBOOK VIEW --
+const CURRENCY_BADGE = {
+  current: 'bg-emerald-100 text-emerald-800',
+  due: 'bg-amber-100 text-amber-800',
+  lapsed: 'bg-red-100 text-red-700'
+};
+
+const PilotLogbookView = ({ missions, onBack, lang }) => {
+  const [selectedPilot, setSelectedPilot] = useState(null);
+  const logbooks = buildPilotLogbooks(missions);
+  const book = logbooks.find(b => b.name === selectedPilot);
+
+  if (!book) {
+    return (
+      <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+        <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+          <button onClick={onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+          <h2 className="text-lg font-bold tracking-wide">{t("PILOT LOGBOOK", lang)}</h2>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-3">
+          {logbooks.length === 0 && <p className="text-center text-slate-500 italic mt-10">{t("No mission data found.", lang)}</p>}
+          {logbooks.map(b => {
+            const currency = getPilotCurrency(b.lastFlown);
+            return (
+              <button key={b.name} onClick={() => setSelectedPilot(b.name)} className="w-full bg-white p-4 rounded-md shadow-sm border border-slate-200 text-left hover:bg-emerald-50 transition-colors">
+                <div className="flex justify-between items-start gap-2">
+                  <span className="font-bold text-slate-800">{b.name}</span>
+                  <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${CURRENCY_BADGE[currency.status]}`}>{t(currency.label, lang)}</span>
+                </div>
+                <div className="text-xs text-slate-500 mt-2 flex flex-wrap gap-x-4 gap-y-1">
+                  <span>{formatHours(b.totalHours)} h</span>
+                  <span>{b.flights} {t("Flights", lang)}</span>
+                  <span>{b.missions} {t("Missions", lang)}</span>
+                  <span>{t("Last Flown", lang)}: {formatDateTime24h(b.lastFlown)}</span>
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  const currency = getPilotCurrency(book.lastFlown);
+  const breakdownTable = (title, data) => (
+    <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm">
+      <h3 className="text-xs font-bold text-slate-500 uppercase mb-2">{t(title, lang)}</h3>
+      <table className="w-full text-sm">
+        <tbody>
+          {Object.entries(data).sort((a, b) => b[1] - a[1]).map(([k, hours]) => (
+            <tr key={k} className="border-t border-slate-100">
+              <td className="py-1 text-slate-700">{t(k, lang)}</td>
+              <td className="py-1 text-right font-mono text-slate-800">{formatHours(hours)} h</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md gap-3">
+        <div className="flex items-center gap-3 min-w-0">
+          <button onClick={() => setSelectedPilot(null)} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+          <h2 className="text-lg font-bold tracking-wide uppercase truncate">{book.name}</h2>
+        </div>
+        <button onClick={() => exportPilotLogbookCSV(book, lang)} className="bg-white text-emerald-900 px-3 py-2 rounded text-xs font-bold flex items-center gap-1 shrink-0"><Download className="h-4 w-4" /> CSV</button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-4">
+        <div className={`p-3 rounded-md text-sm font-bold ${CURRENCY_BADGE[currency.status]}`}>
+          {t("Recency Status", lang)}: {t(currency.label, lang)}
+          {currency.expiry && <span className="block text-xs font-normal mt-1">{t("Recency expires", lang)}: {formatDateTime24h(currency.expiry)}</span>}
+        </div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          {[
+            ["Total Flight Time (h)", formatHours(book.totalHours)],
+            ["PIC Time (h)", formatHours(book.picHours)],
+            ["Flights", book.flights],
+            ["Missions", book.missions]
+          ].map(([label, value]) => (
+            <div key={label} className="bg-white p-3 rounded-md border border-slate-200 shadow-sm text-center">
+              <div className="text-xl font-bold text-emerald-800">{value}</div>
+              <div className="text-[10px] font-bold text-slate-500 uppercase">{t(label, lang)}</div>
+            </div>
+          ))}
+        </div>
+        {breakdownTable("Time by Operation Category", book.byOpCategory)}
+        {breakdownTable("Time by RPAS", book.byRpas)}
+        <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm">
+          <h3 className="text-xs font-bold text-slate-500 uppercase mb-2">{t("Recorded Missions", lang)}</h3>
+          <div className="space-y-2">
+            {book.entries.map(({ mission: m, role, hours, flights }) => (
+              <div key={m.id} className="text-sm border-t border-slate-100 pt-2 flex justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="font-medium text-slate-800 truncate">{m.location || t('N/A', lang)}</div>
+                  <div className="text-xs text-slate-500">{formatDateTime24h(m.start)} · {t(role, lang)} · {m.opCategory || t('N/A', lang)}</div>
+                </div>
+                <div className="text-right text-xs font-mono text-slate-700 shrink-0">{formatHours(hours)} h<br />{flights} {t("Flights", lang)}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// -- FLEET STATISTICS VIEW --
+const StatsBars = ({ rows, valueKey, format, colorFor, lang }) => {
+  const max = Math.max(0, ...rows.map(r => r[valueKey]));
+  return (
+    <div className="space-y-1">
+      {rows.map(r => (
+        <div key={r.label} className="flex items-center gap-2 text-xs">
+          <span className="w-28 shrink-0 truncate text-slate-700" title={t(r.label, lang)}>{t(r.label, lang)}</span>
+          <div className="flex-1 bg-slate-100 rounded h-4">
+            <div className={`h-4 rounded ${colorFor ? colorFor(r) : 'bg-emerald-600'}`} style={{ width: `${max > 0 ? (r[valueKey] / max) * 100 : 0}%` }} />
+          </div>
+          <span className="w-14 shrink-0 text-right font-mono text-slate-800">{format(r[valueKey])}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Column chart of flight hours per month, drawn as plain SVG so it prints and scales
+const StatsTrendChart = ({ rows }) => {
+  const width = 600;
+  const height = 180;
+  const pad = { top: 10, right: 10, bottom: 30, left: 36 };
+  const max = Math.max(1, ...rows.map(r => r.hours));
+  const slot = (width - pad.left - pad.right) / Math.max(rows.length, 1);
+  const y = (v) => pad.top + (height - pad.top - pad.bottom) * (1 - v / max);
+  const ticks = [0, max / 2, max];
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+      {ticks.map(v => (
+        <g key={v}>
+          <line x1={pad.left} x2={width - pad.right} y1={y(v)} y2={y(v)} stroke="#e2e8f0" />
+          <text x={pad.left - 4} y={y(v) + 3} textAnchor="end" fontSize="10" fill="#64748b">{formatHours(v)}</text>
+        </g>
+      ))}
+      {rows.map((r, i) => (
+        <g key={r.label}>
+          <rect x={pad.left + i * slot + slot * 0.15} width={slot * 0.7} y={y(r.hours)} height={y(0) - y(r.hours)} fill="#047857"><title>{`${r.label}: ${formatHours(r.hours)} h`}</title></rect>
+          {(rows.length <= 12 || i % Math.ceil(rows.length / 12) === 0) && <text x={pad.left + i * slot + slot / 2} y={height - 12} textAnchor="middle" fontSize="10" fill="#475569">{r.label}</text>}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+const FleetStatsView = ({ missions, onBack, lang }) => {
+  const [range, setRange] = useState({ ...getQuarterRange(new Date()), region: '', flownOnly: true });
+  const filtered = filterMissionsForStats(missions, range);
+  const stats = buildFleetStats(filtered);
+  const locations = [...new Set(missions.map(m => m.location).filter(Boolean))].sort();
+  const now = new Date();
+  const presets = [
+    ['This Quarter', getQuarterRange(now)],
+    ['Last Quarter', getQuarterRange(now, -1)],
+    ['Year to Date', { from: `${now.getFullYear()}-01-01`, to: toDateInputValue(now) }],
+    ['All Time', { from: '', to: '' }]
+  ];
+  const breakdownHeaders = ['Missions', 'Flights', 'Flight Time (h)'];
+  const breakdownRows = (rows) => rows.map(r => [t(r.label, lang), r.missions, formatHours(r.flights), formatHours(r.hours)]);
+
+  const card = (title, onExport, children) => (
+    <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-3">
+      <div className="flex justify-between items-center gap-2">
+        <h3 className="text-xs font-bold text-slate-500 uppercase">{t(title, lang)}</h3>
+        <button onClick={onExport} className="text-xs font-bold text-emerald-700 flex items-center gap-1 shrink-0"><Download className="h-3 w-3" /> CSV</button>
+      </div>
+      {children}
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+        <button onClick={onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+        <h2 className="text-lg font-bold tracking-wide">{t("FLEET STATISTICS", lang)}</h2>
+      </div>
+      <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-4">
+        <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-3">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {presets.map(([label, preset]) => (
+              <button key={label} onClick={() => setRange({ ...range, ...preset })} className={`py-2 rounded text-xs font-bold border ${range.from === preset.from && range.to === preset.to ? 'bg-emerald-700 text-white border-emerald-700' : 'bg-slate-50 text-slate-700 border-slate-200'}`}>{t(label, lang)}</button>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t("From", lang)}</label>
+              <input type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} className="w-full p-2 border border-slate-300 rounded text-sm" />
+            </div>
+            <div>
+              <label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t("To", lang)}</label>
+              <input type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} className="w-full p-2 border border-slate-300 rounded text-sm" />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t("Region", lang)}</label>
+            <input list="stats-locations" value={range.region} placeholder={t("All locations", lang)} onChange={(e) => setRange({ ...range, region: e.target.value })} className="w-full p-2 border border-slate-300 rounded text-sm" />
+            <datalist id="stats-locations">{locations.map(l => <option key={l} value={l} />)}</datalist>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-slate-700">
+            <input type="checkbox" className="w-4 h-4 accent-emerald-700" checked={range.flownOnly} onChange={(e) => setRange({ ...range, flownOnly: e.target.checked })} />
+            {t("Only flown and closed missions", lang)}
+          </label>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3">
+          {[["Missions", stats.totals.missions], ["Flights", stats.totals.flights], ["Flight Time (h)", formatHours(stats.totals.hours)]].map(([label, value]) => (
+            <div key={label} className="bg-white p-3 rounded-md border border-slate-200 shadow-sm text-center">
+              <div className="text-xl font-bold text-emerald-800">{value}</div>
+              <div className="text-[10px] font-bold text-slate-500 uppercase">{t(label, lang)}</div>
+            </div>
+          ))}
+        </div>
+
+        {filtered.length === 0 ? <p className="text-center text-slate-500 italic mt-10">{t("No mission data found.", lang)}</p> : (
+          <>
+            {card("Flight Hours by Month", () => exportStatsCSV("Flight Hours by Month", ['Month', ...breakdownHeaders], breakdownRows(stats.breakdowns.month), range, lang), (
+              <StatsTrendChart rows={stats.breakdowns.month} />
+            ))}
+
+            {STATS_DIMENSIONS.filter(d => d.key !== 'month').map(d => (
+              <React.Fragment key={d.key}>
+                {card(d.label, () => exportStatsCSV(d.label, [d.label, ...breakdownHeaders], breakdownRows(stats.breakdowns[d.key]), range, lang), (
+                  <>
+                    <StatsBars rows={stats.breakdowns[d.key]} valueKey="hours" format={(v) => `${formatHours(v)} h`} lang={lang} />
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-slate-500"><th className="text-left py-1"></th>{breakdownHeaders.map(h => <th key={h} className="text-right py-1">{t(h, lang)}</th>)}</tr>
+                      </thead>
+                      <tbody>
+                        {stats.breakdowns[d.key].map(r => (
+                          <tr key={r.label} className="border-t border-slate-100">
+                            <td className="py-1 text-slate-700">{t(r.label, lang)}</td>
+                            <td className="py-1 text-right font-mono">{r.missions}</td>
+                            <td className="py-1 text-right font-mono">{formatHours(r.flights)}</td>
+                            <td className="py-1 text-right font-mono">{formatHours(r.hours)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </>
+                ))}
+              </React.Fragment>
+            ))}
+
+            {card("Risk Levels", () => exportStatsCSV("Risk Levels", ['Residual Risk', 'Hazards', 'Missions'], stats.riskBands.map(r => [t(r.label, lang), r.hazards, r.missions]), range, lang), (
+              <>
+                <p className="text-[10px] font-bold text-slate-500 uppercase">{t("Hazards by residual risk", lang)}</p>
+                <StatsBars rows={stats.riskBands.filter(r => r.label !== 'None')} valueKey="hazards" format={(v) => v} colorFor={(r) => RISK_BAND_BADGE[r.label]} lang={lang} />
+                <p className="text-[10px] font-bold text-slate-500 uppercase">{t("Missions by highest residual risk", lang)}</p>
+                <StatsBars rows={stats.riskBands} valueKey="missions" format={(v) => v} colorFor={(r) => RISK_BAND_BADGE[r.label] || 'bg-slate-300'} lang={lang} />
+              </>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// -- RPAS AIRFRAME REGISTRY VIEW --
+const MAINTENANCE_BADGE = {
+  ok: 'bg-emerald-100 text-emerald-800',
+  due: 'bg-amber-100 text-amber-800',
+  overdue: 'bg-red-100 text-red-700'
+};
+
+const EMPTY_MAINTENANCE_ENTRY = { date: '', type: 'Inspection', description: '', performedBy: '', nextDueHours: '', nextDueDate: '' };
+
+const AircraftRegistryView = ({ aircraft, missions, onSaveAircraft, onDeleteAircraft, onBack, lang }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [newEntry, setNewEntry] = useState(EMPTY_MAINTENANCE_ENTRY);
+  const [newBattery, setNewBattery] = useState('');
+
+  const openAircraft = (a) => {
+    setSelectedId(a ? a.id : 'new');
+    setDraft(a ? { ...a } : { id: generateId(), model: '', registration: '', serial: '', firmware: '', notes: '', maintenance: [], batteries: [], created: new Date().toISOString() });
+    setNewEntry({ ...EMPTY_MAINTENANCE_ENTRY, date: getCurrentLocalTime().slice(0, 10) });
+    setNewBattery('');
+  };
+
+  const closeAircraft = () => { setSelectedId(null); setDraft(null); };
+
+  const saveRecord = (record) => {
+    if (!record.model.trim()) {
+      alert(t("Please enter at least the RPAS model.", lang));
+      return false;
+    }
+    setDraft(record);
+    onSaveAircraft(record);
+    if (selectedId === 'new') setSelectedId(record.id);
+    return true;
+  };
+
+  const field = (label, key, placeholder = '') => (
+    <div>
+      <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t(label, lang)}</label>
+      <input type="text" className="w-full p-3 border border-slate-300 rounded-md bg-white" value={draft[key] || ''} placeholder={placeholder} onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))} />
+    </div>
+  );
+
+  if (!draft) {
+    return (
+      <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+        <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md gap-3">
+          <div className="flex items-center gap-3">
+            <button onClick={onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+            <h2 className="text-lg font-bold tracking-wide">{t("AIRCRAFT REGISTRY", lang)}</h2>
+          </div>
+          <button onClick={() => openAircraft(null)} className="bg-white text-emerald-900 px-3 py-2 rounded text-xs font-bold flex items-center gap-1"><Plus className="h-4 w-4" /> {t("ADD", lang)}</button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-3">
+          {aircraft.length === 0 && <p className="text-center text-slate-500 italic mt-10">{t("No aircraft registered.", lang)}</p>}
+          {aircraft.map(a => {
+            const status = getAircraftStatus(a, missions);
+            return (
+              <button key={a.id} onClick={() => openAircraft(a)} className="w-full bg-white p-4 rounded-md shadow-sm border border-slate-200 text-left hover:bg-emerald-50 transition-colors">
+                <div className="flex justify-between items-start gap-2">
+                  <span className="font-bold text-slate-800">{getAircraftLabel(a)}</span>
+                  <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${MAINTENANCE_BADGE[status.level]}`}>{t(status.level === 'ok' ? 'Serviceable' : status.level === 'due' ? 'Due Soon' : 'Overdue', lang)}</span>
+                </div>
+                <div className="text-xs text-slate-500 mt-2 flex flex-wrap gap-x-4 gap-y-1">
+                  <span>S/N: {a.serial || t('N/A', lang)}</span>
+                  <span>{t("Airtime", lang)}: {formatHours(status.airtime)} h</span>
+                  <span>{t("Batteries", lang)}: {(a.batteries || []).filter(b => !b.retired).length}</span>
+                </div>
+                {status.alerts.map((al, i) => <p key={i} className="text-xs text-red-700 mt-1">{formatMaintenanceAlert(al, lang)}</p>)}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  const status = getAircraftStatus(draft, missions);
+  const isNew = selectedId === 'new';
+
+  const addMaintenanceEntry = () => {
+    if (!newEntry.date || !newEntry.description.trim()) {
+      alert(t("Please enter a date and description for the log entry.", lang));
+      return;
+    }
+    const entry = { ...newEntry, id: generateId(), hoursAtService: parseFloat(formatHours(status.airtime)) };
+    if (saveRecord({ ...draft, maintenance: [...(draft.maintenance || []), entry] })) {
+      setNewEntry({ ...EMPTY_MAINTENANCE_ENTRY, date: newEntry.date });
+    }
+  };
+
+  const updateBattery = (id, changes) => saveRecord({ ...draft, batteries: draft.batteries.map(b => b.id === id ? { ...b, ...changes } : b) });
+
+  return (
+    <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md gap-3">
+        <div className="flex items-center gap-3 min-w-0">
+          <button onClick={closeAircraft} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+          <h2 className="text-lg font-bold tracking-wide uppercase truncate">{isNew ? t("NEW AIRCRAFT", lang) : getAircraftLabel(draft)}</h2>
+        </div>
+        {!isNew && (
+          <button onClick={() => {
+            if (confirm(t("Delete this aircraft and its maintenance log?", lang))) {
+              onDeleteAircraft(draft.id);
+              closeAircraft();
+            }
+          }} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><Trash2 className="h-5 w-5" /></button>
+        )}
+      </div>
+      <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-4">
+        <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
+          <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><Crosshair className="h-5 w-5 text-emerald-700" /> {t("AIRFRAME", lang)}</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {field("RPAS Model", 'model', 'Matrice 300')}
+            {field("TC Registration No.", 'registration', 'C-XXXXXXXXXX')}
+            {field("Serial No.", 'serial')}
+            {field("Firmware Version", 'firmware')}
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t("Notes", lang)}</label>
+            <textarea className="w-full p-3 border border-slate-300 rounded-md h-20" value={draft.notes || ''} onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))} />
+          </div>
+          <button onClick={() => saveRecord(draft)} className="w-full py-3 bg-emerald-700 hover:bg-emerald-800 text-white font-bold rounded-md shadow-md flex justify-center items-center gap-2 uppercase tracking-wide text-sm"><Save className="h-5 w-5" /> {t("SAVE", lang)}</button>
+        </div>
+
+        {!isNew && (
+          <>
+            <div className={`p-4 rounded-md text-sm ${MAINTENANCE_BADGE[status.level]}`}>
+              <p className="font-bold">{t("Cumulative Airtime", lang)}: {formatHours(status.airtime)} h</p>
+              {status.alerts.length === 0 ? <p className="text-xs mt-1">{t("No maintenance due.", lang)}</p> : status.alerts.map((al, i) => <p key={i} className="text-xs mt-1 flex items-center gap-1"><AlertTriangle className="h-3 w-3" /> {formatMaintenanceAlert(al, lang)}</p>)}
+            </div>
+
+            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-3">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><FileCheck className="h-5 w-5 text-emerald-700" /> {t("MAINTENANCE / INSPECTION LOG", lang)}</h3>
+              {(draft.maintenance || []).length === 0 && <p className="text-sm italic text-slate-500">{t("No log entries yet.", lang)}</p>}
+              {[...(draft.maintenance || [])].sort((a, b) => new Date(b.date) - new Date(a.date)).map(e => (
+                <div key={e.id} className="text-sm border-t border-slate-100 pt-2 flex justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-medium text-slate-800">{e.date} · {t(e.type, lang)}</div>
+                    <div className="text-slate-600 whitespace-pre-wrap">{e.description}</div>
+                    <div className="text-xs text-slate-500">
+                      {e.performedBy && <span>{e.performedBy} · </span>}
+                      {formatHours(e.hoursAtService)} h
+                      {(e.nextDueHours || e.nextDueDate) && <span> · {t("Next due", lang)}: {[e.nextDueHours && `${e.nextDueHours} h`, e.nextDueDate].filter(Boolean).join(' / ')}</span>}
+                    </div>
+                  </div>
+                  <button onClick={() => {
+                    if (confirm(t('Delete this item?', lang))) saveRecord({ ...draft, maintenance: draft.maintenance.filter(x => x.id !== e.id) });
+                  }} className="p-2 text-slate-400 hover:text-red-600 shrink-0"><Trash2 className="h-4 w-4" /></button>
+                </div>
+              ))}
+              <div className="bg-slate-50 p-3 rounded border border-slate-200 space-y-3">
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t("Date", lang)}</label>
+                    <input type="date" className="w-full p-2 border border-slate-300 rounded text-sm bg-white" value={newEntry.date} onChange={(e) => setNewEntry(prev => ({ ...prev, date: e.target.value }))} />
+                  </div>
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t("Type", lang)}</label>
+                    <select className="w-full p-2 border border-slate-300 rounded text-sm bg-white" value={newEntry.type} onChange={(e) => setNewEntry(prev => ({ ...prev, type: e.target.value }))}>
+                      {MAINTENANCE_TYPES.map(mt => <option key={mt} value={mt}>{t(mt, lang)}</option>)}
+                    </select>
+                  </div>
+                </div>
+                <textarea className="w-full p-2 border border-slate-300 rounded text-sm bg-white" rows={2} placeholder={t("Work performed / findings...", lang)} value={newEntry.description} onChange={(e) => setNewEntry(prev => ({ ...prev, description: e.target.value }))} />
+                <input type="text" className="w-full p-2 border border-slate-300 rounded text-sm bg-white" placeholder={t("Performed by", lang)} value={newEntry.performedBy} onChange={(e) => setNewEntry(prev => ({ ...prev, performedBy: e.target.value }))} />
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t("Next due at airframe hours", lang)}</label>
+                    <input type="number" className="w-full p-2 border border-slate-300 rounded text-sm bg-white" placeholder={formatHours(status.airtime)} value={newEntry.nextDueHours} onChange={(e) => setNewEntry(prev => ({ ...prev, nextDueHours: e.target.value }))} />
+                  </div>
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t("Next due date", lang)}</label>
+                    <input type="date" className="w-full p-2 border border-slate-300 rounded text-sm bg-white" value={newEntry.nextDueDate} onChange={(e) => setNewEntry(prev => ({ ...prev, nextDueDate: e.target.value }))} />
+                  </div>
+                </div>
+                <button onClick={addMaintenanceEntry} className="w-full py-2 bg-emerald-600 hover:bg-emerald-700 text-white font-bold rounded text-xs uppercase flex items-center justify-center gap-1"><Plus className="h-4 w-4" /> {t("Add Log Entry", lang)}</button>
+              </div>
+            </div>
+
+            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-3">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><Activity className="h-5 w-5 text-emerald-700" /> {t("BATTERY PACKS", lang)}</h3>
+              {(draft.batteries || []).length === 0 && <p className="text-sm italic text-slate-500">{t("No batteries recorded.", lang)}</p>}
+              {(draft.batteries || []).map(b => (
+                <div key={b.id} className={`text-sm border-t border-slate-100 pt-2 flex items-center justify-between gap-2 ${b.retired ? 'opacity-50' : ''}`}>
+                  <div className="min-w-0">
+                    <div className="font-medium text-slate-800 truncate">{b.label}{b.retired && ` (${t("Retired", lang)})`}</div>
+                    <div className="text-xs text-slate-500">{getBatteryCycles(draft, b, missions)} / {parseInt(b.maxCycles) || DEFAULT_BATTERY_MAX_CYCLES} {t("cycles", lang)}</div>
+                  </div>
+                  <div className="flex items-center gap-1 shrink-0">
+                    <button disabled={b.retired || !b.cycles} onClick={() => updateBattery(b.id, { cycles: Math.max(0, (b.cycles || 0) - 1) })} className="px-3 py-1 bg-slate-100 rounded font-bold text-slate-700">−</button>
+                    <button disabled={b.retired} onClick={() => updateBattery(b.id, { cycles: (b.cycles || 0) + 1 })} className="px-3 py-1 bg-emerald-100 rounded font-bold text-emerald-800">+</button>
+                    <button onClick={() => updateBattery(b.id, { retired: !b.retired })} className="px-2 py-1 bg-slate-50 border border-slate-200 rounded text-[10px] font-bold uppercase text-slate-600">{t(b.retired ? "Reinstate" : "Retire", lang)}</button>
+                  </div>
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <input type="text" className="flex-1 min-w-0 p-2 border border-slate-300 rounded text-sm bg-white" placeholder={t("Battery ID / serial...", lang)} value={newBattery} onChange={(e) => setNewBattery(e.target.value)} />
+                <button onClick={() => {
+                  if (!newBattery.trim()) return;
+                  if (saveRecord({ ...draft, batteries: [...(draft.batteries || []), { id: generateId(), label: newBattery.trim(), cycles: 0, maxCycles: DEFAULT_BATTERY_MAX_CYCLES, retired: false }] })) setNewBattery('');
+                }} className="bg-emerald-600 hover:bg-emerald-700 text-white px-3 rounded flex items-center justify-center"><Plus className="h-5 w-5" /></button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// -- PERSONNEL REGISTRY VIEW --
+const QUALIFICATION_BADGE = {
+  ok: 'bg-emerald-100 text-emerald-800',
+  due: 'bg-amber-100 text-amber-800',
+  expired: 'bg-red-100 text-red-700'
+};
+
+const EMPTY_TRAINING_ENTRY = { course: '', completed: '', expires: '' };
+
+const PersonnelRegistryView = ({ personnel, lists, initialPersonId, onSavePerson, onDeletePerson, onBack, lang }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [newTraining, setNewTraining] = useState(EMPTY_TRAINING_ENTRY);
+  const courses = [...new Set(personnel.flatMap(p => (p.training || []).map(tr => tr.course)))].sort();
+  // Names already used on missions that have no registry record yet
+  const unregistered = [...new Set([...(lists.pilots || []), ...(lists.additionalPilots || [])])].filter(n => !findPerson(personnel, n)).sort();
+
+  const openPerson = (p, name = '') => {
+    setSelectedId(p ? p.id : 'new');
+    setDraft(p ? { ...p } : { id: generateId(), name, certificateNumber: '', certificateLevel: '', certificateIssued: '', flightReviewDate: '', training: [], notes: '', created: new Date().toISOString() });
+    setNewTraining({ ...EMPTY_TRAINING_ENTRY, completed: getCurrentLocalTime().slice(0, 10) });
+  };
+
+  useEffect(() => {
+    const person = personnel.find(p => p.id === initialPersonId);
+    if (person) openPerson(person);
+  }, [initialPersonId]);
+
+  const closePerson = () => { setSelectedId(null); setDraft(null); };
+
+  const saveRecord = (record) => {
+    if (!record.name.trim()) {
+      alert(t("Please enter a name.", lang));
+      return false;
+    }
+    const duplicate = findPerson(personnel, record.name);
+    if (duplicate && duplicate.id !== record.id) {
+      alert(t("A person with this name is already registered.", lang));
+      return false;
+    }
+    const cleaned = { ...record, name: record.name.trim() };
+    setDraft(cleaned);
+    onSavePerson(cleaned);
+    if (selectedId === 'new') setSelectedId(cleaned.id);
+    return true;
+  };
+
+  const field = (label, key, type = 'text', placeholder = '') => (
+    <div>
+      <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t(label, lang)}</label>
+      <input type={type} className="w-full p-3 border border-slate-300 rounded-md bg-white" value={draft[key] || ''} placeholder={placeholder} onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))} />
+    </div>
+  );
+
+  if (!draft) {
+    return (
+      <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+        <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md gap-3">
+          <div className="flex items-center gap-3">
+            <button onClick={onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+            <h2 className="text-lg font-bold tracking-wide">{t("PERSONNEL REGISTRY", lang)}</h2>
+          </div>
+          <button onClick={() => openPerson(null)} className="bg-white text-emerald-900 px-3 py-2 rounded text-xs font-bold flex items-center gap-1"><Plus className="h-4 w-4" /> {t("ADD", lang)}</button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-3">
+          {personnel.length === 0 && <p className="text-center text-slate-500 italic mt-10">{t("No personnel registered.", lang)}</p>}
+          {personnel.map(p => {
+            const status = getPersonStatus(p);
+            return (
+              <button key={p.id} onClick={() => openPerson(p)} className="w-full bg-white p-4 rounded-md shadow-sm border border-slate-200 text-left hover:bg-emerald-50 transition-colors">
+                <div className="flex justify-between items-start gap-2">
+                  <span className="font-bold text-slate-800">{p.name}</span>
+                  <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${QUALIFICATION_BADGE[status.level]}`}>{t(status.level === 'ok' ? 'Qualified' : status.level === 'due' ? 'Expiring Soon' : 'Expired', lang)}</span>
+                </div>
+                <div className="text-xs text-slate-500 mt-2 flex flex-wrap gap-x-4 gap-y-1">
+                  <span>{t("Certificate", lang)}: {p.certificateLevel ? `${t(p.certificateLevel, lang)}${p.certificateNumber ? ` (${p.certificateNumber})` : ''}` : t('None', lang)}</span>
+                  <span>{t("DFO Training", lang)}: {(p.training || []).length}</span>
+                </div>
+                {status.alerts.map((al, i) => <p key={i} className="text-xs text-red-700 mt-1">{formatQualificationAlert(al, lang)}</p>)}
+              </button>
+            );
+          })}
+          {unregistered.length > 0 && (
+            <div className="bg-white p-4 rounded-md border border-dashed border-slate-300 space-y-2">
+              <p className="text-xs font-bold text-slate-500 uppercase">{t("Pilots on saved lists without a registry record", lang)}</p>
+              <div className="flex flex-wrap gap-2">
+                {unregistered.map(n => <button key={n} onClick={() => openPerson(null, n)} className="text-xs px-2 py-1 rounded border border-slate-300 bg-slate-50 hover:bg-emerald-50 text-slate-700 flex items-center gap-1"><Plus className="h-3 w-3" /> {n}</button>)}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const qualifications = getPersonQualifications(draft);
+  const status = getPersonStatus(draft);
+  const isNew = selectedId === 'new';
+
+  const addTraining = () => {
+    if (!newTraining.course.trim() || !newTraining.completed) {
+      alert(t("Please enter a course and completion date.", lang));
+      return;
+    }
+    if (newTraining.expires && newTraining.expires < newTraining.completed) {
+      alert(t("Expiry must be after the completion date.", lang));
+      return;
+    }
+    if (saveRecord({ ...draft, training: [...(draft.training || []), { ...newTraining, course: newTraining.course.trim(), id: generateId() }] })) {
+      setNewTraining({ ...EMPTY_TRAINING_ENTRY, completed: newTraining.completed });
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md gap-3">
+        <div className="flex items-center gap-3 min-w-0">
+          <button onClick={closePerson} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+          <h2 className="text-lg font-bold tracking-wide uppercase truncate">{isNew ? t("NEW PERSON", lang) : draft.name}</h2>
+        </div>
+        {!isNew && (
+          <button onClick={() => {
+            if (confirm(t("Delete this person and their training records? Missions that name them are not changed.", lang))) {
+              onDeletePerson(draft.id);
+              closePerson();
+            }
+          }} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><Trash2 className="h-5 w-5" /></button>
+        )}
+      </div>
+      <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-4">
+        <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
+          <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><BadgeCheck className="h-5 w-5 text-emerald-700" /> {t("RPAS PILOT CERTIFICATE", lang)}</h3>
+          {field("Name", 'name')}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {field("Certificate No.", 'certificateNumber', 'text', 'PA-XXXXXXXXXX')}
+            <div>
+              <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t("Certificate Level", lang)}</label>
+              <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={draft.certificateLevel || ''} onChange={(e) => setDraft(prev => ({ ...prev, certificateLevel: e.target.value }))}>
+                <option value="">{t("None (crew member only)", lang)}</option>
+                {CERTIFICATE_LEVELS.map(l => <option key={l} value={l}>{t(l, lang)}</option>)}
+              </select>
+            </div>
+            {field("Issue Date", 'certificateIssued', 'date')}
+            {field("Flight Review Date", 'flightReviewDate', 'date')}
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t("Notes", lang)}</label>
+            <textarea className="w-full p-3 border border-slate-300 rounded-md h-20" value={draft.notes || ''} onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))} />
+          </div>
+          <button onClick={() => saveRecord(draft)} className="w-full py-3 bg-emerald-700 hover:bg-emerald-800 text-white font-bold rounded-md shadow-md flex justify-center items-center gap-2 uppercase tracking-wide text-sm"><Save className="h-5 w-5" /> {t("SAVE", lang)}</button>
+        </div>
+
+        {!isNew && (
+          <>
+            <div className={`p-4 rounded-md text-sm ${QUALIFICATION_BADGE[status.level]}`}>
+              {qualifications.length === 0 && <p className="text-xs">{t("No dated qualifications recorded.", lang)}</p>}
+              {qualifications.map((q, i) => (
+                <p key={i} className="text-xs mt-1 flex items-center gap-1">
+                  {q.level !== 'ok' && <AlertTriangle className="h-3 w-3" />}
+                  {q.level === 'ok' ? `${t(q.label, lang)}: ${t('valid until', lang)} ${q.expiry.toISOString().slice(0, 10)}` : formatQualificationAlert(q, lang)}
+                </p>
+              ))}
+            </div>
+
+            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-3">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><GraduationCap className="h-5 w-5 text-emerald-700" /> {t("DFO TRAINING RECORDS", lang)}</h3>
+              {(draft.training || []).length === 0 && <p className="text-sm italic text-slate-500">{t("No training recorded.", lang)}</p>}
+              {[...(draft.training || [])].sort((a, b) => b.completed.localeCompare(a.completed)).map(tr => (
+                <div key={tr.id} className="text-sm border-t border-slate-100 pt-2 flex justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-medium text-slate-800">{tr.course}</div>
+                    <div className="text-xs text-slate-500">{t("Completed", lang)} {tr.completed}{tr.expires ? ` · ${t("Expires", lang)} ${tr.expires}` : ` · ${t("No expiry", lang)}`}</div>
+                  </div>
+                  <button onClick={() => {
+                    if (confirm(t('Delete this item?', lang))) saveRecord({ ...draft, training: draft.training.filter(x => x.id !== tr.id) });
+                  }} className="p-2 text-slate-400 hover:text-red-600 shrink-0"><Trash2 className="h-4 w-4" /></button>
+                </div>
+              ))}
+              <div className="bg-slate-50 p-3 rounded border border-slate-200 space-y-3">
+                <input type="text" list="training-courses" className="w-full p-2 border border-slate-300 rounded text-sm bg-white" placeholder={t("Course / qualification...", lang)} value={newTraining.course} onChange={(e) => setNewTraining(prev => ({ ...prev, course: e.target.value }))} />
+                <datalist id="training-courses">{courses.map(c => <option key={c} value={c} />)}</datalist>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t("Completed", lang)}</label>
+                    <input type="date" className="w-full p-2 border border-slate-300 rounded text-sm bg-white" value={newTraining.completed} onChange={(e) => setNewTraining(prev => ({ ...prev, completed: e.target.value }))} />
+                  </div>
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t("Expires", lang)}</label>
+                    <input type="date" className="w-full p-2 border border-slate-300 rounded text-sm bg-white" value={newTraining.expires} onChange={(e) => setNewTraining(prev => ({ ...prev, expires: e.target.value }))} />
+                  </div>
+                </div>
+                <button onClick={addTraining} className="w-full py-2 bg-emerald-600 hover:bg-emerald-700 text-white font-bold rounded text-xs uppercase flex items-center justify-center gap-1"><Plus className="h-4 w-4" /> {t("Add Training Record", lang)}</button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// -- AERODROME & AIRSPACE ZONE REGISTRY VIEW --
+const EMPTY_ZONE_IMPORT = { name: '', zoneType: 'controlZone', airspaceClass: 'Class D', file: null };
+
+const PROXIMITY_BADGE = {
+  danger: 'bg-red-100 text-red-700',
+  warning: 'bg-amber-100 text-amber-800'
+};
+
+const AirspaceRegistryView = ({ aerodromes, airspaceZones, lists, onSaveAerodrome, onDeleteAerodrome, onSaveZone, onDeleteZone, onBack, lang }) => {
+  const [tab, setTab] = useState('aerodromes');
+  const [draft, setDraft] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [zoneImport, setZoneImport] = useState(EMPTY_ZONE_IMPORT);
+
+  const openAerodrome = (a) => setDraft(a ? { ...a, lat: String(a.lat), lng: String(a.lng) } : { id: generateId(), name: '', code: '', kind: 'airport', freq: '', lat: '', lng: '', controlled: false, airspaceClass: '', created: new Date().toISOString(), isNew: true });
+
+  const saveAerodrome = () => {
+    const lat = parseFloat(draft.lat);
+    const lng = parseFloat(draft.lng);
+    if (!draft.name.trim() || !draft.code.trim() || isNaN(lat) || isNaN(lng)) {
+      alert(t("Please enter a name, identifier and valid coordinates.", lang));
+      return;
+    }
+    const { isNew, ...record } = draft;
+    onSaveAerodrome({ ...record, code: record.code.trim().toUpperCase(), lat, lng, airspaceClass: record.controlled ? record.airspaceClass : '' });
+    setDraft(null);
+  };
+
+  const importZone = () => {
+    if (!zoneImport.file) {
+      alert(t("Choose a GeoJSON, KML or KMZ file.", lang));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      let features;
+      try {
+        features = parseZoneFile(zoneImport.file.name, event.target.result);
+      } catch (err) {
+        alert((lang === 'fr' ? "Impossible de lire la zone : " : "Could not read zone file: ") + err.message);
+        return;
+      }
+      const fallbackName = features[0].properties.name || zoneImport.file.name.replace(/\.[^.]+$/, '');
+      onSaveZone({
+        id: generateId(),
+        name: zoneImport.name.trim() || fallbackName,
+        zoneType: zoneImport.zoneType,
+        airspaceClass: ZONE_TYPES[zoneImport.zoneType].airspaceType ? zoneImport.airspaceClass : '',
+        features,
+        created: new Date().toISOString()
+      });
+      setZoneImport(EMPTY_ZONE_IMPORT);
+    };
+    reader.readAsArrayBuffer(zoneImport.file);
+  };
+
+  const field = (label, key, placeholder = '') => (
+    <div>
+      <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t(label, lang)}</label>
+      <input type="text" className="w-full p-3 border border-slate-300 rounded-md bg-white" value={draft[key] || ''} placeholder={placeholder} onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))} />
+    </div>
+  );
+
+  const classSelect = (value, onChange) => (
+    <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={value} onChange={(e) => onChange(e.target.value)}>
+      {(lists.airspaces || []).map(c => <option key={c} value={c}>{c}</option>)}
+    </select>
+  );
+
+  const shownAerodromes = [...aerodromes]
+    .filter(a => !filter || `${a.name} ${a.code}`.toLowerCase().includes(filter.toLowerCase()))
+    .sort((a, b) => a.code.localeCompare(b.code));
+
+  return (
+    <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md gap-3">
+        <div className="flex items-center gap-3">
+          <button onClick={draft ? () => setDraft(null) : onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+          <h2 className="text-lg font-bold tracking-wide">{t("AERODROMES & AIRSPACE", lang)}</h2>
+        </div>
+        {tab === 'aerodromes' && !draft && (
+          <button onClick={() => openAerodrome(null)} className="bg-white text-emerald-900 px-3 py-2 rounded text-xs font-bold flex items-center gap-1"><Plus className="h-4 w-4" /> {t("ADD", lang)}</button>
+        )}
+      </div>
+
+      {!draft && (
+        <div className="grid grid-cols-2 bg-white border-b border-slate-200 text-xs font-bold uppercase">
+          {[['aerodromes', 'Aerodromes'], ['zones', 'Airspace Zones']].map(([key, label]) => (
+            <button key={key} onClick={() => setTab(key)} className={`py-3 ${tab === key ? 'text-emerald-800 border-b-2 border-emerald-700' : 'text-slate-500'}`}>{t(label, lang)}</button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-3">
+        {draft ? (
+          <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {field("Name", 'name', 'Fredericton Int\'l')}
+              {field("Identifier", 'code', 'CYFC')}
+              <div>
+                <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t("Type", lang)}</label>
+                <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={draft.kind} onChange={(e) => setDraft(prev => ({ ...prev, kind: e.target.value }))}>
+                  {Object.entries(AERODROME_KINDS).map(([key, k]) => <option key={key} value={key}>{t(k.label, lang)} ({k.thresholdNm} NM)</option>)}
+                </select>
+              </div>
+              {field("Frequency (MHz)", 'freq', '122.8')}
+              {field("Latitude", 'lat', '45.8688')}
+              {field("Longitude", 'lng', '-66.5372')}
+            </div>
+            <label className="flex items-center gap-2 text-sm font-bold text-slate-700 cursor-pointer">
+              <input type="checkbox" className="accent-emerald-700" checked={!!draft.controlled} onChange={(e) => setDraft(prev => ({ ...prev, controlled: e.target.checked, airspaceClass: prev.airspaceClass || 'Class D' }))} />
+              {t("In controlled airspace (NAV CANADA authorization required)", lang)}
+            </label>
+            {draft.controlled && classSelect(draft.airspaceClass, (v) => setDraft(prev => ({ ...prev, airspaceClass: v })))}
+            <div className="flex gap-2">
+              <button onClick={saveAerodrome} className="flex-1 py-3 bg-emerald-700 hover:bg-emerald-800 text-white font-bold rounded-md shadow-md flex justify-center items-center gap-2 uppercase tracking-wide text-sm"><Save className="h-5 w-5" /> {t("SAVE", lang)}</button>
+              {!draft.isNew && (
+                <button onClick={() => {
+                  if (confirm(t('Delete this item?', lang))) { onDeleteAerodrome(draft.id); setDraft(null); }
+                }} className="px-4 py-3 bg-white hover:bg-red-50 text-red-600 font-bold rounded-md border border-red-100"><Trash2 className="h-5 w-5" /></button>
+              )}
+            </div>
+          </div>
+        ) : tab === 'aerodromes' ? (
+          <>
+            <div className="relative">
+              <Search className="absolute left-3 top-3 h-4 w-4 text-slate-400" />
+              <input type="text" className="w-full pl-10 p-3 rounded-md border border-slate-300 bg-white" placeholder={t("Search aerodromes...", lang)} value={filter} onChange={(e) => setFilter(e.target.value)} />
+            </div>
+            {shownAerodromes.length === 0 && <p className="text-center text-slate-500 italic mt-10">{t("This list is currently empty.", lang)}</p>}
+            {shownAerodromes.map(a => (
+              <button key={a.id} onClick={() => openAerodrome(a)} className="w-full bg-white p-3 rounded-md shadow-sm border border-slate-200 text-left hover:bg-emerald-50 transition-colors">
+                <div className="flex justify-between items-start gap-2">
+                  <span className="font-bold text-slate-800">{a.code} · {a.name}</span>
+                  <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${a.controlled ? PROXIMITY_BADGE.danger : 'bg-slate-100 text-slate-600'}`}>{a.controlled ? (a.airspaceClass || t("Controlled", lang)) : t("Uncontrolled", lang)}</span>
+                </div>
+                <div className="text-xs text-slate-500 mt-1">{t(AERODROME_KINDS[a.kind]?.label || 'Airport', lang)} · {AERODROME_KINDS[a.kind]?.thresholdNm ?? 3} NM · {a.freq} MHz · {a.lat}, {a.lng}</div>
+              </button>
+            ))}
+          </>
+        ) : (
+          <>
+            <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-3">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><Upload className="h-5 w-5 text-emerald-700" /> {t("IMPORT ZONE (GeoJSON / KML)", lang)}</h3>
+              <input type="file" accept=".geojson,.json,.kml,.kmz" className="text-xs w-full" onChange={(e) => setZoneImport(prev => ({ ...prev, file: e.target.files[0] || null }))} />
+              <input type="text" className="w-full p-3 border border-slate-300 rounded-md bg-white" placeholder={t("Name", lang)} value={zoneImport.name} onChange={(e) => setZoneImport(prev => ({ ...prev, name: e.target.value }))} />
+              <div className="grid grid-cols-2 gap-3">
+                <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={zoneImport.zoneType} onChange={(e) => setZoneImport(prev => ({ ...prev, zoneType: e.target.value, airspaceClass: e.target.value === 'classF' ? 'Class F' : prev.airspaceClass }))}>
+                  {Object.entries(ZONE_TYPES).map(([key, z]) => <option key={key} value={key}>{t(z.label, lang)}</option>)}
+                </select>
+                {ZONE_TYPES[zoneImport.zoneType].airspaceType && classSelect(zoneImport.airspaceClass, (v) => setZoneImport(prev => ({ ...prev, airspaceClass: v })))}
+              </div>
+              <button onClick={importZone} className="w-full py-3 bg-emerald-700 hover:bg-emerald-800 text-white font-bold rounded-md shadow-md flex justify-center items-center gap-2 uppercase tracking-wide text-sm"><Plus className="h-5 w-5" /> {t("IMPORT", lang)}</button>
+            </div>
+            {airspaceZones.length === 0 && <p className="text-center text-slate-500 italic mt-6">{t("No airspace zones imported.", lang)}</p>}
+            {airspaceZones.map(z => (
+              <div key={z.id} className="bg-white p-3 rounded-md shadow-sm border border-slate-200 flex justify-between items-start gap-2">
+                <div className="min-w-0">
+                  <div className="font-bold text-slate-800 truncate">{z.name}</div>
+                  <div className="text-xs text-slate-500">{t(ZONE_TYPES[z.zoneType]?.label || 'Other Restriction', lang)}{z.airspaceClass ? ` · ${z.airspaceClass}` : ''} · {z.features.length} {t("polygon(s)", lang)}</div>
+                </div>
+                <button onClick={() => { if (confirm(t('Delete this item?', lang))) onDeleteZone(z.id); }} className="p-2 text-slate-400 hover:text-red-600 shrink-0"><Trash2 className="h-4 w-4" /></button>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// -- PRE-FLIGHT CHECKLIST TEMPLATES VIEW --
+const ChecklistTemplatesView = ({ templates, aircraft, lists, onSaveTemplate, onDeleteTemplate, onBack, lang }) => {
+  const [draft, setDraft] = useState(null);
+
+  const openTemplate = (tpl) => setDraft(tpl
+    ? JSON.parse(JSON.stringify(tpl))
+    : { id: generateId(), name: '', rpasModels: [], opCategories: [], sections: [{ id: generateId(), title: '', items: [] }], created: new Date().toISOString(), isNew: true });
+
+  const saveTemplate = () => {
+    if (!draft.name.trim()) {
+      alert(t("Please enter a template name.", lang));
+      return;
+    }
+    const sections = draft.sections
+      .map(s => ({ ...s, title: s.title.trim(), items: s.items.filter(i => i.text.trim()).map(i => ({ ...i, text: i.text.trim() })) }))
+      .filter(s => s.items.length > 0);
+    if (sections.length === 0) {
+      alert(t("Add at least one checklist item.", lang));
+      return;
+    }
+    const { isNew, ...record } = draft;
+    onSaveTemplate({ ...record, name: record.name.trim(), sections });
+    setDraft(null);
+  };
+
+  const updateSection = (sectionId, changes) => setDraft(prev => ({ ...prev, sections: prev.sections.map(s => s.id === sectionId ? { ...s, ...changes } : s) }));
+  const updateItem = (sectionId, itemId, changes) => setDraft(prev => ({
+    ...prev,
+    sections: prev.sections.map(s => s.id !== sectionId ? s : { ...s, items: s.items.map(i => i.id === itemId ? { ...i, ...changes } : i) })
+  }));
+  const toggleIn = (key, value) => setDraft(prev => ({
+    ...prev,
+    [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value]
+  }));
+
+  const describeScope = (tpl) => {
+    const scope = [...(tpl.rpasModels || []), ...(tpl.opCategories || []).map(c => t(c, lang))];
+    return scope.length > 0 ? scope.join(', ') : t("All missions", lang);
+  };
+
+  if (!draft) {
+    return (
+      <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+        <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md gap-3">
+          <div className="flex items-center gap-3">
+            <button onClick={onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+            <h2 className="text-lg font-bold tracking-wide">{t("CHECKLIST TEMPLATES", lang)}</h2>
+          </div>
+          <button onClick={() => openTemplate(null)} className="bg-white text-emerald-900 px-3 py-2 rounded text-xs font-bold flex items-center gap-1"><Plus className="h-4 w-4" /> {t("ADD", lang)}</button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-3">
+          {templates.length === 0 && <p className="text-center text-slate-500 italic mt-10">{t("No checklist templates. Missions will use the single pre-flight confirmation.", lang)}</p>}
+          {templates.map(tpl => (
+            <button key={tpl.id} onClick={() => openTemplate(tpl)} className="w-full bg-white p-4 rounded-md shadow-sm border border-slate-200 text-left hover:bg-emerald-50 transition-colors">
+              <div className="font-bold text-slate-800">{t(tpl.name, lang)}</div>
+              <div className="text-xs text-slate-500 mt-1">{describeScope(tpl)} · {getChecklistItems([tpl]).length} {t("items", lang)}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const modelOptions = [...new Set([...aircraft.map(a => a.model).filter(Boolean), ...(lists.rpas || []), ...draft.rpasModels])];
+
+  return (
+    <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md gap-3">
+        <div className="flex items-center gap-3 min-w-0">
+          <button onClick={() => setDraft(null)} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+          <h2 className="text-lg font-bold tracking-wide uppercase truncate">{draft.isNew ? t("NEW TEMPLATE", lang) : t(draft.name, lang)}</h2>
+        </div>
+        {!draft.isNew && (
+          <button onClick={() => {
+            if (confirm(t('Delete this item?', lang))) { onDeleteTemplate(draft.id); setDraft(null); }
+          }} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><Trash2 className="h-5 w-5" /></button>
+        )}
+      </div>
+      <div className="flex-1 overflow-y-auto p-4 pb-24 space-y-4">
+        <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
+          <div>
+            <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t("Template Name", lang)}</label>
+            <input type="text" className="w-full p-3 border border-slate-300 rounded-md bg-white" value={draft.name} onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))} />
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t("Applies to RPAS models", lang)}</label>
+            <div className="flex flex-wrap gap-2">
+              {modelOptions.length === 0 && <span className="text-xs italic text-slate-500">{t("None", lang)}</span>}
+              {modelOptions.map(m => (
+                <button key={m} type="button" onClick={() => toggleIn('rpasModels', m)} className={`text-xs px-2 py-1 rounded border ${draft.rpasModels.includes(m) ? 'bg-emerald-700 text-white border-emerald-700' : 'bg-white text-slate-600 border-slate-300'}`}>{m}</button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t("Applies to operation categories", lang)}</label>
+            <div className="flex flex-wrap gap-2">
+              {(lists.opCategories || []).map(c => (
+                <button key={c} type="button" onClick={() => toggleIn('opCategories', c)} className={`text-xs px-2 py-1 rounded border ${draft.opCategories.includes(c) ? 'bg-emerald-700 text-white border-emerald-700' : 'bg-white text-slate-600 border-slate-300'}`}>{t(c, lang)}</button>
+              ))}
+            </div>
+            <p className="text-[10px] text-slate-500 mt-1">{t("Leave both empty to apply this template to every mission.", lang)}</p>
+          </div>
+        </div>
+
+        {draft.sections.map(sec => (
+          <div key={sec.id} className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-2">
+            <div className="flex gap-2">
+              <input type="text" className="flex-1 p-2 border border-slate-300 rounded font-bold text-sm" placeholder={t("Section", lang)} value={sec.title} onChange={(e) => updateSection(sec.id, { title: e.target.value })} />
+              <button onClick={() => setDraft(prev => ({ ...prev, sections: prev.sections.filter(s => s.id !== sec.id) }))} className="p-2 text-slate-400 hover:text-red-600"><Trash2 className="h-4 w-4" /></button>
+            </div>
+            {sec.items.map(item => (
+              <div key={item.id} className="flex items-center gap-2">
+                <input type="text" className="flex-1 p-2 border border-slate-300 rounded text-sm" value={item.text} onChange={(e) => updateItem(sec.id, item.id, { text: e.target.value })} />
+                <label className="flex items-center gap-1 text-[10px] font-bold text-slate-500 uppercase cursor-pointer">
+                  <input type="checkbox" className="accent-red-600" checked={!!item.mandatory} onChange={(e) => updateItem(sec.id, item.id, { mandatory: e.target.checked })} />
+                  {t("Mandatory", lang)}
+                </label>
+                <button onClick={() => updateSection(sec.id, { items: sec.items.filter(i => i.id !== item.id) })} className="p-1 text-slate-400 hover:text-red-600"><X className="h-4 w-4" /></button>
+              </div>
+            ))}
+            <button onClick={() => updateSection(sec.id, { items: [...sec.items, { id: generateId(), text: '', mandatory: true }] })} className="text-xs text-emerald-700 font-bold flex items-center gap-1"><Plus className="h-3 w-3" /> {t("Add Item", lang)}</button>
+          </div>
+        ))}
+        <button onClick={() => setDraft(prev => ({ ...prev, sections: [...prev.sections, { id: generateId(), title: '', items: [] }] }))} className="w-full py-2 bg-white border border-dashed border-slate-300 rounded-md text-xs font-bold text-slate-600 flex items-center justify-center gap-1"><Plus className="h-4 w-4" /> {t("Add Section", lang)}</button>
+        <button onClick={saveTemplate} className="w-full py-3 bg-emerald-700 hover:bg-emerald-800 text-white font-bold rounded-md shadow-md flex justify-center items-center gap-2 uppercase tracking-wide text-sm"><Save className="h-5 w-5" /> {t("SAVE", lang)}</button>
+      </div>
+    </div>
+  );
+};
+
+// Registry-backed RPAS selector for MissionForm; keeps legacy free-text RPAS names visible
+const AircraftPicker = ({ aircraft, missions, selectedIds, rpasNames, onChange, lang }) => {
+  const registryLabels = aircraft.map(getAircraftLabel);
+  const legacyNames = (rpasNames || []).filter(r => !registryLabels.includes(r));
+  const ids = selectedIds || [];
+
+  const emit = (nextIds, nextLegacy) => {
+    const labels = aircraft.filter(a => nextIds.includes(a.id)).map(getAircraftLabel);
+    onChange(nextIds, [...nextLegacy, ...labels]);
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2">
+        <Crosshair className="h-3 w-3 text-emerald-700" />
+        {t("RPAS Model and Reg No.", lang)}
+      </label>
+      <div className="space-y-2">
+        {aircraft.map(a => {
+          const selected = ids.includes(a.id);
+          const status = getAircraftStatus(a, missions);
+          return (
+            <div key={a.id}>
+              <label className={`flex items-center p-3 rounded-md border cursor-pointer ${selected ? 'border-emerald-500 bg-emerald-50' : 'border-slate-300 bg-white'}`}>
+                <input type="checkbox" className="w-5 h-5 accent-emerald-700 rounded mr-3" checked={selected} onChange={(e) => emit(e.target.checked ? [...ids, a.id] : ids.filter(x => x !== a.id), legacyNames)} />
+                <span className="flex-1 text-sm font-medium text-slate-800">{getAircraftLabel(a)}</span>
+                {status.level !== 'ok' && <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${MAINTENANCE_BADGE[status.level]}`}>{t(status.level === 'due' ? 'Due Soon' : 'Overdue', lang)}</span>}
+              </label>
+              {selected && status.alerts.map((al, i) => (
+                <p key={i} className={`text-xs mt-1 flex items-center gap-1 ${al.level === 'overdue' ? 'text-red-700' : 'text-amber-700'}`}><AlertTriangle className="h-3 w-3" /> {formatMaintenanceAlert(al, lang)}</p>
+              ))}
+            </div>
+          );
+        })}
+        {legacyNames.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {legacyNames.map(v => (
+              <span key={v} className="bg-slate-200 text-slate-700 text-xs font-bold px-2 py-1 rounded-full flex items-center gap-1">
+                {v}
+                <button onClick={() => emit(ids, legacyNames.filter(i => i !== v))} className="hover:text-red-600" title={t("Remove tag", lang)}><Trash2 className="h-3 w-3" /></button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const DynamicSelect = ({ label, icon: Icon, value, options, onChange, onDelete, lang, multiple = false, className = "mb-4" }) => {
+  const id = `list-${label.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase()}`;
+  const [inputValue, setInputValue] = useState('');
+  
+  if (multiple) {
+     return (
+        <div className={className}>
+          <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2">
+            {Icon && <Icon className="h-3 w-3 text-emerald-700" />}
+            {t(label, lang)}
+          </label>
+          <div className="space-y-2">
+            <div className="flex flex-wrap gap-2 mb-2">
+               {Array.isArray(value) && value.map(v => (
+                 <span key={v} className="bg-emerald-100 text-emerald-800 text-xs font-bold px-2 py-1 rounded-full flex items-center gap-1">
+                   {v}
+                   <button onClick={() => {
+                      const newValue = value.filter(i => i !== v);
+                      onChange(newValue);
+                   }} className="hover:text-red-600" title={t("Remove tag", lang)}><Trash2 className="h-3 w-3" /></button>
+                 </span>
+               ))}
+            </div>
+            <div className="flex gap-2 relative">
+               <input
+                list={id}
+                className="flex-1 min-w-0 p-3 border border-slate-300 rounded-md bg-white text-slate-800 focus:ring-2 focus:ring-emerald-500 outline-none"
+                placeholder={t("Type and press + to add...", lang)}
+                value={inputValue}
+                onChange={(e) => setInputValue(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.keyCode === 13) {
+                    e.preventDefault();
+                    const val = inputValue.trim();
+                    if (val) {
+                       const current = Array.isArray(value) ? value : [];
+                       if (!current.includes(val)) onChange([...current, val]);
+                       setInputValue('');
+                    }
+                  }
+                }}
+              />
+              <datalist id={id}>
+                {options && options.map(opt => <option key={opt} value={opt} />)}
+              </datalist>
+              <button
+                type="button"
+                className="bg-emerald-600 hover:bg-emerald-700 text-white px-3 rounded-md flex items-center justify-center transition-colors shadow-sm"
+                onClick={() => {
+                  const val = inputValue.trim();
+                  if (val) {
+                     const current = Array.isArray(value) ? value : [];
+                     if (!current.includes(val)) onChange([...current, val]);
+                     setInputValue('');
+                  }
+                }}
+                title={t("Add Entry", lang)}
+              >
+                <Plus className="h-5 w-5" />
+              </button>
+              {inputValue && options && options.includes(inputValue) && (
+                <button 
+                  onClick={() => {
+                    const confirmMsg = lang === 'fr' ? `Retirer "${inputValue}" de votre liste d'options enregistrées ?` : `Remove "${inputValue}" from your saved options list?`;
+                    if (confirm(confirmMsg)) {
+                      onDelete(inputValue);
+                      setInputValue('');
+                    }
+                  }}
+                  className="bg-slate-100 hover:bg-red-50 text-slate-400 hover:text-red-600 px-3 rounded-md border border-slate-300 shadow-sm"
+                  type="button"
+                  title={t("Delete from saved options", lang)}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+     )
+  }
+
+  return (
+    <div className={className}>
+      <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2">
+        {Icon && <Icon className="h-3 w-3 text-emerald-700" />}
+        {t(label, lang)}
+      </label>
+      <div className="flex gap-2 relative">
+        <input
+          list={id}
+          className="flex-1 min-w-0 p-3 border border-slate-300 rounded-md bg-white text-slate-800 focus:ring-2 focus:ring-emerald-500 outline-none"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={t("Select or type...", lang)}
+        />
+        <datalist id={id}>
+          {options && options.map(opt => <option key={opt} value={opt} />)}
+        </datalist>
+        {value && options && options.includes(value) && (
+          <button 
+            onClick={() => {
+               const confirmMsg = lang === 'fr' ? `Retirer "${value}" de votre liste d'options enregistrées ?` : `Remove "${value}" from your saved options list?`;
+               if (confirm(confirmMsg)) {
+                  onDelete(value);
+               }
+            }}
+            className="bg-slate-100 hover:bg-red-50 text-slate-400 hover:text-red-600 px-3 rounded-md border border-slate-300"
+            type="button"
+            title={t("Delete from saved options", lang)}
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- COMPONENT FOR MULTILINE RETAINED TEXT ---
+const DynamicTextArea = ({ label, icon: Icon, value, options, onChange, onDelete, lang }) => {
+  return (
+    <div className="mb-4">
+      <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2">
+        {Icon && <Icon className="h-3 w-3 text-emerald-700" />}
+        {t(label, lang)}
+      </label>
+      <div className="space-y-2">
+        {(options && options.length > 0) && (
+          <div className="flex gap-2">
+            <select 
+              className="flex-1 min-w-0 p-2 border border-slate-300 rounded-md bg-slate-50 text-xs text-slate-700"
+              onChange={(e) => {
+                if (e.target.value) {
+                  onChange(e.target.value);
+                  e.target.value = ""; 
+                }
+              }}
+            >
+              <option value="">{t("Insert a previously saved entry...", lang)}</option>
+              {options.map(opt => <option key={opt} value={opt}>{opt.substring(0, 60)}{opt.length > 60 ? '...' : ''}</option>)}
+            </select>
+            {value && options.includes(value) && (
+              <button 
+                onClick={() => {
+                   const confirmMsg = lang === 'fr' ? `Retirer cette entrée exacte de votre liste d'options enregistrées ?` : `Delete this exact entry from saved list?`;
+                   if (confirm(confirmMsg)) {
+                      onDelete(value);
+                   }
+                }}
+                className="bg-slate-100 hover:bg-red-50 text-slate-400 hover:text-red-600 px-3 rounded-md border border-slate-300"
+                type="button"
+                title={t("Delete this exact entry from saved list", lang)}
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        )}
+        <textarea
+          className="w-full p-3 border border-slate-300 rounded-md bg-white text-slate-800 focus:ring-2 focus:ring-emerald-500 outline-none"
+          rows={3}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={t("Type here...", lang)}
+        />
+      </div>
+    </div>
+  );
+};
+
+const RISK_BAND_BADGE = {
+  Low: 'bg-emerald-100 text-emerald-800',
+  Medium: 'bg-amber-100 text-amber-800',
+  High: 'bg-red-100 text-red-700',
+  Extreme: 'bg-red-700 text-white'
+};
+
+const RISK_DECISION_BANNER = {
+  'GO': 'bg-emerald-700 text-white',
+  'GO WITH APPROVAL': 'bg-amber-500 text-white',
+  'NO-GO': 'bg-red-700 text-white'
+};
+
+// -- 5x5 RISK MATRIX (counts each flagged hazard at its residual rating) --
+const RiskMatrixGrid = ({ flagged, lang }) => {
+  const countAt = (l, sv) => flagged.filter(f => Number(f.risk.residualLikelihood || f.risk.likelihood) === l && Number(f.risk.residualSeverity || f.risk.severity) === sv).length;
+  const rows = RISK_LIKELIHOOD.map((label, idx) => ({ label, value: idx + 1 })).reverse();
+  return (
+    <table className="w-full text-[10px] border-collapse table-fixed">
+      <thead>
+        <tr>
+          <th className="p-1 text-left text-slate-500 w-24">{t('Likelihood', lang)} / {t('Severity', lang)}</th>
+          {RISK_SEVERITY.map((label, idx) => <th key={label} className="p-1 text-slate-500">{idx + 1} {t(label, lang)}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.value}>
+            <th className="p-1 text-left text-slate-500 font-medium">{row.value} {t(row.label, lang)}</th>
+            {RISK_SEVERITY.map((_, idx) => {
+              const count = countAt(row.value, idx + 1);
+              return <td key={idx} className={`border-2 border-white text-center font-bold h-7 ${RISK_BAND_BADGE[getRiskBand(row.value * (idx + 1))]}`}>{count > 0 ? count : ''}</td>;
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// -- FLIGHT LEGS EDITOR (one card per take-off/landing) --
+const FlightLegsEditor = ({ flights, onChange, mission, coords, aircraft, missions, lang }) => {
+  const legs = flights || [];
+  const missionAircraft = aircraft.filter(a => (mission.aircraftIds || []).includes(a.id));
+  const crew = [mission.pilot, ...(mission.additionalPilots || [])].filter(Boolean);
+
+  const updateLeg = (id, changes) => onChange(legs.map(f => f.id === id ? { ...f, ...changes } : f));
+
+  const addLeg = () => onChange([...legs, createFlightLeg(mission, coords, aircraft)]);
+
+  const inputClass = "w-full p-2 border border-slate-300 rounded text-sm bg-white";
+  const labelClass = "block text-[10px] font-bold text-slate-500 uppercase mb-1";
+
+  return (
+    <div className="mb-4 p-4 bg-slate-50 rounded-md border border-slate-200 space-y-3">
+      <div className="flex justify-between items-center">
+        <h4 className="font-bold text-slate-700 text-xs uppercase">{t('Flight Legs', lang)}</h4>
+        <button onClick={addLeg} type="button" className="text-[10px] bg-emerald-100 text-emerald-800 px-3 py-1 rounded font-bold hover:bg-emerald-200 transition-colors shadow-sm flex items-center gap-1"><Plus className="h-3 w-3" /> {t('Add Flight', lang)}</button>
+      </div>
+      {legs.length === 0 && <p className="text-xs italic text-slate-500">{t('No flight legs recorded. The flight count above is used instead.', lang)}</p>}
+      {legs.map((f, i) => {
+        const legAircraft = aircraft.find(a => a.id === f.aircraftId);
+        const batteries = legAircraft ? (legAircraft.batteries || []).filter(b => !b.retired || b.label === f.battery) : [];
+        return (
+          <div key={f.id} className="bg-white p-3 rounded border border-slate-200 space-y-3">
+            <div className="flex justify-between items-center">
+              <span className="text-xs font-bold text-emerald-800 uppercase">{t('Flight', lang)} #{i + 1} · {formatHours(getFlightDurationHours(f))} h</span>
+              <button onClick={() => onChange(legs.filter(x => x.id !== f.id))} type="button" className="p-1 text-slate-400 hover:text-red-600" title={t('Remove flight', lang)}><Trash2 className="h-4 w-4" /></button>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <div className="w-full overflow-hidden">
+                <label className={labelClass}>{t('Take-off', lang)}</label>
+                <input type="datetime-local" className={inputClass} style={{ maxWidth: '100%', boxSizing: 'border-box' }} value={f.takeoff || ''} onChange={(e) => updateLeg(f.id, { takeoff: e.target.value })} />
+              </div>
+              <div className="w-full overflow-hidden">
+                <label className={labelClass}>{t('Landing', lang)}</label>
+                <input type="datetime-local" className={inputClass} style={{ maxWidth: '100%', boxSizing: 'border-box' }} value={f.landing || ''} onChange={(e) => updateLeg(f.id, { landing: e.target.value })} />
+              </div>
+            </div>
+            <div>
+              <div className="flex justify-between items-center mb-1">
+                <span className={labelClass}>{t('Launch Coordinates', lang)}</span>
+                <div className="flex gap-1">
+                  <button type="button" onClick={() => updateLeg(f.id, { lat: coords.lat || '', lng: coords.lng || '' })} className="text-[10px] bg-slate-100 text-slate-700 px-2 py-1 rounded font-bold">{t('Use mission GPS', lang)}</button>
+                  <button type="button" onClick={() => getCoordinates((c) => updateLeg(f.id, c), lang)} className="text-[10px] bg-emerald-100 text-emerald-800 px-2 py-1 rounded font-bold">{t('ACQUIRE GPS', lang)}</button>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <input type="text" className={`${inputClass} font-mono`} value={f.lat || ''} onChange={(e) => updateLeg(f.id, { lat: e.target.value })} placeholder={t('Latitude', lang)} />
+                <input type="text" className={`${inputClass} font-mono`} value={f.lng || ''} onChange={(e) => updateLeg(f.id, { lng: e.target.value })} placeholder={t('Longitude', lang)} />
+              </div>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <div>
+                <label className={labelClass}>{t('Aircraft', lang)}</label>
+                {missionAircraft.length > 0 ? (
+                  <select className={inputClass} value={f.aircraftId || ''} onChange={(e) => {
+                    const a = aircraft.find(x => x.id === e.target.value);
+                    updateLeg(f.id, { aircraftId: e.target.value, rpas: a ? getAircraftLabel(a) : '', battery: '' });
+                  }}>
+                    <option value="">{t('Select...', lang)}</option>
+                    {missionAircraft.map(a => <option key={a.id} value={a.id}>{getAircraftLabel(a)}</option>)}
+                  </select>
+                ) : (
+                  <>
+                    <input type="text" list={`leg-rpas-${f.id}`} className={inputClass} value={f.rpas || ''} onChange={(e) => updateLeg(f.id, { rpas: e.target.value })} />
+                    <datalist id={`leg-rpas-${f.id}`}>
+                      {(mission.rpas || []).map(r => <option key={r} value={r} />)}
+                    </datalist>
+                  </>
+                )}
+              </div>
+              <div>
+                <label className={labelClass}>{t('Battery', lang)}</label>
+                {batteries.length > 0 ? (
+                  <select className={inputClass} value={f.battery || ''} onChange={(e) => updateLeg(f.id, { battery: e.target.value })}>
+                    <option value="">{t('Select...', lang)}</option>
+                    {batteries.map(b => <option key={b.id} value={b.label}>{b.label} ({getBatteryCycles(legAircraft, b, missions)} {t('cycles', lang)})</option>)}
+                  </select>
+                ) : (
+                  <input type="text" className={inputClass} value={f.battery || ''} onChange={(e) => updateLeg(f.id, { battery: e.target.value })} />
+                )}
+              </div>
+              <div>
+                <label className={labelClass}>{t('Max Alt AGL (m)', lang)}</label>
+                <input type="number" className={inputClass} value={f.maxAltitude || ''} onChange={(e) => updateLeg(f.id, { maxAltitude: e.target.value })} />
+              </div>
+              <div>
+                <label className={labelClass}>{t('Pilot at Controls', lang)}</label>
+                <input type="text" list={`leg-pilot-${f.id}`} className={inputClass} value={f.pilot || ''} onChange={(e) => updateLeg(f.id, { pilot: e.target.value })} />
+                <datalist id={`leg-pilot-${f.id}`}>
+                  {crew.map(p => <option key={p} value={p} />)}
+                </datalist>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const SKETCH_TOOLS = [
+  ['select', MousePointer2, 'Select'],
+  ['stroke', PenTool, 'Draw'],
+  ['polygon', Pentagon, 'Area'],
+  ['nofly', Ban, 'No-Fly Area'],
+  ['arrow', MoveUpRight, 'Arrow'],
+  ['text', TypeIcon, 'Text'],
+  ['symbol', MapPin, 'Symbol'],
+  ['georef', Crosshair, 'Georeference']
+];
+
+const SketchPad = ({ sketch: initialSketch, onSave, imageSettings, lang }) => {
+  const canvasRef = useRef(null);
+  const [sketch, setSketch] = useState(initialSketch || emptySketch());
+  const [backgroundImage, setBackgroundImage] = useState(null);
+  const [tool, setTool] = useState('stroke');
+  const [symbol, setSymbol] = useState('launch');
+  const [color, setColor] = useState('#dc2626');
+  const [draft, setDraft] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const dragRef = useRef(null);
+  const sketchRef = useRef(sketch);
+  sketchRef.current = sketch;
+  // Set when the map image changes, so the PNG is re-rendered once the image is ready
+  const emitOnLoad = useRef(false);
+
+  const transform = getSketchGeoTransform(sketch.georef);
+  const selected = sketch.objects.find(o => o.id === selectedId);
+
+  const emit = (next, background = next.background ? backgroundImage : null) => {
+    const isEmpty = !next.background && next.objects.length === 0;
+    onSave(renderSketchPNG(next, background), isEmpty ? null : next);
+  };
+
+  useEffect(() => {
+    if (!sketch.background) { setBackgroundImage(null); return; }
+    const img = new Image();
+    img.onload = () => {
+      setBackgroundImage(img);
+      if (emitOnLoad.current) {
+        emitOnLoad.current = false;
+        emit(sketchRef.current, img);
+      }
+    };
+    img.src = sketch.background;
+  }, [sketch.background]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    drawSketch(canvas.getContext('2d'), draft ? { ...sketch, objects: [...sketch.objects, draft] } : sketch, backgroundImage, selectedId);
+  }, [sketch, backgroundImage, draft, selectedId]);
+
+  // Undo/redo step over whole edits (one object added, moved, changed or removed)
+  const commit = (next, before = sketch) => {
+    setUndoStack(prev => [...prev, before]);
+    setRedoStack([]);
+    setSketch(next);
+    emit(next);
+  };
+
+  // A different map image has to load before the PNG can be rendered
+  const restore = (target) => {
+    setSelectedId(null);
+    setDraft(null);
+    setSketch(target);
+    if (target.background && target.background !== sketch.background) emitOnLoad.current = true;
+    else emit(target);
+  };
+
+  const undo = () => {
+    if (undoStack.length === 0) return;
+    setUndoStack(prev => prev.slice(0, -1));
+    setRedoStack(prev => [...prev, sketch]);
+    restore(undoStack[undoStack.length - 1]);
+  };
+
+  const redo = () => {
+    if (redoStack.length === 0) return;
+    setRedoStack(prev => prev.slice(0, -1));
+    setUndoStack(prev => [...prev, sketch]);
+    restore(redoStack[redoStack.length - 1]);
+  };
+
+  const addObject = (obj) => commit({ ...sketch, objects: [...sketch.objects, { id: generateId(), ...obj }] });
+
+  const getPos = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [(e.clientX - rect.left) * SKETCH_WIDTH / rect.width, (e.clientY - rect.top) * SKETCH_HEIGHT / rect.height];
+  };
+
+  const finishPolygon = () => {
+    if (draft && draft.points.length >= 3) {
+      const polygon = { ...draft };
+      delete polygon.draft;
+      addObject(polygon);
+    }
+    setDraft(null);
+  };
+
+  const addGeorefPoint = (pos) => {
+    const input = prompt(t("Latitude, longitude of this point (decimal degrees):", lang));
+    if (!input) return;
+    const [lat, lng] = input.split(/[,\s]+/).map(parseFloat);
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) { alert(t("Enter coordinates like 46.2345, -64.5678", lang)); return; }
+    // A third point starts a fresh georeference
+    const points = sketch.georef && sketch.georef.points.length === 1 ? [...sketch.georef.points, { x: pos[0], y: pos[1], lat, lng }] : [{ x: pos[0], y: pos[1], lat, lng }];
+    commit({ ...sketch, georef: { points } });
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    const pos = getPos(e);
+    if (tool === 'stroke' || tool === 'arrow') {
+      canvasRef.current.setPointerCapture(e.pointerId);
+      setDraft({ type: tool, color, points: tool === 'arrow' ? [pos, pos] : [pos] });
+    } else if (tool === 'polygon' || tool === 'nofly') {
+      // Tapping the first vertex again closes the shape
+      if (draft && draft.points.length >= 3 && Math.hypot(draft.points[0][0] - pos[0], draft.points[0][1] - pos[1]) < 14) finishPolygon();
+      else setDraft(prev => (prev ? { ...prev, points: [...prev.points, pos] } : { type: 'polygon', kind: tool === 'nofly' ? 'nofly' : 'area', color, points: [pos], draft: true }));
+    } else if (tool === 'text') {
+      const text = prompt(t("Label text:", lang));
+      if (text && text.trim()) addObject({ type: 'text', color, text: text.trim(), points: [pos] });
+    } else if (tool === 'symbol') {
+      addObject({ type: 'symbol', symbol, points: [pos] });
+    } else if (tool === 'georef') {
+      addGeorefPoint(pos);
+    } else {
+      const hit = hitTestSketch(sketch.objects, pos);
+      setSelectedId(hit ? hit.id : null);
+      if (hit) {
+        canvasRef.current.setPointerCapture(e.pointerId);
+        dragRef.current = { id: hit.id, start: pos, original: hit.points, before: sketch, latest: null };
+      }
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const pos = getPos(e);
+    if (draft && draft.type === 'stroke') setDraft(prev => ({ ...prev, points: [...prev.points, pos] }));
+    else if (draft && draft.type === 'arrow') setDraft(prev => ({ ...prev, points: [prev.points[0], pos] }));
+    else if (dragRef.current) {
+      const { id, start, original, before } = dragRef.current;
+      const [dx, dy] = [pos[0] - start[0], pos[1] - start[1]];
+      const next = { ...before, objects: before.objects.map(o => (o.id === id ? { ...o, points: original.map(([x, y]) => [x + dx, y + dy]) } : o)) };
+      dragRef.current.latest = next;
+      setSketch(next);
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (draft && draft.type === 'stroke') {
+      if (draft.points.length > 1) addObject(draft);
+      setDraft(null);
+    } else if (draft && draft.type === 'arrow') {
+      const [[x1, y1], [x2, y2]] = draft.points;
+      if (Math.hypot(x2 - x1, y2 - y1) > 5) addObject(draft);
+      setDraft(null);
+    } else if (dragRef.current) {
+      const { before, latest } = dragRef.current;
+      dragRef.current = null;
+      if (latest) commit(latest, before);
+    }
+  };
+
+  const deleteSelected = () => {
+    commit({ ...sketch, objects: sketch.objects.filter(o => o.id !== selectedId) });
+    setSelectedId(null);
+  };
+
+  const editSelectedText = () => {
+    const text = prompt(t("Label text:", lang), selected.text);
+    if (text && text.trim()) commit({ ...sketch, objects: sketch.objects.map(o => (o.id === selectedId ? { ...o, text: text.trim() } : o)) });
+  };
+
+  const handleImageUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = null;
+    if (!file) return;
+    const background = await compressImageFile(file, imageSettings);
+    // A different map invalidates the old reference points
+    setUndoStack(prev => [...prev, sketch]);
+    setRedoStack([]);
+    restore({ ...sketch, background, georef: null });
+  };
+
+  const clearCanvas = () => {
+    commit(emptySketch());
+    setSelectedId(null);
+    setDraft(null);
+  };
+
+  const exportGeoJSON = () => {
+    const blob = new Blob([JSON.stringify({ type: 'FeatureCollection', features: getSketchGeoFeatures(sketch) }, null, 2)], { type: 'application/geo+json' });
+    downloadBlob(blob, `dfo_sketch_${new Date().toISOString().slice(0, 10)}.geojson`);
+  };
+
+  const toolbarButton = 'bg-white px-3 py-1 rounded border border-slate-300 text-xs font-bold text-slate-700 flex items-center gap-1 disabled:opacity-40';
+
+  return (
+    <div className="border border-slate-300 rounded-md overflow-hidden bg-white shadow-sm">
+      <div className="bg-slate-100 p-2 flex gap-2 items-center justify-between border-b border-slate-200 flex-wrap">
+        <div className="flex gap-2 flex-wrap">
+          <label className={`${toolbarButton} cursor-pointer hover:bg-slate-50`}>
+            <ImageIcon className="h-3 w-3" />
+            {t("LOAD MAP", lang)}
+            <input type="file" accept="image/*" className="hidden" onChange={handleImageUpload} />
+          </label>
+          <button onClick={undo} disabled={undoStack.length === 0} type="button" className={`${toolbarButton} hover:text-blue-600`}>
+            <Undo2 className="h-3 w-3" /> {t("UNDO", lang)}
+          </button>
+          <button onClick={redo} disabled={redoStack.length === 0} type="button" className={`${toolbarButton} hover:text-blue-600`}>
+            <Redo2 className="h-3 w-3" /> {t("REDO", lang)}
+          </button>
+          <button onClick={clearCanvas} type="button" className={`${toolbarButton} hover:text-red-600`}>
+            <Eraser className="h-3 w-3" /> {t("CLEAR", lang)}
+          </button>
+        </div>
+        <div className="flex gap-2 items-center">
+          {SKETCH_COLORS.map(c => (
+            <div key={c} className={`w-5 h-5 rounded-full cursor-pointer border-2 ${color === c ? 'border-slate-800' : 'border-transparent'}`} style={{ background: c }} onClick={() => setColor(c)} />
+          ))}
+        </div>
+      </div>
+      <div className="bg-slate-50 p-2 flex gap-1 flex-wrap border-b border-slate-200">
+        {SKETCH_TOOLS.map(([key, Icon, label]) => (
+          <button key={key} type="button" onClick={() => { setTool(key); setDraft(null); if (key !== 'select') setSelectedId(null); }} className={`px-2 py-1 rounded text-[10px] font-bold uppercase flex items-center gap-1 border ${tool === key ? 'bg-emerald-700 text-white border-emerald-700' : 'bg-white text-slate-700 border-slate-200'}`}>
+            <Icon className="h-3 w-3" /> {t(label, lang)}
+          </button>
+        ))}
+        {tool === 'symbol' && (
+          <select value={symbol} onChange={(e) => setSymbol(e.target.value)} className="p-1 border border-slate-300 rounded text-xs bg-white">
+            {Object.entries(SKETCH_SYMBOLS).map(([key, s]) => <option key={key} value={key}>{s.glyph} - {t(s.label, lang)}</option>)}
+          </select>
+        )}
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={SKETCH_WIDTH}
+        height={SKETCH_HEIGHT}
+        className={`w-full h-auto touch-none bg-white ${tool === 'select' ? 'cursor-pointer' : 'cursor-crosshair'}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      />
+      <div className="p-2 border-t border-slate-200 flex flex-wrap gap-2 items-center text-xs">
+        {draft && draft.type === 'polygon' && (
+          <>
+            <span className="text-slate-500">{t("Tap each corner, then the first corner again to close.", lang)}</span>
+            <button type="button" onClick={finishPolygon} disabled={draft.points.length < 3} className={toolbarButton}>{t("Finish Shape", lang)}</button>
+            <button type="button" onClick={() => setDraft(null)} className={toolbarButton}>{t("CANCEL", lang)}</button>
+          </>
+        )}
+        {selected && (
+          <>
+            {selected.type === 'text' && <button type="button" onClick={editSelectedText} className={toolbarButton}><Edit2 className="h-3 w-3" /> {t("Edit Label", lang)}</button>}
+            <button type="button" onClick={deleteSelected} className={`${toolbarButton} text-red-600`}><Trash2 className="h-3 w-3" /> {t("Delete", lang)}</button>
+            {transform && getSketchMeasurement(selected, transform) && <span className="font-mono text-slate-700">{formatSketchMeasurement(getSketchMeasurement(selected, transform))}</span>}
+          </>
+        )}
+        {tool === 'georef' && <span className="text-slate-500">{t("Tap two well-separated points on the map whose coordinates you know.", lang)}</span>}
+        <span className="ml-auto flex items-center gap-2">
+          {transform ? (
+            <>
+              <span className="text-emerald-700 font-bold">{t("Georeferenced", lang)}</span>
+              <button type="button" onClick={exportGeoJSON} disabled={sketch.objects.length === 0} className={toolbarButton}><Download className="h-3 w-3" /> GeoJSON</button>
+              <button type="button" onClick={() => commit({ ...sketch, georef: null })} className={toolbarButton}><X className="h-3 w-3" /></button>
+            </>
+          ) : <span className="text-slate-400">{t("Not georeferenced", lang)}</span>}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+const SignaturePad = ({ onAccept, lang }) => {
+  const canvasRef = useRef(null);
+  const [isDrawing, setIsDrawing] = useState(false);
+  const [hasInk, setHasInk] = useState(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    canvas.width = canvas.offsetWidth;
+    canvas.height = 140;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }, []);
+
+  const getPos = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    if (e.touches) {
+      return { x: e.touches[0].clientX - rect.left, y: e.touches[0].clientY - rect.top };
+    }
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const startDraw = (e) => {
+    setIsDrawing(true);
+    const ctx = canvasRef.current.getContext('2d');
+    const pos = getPos(e);
+    ctx.beginPath();
+    ctx.moveTo(pos.x, pos.y);
+  };
+
+  const draw = (e) => {
+    if (!isDrawing) return;
+    e.preventDefault();
+    const ctx = canvasRef.current.getContext('2d');
+    const pos = getPos(e);
+    ctx.lineTo(pos.x, pos.y);
+    ctx.strokeStyle = '#0f172a';
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.stroke();
+    setHasInk(true);
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    setHasInk(false);
+  };
+
+  return (
+    <div className="border border-slate-300 rounded bg-white overflow-hidden">
+      <canvas
+        ref={canvasRef}
+        className="w-full touch-none cursor-crosshair block border-b border-dashed border-slate-200"
+        onMouseDown={startDraw} onMouseMove={draw} onMouseUp={() => setIsDrawing(false)} onMouseLeave={() => setIsDrawing(false)}
+        onTouchStart={startDraw} onTouchMove={draw} onTouchEnd={() => setIsDrawing(false)}
+      />
+      <div className="flex gap-2 p-2 bg-slate-50">
+        <button type="button" onClick={clear} className="flex-1 bg-white border border-slate-300 text-slate-700 px-3 py-1 rounded text-xs font-bold flex items-center justify-center gap-1"><Eraser className="h-3 w-3" /> {t('CLEAR', lang)}</button>
+        <button type="button" disabled={!hasInk} onClick={() => onAccept(canvasRef.current.toDataURL())} className="flex-1 bg-emerald-700 hover:bg-emerald-800 disabled:opacity-40 text-white px-3 py-1 rounded text-xs font-bold flex items-center justify-center gap-1"><PenTool className="h-3 w-3" /> {t('Sign', lang)}</button>
+      </div>
+    </div>
+  );
+};
+
+const MissionForm = ({ onSave, onCancel, onSaveTemplate, lists, onUpdateList, onUpdateBulkLists, initialData, prefill, aircraft, personnel, missions, aerodromes, airspaceZones, checklistTemplates, imageSettings, lang }) => {
+  const [step, setStep] = useState(1);
+  const [coords, setCoords] = useState(initialData?.coords || prefill?.coords || { lat: '', lng: '' });
+  const scrollRef = useRef(null); 
+  
+  const [formData, setFormData] = useState(() => {
+    if (initialData) return { ...initialData };
+    
+    const nowStr = getCurrentLocalTime();
+    // Templates and duplicates fill in on top of a blank mission
+    return {
+      start: nowStr,
+      end: addMinutes(nowStr, 30),
+      location: '', description: '', pilot: '', additionalPilots: [], cameraOperators: [], observers: [], rpas: [], aircraftIds: [],
+      payload: [], opCategory: '', 
+      type: '', workElements: [], flightCount: 1, flights: [], tracks: [],
+      airspace: '', airspaceType: '', aerodromesWithin100km: '',
+      distance: '', 
+      notams: '', navCanRef: '', navCanFile: null,
+      temperature: '', windSpeed: '', windDir: '', visibility: '',
+      approachAlt: '', approachRoute: '', emergencySite: '',
+      secondaryLat: '', secondaryLng: '', referenceGpsUnit: '',
+      preflightCompleted: false, preflightIssues: '', checklist: [],
+      outcomesSummary: '', incidentsMaintenance: '',
+      sketch: null, sketchVector: null, weatherText: '', weatherImage: null, risks: {},
+      status: 'draft', statusHistory: [], approval: null, signatures: [],
+      ...prefill
+    };
+  });
+
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+  }, [step]);
+
+  // Records saved before checklist templates existed keep their single pre-flight confirmation
+  const usesLegacyPreflight = !!initialData && !Array.isArray(initialData.checklist);
+  const usesChecklist = (formData.checklist || []).length > 0;
+  const checklistProgress = getChecklistProgress(formData.checklist);
+  const [checkInitials, setCheckInitials] = useState('');
+
+  const signatureSlots = getSignatureSlots(formData);
+  const [signerNames, setSignerNames] = useState({});
+
+  const addSignature = (slot, image) => {
+    const name = (slot.name || signerNames[slot.key] || '').trim();
+    if (!name) {
+      alert(t("Enter the signer's name first.", lang));
+      return;
+    }
+    const signature = { id: generateId(), key: slot.key, role: slot.role, name, image, signedAt: new Date().toISOString(), fingerprint: null };
+    setFormData(prev => ({ ...prev, signatures: [...(prev.signatures || []).filter(s => s.key !== slot.key), signature] }));
+  };
+
+  const removeSignature = (key) => setFormData(prev => ({ ...prev, signatures: (prev.signatures || []).filter(s => s.key !== key) }));
+
+  useEffect(() => {
+    if (usesLegacyPreflight) return;
+    setFormData(prev => ({ ...prev, checklist: syncMissionChecklist(prev.checklist, getApplicableChecklistTemplates(checklistTemplates, prev, aircraft)) }));
+  }, [formData.opCategory, formData.rpas, formData.aircraftIds, checklistTemplates]);
+
+  const toggleChecklistItem = (templateId, itemId, checked) => {
+    const initials = (checkInitials || getInitials(formData.pilot)).trim().toUpperCase();
+    if (checked && !initials) {
+      alert(t("Enter your initials before checking off items.", lang));
+      return;
+    }
+    setFormData(prev => ({
+      ...prev,
+      checklist: prev.checklist.map(c => c.templateId !== templateId ? c : {
+        ...c,
+        sections: c.sections.map(s => ({
+          ...s,
+          items: s.items.map(i => i.id !== itemId ? i : { ...i, checked, checkedAt: checked ? new Date().toISOString() : null, initials: checked ? initials : '' })
+        }))
+      })
+    }));
+  };
+
+  const update = (k, v) => {
+    setFormData(prev => {
+      const newData = { ...prev, [k]: v };
+      if (k === 'start' && v) newData.end = addMinutes(v, 30);
+      return newData;
+    });
+  };
+
+  // Lists nearby aerodromes and fills the airspace fields from the proximity engine
+  const applyProximity = (lat, lng) => {
+    const result = checkAirspaceProximity(parseFloat(lat), parseFloat(lng), aerodromes, airspaceZones);
+    setFormData(prev => ({
+      ...prev,
+      aerodromesWithin100km: result.nearby.length > 0 ? result.nearby.map(formatNearbyAerodrome).join('\n') : t("No aerodromes within 100km detected.", lang),
+      airspace: result.airspace,
+      airspaceType: result.airspaceType
+    }));
+  };
+  
+  const handleGPS = () => {
+    if (coords.lat && coords.lng) {
+      if (!confirm(t("Are you sure you want to re-acquire GPS coordinates? This will overwrite the current coordinates.", lang))) {
+        return;
+      }
+    }
+    getCoordinates((c) => {
+      setCoords(c);
+      applyProximity(c.lat, c.lng);
+    }, lang);
+  };
+
+  const handlePopulateAerodromes = () => {
+    if (!coords.lat || !coords.lng) {
+      alert(t("Please acquire or manually enter GPS coordinates first.", lang));
+      return;
+    }
+    applyProximity(coords.lat, coords.lng);
+  };
+  
+  const handleCoordChange = (field, value) => setCoords(prev => ({ ...prev, [field]: value }));
+
+  // Each imported log becomes a flight leg; mission times and range widen to cover all of them
+  const handleFlightLogImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      let track;
+      try {
+        track = summarizeFlightTrack(parseFlightLogFile(file.name, event.target.result), file.name);
+      } catch (err) {
+        alert((lang === 'fr' ? "Impossible de lire le journal de vol : " : "Could not read flight log: ") + err.message);
+        return;
+      }
+      const legCoords = (coords.lat && coords.lng) ? coords : track.launch;
+      if (!coords.lat || !coords.lng) {
+        setCoords(track.launch);
+        applyProximity(track.launch.lat, track.launch.lng);
+      }
+      setFormData(prev => {
+        const isFirstTrack = (prev.tracks || []).length === 0;
+        const takeoff = track.start ? toLocalInputValue(track.start) : undefined;
+        const leg = createFlightLeg(prev, legCoords, aircraft, {
+          ...(takeoff ? { takeoff } : {}),
+          lat: track.launch.lat,
+          lng: track.launch.lng,
+          maxAltitude: track.maxAltitude !== null ? String(track.maxAltitude) : '',
+          trackId: track.id
+        });
+        leg.landing = track.end ? toLocalInputValue(track.end) : addMinutes(leg.takeoff, Math.max(1, Math.round(track.durationMin)));
+        const next = { ...prev, tracks: [...(prev.tracks || []), track], flights: [...getMissionFlights(prev), leg] };
+        if (track.start) {
+          next.start = isFirstTrack || leg.takeoff < prev.start ? leg.takeoff : prev.start;
+          next.end = isFirstTrack || leg.landing > prev.end ? leg.landing : prev.end;
+        }
+        const priorDistance = isFirstTrack ? 0 : (parseFloat(prev.distance) || 0);
+        next.distance = Math.max(priorDistance, track.maxDistanceKm).toFixed(2);
+        return next;
+      });
+    };
+    reader.readAsText(file);
+    e.target.value = null;
+  };
+
+  const removeTrack = (trackId) => {
+    setFormData(prev => ({
+      ...prev,
+      tracks: (prev.tracks || []).filter(tr => tr.id !== trackId),
+      flights: getMissionFlights(prev).map(f => f.trackId === trackId ? { ...f, trackId: '' } : f)
+    }));
+  };
+  
+  const handleRiskChange = (riskName, field, value) => {
+    setFormData(prev => {
+      const currentRisk = prev.risks[riskName] || { checked: false, level: '', likelihood: '', severity: '', residualLikelihood: '', residualSeverity: '', desc: '', mitigation: '' };
+      if (field === 'checked' && value === false) {
+        const newRisks = { ...prev.risks };
+        delete newRisks[riskName];
+        return { ...prev, risks: newRisks };
+      }
+      const nextRisk = { ...currentRisk, [field]: value };
+      // Keep the legacy level in step with the matrix so older reports and exports still read it
+      if (field === 'likelihood' || field === 'severity') nextRisk.level = getRiskBand(nextRisk.likelihood * nextRisk.severity) || '';
+      return { ...prev, risks: { ...prev.risks, [riskName]: nextRisk } };
+    });
+  };
+
+  const [newHazard, setNewHazard] = useState('');
+
+  const addHazard = () => {
+    const name = newHazard.trim();
+    if (!name) return;
+    if (!(lists.riskHazards || []).includes(name)) onUpdateList('riskHazards', name, 'add');
+    handleRiskChange(name, 'checked', true);
+    setNewHazard('');
+  };
+
+  const saveMission = () => {
+    if (!formData.location || !formData.pilot) {
+      alert(t("Please enter at least a Location and Pilot In Command.", lang));
+      return;
+    }
+
+    // Hazard Mitigation Validation
+    const riskEntries = Object.entries(formData.risks || {}).filter(([, r]) => r.checked);
+    for (let i = 0; i < riskEntries.length; i++) {
+      const [riskName, riskData] = riskEntries[i];
+      const { initial, residual, initialBand } = getRiskScores(riskData);
+      if (!initialBand) {
+        alert(lang === 'fr' ? `Évaluez la probabilité et la gravité de : ${t(riskName, lang)}` : `Rate the likelihood and severity of: ${riskName}`);
+        setStep(3);
+        return;
+      }
+      if (initialBand !== 'Low') {
+        if (!riskData.mitigation || riskData.mitigation.trim() === '') {
+          const msg = lang === 'fr' 
+            ? `Une stratégie d'atténuation est obligatoire pour l'élément à risque ${t(initialBand, lang)} : ${t(riskName, lang)}` 
+            : `A Mitigation strategy is mandatory for ${initialBand} risk item: ${riskName}`;
+          alert(msg);
+          return;
+        }
+      }
+      if (initial && residual > initial) {
+        alert(lang === 'fr' ? `Le risque résiduel ne peut dépasser le risque initial pour : ${t(riskName, lang)}` : `Residual risk cannot exceed the initial rating for: ${riskName}`);
+        return;
+      }
+    }
+
+    // Go/no-go (does not block - an aborted mission is still logged)
+    if (getMissionRiskAssessment(formData.risks).decision === 'NO-GO') {
+      if (!confirm(t("Residual risk is EXTREME (NO-GO). Save the mission record anyway?", lang))) return;
+    }
+
+    // Pre-flight check
+    if (usesChecklist) {
+      const { missingMandatory } = checklistProgress;
+      if (missingMandatory.length > 0) {
+        const list = missingMandatory.slice(0, 5).map(i => `- ${t(i.text, lang)}`).join('\n') + (missingMandatory.length > 5 ? '\n...' : '');
+        alert((lang === 'fr' ? `${missingMandatory.length} élément(s) obligatoire(s) de la liste prévol non cochés :\n` : `${missingMandatory.length} mandatory pre-flight item(s) not checked:\n`) + list);
+        const preflightEl = document.getElementById('preflight-section');
+        if (preflightEl) preflightEl.scrollIntoView({ behavior: 'smooth' });
+        return;
+      }
+    } else if (!formData.preflightCompleted) {
+      alert(t("You must complete and check off the pre-flight checklist before saving the mission.", lang));
+      const preflightEl = document.getElementById('preflight-section');
+      if (preflightEl) {
+        preflightEl.scrollIntoView({ behavior: 'smooth' });
+      }
+      return;
+    }
+
+    // Flight leg validation
+    const badLegIndex = getMissionFlights(formData).findIndex(f => getFlightDurationHours(f) <= 0);
+    if (badLegIndex !== -1) {
+      alert(lang === 'fr' ? `Vol no ${badLegIndex + 1} : l'atterrissage doit suivre le décollage.` : `Flight #${badLegIndex + 1}: landing must be after take-off.`);
+      return;
+    }
+
+    // A PIC certificate below the operation category blocks; lapsed qualifications only warn
+    const crewCheck = checkCrewQualifications(formData, personnel);
+    if (crewCheck.errors.length > 0) {
+      alert(crewCheck.errors.map(e => formatCertificateError(e, lang)).join('\n'));
+      return;
+    }
+    if (crewCheck.warnings.length > 0) {
+      const list = crewCheck.warnings.map(w => `- ${w.name}: ${formatQualificationAlert(w, lang)}`).join('\n');
+      if (!confirm((lang === 'fr' ? "Qualifications à vérifier à la date de la mission :\n" : "Crew qualifications to check as of the mission date:\n") + list + (lang === 'fr' ? "\n\nEnregistrer la mission quand même ?" : "\n\nSave the mission anyway?"))) return;
+    }
+
+    // Maintenance warning (does not block - the PIC decides on airworthiness)
+    const overdueAircraft = aircraft.filter(a => (formData.aircraftIds || []).includes(a.id) && getAircraftStatus(a, missions).level === 'overdue');
+    if (overdueAircraft.length > 0) {
+      const names = overdueAircraft.map(getAircraftLabel).join(', ');
+      const msg = lang === 'fr'
+        ? `Entretien en retard pour : ${names}. Enregistrer la mission quand même ?`
+        : `Maintenance is overdue for: ${names}. Save the mission anyway?`;
+      if (!confirm(msg)) return;
+    }
+
+    // Mass List Extraction and Saving
+    const newLists = JSON.parse(JSON.stringify(lists));
+    let listsChanged = false;
+
+    const checkAndAdd = (listKey, val) => {
+      if (!val || typeof val !== 'string' || val.trim() === '') return;
+      const trimmed = val.trim();
+      if (!newLists[listKey]) newLists[listKey] = [];
+      if (!newLists[listKey].includes(trimmed)) {
+          newLists[listKey].push(trimmed);
+          listsChanged = true;
+      }
+    };
+
+    const keysToCheck = [
+      'pilots', 'additionalPilots', 'cameraOperators', 'observers', 'rpas', 'payload', 'opCategories', 'types', 'workElements', 
+      'locations', 'airspaces', 'airspaceTypes', 'referenceGpsUnits',
+      'approachAlts', 'emergencySites', 'descriptions', 'preflightIssuesList'
+    ];
+    
+    const fieldMap = { 
+      'pilots': 'pilot', 'additionalPilots': 'additionalPilots', 'cameraOperators': 'cameraOperators', 'observers': 'observers', 
+      'rpas': 'rpas', 'payload': 'payload', 'opCategories': 'opCategory', 'types': 'type',
+      'workElements': 'workElements',
+      'locations': 'location', 'airspaces': 'airspace', 'airspaceTypes': 'airspaceType', 'referenceGpsUnits': 'referenceGpsUnit',
+      'approachAlts': 'approachAlt', 'emergencySites': 'emergencySite',
+      'descriptions': 'description', 'preflightIssuesList': 'preflightIssues'
+    };
+
+    keysToCheck.forEach(listKey => {
+      const formField = fieldMap[listKey];
+      const val = formData[formField];
+      if (Array.isArray(val)) {
+          val.forEach(item => checkAndAdd(listKey, item));
+      } else {
+          checkAndAdd(listKey, val);
+      }
+    });
+
+    Object.values(formData.risks || {}).forEach(risk => {
+      if (risk.checked) {
+          checkAndAdd('riskDescriptions', risk.desc);
+          checkAndAdd('riskMitigations', risk.mitigation);
+      }
+    });
+
+    if (listsChanged) {
+      onUpdateBulkLists(newLists);
+    }
+
+    let mission = { ...formData, coords, flightCount: getMissionFlightCount(formData), preflightCompleted: usesChecklist || formData.preflightCompleted, id: initialData?.id || generateId(), created: initialData?.created || new Date().toISOString() };
+    // A plan that is under review or already signed off goes back to draft when what was approved changes
+    const status = getMissionStatus(mission);
+    if (initialData && (status === 'submitted' || status === 'approved') && APPROVAL_FIELDS.some(f => JSON.stringify(initialData[f] ?? null) !== JSON.stringify(mission[f] ?? null))) {
+      if (!confirm(t("This mission has been submitted for approval. Saving these changes will return it to draft and it must be resubmitted. Continue?", lang))) return;
+      mission = applyStatusChange(mission, 'draft', { comments: t("Plan changed after submission", lang) });
+    }
+    // Edits after signing are kept but leave the earlier signatures flagged as stale
+    const validSignatures = (initialData?.signatures || []).filter(s => s.fingerprint && !isSignatureStale(s, initialData));
+    if (validSignatures.some(s => (mission.signatures || []).some(m => m.id === s.id) && isSignatureStale(s, mission))) {
+      if (!confirm(t("This mission has been signed. Saving these changes will mark the existing signatures as stale. Continue?", lang))) return;
+    }
+    const slotKeys = getSignatureSlots(mission).map(slot => slot.key);
+    mission.signatures = sealSignatures(mission).filter(sig => slotKeys.includes(sig.key));
+    onSave(mission);
+  };
+
+  const saveAsTemplate = () => {
+    const name = (prompt(t("Template name (crew, site, equipment and risk assessment are saved):", lang), formData.location || '') || '').trim();
+    if (name) onSaveTemplate(name, { ...formData, coords });
+  };
+
+  // Hazards dropped from the saved list still show on missions that flagged them
+  const hazards = [...new Set([...(lists.riskHazards || []), ...Object.keys(formData.risks || {})])];
+  const riskAssessment = getMissionRiskAssessment(formData.risks);
+  const crewCheck = checkCrewQualifications(formData, personnel);
+
+  const launchLat = parseFloat(coords.lat);
+  const launchLng = parseFloat(coords.lng);
+  const proximity = !isNaN(launchLat) && !isNaN(launchLng) ? checkAirspaceProximity(launchLat, launchLng, aerodromes, airspaceZones) : null;
+
+  const getListProps = (formKey, listKey, multiple = false, customClass = "mb-4") => ({
+    value: formData[formKey],
+    options: lists[listKey] || [],
+    onChange: (val) => update(formKey, val),
+    multiple,
+    className: customClass,
+    lang,
+    onDelete: (val) => {
+       const confirmMsg = lang === 'fr' ? `Retirer "${val}" de votre liste d'options enregistrées ?` : `Remove "${val}" from your saved options list?`;
+       if (confirm(confirmMsg)) {
+         onUpdateList(listKey, val, 'del');
+         if (!multiple && formData[formKey] === val) update(formKey, '');
+       }
+    }
+  });
+
+  return (
+    <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md">
+        <div className="flex items-center gap-3">
+          <button onClick={onCancel} className="p-2 hover:bg-emerald-800 rounded-full transition-colors">
+            <ArrowLeft className="h-6 w-6" />
+          </button>
+          <h2 className="text-lg font-bold tracking-wide">
+            {initialData ? t('EDIT MISSION', lang) : t('NEW MISSION', lang)}
+          </h2>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={saveAsTemplate} title={t('Save as Template', lang)} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><BookmarkPlus className="h-5 w-5" /></button>
+          <div className="text-xs font-mono bg-emerald-800 px-2 py-1 rounded">
+            {t('STEP', lang)} {step}/3
+          </div>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 pb-24" ref={scrollRef}>
+        {step === 1 && (
+          <div className="space-y-6">
+            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2">
+                <MapPin className="h-5 w-5 text-emerald-700" />
+                {t('TIME & LOCATION', lang)}
+              </h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="w-full overflow-hidden">
+                  <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Start (24h)', lang)}</label>
+                  <input type="datetime-local" className="w-full p-2 text-sm border border-slate-300 rounded bg-slate-50" style={{ maxWidth: '100%', boxSizing: 'border-box' }} value={formData.start} onChange={e => update('start', e.target.value)} />
+                </div>
+                <div className="w-full overflow-hidden">
+                   <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('End (24h)', lang)}</label>
+                  <input type="datetime-local" className="w-full p-2 text-sm border border-slate-300 rounded bg-slate-50" style={{ maxWidth: '100%', boxSizing: 'border-box' }} value={formData.end} onChange={e => update('end', e.target.value)} />
+                </div>
+              </div>
+              <DynamicSelect label="Location / Site Name" icon={null} {...getListProps('location', 'locations')} />
+              <div className="bg-slate-50 p-3 rounded border border-slate-200">
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-xs font-bold text-slate-500 uppercase">{t('GPS Coordinates', lang)}</span>
+                  <button onClick={handleGPS} className="text-xs bg-emerald-100 text-emerald-800 px-3 py-1 rounded font-bold hover:bg-emerald-200 transition-colors shadow-sm">{t('ACQUIRE GPS', lang)}</button>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-400 uppercase mb-1">{t('Latitude', lang)}</label>
+                    <input type="text" className="w-full p-2 border border-slate-300 rounded text-sm font-mono bg-white" value={coords.lat || ''} onChange={(e) => handleCoordChange('lat', e.target.value)} placeholder="0.000000" />
+                  </div>
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-400 uppercase mb-1">{t('Longitude', lang)}</label>
+                    <input type="text" className="w-full p-2 border border-slate-300 rounded text-sm font-mono bg-white" value={coords.lng || ''} onChange={(e) => handleCoordChange('lng', e.target.value)} placeholder="0.000000" />
+                  </div>
+                </div>
+              </div>
+              
+              <div className="bg-slate-50 p-3 rounded border border-slate-200 mt-4">
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-xs font-bold text-slate-500 uppercase">{t('SECONDARY GPS COORDINATES (REFERENCE)', lang)}</span>
+                </div>
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-400 uppercase mb-1">{t('Latitude', lang)}</label>
+                    <input type="text" className="w-full p-2 border border-slate-300 rounded text-sm font-mono bg-white" value={formData.secondaryLat || ''} onChange={(e) => update('secondaryLat', e.target.value)} placeholder="0.000000" />
+                  </div>
+                  <div>
+                    <label className="block text-[10px] font-bold text-slate-400 uppercase mb-1">{t('Longitude', lang)}</label>
+                    <input type="text" className="w-full p-2 border border-slate-300 rounded text-sm font-mono bg-white" value={formData.secondaryLng || ''} onChange={(e) => update('secondaryLng', e.target.value)} placeholder="0.000000" />
+                  </div>
+                </div>
+                <DynamicSelect label="REFERENCE GPS UNIT" icon={Navigation} {...getListProps('referenceGpsUnit', 'referenceGpsUnits')} />
+              </div>
+
+              <div className="bg-slate-50 p-3 rounded border border-slate-200 mt-4 space-y-2">
+                <div className="flex justify-between items-center">
+                  <span className="text-xs font-bold text-slate-500 uppercase">{t('FLIGHT LOGS / TRACKS', lang)}</span>
+                  <label className="text-xs bg-emerald-100 text-emerald-800 px-3 py-1 rounded font-bold hover:bg-emerald-200 transition-colors shadow-sm cursor-pointer flex items-center gap-1">
+                    <Upload className="h-3 w-3" /> {t('IMPORT LOG', lang)}
+                    <input type="file" accept=".csv,.txt,.gpx" className="hidden" onChange={handleFlightLogImport} />
+                  </label>
+                </div>
+                <p className="text-[10px] text-slate-400">{t('DJI flight record CSV, telemetry CSV (timestamp, lat, lon, alt) or GPX.', lang)}</p>
+                {(formData.tracks || []).map(tr => (
+                  <div key={tr.id} className="bg-white p-2 rounded border border-slate-200 flex justify-between items-start gap-2 text-xs">
+                    <div className="min-w-0">
+                      <div className="font-bold text-slate-700 truncate">{tr.name} <span className="text-slate-400 font-normal">({tr.source})</span></div>
+                      <div className="text-slate-500">
+                        {tr.start ? formatDateTime24h(tr.start) : '---'} · {tr.durationMin} min · {tr.maxAltitude !== null ? `${tr.maxAltitude} m` : '-'} · {tr.maxDistanceKm} km · {tr.points.length} pts
+                      </div>
+                    </div>
+                    <button onClick={() => removeTrack(tr.id)} type="button" className="p-1 text-slate-400 hover:text-red-600 shrink-0"><Trash2 className="h-4 w-4" /></button>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2 mb-4 border-b border-slate-100 pb-2">
+                <Users className="h-5 w-5 text-emerald-700" />
+                {t('OPERATIONAL RESOURCES', lang)}
+              </h3>
+              <DynamicSelect label="Pilot In Command" icon={Users} {...getListProps('pilot', 'pilots')} />
+              {(crewCheck.errors.length > 0 || crewCheck.warnings.length > 0) && (
+                <div className="mb-4 -mt-2 space-y-1">
+                  {crewCheck.errors.map((e, i) => <p key={`e${i}`} className="text-xs font-bold text-red-700 flex items-center gap-1"><AlertTriangle className="h-3 w-3 shrink-0" /> {formatCertificateError(e, lang)}</p>)}
+                  {crewCheck.warnings.map((w, i) => <p key={`w${i}`} className="text-xs text-amber-700 flex items-center gap-1"><AlertTriangle className="h-3 w-3 shrink-0" /> {w.name}: {formatQualificationAlert(w, lang)}</p>)}
+                </div>
+              )}
+              <DynamicSelect label="Additional Pilots" icon={Users} {...getListProps('additionalPilots', 'additionalPilots', true)} />
+              <DynamicSelect label="Camera Operators" icon={Eye} {...getListProps('cameraOperators', 'cameraOperators', true)} />
+              <DynamicSelect label="Observers" icon={Eye} {...getListProps('observers', 'observers', true)} />
+              
+              {aircraft.length > 0 ? (
+                <AircraftPicker
+                  aircraft={aircraft}
+                  missions={missions}
+                  selectedIds={formData.aircraftIds}
+                  rpasNames={formData.rpas}
+                  onChange={(ids, names) => setFormData(prev => ({ ...prev, aircraftIds: ids, rpas: names }))}
+                  lang={lang}
+                />
+              ) : (
+                <DynamicSelect label="RPAS Model and Reg No." icon={Crosshair} {...getListProps('rpas', 'rpas', true)} />
+              )}
+              <DynamicSelect label="Payload" icon={Box} {...getListProps('payload', 'payload', true)} />
+              <DynamicSelect label="Operation Category" icon={Activity} {...getListProps('opCategory', 'opCategories')} />
+              
+              <DynamicSelect label="Airspace Class" icon={Cloud} {...getListProps('airspace', 'airspaces')} />
+              <DynamicSelect label="Airspace Type" icon={Cloud} {...getListProps('airspaceType', 'airspaceTypes')} />
+
+              {proximity && (
+                <div className="mb-4 space-y-1">
+                  {proximity.warnings.length === 0 ? (
+                    <p className="p-2 rounded text-xs font-medium bg-emerald-50 text-emerald-800 border border-emerald-200">{t("No aerodrome or airspace zone conflicts at the launch point.", lang)}</p>
+                  ) : proximity.warnings.map((w, i) => (
+                    <p key={i} className={`p-2 rounded text-xs font-bold flex items-start gap-2 ${PROXIMITY_BADGE[w.level]}`}><AlertTriangle className="h-4 w-4 shrink-0" /> {formatProximityWarning(w, lang)}</p>
+                  ))}
+                  {(formData.airspace !== proximity.airspace || formData.airspaceType !== proximity.airspaceType) && (
+                    <button type="button" onClick={() => setFormData(prev => ({ ...prev, airspace: proximity.airspace, airspaceType: proximity.airspaceType }))} className="text-[10px] bg-emerald-100 text-emerald-800 px-3 py-1 rounded font-bold hover:bg-emerald-200 transition-colors shadow-sm">
+                      {t("Use suggested airspace", lang)}: {proximity.airspace} / {t(proximity.airspaceType, lang)}
+                    </button>
+                  )}
+                </div>
+              )}
+              
+              <div className="mb-4">
+                <div className="flex justify-between items-center mb-1">
+                  <label className="block text-xs font-bold text-slate-600 uppercase flex items-center gap-2"><MapPin className="h-3 w-3 text-emerald-700" /> {t('Aerodromes within 100km', lang)}</label>
+                  <button onClick={handlePopulateAerodromes} type="button" className="text-[10px] bg-emerald-100 text-emerald-800 px-3 py-1 rounded font-bold hover:bg-emerald-200 transition-colors shadow-sm">{t('POPULATE', lang)}</button>
+                </div>
+                <textarea className="w-full p-3 border border-slate-300 rounded-md h-32 text-xs font-mono bg-slate-50" value={formData.aerodromesWithin100km || ''} onChange={(e) => update('aerodromesWithin100km', e.target.value)} placeholder={t("Will auto-populate when GPS is acquired or populate is pressed...", lang)} />
+              </div>
+               <div className="mb-4">
+                <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Applicable NOTAMS', lang)}</label>
+                <textarea className="w-full p-3 border border-slate-300 rounded-md h-20" value={formData.notams} onChange={(e) => update('notams', e.target.value)} placeholder={t("Enter applicable NOTAMs...", lang)} />
+              </div>
+              <div className="mb-4">
+                <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2"><FileText className="h-3 w-3 text-emerald-700" /> {t('Nav Canada Ref No.', lang)}</label>
+                <input type="text" className="w-full p-3 border border-slate-300 rounded-md" value={formData.navCanRef} onChange={(e) => update('navCanRef', e.target.value)} placeholder={t("Enter Ref No.", lang)} />
+              </div>
+              <div className="mb-4">
+                 <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2"><FileCheck className="h-3 w-3 text-emerald-700" /> {t('NAV Canada File Upload', lang)}</label>
+                 {formData.navCanFile ? (
+                    <div className="relative group p-3 bg-emerald-50 border border-emerald-200 rounded-md text-sm text-emerald-800 flex items-center gap-2">
+                       <FileCheck className="h-4 w-4" /> {t('File Attached', lang)}
+                       <button onClick={() => update('navCanFile', null)} className="absolute top-2 right-2 bg-red-600 text-white p-1 rounded-full shadow-md"><Trash2 className="h-3 w-3" /></button>
+                    </div>
+                 ) : (
+                    <label className="flex flex-col items-center justify-center w-full h-16 border-2 border-slate-300 border-dashed rounded-lg cursor-pointer hover:bg-slate-50">
+                        <Upload className="h-4 w-4 text-slate-400" /><span className="text-[10px] text-slate-500">{t('Upload File / Image', lang)}</span>
+                        <input type="file" className="hidden" onChange={(e) => { const f = e.target.files[0]; if(f) compressImageFile(f, imageSettings).then(data => update('navCanFile', data)); }} />
+                    </label>
+                 )}
+              </div>
+            </div>
+
+            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-3">
+               <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><Cloud className="h-5 w-5 text-emerald-700" /> {t('WEATHER CONDITIONS', lang)}</h3>
+               <div className="grid grid-cols-2 gap-4">
+                  <div><label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Temp (°C)', lang)}</label><input type="number" className="w-full p-3 border border-slate-300 rounded-md" value={formData.temperature} onChange={(e) => update('temperature', e.target.value)} /></div>
+                  <div><label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Wind (km/h)', lang)}</label><input type="number" className="w-full p-3 border border-slate-300 rounded-md" value={formData.windSpeed} onChange={(e) => update('windSpeed', e.target.value)} /></div>
+               </div>
+               <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Wind Direction', lang)}</label>
+                    <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.windDir} onChange={(e) => update('windDir', e.target.value)}>
+                      <option value="">{t('Select...', lang)}</option>
+                      {['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'].map(d => <option key={d} value={d}>{t(d, lang)}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Visibility (km)', lang)}</label>
+                    <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.visibility} onChange={(e) => update('visibility', e.target.value)}>
+                       <option value="">{t('Select...', lang)}</option>
+                       {['Excellent (above 10 km)', 'Good (5-10 km)', 'Fair (2-5 km)', 'Poor (1-2 km)'].map(v => <option key={v} value={v}>{t(v, lang)}</option>)}
+                    </select>
+                  </div>
+               </div>
+               <div><label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Weather Notes', lang)}</label><textarea className="w-full p-3 border border-slate-300 rounded-md h-20" value={formData.weatherText} onChange={e => update('weatherText', e.target.value)} /></div>
+               <div>
+                  <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Attach Forecast / Screenshot', lang)}</label>
+                  {formData.weatherImage ? (
+                    <div className="relative group"><img src={formData.weatherImage} alt="Weather" className="w-full h-48 object-contain rounded-md border border-slate-200 bg-slate-50" /><button onClick={() => update('weatherImage', null)} className="absolute top-2 right-2 bg-red-600 text-white p-2 rounded-full shadow-md"><Trash2 className="h-4 w-4" /></button></div>
+                  ) : (
+                    <label className="flex flex-col items-center justify-center w-full h-24 border-2 border-slate-300 border-dashed rounded-lg cursor-pointer hover:bg-slate-50"><Upload className="h-6 w-6 text-slate-400 mb-1" /><span className="text-xs text-slate-500">{t('Click to upload screenshot', lang)}</span><input type="file" className="hidden" accept="image/*" onChange={(e) => { const f = e.target.files[0]; if(f) compressImageFile(f, imageSettings).then(data => update('weatherImage', data)); }} /></label>
+                  )}
+               </div>
+            </div>
+            
+            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
+               <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2">
+                 <FileText className="h-5 w-5 text-emerald-700" />
+                 {t('AFTER MISSION REPORT', lang)}
+               </h3>
+               <DynamicTextArea label="Outcomes/Summary" value={formData.outcomesSummary || ''} options={lists.descriptions} onChange={(val) => update('outcomesSummary', val)} onDelete={(val) => onUpdateList('descriptions', val, 'del')} lang={lang} />
+               <DynamicTextArea label="Incidents/Maintenance" value={formData.incidentsMaintenance || ''} options={lists.preflightIssuesList} onChange={(val) => update('incidentsMaintenance', val)} onDelete={(val) => onUpdateList('preflightIssuesList', val, 'del')} lang={lang} />
+            </div>
+          </div>
+        )}
+
+        {step === 2 && (
+          <div className="space-y-6">
+            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
+               <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><Crosshair className="h-5 w-5 text-emerald-700" /> {t('MISSION', lang)}</h3>
+               <DynamicSelect label="Mission Type" icon={FileText} {...getListProps('type', 'types')} />
+               <DynamicSelect label="Work Elements" icon={FileText} {...getListProps('workElements', 'workElements', true)} />
+               <div className="mb-4">
+                 <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2"><Plus className="h-3 w-3 text-emerald-700" /> {t('No. of Flights', lang)}</label>
+                 {getMissionFlights(formData).length > 0 ? (
+                   <p className="p-3 border border-slate-200 rounded-md bg-slate-50 text-sm text-slate-700">{getMissionFlightCount(formData)} · {t('Total flight time', lang)}: {formatHours(getMissionDurationHours(formData))} h</p>
+                 ) : (
+                   <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.flightCount} onChange={(e) => update('flightCount', parseInt(e.target.value))}>{[1,2,3,4,5,6,7,8,9,10].map(n => <option key={n} value={n}>{n}</option>)}</select>
+                 )}
+               </div>
+
+               <FlightLegsEditor flights={formData.flights} onChange={(legs) => update('flights', legs)} mission={formData} coords={coords} aircraft={aircraft} missions={missions} lang={lang} />
+               
+               <div className="mb-4">
+                 <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2"><Navigation className="h-3 w-3 text-emerald-700" /> {t('Distance to Operational Area (km)', lang)}</label>
+                 <input type="text" className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.distance} onChange={(e) => update('distance', e.target.value)} placeholder="e.g. 1.2" />
+               </div>
+
+               <div className="p-4 bg-slate-50 rounded-md border border-slate-200">
+                 <h4 className="font-bold text-slate-700 text-xs uppercase mb-3">{t('Approach and Departure', lang)}</h4>
+                 <div className="flex flex-col sm:flex-row gap-4">
+                    <div className="w-full sm:w-28 shrink-0">
+                      <DynamicSelect label="Alt (m)" icon={null} customClass="" {...getListProps('approachAlt', 'approachAlts')} />
+                    </div>
+                    <div className="flex-1 min-w-0 mb-4 sm:mb-0">
+                      <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Route', lang)}</label>
+                      <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.approachRoute} onChange={(e) => update('approachRoute', e.target.value)}><option value="">{t('Select...', lang)}</option>{['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'].map(d => <option key={d} value={d}>{t(d, lang)}</option>)}</select>
+                    </div>
+                 </div>
+               </div>
+               
+               <DynamicSelect label="Emergency Landing Site" icon={null} {...getListProps('emergencySite', 'emergencySites')} />
+               <DynamicTextArea label="Description / Objectives" value={formData.description || ''} options={lists.descriptions} onChange={(val) => update('description', val)} onDelete={(val) => onUpdateList('descriptions', val, 'del')} lang={lang} />
+               
+               <div className="space-y-3">
+                 <h3 className="font-bold text-slate-800 flex items-center gap-2 text-sm uppercase"><PenTool className="h-4 w-4 text-emerald-700" /> {t('MISSION AREA SKETCH', lang)}</h3>
+                 <SketchPad sketch={getMissionSketch(formData)} onSave={(png, vector) => setFormData(prev => ({ ...prev, sketch: png, sketchVector: vector }))} imageSettings={imageSettings} lang={lang} />
+               </div>
+            </div>
+          </div>
+        )}
+
+        {step === 3 && (
+          <div className="space-y-4">
+            <div className="bg-emerald-50 border border-emerald-100 p-4 rounded-md text-emerald-900 text-sm mb-4">
+              <strong>{t('Assessment Required:', lang)}</strong> {t('Select all hazards present and rate likelihood and severity. Mitigation strategies are mandatory for Medium, High and Extreme risk items.', lang)}
+            </div>
+
+            <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-3">
+              <div className={`p-3 rounded-md font-bold flex justify-between items-center ${RISK_DECISION_BANNER[riskAssessment.decision]}`}>
+                <span className="uppercase tracking-wide">{t(riskAssessment.decision, lang)}</span>
+                <span className="text-sm">{t('Overall Risk', lang)}: {riskAssessment.score || '-'} {riskAssessment.band ? `(${t(riskAssessment.band, lang)})` : ''}</span>
+              </div>
+              <RiskMatrixGrid flagged={riskAssessment.flagged} lang={lang} />
+            </div>
+
+            {hazards.map((item) => {
+              const riskData = formData.risks[item] || { checked: false };
+              const scores = getRiskScores(riskData);
+              const ratingSelect = (field, labels, value) => (
+                <select className="w-full p-2 border border-slate-300 rounded bg-white text-sm" value={value || ''} onChange={(e) => handleRiskChange(item, field, e.target.value ? Number(e.target.value) : '')}>
+                  <option value="">{t('Select...', lang)}</option>
+                  {labels.map((label, idx) => <option key={label} value={idx + 1}>{idx + 1} - {t(label, lang)}</option>)}
+                </select>
+              );
+              return (
+                <div key={item} className={`bg-white rounded-md border shadow-sm overflow-hidden transition-all ${riskData.checked ? 'border-emerald-500 ring-1 ring-emerald-500' : 'border-slate-200'}`}>
+                  <label className="flex items-center p-4 cursor-pointer hover:bg-slate-50">
+                    <input type="checkbox" className="w-5 h-5 accent-emerald-700 rounded mr-3" checked={riskData.checked} onChange={(e) => handleRiskChange(item, 'checked', e.target.checked)} />
+                    <span className={`flex-1 font-medium ${riskData.checked ? 'text-slate-900' : 'text-slate-600'}`}>{t(item, lang)}</span>
+                    {riskData.checked && <span className={`text-[10px] px-2 py-1 rounded font-bold uppercase ${scores.residualBand ? RISK_BAND_BADGE[scores.residualBand] : 'bg-slate-100 text-slate-500'}`}>{scores.residualBand ? `${scores.residual || ''} ${t(scores.residualBand, lang)}` : t('NO LEVEL', lang)}</span>}
+                  </label>
+                  {riskData.checked && (
+                    <div className="p-4 bg-slate-50 border-t border-slate-100 space-y-3">
+                      <div className="grid grid-cols-2 gap-3">
+                        <div><label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t('Likelihood', lang)}</label>{ratingSelect('likelihood', RISK_LIKELIHOOD, riskData.likelihood)}</div>
+                        <div><label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t('Severity', lang)}</label>{ratingSelect('severity', RISK_SEVERITY, riskData.severity)}</div>
+                      </div>
+                      {scores.initial && <p className="text-xs text-slate-600">{t('Initial Risk', lang)}: <span className={`px-2 py-0.5 rounded font-bold ${RISK_BAND_BADGE[scores.initialBand]}`}>{scores.initial} {t(scores.initialBand, lang)}</span></p>}
+                      <DynamicTextArea label="Description" value={riskData.desc || ''} options={lists.riskDescriptions} onChange={(val) => handleRiskChange(item, 'desc', val)} onDelete={(val) => onUpdateList('riskDescriptions', val, 'del')} lang={lang} />
+                      <DynamicTextArea label="Mitigation" value={riskData.mitigation || ''} options={lists.riskMitigations} onChange={(val) => handleRiskChange(item, 'mitigation', val)} onDelete={(val) => onUpdateList('riskMitigations', val, 'del')} lang={lang} />
+                      <div className="grid grid-cols-2 gap-3">
+                        <div><label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t('Residual Likelihood', lang)}</label>{ratingSelect('residualLikelihood', RISK_LIKELIHOOD, riskData.residualLikelihood || riskData.likelihood)}</div>
+                        <div><label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t('Residual Severity', lang)}</label>{ratingSelect('residualSeverity', RISK_SEVERITY, riskData.residualSeverity || riskData.severity)}</div>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+            <div className="flex gap-2">
+              <input type="text" className="flex-1 p-3 border border-slate-300 rounded-md bg-white text-sm" placeholder={t('Add a hazard not listed above...', lang)} value={newHazard} onChange={(e) => setNewHazard(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') addHazard(); }} />
+              <button type="button" onClick={addHazard} className="px-4 bg-emerald-700 hover:bg-emerald-800 text-white rounded-md"><Plus className="h-5 w-5" /></button>
+            </div>
+            
+            <div id="preflight-section" className="bg-white p-5 rounded-md border border-slate-200 shadow-sm mt-6">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2 mb-4">
+                <FileCheck className="h-5 w-5 text-emerald-700" />
+                {t('PRE-FLIGHT CHECKLIST', lang)}
+              </h3>
+              {usesChecklist ? (
+                <div className="mb-4 space-y-4">
+                  <div className="flex items-end justify-between gap-3">
+                    <div>
+                      <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t('Initials', lang)}</label>
+                      <input type="text" maxLength={4} className="w-24 p-2 border border-slate-300 rounded text-sm uppercase font-mono" value={checkInitials} placeholder={getInitials(formData.pilot)} onChange={(e) => setCheckInitials(e.target.value)} />
+                    </div>
+                    <span className={`text-xs font-bold px-2 py-1 rounded ${checklistProgress.missingMandatory.length === 0 ? 'bg-emerald-100 text-emerald-800' : 'bg-amber-100 text-amber-800'}`}>{checklistProgress.done}/{checklistProgress.total} {t('checked', lang)}</span>
+                  </div>
+                  {formData.checklist.map(c => (
+                    <div key={c.templateId} className="space-y-3">
+                      {formData.checklist.length > 1 && <div className="text-xs font-bold text-emerald-800 uppercase">{t(c.name, lang)}</div>}
+                      {c.sections.map((s, si) => (
+                        <div key={si}>
+                          <div className="text-[10px] font-bold text-slate-500 uppercase mb-1">{t(s.title, lang)}</div>
+                          <div className="border border-slate-200 rounded divide-y divide-slate-100">
+                            {s.items.map(item => (
+                              <label key={item.id} className={`flex items-start gap-3 p-2 cursor-pointer ${item.checked ? 'bg-emerald-50' : 'bg-white hover:bg-slate-50'}`}>
+                                <input type="checkbox" className="w-5 h-5 accent-emerald-700 rounded mt-0.5 shrink-0" checked={item.checked} onChange={(e) => toggleChecklistItem(c.templateId, item.id, e.target.checked)} />
+                                <span className="flex-1 text-sm text-slate-700">
+                                  {t(item.text, lang)}
+                                  {item.mandatory && <span className="text-red-600 font-bold"> *</span>}
+                                </span>
+                                {item.checked && <span className="text-[10px] text-slate-500 font-mono text-right shrink-0">{item.initials}<br />{formatDateTime24h(item.checkedAt)}</span>}
+                              </label>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                  <p className="text-[10px] text-slate-500"><span className="text-red-600 font-bold">*</span> {t('Mandatory item - the mission cannot be saved until it is checked.', lang)}</p>
+                </div>
+              ) : (
+                <div className="mb-4">
+                  <label className="block text-xs font-bold text-slate-600 uppercase mb-2">{t('COMPLETED CHECKLIST', lang)}</label>
+                  <label className="flex items-center cursor-pointer bg-slate-50 p-3 rounded border border-slate-200 hover:bg-slate-100 transition-colors">
+                    <input type="checkbox" className="w-5 h-5 accent-emerald-700 rounded mr-3" checked={formData.preflightCompleted || false} onChange={(e) => update('preflightCompleted', e.target.checked)} />
+                    <span className="text-sm font-medium text-slate-700">{t('I have completed the pre-flight checklist', lang)}</span>
+                  </label>
+                </div>
+              )}
+              <DynamicTextArea label="Issues / Concerns" value={formData.preflightIssues || ''} options={lists.preflightIssuesList} onChange={(val) => update('preflightIssues', val)} onDelete={(val) => onUpdateList('preflightIssuesList', val, 'del')} lang={lang} />
+            </div>
+            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm mt-6 space-y-4">
+              <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2">
+                <PenTool className="h-5 w-5 text-emerald-700" />
+                {t('SIGNATURES', lang)}
+              </h3>
+              {signatureSlots.map(slot => {
+                const sig = (formData.signatures || []).find(s => s.key === slot.key);
+                const stale = sig && initialData && (initialData.signatures || []).some(s => s.id === sig.id) && isSignatureStale(sig, initialData);
+                return (
+                  <div key={slot.key} className="space-y-2">
+                    <div className="flex justify-between items-center">
+                      <span className="text-xs font-bold text-slate-500 uppercase">{t(SIGNATURE_ROLES[slot.role], lang)}</span>
+                      {sig && <button type="button" onClick={() => removeSignature(slot.key)} className="text-xs font-bold text-red-600 flex items-center gap-1"><Eraser className="h-3 w-3" /> {stale ? t('Re-sign', lang) : t('Remove', lang)}</button>}
+                    </div>
+                    {sig ? (
+                      <div className={`border rounded p-2 flex items-center gap-3 ${stale ? 'border-amber-300 bg-amber-50' : 'border-slate-200'}`}>
+                        <img src={sig.image} alt={sig.name} className="h-16 bg-white border border-slate-200 rounded" />
+                        <div className="text-xs text-slate-600">
+                          <p className="font-bold text-slate-800">{sig.name}</p>
+                          <p>{formatDateTime24h(sig.signedAt)}</p>
+                          {stale && <p className="font-bold text-amber-700">{t('Stale - mission edited after signing', lang)}</p>}
+                        </div>
+                      </div>
+                    ) : (
+                      <>
+                        {slot.name ? <p className="text-sm text-slate-700">{slot.name}</p> : (
+                          <input type="text" list="signature-approvers" className="w-full p-2 border border-slate-300 rounded text-sm" placeholder={t('Name', lang)} value={signerNames[slot.key] || ''} onChange={(e) => setSignerNames(prev => ({ ...prev, [slot.key]: e.target.value }))} />
+                        )}
+                        <SignaturePad onAccept={(image) => addSignature(slot, image)} lang={lang} />
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+              <datalist id="signature-approvers">{(lists.approvers || []).map(a => <option key={a} value={a} />)}</datalist>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="fixed bottom-0 left-0 right-0 bg-white border-t border-slate-200 z-20 shadow-lg" style={{ padding: '1rem', paddingBottom: 'calc(1rem + env(safe-area-inset-bottom))' }}>
+        <div className="max-w-3xl mx-auto flex gap-4">
+          {step > 1 && <button onClick={() => setStep(s => s - 1)} className="flex-1 py-3 bg-slate-100 hover:bg-slate-200 text-slate-700 font-bold rounded-md uppercase tracking-wide text-sm">{t('Back', lang)}</button>}
+          {step < 3 ? <button onClick={() => setStep(s => s + 1)} className="flex-1 py-3 bg-emerald-800 hover:bg-emerald-900 text-white font-bold rounded-md shadow-md uppercase tracking-wide text-sm">{t('Next', lang)}</button> : <button onClick={saveMission} className="flex-1 py-3 bg-emerald-700 hover:bg-emerald-800 text-white font-bold rounded-md shadow-md flex justify-center items-center gap-2 uppercase tracking-wide text-sm"><Save className="h-5 w-5" /> {t('Save Mission', lang)}</button>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- PRINT VIEW COMPONENT ---
+const PrintMissionView = ({ mission, onBack, lang }) => {
+  if (!mission) return null;
+  const riskAssessment = getMissionRiskAssessment(mission.risks);
+
+  return (
+    <div className="min-h-screen bg-white text-black font-sans pb-20">
+      <div className="print:hidden bg-emerald-900 text-white p-4 flex justify-between items-center shadow-md">
+        <button onClick={onBack} className="flex items-center gap-2 font-bold hover:text-emerald-200 transition-colors">
+          <ArrowLeft className="h-5 w-5" /> {t('Back', lang)}
+        </button>
+        <button onClick={() => window.print()} className="bg-white text-emerald-900 px-4 py-2 rounded font-bold flex items-center gap-2 hover:bg-emerald-50 transition-colors shadow-sm">
+          <Printer className="h-5 w-5" /> {t('Print Report', lang)}
+        </button>
+      </div>
+
+      <div className="max-w-4xl mx-auto p-8">
+        <div className="border-b-2 border-slate-800 pb-4 mb-6">
+          <h1 className="text-2xl font-bold uppercase tracking-wider">{t('DFO RPAS Flight Log - Mission Report', lang)}</h1>
+          <p className="text-sm text-slate-600 mt-1">{t('Mission ID', lang)}: {mission.id}</p>
+          <p className="text-sm text-slate-600">{t('Status', lang)}: {t(MISSION_STATUSES[getMissionStatus(mission)].label, lang)}{requiresApproval(mission) && ` - ${t('Approval', lang)}: ${formatApproval(mission.approval, lang)}`}</p>
+          <div className="text-[10px] text-slate-500 mt-2 space-y-0.5">
+            <p>{t('Compliant with CARs Part IX - TC and DFO Policy Draft', lang)}</p>
+            <p>{t('Regional RPAS program coordinator: Philip Bouma', lang)}</p>
+            <p>{t('Chief of Enforcement Operations: Ulysse Brideau', lang)}</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-6 mb-6">
+          <div>
+            <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Location & Time', lang)}</h3>
+            <p className="text-sm mb-1"><strong>Site:</strong> {mission.location}</p>
+            <p className="text-sm mb-1"><strong>{t('Start:', lang)}</strong> {formatDateTime24h(mission.start)}</p>
+            <p className="text-sm mb-1"><strong>{t('End:', lang)}</strong> {formatDateTime24h(mission.end)}</p>
+            <p className="text-sm mb-1"><strong>{t('Primary GPS', lang)}:</strong> {mission.coords?.lat || t('N/A', lang)}, {mission.coords?.lng || t('N/A', lang)}</p>
+            {(mission.secondaryLat || mission.secondaryLng) && (
+              <p className="text-sm mb-1"><strong>{t('Ref GPS', lang)}:</strong> {mission.secondaryLat}, {mission.secondaryLng} ({mission.referenceGpsUnit})</p>
+            )}
+          </div>
+          <div>
+            <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Operational Resources', lang)}</h3>
+            <p className="text-sm mb-1"><strong>{t('Pilot In Command', lang)}:</strong> {mission.pilot}</p>
+            <p className="text-sm mb-1"><strong>{t('Additional Pilots', lang)}:</strong> {Array.isArray(mission.additionalPilots) ? mission.additionalPilots.join(', ') : t('None', lang)}</p>
+            <p className="text-sm mb-1"><strong>{t('Camera Operators', lang)}:</strong> {Array.isArray(mission.cameraOperators) ? mission.cameraOperators.join(', ') : t('None', lang)}</p>
+            <p className="text-sm mb-1"><strong>{t('Observers', lang)}:</strong> {Array.isArray(mission.observers) ? mission.observers.join(', ') : (mission.observer || t('None', lang))}</p>
+            <p className="text-sm mb-1 mt-2"><strong>RPAS:</strong> {Array.isArray(mission.rpas) ? mission.rpas.join(', ') : (mission.rpas || t('N/A', lang))}</p>
+            <p className="text-sm mb-1"><strong>{t('Op Category', lang)}:</strong> {mission.opCategory || t('N/A', lang)}</p>
+            <p className="text-sm mb-1"><strong>{t('Payload', lang)}:</strong> {Array.isArray(mission.payload) ? mission.payload.join(', ') : (mission.payload || t('N/A', lang))}</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-6 mb-6">
+          <div>
+            <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Mission Details', lang)}</h3>
+            <p className="text-sm mb-1"><strong>Type:</strong> {mission.type}</p>
+            <p className="text-sm mb-1"><strong>{t('Work Elements', lang)}:</strong> {Array.isArray(mission.workElements) ? mission.workElements.join(', ') : (mission.workElement || t('N/A', lang))}</p>
+            <p className="text-sm mb-1"><strong>{t('Flights', lang)}:</strong> {getMissionFlightCount(mission)} ({formatHours(getMissionDurationHours(mission))} h)</p>
+            <p className="text-sm mb-1"><strong>Distance:</strong> {mission.distance || t('N/A', lang)} km</p>
+            <p className="text-sm mb-1"><strong>{t('Airspace', lang)}:</strong> {mission.airspace} ({mission.airspaceType})</p>
+            <p className="text-sm mb-1"><strong>{t('Aerodromes within 100km', lang)}:</strong><br/><span style={{whiteSpace: 'pre-wrap'}}>{mission.aerodromesWithin100km ? mission.aerodromesWithin100km : (Array.isArray(mission.aerodromesInfo) ? mission.aerodromesInfo.join(', ') : (mission.aerodromesInfo || t('None', lang)))}</span></p>
+            <p className="text-sm mb-1 mt-2"><strong>NOTAMS:</strong> {mission.notams || t('None', lang)}</p>
+            <p className="text-sm mb-1"><strong>NavCan Ref:</strong> {mission.navCanRef || t('N/A', lang)}</p>
+            <p className="text-sm mb-1 mt-2"><strong>{t('Approach Alt', lang)}:</strong> {mission.approachAlt || t('N/A', lang)}, <strong>Route:</strong> {mission.approachRoute ? t(mission.approachRoute, lang) : t('N/A', lang)}</p>
+            <p className="text-sm mb-1"><strong>{t('Emergency Landing Site', lang)}:</strong> {mission.emergencySite || t('N/A', lang)}</p>
+            <p className="text-sm mb-1 mt-2"><strong>{t('Description / Objectives', lang)}:</strong> {mission.description || t('N/A', lang)}</p>
+          </div>
+          <div>
+             <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('WEATHER CONDITIONS', lang)}</h3>
+             <p className="text-sm mb-1"><strong>Temp:</strong> {mission.temperature ? `${mission.temperature}°C` : t('N/A', lang)}</p>
+             <p className="text-sm mb-1"><strong>Wind:</strong> {mission.windSpeed ? `${mission.windSpeed} km/h ${mission.windDir ? t(mission.windDir, lang) : ''}` : t('N/A', lang)}</p>
+             <p className="text-sm mb-1"><strong>{t('Visibility (km)', lang)}:</strong> {mission.visibility ? t(mission.visibility, lang) : t('N/A', lang)}</p>
+             <p className="text-sm mb-1 mt-2"><strong>{t('Weather Notes', lang)}:</strong> {mission.weatherText || t('None', lang)}</p>
+             
+             <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2 mt-4">{t('AFTER MISSION REPORT', lang)}</h3>
+             <p className="text-sm mb-1"><strong>{t('Preflight Checked', lang)}:</strong> {mission.preflightCompleted ? t('Yes', lang) : t('No', lang)}</p>
+             <p className="text-sm mb-1"><strong>{t('Issues', lang)}:</strong> {mission.preflightIssues || t('None', lang)}</p>
+             <p className="text-sm mb-1"><strong>{t('Outcomes', lang)}:</strong> {mission.outcomesSummary || t('None', lang)}</p>
+             <p className="text-sm mb-1"><strong>{t('Maintenance', lang)}:</strong> {mission.incidentsMaintenance || t('None', lang)}</p>
+          </div>
+        </div>
+
+        {getMissionFlights(mission).length > 0 && (
+          <div className="mb-6">
+            <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Flight Legs', lang)}</h3>
+            <table className="w-full text-sm border-collapse border border-slate-300">
+              <thead>
+                <tr className="bg-slate-100">
+                  <th className="border border-slate-300 p-2 text-left">#</th>
+                  <th className="border border-slate-300 p-2 text-left">{t('Take-off', lang)}</th>
+                  <th className="border border-slate-300 p-2 text-left">{t('Landing', lang)}</th>
+                  <th className="border border-slate-300 p-2 text-left">{t('Aircraft', lang)} / {t('Battery', lang)}</th>
+                  <th className="border border-slate-300 p-2 text-left">{t('Max Alt AGL (m)', lang)}</th>
+                  <th className="border border-slate-300 p-2 text-left">{t('Pilot at Controls', lang)}</th>
+                  <th className="border border-slate-300 p-2 text-left">{t('Launch Coordinates', lang)}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {getMissionFlights(mission).map((f, i) => (
+                  <tr key={f.id || i}>
+                    <td className="border border-slate-300 p-2">{i + 1}</td>
+                    <td className="border border-slate-300 p-2">{formatDateTime24h(f.takeoff)}</td>
+                    <td className="border border-slate-300 p-2">{formatDateTime24h(f.landing)}</td>
+                    <td className="border border-slate-300 p-2">{f.rpas || '-'}{f.battery ? ` / ${f.battery}` : ''}</td>
+                    <td className="border border-slate-300 p-2">{f.maxAltitude || '-'}</td>
+                    <td className="border border-slate-300 p-2">{f.pilot || '-'}</td>
+                    <td className="border border-slate-300 p-2">{f.lat && f.lng ? `${f.lat}, ${f.lng}` : '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
 
-    // Mass List Extraction and Saving
-    const newLists = JSON.parse(JSON.stringify(lists));
-    let listsChanged = false;
+        {(mission.checklist || []).map(c => (
+          <div key={c.templateId} className="mb-6">
+            <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Pre-Flight Checklist', lang)}: {t(c.name, lang)}</h3>
+            <table className="w-full text-sm border-collapse border border-slate-300">
+              <thead>
+                <tr className="bg-slate-100">
+                  <th className="border border-slate-300 p-2 text-left">{t('Item', lang)}</th>
+                  <th className="border border-slate-300 p-2 text-left">{t('Checked', lang)}</th>
+                  <th className="border border-slate-300 p-2 text-left">{t('Initials', lang)}</th>
+                  <th className="border border-slate-300 p-2 text-left">{t('Time', lang)}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {c.sections.map((sec, si) => (
+                  <React.Fragment key={si}>
+                    <tr className="bg-slate-50"><td colSpan={4} className="border border-slate-300 p-2 font-bold text-xs uppercase">{t(sec.title, lang)}</td></tr>
+                    {sec.items.map(i => (
+                      <tr key={i.id}>
+                        <td className="border border-slate-300 p-2">{t(i.text, lang)}{i.mandatory ? ' *' : ''}</td>
+                        <td className="border border-slate-300 p-2">{i.checked ? '✓' : '✗'}</td>
+                        <td className="border border-slate-300 p-2">{i.initials || '-'}</td>
+                        <td className="border border-slate-300 p-2">{i.checked ? formatDateTime24h(i.checkedAt) : '-'}</td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
 
-    const checkAndAdd = (listKey, val) => {
-      if (!val || typeof val !== 'string' || val.trim() === '') return;
-      const trimmed = val.trim();
-      if (!newLists[listKey]) newLists[listKey] = [];
-      if (!newLists[listKey].includes(trimmed)) {
-          newLists[listKey].push(trimmed);
-          listsChanged = true;
-      }
-    };
+        <div className="mb-6">
+          <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Risk Assessment', lang)}</h3>
+          {riskAssessment.flagged.length === 0 ? (
+            <p className="text-sm italic text-slate-500">{t('No risks flagged.', lang)}</p>
+          ) : (
+            <>
+              <div className={`p-2 mb-3 rounded font-bold text-sm flex justify-between ${RISK_DECISION_BANNER[riskAssessment.decision]}`} style={{ printColorAdjust: 'exact', WebkitPrintColorAdjust: 'exact' }}>
+                <span>{t(riskAssessment.decision, lang)}</span>
+                <span>{t('Overall Risk', lang)}: {riskAssessment.score || '-'} {riskAssessment.band ? `(${t(riskAssessment.band, lang)})` : ''}</span>
+              </div>
+              <div className="mb-3 max-w-md" style={{ printColorAdjust: 'exact', WebkitPrintColorAdjust: 'exact' }}>
+                <RiskMatrixGrid flagged={riskAssessment.flagged} lang={lang} />
+              </div>
+              <table className="w-full text-sm border-collapse border border-slate-300">
+                <thead>
+                  <tr className="bg-slate-100">
+                    <th className="border border-slate-300 p-2 text-left">{t('Risk Factor', lang)}</th>
+                    <th className="border border-slate-300 p-2 text-left w-16">L×S</th>
+                    <th className="border border-slate-300 p-2 text-left w-24">{t('Initial Risk', lang)}</th>
+                    <th className="border border-slate-300 p-2 text-left">{t('Mitigation Strategy', lang)}</th>
+                    <th className="border border-slate-300 p-2 text-left w-16">L×S</th>
+                    <th className="border border-slate-300 p-2 text-left w-24">{t('Residual Risk', lang)}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {riskAssessment.flagged.map(f => (
+                    <tr key={f.name}>
+                      <td className="border border-slate-300 p-2 font-medium">{t(f.name, lang)}</td>
+                      <td className="border border-slate-300 p-2">{f.initial ? `${f.risk.likelihood}×${f.risk.severity}` : '-'}</td>
+                      <td className="border border-slate-300 p-2">{f.initial || ''} {t(f.initialBand || '-', lang)}</td>
+                      <td className="border border-slate-300 p-2">{f.risk.mitigation || t('None specified', lang)}</td>
+                      <td className="border border-slate-300 p-2">{f.initial ? `${f.risk.residualLikelihood || f.risk.likelihood}×${f.risk.residualSeverity || f.risk.severity}` : '-'}</td>
+                      <td className="border border-slate-300 p-2 font-bold">{f.residual || ''} {t(f.residualBand || '-', lang)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
 
-    const keysToCheck = [
-      'pilots', 'additionalPilots', 'cameraOperators', 'observers', 'rpas', 'payload', 'opCategories', 'types', 'workElements', 
-      'locations', 'airspaces', 'airspaceTypes', 'referenceGpsUnits',
-      'approachAlts', 'emergencySites', 'descriptions', 'preflightIssuesList'
-    ];
-    
-    const fieldMap = { 
-      'pilots': 'pilot', 'additionalPilots': 'additionalPilots', 'cameraOperators': 'cameraOperators', 'observers': 'observers', 
-      'rpas': 'rpas', 'payload': 'payload', 'opCategories': 'opCategory', 'types': 'type',
-      'workElements': 'workElements',
-      'locations': 'location', 'airspaces': 'airspace', 'airspaceTypes': 'airspaceType', 'referenceGpsUnits': 'referenceGpsUnit',
-      'approachAlts': 'approachAlt', 'emergencySites': 'emergencySite',
-      'descriptions': 'description', 'preflightIssuesList': 'preflightIssues'
+        <div className="mt-8 flex flex-col gap-6">
+          {mission.sketch && (
+            <div className="page-break-inside-avoid">
+              <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Mission Area Map', lang)}</h3>
+              <img src={mission.sketch} alt="Mission Map" className="w-full max-h-[500px] object-contain border border-slate-300 rounded p-2" />
+            </div>
+          )}
+          {mission.weatherImage && (
+            <div className="page-break-inside-avoid">
+              <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Weather Forecast / Screenshot', lang)}</h3>
+              <img src={mission.weatherImage} alt="Weather Screenshot" className="w-full max-h-[500px] object-contain border border-slate-300 rounded p-2" />
+            </div>
+          )}
+          {mission.navCanFile && (
+            <div className="page-break-inside-avoid">
+              <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('NAV Canada Authorization File', lang)}</h3>
+              <img src={mission.navCanFile} alt="NAV Canada File" className="w-full max-h-[500px] object-contain border border-slate-300 rounded p-2" />
+            </div>
+          )}
+        </div>
+
+        <div className="mt-8 page-break-inside-avoid">
+          <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Signatures', lang)}</h3>
+          <div className="grid grid-cols-2 gap-6">
+            {getSignatureSlots(mission).map(slot => {
+              const sig = (mission.signatures || []).find(s => s.key === slot.key);
+              return (
+                <div key={slot.key} className="text-sm">
+                  <div className="h-20 border-b border-slate-800 flex items-end">{sig && <img src={sig.image} alt={sig.name} className="max-h-20" />}</div>
+                  <p className="font-bold mt-1">{sig?.name || slot.name || '\u00a0'}</p>
+                  <p className="text-xs text-slate-600">{t(SIGNATURE_ROLES[slot.role], lang)}{sig && ` - ${formatDateTime24h(sig.signedAt)}`}</p>
+                  {sig && isSignatureStale(sig, mission) && <p className="text-xs font-bold text-red-700 uppercase">{t('Stale - mission edited after signing', lang)}</p>}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+      </div>
+    </div>
+  );
+};
+
+// --- OFFLINE MAP VIEW ---
+const MAP_MIN_SCALE = 200;
+const MAP_MAX_SCALE = 5e7;
+const SCALE_BAR_STEPS_KM = [0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+const EMPTY_OVERLAY = { name: '', north: '', south: '', east: '', west: '', image: null };
+// ISO 3166-1 numeric id of Canada in world-atlas, replaced on the map by the province layer
+const CANADA_COUNTRY_ID = '124';
+
+const MapView = ({ missions, aerodromes, airspaceZones, mapLayers, onSaveMapLayer, onDeleteMapLayer, onOpenMission, onPrint, onBack, lang }) => {
+  const containerRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const movedRef = useRef(false);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [view, setView] = useState(null);
+  const [coastRings, setCoastRings] = useState([]);
+  const [layers, setLayers] = useState({ missions: true, secondary: true, tracks: true, aerodromes: true, rings: true, zones: true, overlays: true });
+  const [showLayers, setShowLayers] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [overlayDraft, setOverlayDraft] = useState(null);
+  const [overlayUrls, setOverlayUrls] = useState({});
+
+  // Bundled Natural Earth outlines, loaded lazily so they stay out of the main chunk. Canada is
+  // drawn from the 1:10m province layer (province borders and a finer shoreline); the 1:50m
+  // country layer covers everywhere else.
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([import('world-atlas/countries-50m.json'), import('./data/canada-provinces-10m.json')])
+      .then(([countriesMod, provincesMod]) => {
+        const countries = countriesMod.default || countriesMod;
+        const provinces = provincesMod.default || provincesMod;
+        const features = [
+          ...topojsonFeature(countries, countries.objects.countries).features.filter(f => f.id !== CANADA_COUNTRY_ID),
+          ...topojsonFeature(provinces, provinces.objects.provinces).features
+        ];
+        if (!cancelled) setCoastRings(projectGeoJsonRings(features));
+      })
+      .catch(err => console.error("Map data error:", err));
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    const measure = () => {
+      if (containerRef.current) setSize({ width: containerRef.current.clientWidth, height: containerRef.current.clientHeight });
     };
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
 
-    keysToCheck.forEach(listKey => {
-      const formField = fieldMap[listKey];
-      const val = formData[formField];
-      if (Array.isArray(val)) {
-          val.forEach(item => checkAndAdd(listKey, item));
-      } else {
-          checkAndAdd(listKey, val);
-      }
-    });
+  useEffect(() => {
+    const urls = {};
+    mapLayers.forEach(l => { if (l.image) urls[l.id] = URL.createObjectURL(l.image); });
+    setOverlayUrls(urls);
+    return () => Object.values(urls).forEach(u => URL.revokeObjectURL(u));
+  }, [mapLayers]);
 
-    Object.values(formData.risks || {}).forEach(risk => {
-      if (risk.checked) {
-          checkAndAdd('riskDescriptions', risk.desc);
-          checkAndAdd('riskMitigations', risk.mitigation);
-      }
+  const plotted = missions.map(m => ({ mission: m, ...getMissionMapPoints(m) }));
+
+  const fitBounds = (b) => {
+    const nw = projectMercator(b.north, b.west);
+    const se = projectMercator(b.south, b.east);
+    const scale = 0.9 * Math.min(size.width / Math.max(se.x - nw.x, 1e-9), size.height / Math.max(se.y - nw.y, 1e-9));
+    setView({ cx: (nw.x + se.x) / 2, cy: (nw.y + se.y) / 2, scale: Math.min(MAP_MAX_SCALE, Math.max(MAP_MIN_SCALE, scale)) });
+  };
+
+  // Fit every plotted mission point, or the Maritimes when nothing has coordinates yet
+  const fitMissions = () => {
+    const pts = plotted.flatMap(p => [p.primary, p.secondary].filter(Boolean));
+    if (pts.length === 0) return fitBounds(DEFAULT_MAP_BOUNDS);
+    const lats = pts.map(p => p.lat);
+    const lngs = pts.map(p => p.lng);
+    const pad = 0.05;
+    fitBounds({ west: Math.min(...lngs) - pad, east: Math.max(...lngs) + pad, south: Math.min(...lats) - pad, north: Math.max(...lats) + pad });
+  };
+
+  useEffect(() => {
+    if (!view && size.width > 0 && size.height > 0) fitMissions();
+  }, [size]);
+
+  const zoomAt = (factor, sx, sy) => {
+    setView(v => {
+      const scale = Math.min(MAP_MAX_SCALE, Math.max(MAP_MIN_SCALE, v.scale * factor));
+      const ux = v.cx + (sx - size.width / 2) / v.scale;
+      const uy = v.cy + (sy - size.height / 2) / v.scale;
+      return { cx: ux - (sx - size.width / 2) / scale, cy: uy - (sy - size.height / 2) / scale, scale };
     });
+  };
 
-    if (listsChanged) {
-      onUpdateBulkLists(newLists);
-    }
+  const localPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
 
-    const mission = { ...formData, coords, id: initialData?.id || generateId(), created: initialData?.created || new Date().toISOString() };
-    onSave(mission);
+  const handlePointerDown = (e) => {
+    pointersRef.current.set(e.pointerId, localPoint(e));
+    movedRef.current = false;
   };
 
-  const getListProps = (formKey, listKey, multiple = false, customClass = "mb-4") => ({
-    value: formData[formKey],
-    options: lists[listKey] || [],
-    onChange: (val) => update(formKey, val),
-    multiple,
-    className: customClass,
-    lang,
-    onDelete: (val) => {
-       const confirmMsg = lang === 'fr' ? `Retirer "${val}" de votre liste d'options enregistrées ?` : `Remove "${val}" from your saved options list?`;
-       if (confirm(confirmMsg)) {
-         onUpdateList(listKey, val, 'del');
-         if (!multiple && formData[formKey] === val) update(formKey, '');
-       }
+  const handlePointerMove = (e) => {
+    const pointers = pointersRef.current;
+    if (!pointers.has(e.pointerId)) return;
+    const prev = pointers.get(e.pointerId);
+    const pos = localPoint(e);
+    if (pointers.size === 1) {
+      const dx = pos.x - prev.x;
+      const dy = pos.y - prev.y;
+      if (Math.abs(dx) + Math.abs(dy) > 2) movedRef.current = true;
+      setView(v => ({ ...v, cx: v.cx - dx / v.scale, cy: v.cy - dy / v.scale }));
+    } else if (pointers.size === 2) {
+      // Pinch: zoom by the change in finger spread around their midpoint
+      const other = [...pointers.entries()].find(([id]) => id !== e.pointerId)[1];
+      const before = Math.hypot(prev.x - other.x, prev.y - other.y);
+      const after = Math.hypot(pos.x - other.x, pos.y - other.y);
+      if (before > 0) zoomAt(after / before, (pos.x + other.x) / 2, (pos.y + other.y) / 2);
+      movedRef.current = true;
     }
-  });
+    pointers.set(e.pointerId, pos);
+  };
 
-  return (
-    <div className="flex flex-col h-screen max-w-3xl mx-auto bg-slate-100">
-      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md">
-        <div className="flex items-center gap-3">
-          <button onClick={onCancel} className="p-2 hover:bg-emerald-800 rounded-full transition-colors">
-            <ArrowLeft className="h-6 w-6" />
-          </button>
-          <h2 className="text-lg font-bold tracking-wide">
-            {initialData ? t('EDIT MISSION', lang) : t('NEW MISSION', lang)}
-          </h2>
-        </div>
-        <div className="text-xs font-mono bg-emerald-800 px-2 py-1 rounded">
-          {t('STEP', lang)} {step}/3
+  const handlePointerUp = (e) => pointersRef.current.delete(e.pointerId);
+
+  const select = (item) => { if (!movedRef.current) setSelected(item); };
+
+  if (!view) {
+    return (
+      <div className="flex flex-col h-screen bg-slate-100">
+        <div className="bg-emerald-900 text-white p-4 flex items-center shadow-md gap-3">
+          <button onClick={onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+          <h2 className="text-lg font-bold tracking-wide">{t("MISSION MAP", lang)}</h2>
         </div>
+        <div ref={containerRef} className="flex-1" />
       </div>
+    );
+  }
 
-      <div className="flex-1 overflow-y-auto p-4 pb-24" ref={scrollRef}>
-        {step === 1 && (
-          <div className="space-y-6">
-            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
-              <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2">
-                <MapPin className="h-5 w-5 text-emerald-700" />
-                {t('TIME & LOCATION', lang)}
-              </h3>
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                <div className="w-full overflow-hidden">
-                  <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Start (24h)', lang)}</label>
-                  <input type="datetime-local" className="w-full p-2 text-sm border border-slate-300 rounded bg-slate-50" style={{ maxWidth: '100%', boxSizing: 'border-box' }} value={formData.start} onChange={e => update('start', e.target.value)} />
-                </div>
-                <div className="w-full overflow-hidden">
-                   <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('End (24h)', lang)}</label>
-                  <input type="datetime-local" className="w-full p-2 text-sm border border-slate-300 rounded bg-slate-50" style={{ maxWidth: '100%', boxSizing: 'border-box' }} value={formData.end} onChange={e => update('end', e.target.value)} />
-                </div>
-              </div>
-              <DynamicSelect label="Location / Site Name" icon={null} {...getListProps('location', 'locations')} />
-              <div className="bg-slate-50 p-3 rounded border border-slate-200">
-                <div className="flex justify-between items-center mb-2">
-                  <span className="text-xs font-bold text-slate-500 uppercase">{t('GPS Coordinates', lang)}</span>
-                  <button onClick={handleGPS} className="text-xs bg-emerald-100 text-emerald-800 px-3 py-1 rounded font-bold hover:bg-emerald-200 transition-colors shadow-sm">{t('ACQUIRE GPS', lang)}</button>
-                </div>
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-[10px] font-bold text-slate-400 uppercase mb-1">{t('Latitude', lang)}</label>
-                    <input type="text" className="w-full p-2 border border-slate-300 rounded text-sm font-mono bg-white" value={coords.lat || ''} onChange={(e) => handleCoordChange('lat', e.target.value)} placeholder="0.000000" />
-                  </div>
-                  <div>
-                    <label className="block text-[10px] font-bold text-slate-400 uppercase mb-1">{t('Longitude', lang)}</label>
-                    <input type="text" className="w-full p-2 border border-slate-300 rounded text-sm font-mono bg-white" value={coords.lng || ''} onChange={(e) => handleCoordChange('lng', e.target.value)} placeholder="0.000000" />
-                  </div>
-                </div>
-              </div>
-              
-              <div className="bg-slate-50 p-3 rounded border border-slate-200 mt-4">
-                <div className="flex justify-between items-center mb-2">
-                  <span className="text-xs font-bold text-slate-500 uppercase">{t('SECONDARY GPS COORDINATES (REFERENCE)', lang)}</span>
-                </div>
-                <div className="grid grid-cols-2 gap-4 mb-4">
-                  <div>
-                    <label className="block text-[10px] font-bold text-slate-400 uppercase mb-1">{t('Latitude', lang)}</label>
-                    <input type="text" className="w-full p-2 border border-slate-300 rounded text-sm font-mono bg-white" value={formData.secondaryLat || ''} onChange={(e) => update('secondaryLat', e.target.value)} placeholder="0.000000" />
-                  </div>
-                  <div>
-                    <label className="block text-[10px] font-bold text-slate-400 uppercase mb-1">{t('Longitude', lang)}</label>
-                    <input type="text" className="w-full p-2 border border-slate-300 rounded text-sm font-mono bg-white" value={formData.secondaryLng || ''} onChange={(e) => update('secondaryLng', e.target.value)} placeholder="0.000000" />
-                  </div>
-                </div>
-                <DynamicSelect label="REFERENCE GPS UNIT" icon={Navigation} {...getListProps('referenceGpsUnit', 'referenceGpsUnits')} />
-              </div>
-            </div>
+  const toScreen = (lat, lng) => {
+    const p = projectMercator(lat, lng);
+    return { x: (p.x - view.cx) * view.scale + size.width / 2, y: (p.y - view.cy) * view.scale + size.height / 2 };
+  };
 
-            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm">
-              <h3 className="font-bold text-slate-800 flex items-center gap-2 mb-4 border-b border-slate-100 pb-2">
-                <Users className="h-5 w-5 text-emerald-700" />
-                {t('OPERATIONAL RESOURCES', lang)}
-              </h3>
-              <DynamicSelect label="Pilot In Command" icon={Users} {...getListProps('pilot', 'pilots')} />
-              <DynamicSelect label="Additional Pilots" icon={Users} {...getListProps('additionalPilots', 'additionalPilots', true)} />
-              <DynamicSelect label="Camera Operators" icon={Eye} {...getListProps('cameraOperators', 'cameraOperators', true)} />
-              <DynamicSelect label="Observers" icon={Eye} {...getListProps('observers', 'observers', true)} />
-              
-              <DynamicSelect label="RPAS Model and Reg No." icon={Crosshair} {...getListProps('rpas', 'rpas', true)} />
-              <DynamicSelect label="Payload" icon={Box} {...getListProps('payload', 'payload', true)} />
-              <DynamicSelect label="Operation Category" icon={Activity} {...getListProps('opCategory', 'opCategories')} />
-              
-              <DynamicSelect label="Airspace Class" icon={Cloud} {...getListProps('airspace', 'airspaces')} />
-              <DynamicSelect label="Airspace Type" icon={Cloud} {...getListProps('airspaceType', 'airspaceTypes')} />
-              
-              <div className="mb-4">
-                <div className="flex justify-between items-center mb-1">
-                  <label className="block text-xs font-bold text-slate-600 uppercase flex items-center gap-2"><MapPin className="h-3 w-3 text-emerald-700" /> {t('Aerodromes within 100km', lang)}</label>
-                  <button onClick={handlePopulateAerodromes} type="button" className="text-[10px] bg-emerald-100 text-emerald-800 px-3 py-1 rounded font-bold hover:bg-emerald-200 transition-colors shadow-sm">{t('POPULATE', lang)}</button>
-                </div>
-                <textarea className="w-full p-3 border border-slate-300 rounded-md h-32 text-xs font-mono bg-slate-50" value={formData.aerodromesWithin100km || ''} onChange={(e) => update('aerodromesWithin100km', e.target.value)} placeholder={t("Will auto-populate when GPS is acquired or populate is pressed...", lang)} />
-              </div>
-               <div className="mb-4">
-                <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Applicable NOTAMS', lang)}</label>
-                <textarea className="w-full p-3 border border-slate-300 rounded-md h-20" value={formData.notams} onChange={(e) => update('notams', e.target.value)} placeholder={t("Enter applicable NOTAMs...", lang)} />
-              </div>
-              <div className="mb-4">
-                <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2"><FileText className="h-3 w-3 text-emerald-700" /> {t('Nav Canada Ref No.', lang)}</label>
-                <input type="text" className="w-full p-3 border border-slate-300 rounded-md" value={formData.navCanRef} onChange={(e) => update('navCanRef', e.target.value)} placeholder={t("Enter Ref No.", lang)} />
-              </div>
-              <div className="mb-4">
-                 <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2"><FileCheck className="h-3 w-3 text-emerald-700" /> {t('NAV Canada File Upload', lang)}</label>
-                 {formData.navCanFile ? (
-                    <div className="relative group p-3 bg-emerald-50 border border-emerald-200 rounded-md text-sm text-emerald-800 flex items-center gap-2">
-                       <FileCheck className="h-4 w-4" /> {t('File Attached', lang)}
-                       <button onClick={() => update('navCanFile', null)} className="absolute top-2 right-2 bg-red-600 text-white p-1 rounded-full shadow-md"><Trash2 className="h-3 w-3" /></button>
-                    </div>
-                 ) : (
-                    <label className="flex flex-col items-center justify-center w-full h-16 border-2 border-slate-300 border-dashed rounded-lg cursor-pointer hover:bg-slate-50">
-                        <Upload className="h-4 w-4 text-slate-400" /><span className="text-[10px] text-slate-500">{t('Upload File / Image', lang)}</span>
-                        <input type="file" className="hidden" onChange={(e) => { const f = e.target.files[0]; if(f){ const r = new FileReader(); r.onload=(ev)=>update('navCanFile', ev.target.result); r.readAsDataURL(f); }}} />
-                    </label>
-                 )}
-              </div>
-            </div>
+  const halfW = size.width / 2 / view.scale;
+  const halfH = size.height / 2 / view.scale;
+  const viewport = { minX: view.cx - halfW, maxX: view.cx + halfW, minY: view.cy - halfH, maxY: view.cy + halfH };
+
+  // Drops vertices closer than a pixel so zoomed-out outlines stay cheap to draw
+  const screenPath = (unitPts, close) => {
+    let d = '';
+    let lastX = null;
+    let lastY = null;
+    unitPts.forEach(([ux, uy], i) => {
+      const x = (ux - view.cx) * view.scale + size.width / 2;
+      const y = (uy - view.cy) * view.scale + size.height / 2;
+      if (i > 0 && i < unitPts.length - 1 && Math.abs(x - lastX) < 1 && Math.abs(y - lastY) < 1) return;
+      d += `${d ? 'L' : 'M'}${x.toFixed(1)} ${y.toFixed(1)}`;
+      lastX = x;
+      lastY = y;
+    });
+    return close ? `${d}Z` : d;
+  };
+
+  const coastPath = coastRings
+    .filter(r => r.maxX >= viewport.minX && r.minX <= viewport.maxX && r.maxY >= viewport.minY && r.minY <= viewport.maxY)
+    .map(r => screenPath(r.pts, true))
+    .join('');
+
+  const geoPath = (latLngs, close) => screenPath(latLngs.map(({ lat, lng }) => { const p = projectMercator(lat, lng); return [p.x, p.y]; }), close);
+
+  const centre = unprojectMercator(view.cx, view.cy);
+  const kmPerPx = 40075 * Math.cos(centre.lat * Math.PI / 180) / view.scale;
+  const scaleKm = [...SCALE_BAR_STEPS_KM].reverse().find(km => km / kmPerPx <= 120) || SCALE_BAR_STEPS_KM[0];
+  const showLabels = kmPerPx < 0.5;
+
+  const saveOverlay = () => {
+    const bounds = ['north', 'south', 'east', 'west'].map(k => parseFloat(overlayDraft[k]));
+    if (!overlayDraft.image || bounds.some(isNaN) || bounds[0] <= bounds[1] || bounds[2] <= bounds[3]) {
+      alert(t("Choose an image and enter valid north/south/east/west bounds.", lang));
+      return;
+    }
+    const [north, south, east, west] = bounds;
+    onSaveMapLayer({ id: generateId(), name: overlayDraft.name.trim() || overlayDraft.image.name, north, south, east, west, image: overlayDraft.image, created: new Date().toISOString() });
+    setOverlayDraft(null);
+  };
+
+  const LAYER_NAMES = {
+    missions: "Missions", secondary: "Secondary GPS", tracks: "Flight Tracks",
+    aerodromes: "Aerodromes", rings: "100 km Rings", zones: "Airspace Zones", overlays: "Map Overlays"
+  };
 
-            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-3">
-               <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><Cloud className="h-5 w-5 text-emerald-700" /> {t('WEATHER CONDITIONS', lang)}</h3>
-               <div className="grid grid-cols-2 gap-4">
-                  <div><label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Temp (°C)', lang)}</label><input type="number" className="w-full p-3 border border-slate-300 rounded-md" value={formData.temperature} onChange={(e) => update('temperature', e.target.value)} /></div>
-                  <div><label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Wind (km/h)', lang)}</label><input type="number" className="w-full p-3 border border-slate-300 rounded-md" value={formData.windSpeed} onChange={(e) => update('windSpeed', e.target.value)} /></div>
-               </div>
-               <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Wind Direction', lang)}</label>
-                    <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.windDir} onChange={(e) => update('windDir', e.target.value)}>
-                      <option value="">{t('Select...', lang)}</option>
-                      {['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'].map(d => <option key={d} value={d}>{t(d, lang)}</option>)}
-                    </select>
+  const zonePath = (zone) => zone.features.map(f => {
+    const polygons = f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates;
+    return polygons.flatMap(rings => rings.map(ring => geoPath(ring.map(([lng, lat]) => ({ lat, lng })), true))).join('');
+  }).join('');
+
+  return (
+    <div className="flex flex-col h-screen bg-slate-100">
+      <div className="bg-emerald-900 text-white p-4 flex items-center justify-between shadow-md gap-3 z-10">
+        <div className="flex items-center gap-3">
+          <button onClick={onBack} className="p-2 hover:bg-emerald-800 rounded-full transition-colors"><ArrowLeft className="h-6 w-6" /></button>
+          <h2 className="text-lg font-bold tracking-wide">{t("MISSION MAP", lang)}</h2>
+        </div>
+        <button onClick={() => setShowLayers(s => !s)} className="bg-white text-emerald-900 px-3 py-2 rounded text-xs font-bold flex items-center gap-1"><List className="h-4 w-4" /> {t("LAYERS", lang)}</button>
+      </div>
+
+      <div ref={containerRef} className="flex-1 relative overflow-hidden bg-sky-100 touch-none select-none">
+        <svg
+          width={size.width}
+          height={size.height}
+          className="absolute inset-0 cursor-grab"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+          onWheel={(e) => { const p = localPoint(e); zoomAt(e.deltaY < 0 ? 1.25 : 0.8, p.x, p.y); }}
+          onClick={() => { if (!movedRef.current) setSelected(null); }}
+        >
+          <path d={coastPath} fill="#f8fafc" stroke="#94a3b8" strokeWidth="1" fillRule="evenodd" />
+
+          {layers.overlays && mapLayers.map(l => {
+            const nw = toScreen(l.north, l.west);
+            const se = toScreen(l.south, l.east);
+            return overlayUrls[l.id] ? <image key={l.id} href={overlayUrls[l.id]} x={nw.x} y={nw.y} width={se.x - nw.x} height={se.y - nw.y} preserveAspectRatio="none" opacity="0.85" /> : null;
+          })}
+
+          {layers.zones && airspaceZones.map(z => (
+            <path key={z.id} d={zonePath(z)} fill={z.zoneType === 'park' ? '#16a34a' : '#dc2626'} fillOpacity="0.12" fillRule="evenodd" stroke={z.zoneType === 'park' ? '#16a34a' : '#dc2626'} strokeWidth="1.5" onClick={(e) => { e.stopPropagation(); select({ kind: 'zone', zone: z }); }} className="cursor-pointer" />
+          ))}
+
+          {layers.rings && aerodromes.map(a => (
+            <path key={`ring-${a.id}`} d={geoPath(getGeoCircle(a.lat, a.lng, AERODROME_RING_KM), true)} fill="none" stroke="#7c3aed" strokeOpacity="0.35" strokeDasharray="4 4" strokeWidth="1" />
+          ))}
+
+          {layers.aerodromes && aerodromes.map(a => (
+            <path key={`limit-${a.id}`} d={geoPath(getGeoCircle(a.lat, a.lng, (AERODROME_KINDS[a.kind] || AERODROME_KINDS.airport).thresholdNm * NM_TO_KM), true)} fill={a.controlled ? '#dc2626' : '#f59e0b'} fillOpacity="0.1" stroke={a.controlled ? '#dc2626' : '#f59e0b'} strokeWidth="1" />
+          ))}
+
+          {layers.tracks && missions.flatMap(m => (m.tracks || []).map(tr => (
+            <path key={tr.id} d={geoPath(tr.points.map(([lat, lng]) => ({ lat, lng })), false)} fill="none" stroke="#ea580c" strokeWidth="2" strokeLinejoin="round" />
+          )))}
+
+          {layers.aerodromes && aerodromes.map(a => {
+            const p = toScreen(a.lat, a.lng);
+            return (
+              <g key={`aero-${a.id}`} onClick={(e) => { e.stopPropagation(); select({ kind: 'aerodrome', aero: a }); }} className="cursor-pointer">
+                <rect x={p.x - 5} y={p.y - 5} width="10" height="10" transform={`rotate(45 ${p.x} ${p.y})`} fill="#7c3aed" stroke="#fff" strokeWidth="1.5" />
+                {showLabels && <text x={p.x + 9} y={p.y + 4} fontSize="11" fontWeight="bold" fill="#5b21b6">{a.code}</text>}
+              </g>
+            );
+          })}
+
+          {plotted.map(({ mission, primary, secondary }) => {
+            const p = primary ? toScreen(primary.lat, primary.lng) : null;
+            const s2 = secondary ? toScreen(secondary.lat, secondary.lng) : null;
+            const onPick = (e) => { e.stopPropagation(); select({ kind: 'mission', mission }); };
+            return (
+              <g key={mission.id} className="cursor-pointer">
+                {layers.secondary && layers.missions && p && s2 && <line x1={p.x} y1={p.y} x2={s2.x} y2={s2.y} stroke="#2563eb" strokeDasharray="3 3" />}
+                {layers.secondary && s2 && <circle cx={s2.x} cy={s2.y} r="5" fill="#2563eb" stroke="#fff" strokeWidth="1.5" onClick={onPick} />}
+                {layers.missions && p && <circle cx={p.x} cy={p.y} r="8" fill="#047857" stroke="#fff" strokeWidth="2" onClick={onPick} />}
+                {layers.missions && p && showLabels && <text x={p.x + 11} y={p.y + 4} fontSize="11" fontWeight="bold" fill="#064e3b">{mission.location}</text>}
+              </g>
+            );
+          })}
+        </svg>
+
+        <div className="absolute top-3 left-3 flex flex-col gap-1">
+          <button onClick={() => zoomAt(1.5, size.width / 2, size.height / 2)} className="bg-white w-9 h-9 rounded shadow font-bold text-slate-700">+</button>
+          <button onClick={() => zoomAt(1 / 1.5, size.width / 2, size.height / 2)} className="bg-white w-9 h-9 rounded shadow font-bold text-slate-700">−</button>
+          <button onClick={fitMissions} className="bg-white w-9 h-9 rounded shadow flex items-center justify-center text-slate-700" title={t("Fit missions", lang)}><Crosshair className="h-4 w-4" /></button>
+        </div>
+
+        <div className="absolute bottom-3 left-3 bg-white/80 px-2 py-1 rounded text-[10px] font-bold text-slate-700">
+          <div className="border-b-2 border-x-2 border-slate-700 h-2" style={{ width: `${scaleKm / kmPerPx}px` }} />
+          {scaleKm < 1 ? `${scaleKm * 1000} m` : `${scaleKm} km`}
+        </div>
+
+        {showLayers && (
+          <div className="absolute top-3 right-3 bg-white rounded-md shadow-lg p-3 w-64 space-y-2 text-sm max-h-[80%] overflow-y-auto">
+            {Object.entries(LAYER_NAMES).map(([key, label]) => (
+              <label key={key} className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" className="accent-emerald-700" checked={layers[key]} onChange={(e) => setLayers(prev => ({ ...prev, [key]: e.target.checked }))} />
+                {t(label, lang)}
+              </label>
+            ))}
+            <div className="border-t border-slate-200 pt-2 space-y-1">
+              <div className="text-[10px] font-bold text-slate-500 uppercase">{t("Map Overlays", lang)}</div>
+              {mapLayers.map(l => (
+                <div key={l.id} className="flex justify-between items-center gap-2 text-xs">
+                  <button onClick={() => fitBounds(l)} className="truncate text-left text-emerald-800 font-medium">{l.name}</button>
+                  <button onClick={() => { if (confirm(t('Delete this item?', lang))) onDeleteMapLayer(l.id); }} className="p-1 text-slate-400 hover:text-red-600"><Trash2 className="h-3 w-3" /></button>
+                </div>
+              ))}
+              {overlayDraft ? (
+                <div className="space-y-2">
+                  <input type="file" accept="image/*" className="text-xs w-full" onChange={(e) => setOverlayDraft(prev => ({ ...prev, image: e.target.files[0] || null }))} />
+                  <input type="text" className="w-full p-1 border border-slate-300 rounded text-xs" placeholder={t("Name", lang)} value={overlayDraft.name} onChange={(e) => setOverlayDraft(prev => ({ ...prev, name: e.target.value }))} />
+                  <div className="grid grid-cols-2 gap-1">
+                    {['north', 'south', 'west', 'east'].map(k => (
+                      <input key={k} type="number" className="p-1 border border-slate-300 rounded text-xs font-mono" placeholder={t(k.charAt(0).toUpperCase() + k.slice(1), lang)} value={overlayDraft[k]} onChange={(e) => setOverlayDraft(prev => ({ ...prev, [k]: e.target.value }))} />
+                    ))}
                   </div>
-                  <div>
-                    <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Visibility (km)', lang)}</label>
-                    <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.visibility} onChange={(e) => update('visibility', e.target.value)}>
-                       <option value="">{t('Select...', lang)}</option>
-                       {['Excellent (above 10 km)', 'Good (5-10 km)', 'Fair (2-5 km)', 'Poor (1-2 km)'].map(v => <option key={v} value={v}>{t(v, lang)}</option>)}
-                    </select>
+                  <div className="flex gap-1">
+                    <button onClick={saveOverlay} className="flex-1 bg-emerald-600 text-white py-1 rounded text-xs font-bold">{t("SAVE", lang)}</button>
+                    <button onClick={() => setOverlayDraft(null)} className="flex-1 bg-slate-200 text-slate-700 py-1 rounded text-xs font-bold">{t("CANCEL", lang)}</button>
                   </div>
-               </div>
-               <div><label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Weather Notes', lang)}</label><textarea className="w-full p-3 border border-slate-300 rounded-md h-20" value={formData.weatherText} onChange={e => update('weatherText', e.target.value)} /></div>
-               <div>
-                  <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Attach Forecast / Screenshot', lang)}</label>
-                  {formData.weatherImage ? (
-                    <div className="relative group"><img src={formData.weatherImage} alt="Weather" className="w-full h-48 object-contain rounded-md border border-slate-200 bg-slate-50" /><button onClick={() => update('weatherImage', null)} className="absolute top-2 right-2 bg-red-600 text-white p-2 rounded-full shadow-md"><Trash2 className="h-4 w-4" /></button></div>
-                  ) : (
-                    <label className="flex flex-col items-center justify-center w-full h-24 border-2 border-slate-300 border-dashed rounded-lg cursor-pointer hover:bg-slate-50"><Upload className="h-6 w-6 text-slate-400 mb-1" /><span className="text-xs text-slate-500">{t('Click to upload screenshot', lang)}</span><input type="file" className="hidden" accept="image/*" onChange={(e) => { const f = e.target.files[0]; if(f){ const r = new FileReader(); r.onload=(ev)=>update('weatherImage', ev.target.result); r.readAsDataURL(f); }}} /></label>
-                  )}
-               </div>
-            </div>
-            
-            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
-               <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2">
-                 <FileText className="h-5 w-5 text-emerald-700" />
-                 {t('AFTER MISSION REPORT', lang)}
-               </h3>
-               <DynamicTextArea label="Outcomes/Summary" value={formData.outcomesSummary || ''} options={lists.descriptions} onChange={(val) => update('outcomesSummary', val)} onDelete={(val) => onUpdateList('descriptions', val, 'del')} lang={lang} />
-               <DynamicTextArea label="Incidents/Maintenance" value={formData.incidentsMaintenance || ''} options={lists.preflightIssuesList} onChange={(val) => update('incidentsMaintenance', val)} onDelete={(val) => onUpdateList('preflightIssuesList', val, 'del')} lang={lang} />
+                </div>
+              ) : (
+                <button onClick={() => setOverlayDraft(EMPTY_OVERLAY)} className="w-full bg-slate-100 text-slate-700 py-1 rounded text-xs font-bold flex items-center justify-center gap-1"><Plus className="h-3 w-3" /> {t("Load Map Image", lang)}</button>
+              )}
             </div>
           </div>
         )}
 
-        {step === 2 && (
-          <div className="space-y-6">
-            <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
-               <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2"><Crosshair className="h-5 w-5 text-emerald-700" /> {t('MISSION', lang)}</h3>
-               <DynamicSelect label="Mission Type" icon={FileText} {...getListProps('type', 'types')} />
-               <DynamicSelect label="Work Elements" icon={FileText} {...getListProps('workElements', 'workElements', true)} />
-               <div className="mb-4">
-                 <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2"><Plus className="h-3 w-3 text-emerald-700" /> {t('No. of Flights', lang)}</label>
-                 <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.flightCount} onChange={(e) => update('flightCount', parseInt(e.target.value))}>{[1,2,3,4,5,6,7,8,9,10].map(n => <option key={n} value={n}>{n}</option>)}</select>
-               </div>
-               
-               <div className="mb-4">
-                 <label className="block text-xs font-bold text-slate-600 uppercase mb-1 flex items-center gap-2"><Navigation className="h-3 w-3 text-emerald-700" /> {t('Distance to Operational Area (km)', lang)}</label>
-                 <input type="text" className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.distance} onChange={(e) => update('distance', e.target.value)} placeholder="e.g. 1.2" />
-               </div>
-
-               <div className="p-4 bg-slate-50 rounded-md border border-slate-200">
-                 <h4 className="font-bold text-slate-700 text-xs uppercase mb-3">{t('Approach and Departure', lang)}</h4>
-                 <div className="flex flex-col sm:flex-row gap-4">
-                    <div className="w-full sm:w-28 shrink-0">
-                      <DynamicSelect label="Alt (m)" icon={null} customClass="" {...getListProps('approachAlt', 'approachAlts')} />
-                    </div>
-                    <div className="flex-1 min-w-0 mb-4 sm:mb-0">
-                      <label className="block text-xs font-bold text-slate-600 uppercase mb-1">{t('Route', lang)}</label>
-                      <select className="w-full p-3 border border-slate-300 rounded-md bg-white" value={formData.approachRoute} onChange={(e) => update('approachRoute', e.target.value)}><option value="">{t('Select...', lang)}</option>{['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'].map(d => <option key={d} value={d}>{t(d, lang)}</option>)}</select>
-                    </div>
-                 </div>
-               </div>
-               
-               <DynamicSelect label="Emergency Landing Site" icon={null} {...getListProps('emergencySite', 'emergencySites')} />
-               <DynamicTextArea label="Description / Objectives" value={formData.description || ''} options={lists.descriptions} onChange={(val) => update('description', val)} onDelete={(val) => onUpdateList('descriptions', val, 'del')} lang={lang} />
-               
-               <div className="space-y-3">
-                 <h3 className="font-bold text-slate-800 flex items-center gap-2 text-sm uppercase"><PenTool className="h-4 w-4 text-emerald-700" /> {t('MISSION AREA SKETCH', lang)}</h3>
-                 <SketchPad initialImage={formData.sketch} onSave={(data) => update('sketch', data)} lang={lang} />
-               </div>
-            </div>
+        {selected && (
+          <div className="absolute bottom-3 right-3 left-3 sm:left-auto sm:w-80 bg-white rounded-md shadow-lg p-4 text-sm" style={{ marginBottom: 'env(safe-area-inset-bottom)' }}>
+            {selected.kind === 'mission' ? (
+              <>
+                <div className="font-bold text-slate-800">{selected.mission.location || t('N/A', lang)}</div>
+                <div className="text-xs text-slate-500 mb-3">{formatDateTime24h(selected.mission.start)} · {selected.mission.pilot}</div>
+                <div className="flex gap-2">
+                  <button onClick={() => onOpenMission(selected.mission)} className="flex-1 bg-slate-50 hover:bg-slate-100 text-slate-700 py-2 rounded text-xs font-bold uppercase border border-slate-200 flex items-center justify-center gap-1"><Edit2 className="h-3 w-3" /> {t('Edit', lang)}</button>
+                  <button onClick={() => onPrint(selected.mission)} className="flex-1 bg-emerald-50 hover:bg-emerald-100 text-emerald-700 py-2 rounded text-xs font-bold uppercase border border-emerald-200 flex items-center justify-center gap-1"><Printer className="h-3 w-3" /> {t('Print', lang)}</button>
+                </div>
+              </>
+            ) : selected.kind === 'zone' ? (
+              <>
+                <div className="font-bold text-slate-800">{selected.zone.name}</div>
+                <div className="text-xs text-slate-500">{t((ZONE_TYPES[selected.zone.zoneType] || ZONE_TYPES.other).label, lang)}{selected.zone.airspaceClass ? ` · ${selected.zone.airspaceClass}` : ''}</div>
+              </>
+            ) : (
+              <>
+                <div className="font-bold text-slate-800">{selected.aero.name} ({selected.aero.code})</div>
+                <div className="text-xs text-slate-500">{t((AERODROME_KINDS[selected.aero.kind] || AERODROME_KINDS.airport).label, lang)} · {selected.aero.freq} MHz · {selected.aero.lat}, {selected.aero.lng}</div>
+                {selected.aero.controlled && <div className="text-xs text-red-700 font-bold">{t("Controlled", lang)}{selected.aero.airspaceClass ? ` · ${selected.aero.airspaceClass}` : ''}</div>}
+              </>
+            )}
           </div>
         )}
+      </div>
+    </div>
+  );
+};
 
-        {step === 3 && (
-          <div className="space-y-4">
-            <div className="bg-emerald-50 border border-emerald-100 p-4 rounded-md text-emerald-900 text-sm mb-4">
-              <strong>{t('Assessment Required:', lang)}</strong> {t('Select all hazards present. Mitigation strategies are mandatory for Medium and High risk items.', lang)}
+// -- APP LOCK SCREEN --
+const LockScreen = ({ onUnlock, lang }) => {
+  const [pin, setPin] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!pin || busy) return;
+    setBusy(true);
+    const ok = await onUnlock(pin).catch(() => false);
+    setBusy(false);
+    if (!ok) {
+      setPin('');
+      alert(t("Incorrect PIN.", lang));
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-emerald-900 flex items-center justify-center p-6">
+      <form onSubmit={submit} className="bg-white rounded-md shadow-lg p-6 w-full max-w-xs space-y-4 text-center">
+        <ShieldCheck className="h-10 w-10 text-emerald-700 mx-auto" />
+        <h1 className="font-bold text-slate-800 uppercase tracking-wide">{t('DFO RPAS FLIGHT LOG', lang)}</h1>
+        <p className="text-xs text-slate-500">{t('Enter your PIN to unlock mission records.', lang)}</p>
+        <input type="password" inputMode="numeric" autoComplete="off" autoFocus value={pin} onChange={(e) => setPin(e.target.value)} className="w-full p-3 border border-slate-300 rounded text-center text-xl tracking-widest font-mono" />
+        <button type="submit" disabled={busy} className="w-full bg-emerald-700 hover:bg-emerald-800 disabled:opacity-50 text-white py-3 rounded font-bold uppercase text-sm">{busy ? t('Unlocking...', lang) : t('Unlock', lang)}</button>
+      </form>
+    </div>
+  );
+};
+
+// -- PASSPHRASE DIALOG --
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const PassphraseDialog = ({ request, onClose, lang }) => {
+  const [value, setValue] = useState('');
+  const [repeat, setRepeat] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (request.confirm && value.length < MIN_PASSPHRASE_LENGTH) return alert(t("The passphrase must be at least 8 characters.", lang));
+    if (request.confirm && value !== repeat) return alert(t("The passphrases do not match.", lang));
+    if (!value) return;
+    onClose(value);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <form onSubmit={submit} className="bg-white rounded-md shadow-lg p-5 w-full max-w-sm space-y-3">
+        <h3 className="font-bold text-slate-800">{request.title}</h3>
+        <input type="password" autoFocus autoComplete="new-password" value={value} onChange={(e) => setValue(e.target.value)} placeholder={t('Passphrase', lang)} className="w-full p-2 border border-slate-300 rounded text-sm" />
+        {request.confirm && (
+          <>
+            <input type="password" autoComplete="new-password" value={repeat} onChange={(e) => setRepeat(e.target.value)} placeholder={t('Repeat passphrase', lang)} className="w-full p-2 border border-slate-300 rounded text-sm" />
+            <p className="text-[10px] text-slate-500">{t('Keep this passphrase safe. The backup cannot be restored without it.', lang)}</p>
+          </>
+        )}
+        <div className="flex gap-2">
+          <button type="button" onClick={() => onClose(null)} className="flex-1 bg-slate-100 hover:bg-slate-200 text-slate-700 py-2 rounded text-xs font-bold uppercase">{t('CANCEL', lang)}</button>
+          <button type="submit" className="flex-1 bg-emerald-700 hover:bg-emerald-800 text-white py-2 rounded text-xs font-bold uppercase">{t('OK', lang)}</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// -- SECURITY SETTINGS VIEW --
+const MIN_PIN_LENGTH = 4;
+
+const SecurityView = ({ lockEnabled, onEnableLock, onDisableLock, onLockNow, onBack, lang }) => {
+  const [pin, setPin] = useState('');
+  const [repeat, setRepeat] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    await action();
+    setBusy(false);
+  };
+
+  const enable = () => {
+    if (!/^\d+$/.test(pin) || pin.length < MIN_PIN_LENGTH) return alert(t("The PIN must be at least 4 digits.", lang));
+    if (pin !== repeat) return alert(t("The PINs do not match.", lang));
+    run(async () => { await onEnableLock(pin); setPin(''); setRepeat(''); });
+  };
+
+  const disable = () => {
+    if (confirm(t("Disable the app lock and store mission records unencrypted?", lang))) run(onDisableLock);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-100 pb-20">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+        <button onClick={onBack} className="p-1 hover:bg-emerald-800 rounded"><ArrowLeft className="h-6 w-6" /></button>
+        <h2 className="font-bold text-lg">{t('Security', lang)}</h2>
+      </div>
+
+      <div className="p-4 max-w-3xl mx-auto space-y-4">
+        <div className="bg-white p-5 rounded-md border border-slate-200 shadow-sm space-y-4">
+          <div className="flex justify-between items-center">
+            <h3 className="font-bold text-slate-800 flex items-center gap-2"><ShieldCheck className="h-5 w-5 text-emerald-700" /> {t('App Lock', lang)}</h3>
+            <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${lockEnabled ? 'bg-emerald-100 text-emerald-800' : 'bg-slate-100 text-slate-600'}`}>{lockEnabled ? t('Enabled', lang) : t('Disabled', lang)}</span>
+          </div>
+          <p className="text-xs text-slate-600">{t('When enabled, mission records, mission templates and evidence attachments are encrypted on this device (AES-GCM) and a PIN is required each time the app is opened. The audit trail keeps only field names and keyed digests of changed values. Mission dates, status and aircraft ids stay readable for sorting and sync; other filter fields are indexed as keyed tokens, which shows which missions share a value but not the value. Saved lists and registries are not encrypted. A forgotten PIN cannot be recovered - keep an encrypted backup.', lang)}</p>
+          {lockEnabled ? (
+            <div className="flex gap-2">
+              <button onClick={onLockNow} disabled={busy} className="flex-1 bg-emerald-700 hover:bg-emerald-800 disabled:opacity-50 text-white py-2 rounded text-xs font-bold uppercase">{t('Lock Now', lang)}</button>
+              <button onClick={disable} disabled={busy} className="flex-1 bg-white hover:bg-red-50 disabled:opacity-50 text-red-600 py-2 rounded text-xs font-bold uppercase border border-red-100">{t('Disable App Lock', lang)}</button>
             </div>
-            {RISK_ITEMS.map((item) => {
-              const riskData = formData.risks[item] || { checked: false };
-              return (
-                <div key={item} className={`bg-white rounded-md border shadow-sm overflow-hidden transition-all ${riskData.checked ? 'border-emerald-500 ring-1 ring-emerald-500' : 'border-slate-200'}`}>
-                  <label className="flex items-center p-4 cursor-pointer hover:bg-slate-50">
-                    <input type="checkbox" className="w-5 h-5 accent-emerald-700 rounded mr-3" checked={riskData.checked} onChange={(e) => handleRiskChange(item, 'checked', e.target.checked)} />
-                    <span className={`flex-1 font-medium ${riskData.checked ? 'text-slate-900' : 'text-slate-600'}`}>{t(item, lang)}</span>
-                    {riskData.checked && <span className={`text-[10px] px-2 py-1 rounded font-bold uppercase ${riskData.level === 'High' ? 'bg-red-100 text-red-700' : riskData.level === 'Medium' ? 'bg-amber-100 text-amber-700' : 'bg-slate-100 text-slate-500'}`}>{t(riskData.level || 'NO LEVEL', lang)}</span>}
-                  </label>
-                  {riskData.checked && (
-                    <div className="p-4 bg-slate-50 border-t border-slate-100 space-y-3">
-                      <div><label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t('Risk Level', lang)}</label><select className="w-full p-2 border border-slate-300 rounded bg-white text-sm" value={riskData.level || ''} onChange={(e) => handleRiskChange(item, 'level', e.target.value)}><option value="">{t('Select...', lang)}</option><option value="Low">{t('Low', lang)}</option><option value="Medium">{t('Medium', lang)}</option><option value="High">{t('High', lang)}</option></select></div>
-                      <DynamicTextArea label="Description" value={riskData.desc || ''} options={lists.riskDescriptions} onChange={(val) => handleRiskChange(item, 'desc', val)} onDelete={(val) => onUpdateList('riskDescriptions', val, 'del')} lang={lang} />
-                      <DynamicTextArea label="Mitigation" value={riskData.mitigation || ''} options={lists.riskMitigations} onChange={(val) => handleRiskChange(item, 'mitigation', val)} onDelete={(val) => onUpdateList('riskMitigations', val, 'del')} lang={lang} />
-                    </div>
-                  )}
-                </div>
-              );
-            })}
-            
-            <div id="preflight-section" className="bg-white p-5 rounded-md border border-slate-200 shadow-sm mt-6">
-              <h3 className="font-bold text-slate-800 flex items-center gap-2 border-b border-slate-100 pb-2 mb-4">
-                <FileCheck className="h-5 w-5 text-emerald-700" />
-                {t('PRE-FLIGHT CHECKLIST', lang)}
-              </h3>
-              <div className="mb-4">
-                <label className="block text-xs font-bold text-slate-600 uppercase mb-2">{t('COMPLETED CHECKLIST', lang)}</label>
-                <label className="flex items-center cursor-pointer bg-slate-50 p-3 rounded border border-slate-200 hover:bg-slate-100 transition-colors">
-                  <input type="checkbox" className="w-5 h-5 accent-emerald-700 rounded mr-3" checked={formData.preflightCompleted || false} onChange={(e) => update('preflightCompleted', e.target.checked)} />
-                  <span className="text-sm font-medium text-slate-700">{t('I have completed the pre-flight checklist', lang)}</span>
-                </label>
+          ) : (
+            <div className="space-y-2">
+              <div className="grid grid-cols-2 gap-2">
+                <input type="password" inputMode="numeric" autoComplete="off" value={pin} onChange={(e) => setPin(e.target.value)} placeholder={t('New PIN', lang)} className="w-full p-2 border border-slate-300 rounded text-sm font-mono" />
+                <input type="password" inputMode="numeric" autoComplete="off" value={repeat} onChange={(e) => setRepeat(e.target.value)} placeholder={t('Repeat PIN', lang)} className="w-full p-2 border border-slate-300 rounded text-sm font-mono" />
               </div>
-              <DynamicTextArea label="Issues / Concerns" value={formData.preflightIssues || ''} options={lists.preflightIssuesList} onChange={(val) => update('preflightIssues', val)} onDelete={(val) => onUpdateList('preflightIssuesList', val, 'del')} lang={lang} />
+              <button onClick={enable} disabled={busy} className="w-full bg-emerald-700 hover:bg-emerald-800 disabled:opacity-50 text-white py-2 rounded text-xs font-bold uppercase">{busy ? t('Encrypting...', lang) : t('Enable App Lock', lang)}</button>
             </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// -- RECYCLE BIN VIEW --
+const RecycleBinView = ({ entries, retentionDays, onSetRetention, onRestore, onPurge, onExportMissions, onBack, lang }) => {
+  const [days, setDays] = useState(String(retentionDays));
+  const sorted = entries.slice().sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  const deletedMissions = sorted.filter(e => e.kind === 'mission').map(e => e.record);
+
+  useEffect(() => setDays(String(retentionDays)), [retentionDays]);
+
+  const saveRetention = () => {
+    const value = parseInt(days, 10);
+    if (!(value >= 1)) {
+      alert(t("Retention must be at least 1 day.", lang));
+      return;
+    }
+    onSetRetention(value);
+  };
+
+  const purge = (list) => {
+    if (list.length === 0) return;
+    if (confirm(lang === 'fr' ? `Supprimer définitivement ${list.length} élément(s) ? Cette action est irréversible.` : `Permanently delete ${list.length} item(s)? This cannot be undone.`)) onPurge(list);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-100 pb-20">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center justify-between shadow-md gap-3">
+        <div className="flex items-center gap-3">
+          <button onClick={onBack} className="p-1 hover:bg-emerald-800 rounded"><ArrowLeft className="h-6 w-6" /></button>
+          <h2 className="font-bold text-lg">{t('Recycle Bin', lang)}</h2>
+        </div>
+        <button onClick={() => purge(sorted)} disabled={sorted.length === 0} className="text-xs font-bold uppercase bg-red-600 hover:bg-red-700 disabled:opacity-40 px-3 py-2 rounded">{t('Empty Bin', lang)}</button>
+      </div>
+
+      <div className="p-4 max-w-3xl mx-auto space-y-4">
+        <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm flex flex-wrap items-end gap-3">
+          <div className="flex-1 min-w-[10rem]">
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t('Keep deleted records for (days)', lang)}</label>
+            <input type="number" min="1" value={days} onChange={(e) => setDays(e.target.value)} className="w-full p-2 border border-slate-300 rounded text-sm" />
           </div>
-        )}
+          <button onClick={saveRetention} className="bg-emerald-700 hover:bg-emerald-800 text-white px-4 py-2 rounded text-xs font-bold uppercase">{t('SAVE', lang)}</button>
+          <button onClick={() => onExportMissions(deletedMissions)} disabled={deletedMissions.length === 0} className="bg-white hover:bg-slate-50 disabled:opacity-40 text-slate-700 px-4 py-2 rounded text-xs font-bold uppercase border border-slate-200 flex items-center gap-1"><FileText className="h-3 w-3" /> {t('CSV Report', lang)}</button>
+        </div>
+
+        {sorted.length === 0 ? (
+          <div className="text-center py-16 bg-white rounded-md border-2 border-dashed border-slate-200 text-slate-500">{t('The recycle bin is empty.', lang)}</div>
+        ) : sorted.map(entry => (
+          <div key={entry.id} className="bg-white rounded-md border border-slate-200 shadow-sm p-4 flex flex-col sm:flex-row sm:items-center gap-3">
+            <div className="flex-1 min-w-0">
+              <span className="text-[10px] font-bold uppercase bg-slate-100 text-slate-600 px-2 py-1 rounded">{entry.kind === 'mission' ? t('Mission', lang) : t(LIST_LABELS[entry.listKey] || entry.listKey, lang)}</span>
+              <p className="font-bold text-slate-800 mt-2 break-words">
+                {entry.kind === 'mission' ? `${entry.record.location || t('N/A', lang)} - ${formatDateTime24h(entry.record.start)}` : entry.value}
+              </p>
+              <p className="text-xs text-slate-500">
+                {t('Deleted', lang)} {formatDateTime24h(entry.deletedAt)}{entry.deletedBy ? ` - ${entry.deletedBy}` : ''} · {t('Purged after', lang)} {formatDateTime24h(getRecycleExpiry(entry, retentionDays).toISOString())}
+              </p>
+            </div>
+            <div className="flex gap-2 shrink-0">
+              <button onClick={() => onRestore(entry)} className="bg-emerald-50 hover:bg-emerald-100 text-emerald-700 px-3 py-2 rounded text-xs font-bold uppercase border border-emerald-200 flex items-center gap-1"><Undo2 className="h-3 w-3" /> {t('Restore', lang)}</button>
+              <button onClick={() => purge([entry])} className="bg-white hover:bg-red-50 text-red-600 px-3 py-2 rounded text-xs font-bold uppercase border border-red-100 flex items-center gap-1"><Trash2 className="h-3 w-3" /> {t('Purge', lang)}</button>
+            </div>
+          </div>
+        ))}
       </div>
+    </div>
+  );
+};
 
-      <div className="fixed bottom-0 left-0 right-0 bg-white border-t border-slate-200 z-20 shadow-lg" style={{ padding: '1rem', paddingBottom: 'calc(1rem + env(safe-area-inset-bottom))' }}>
-        <div className="max-w-3xl mx-auto flex gap-4">
-          {step > 1 && <button onClick={() => setStep(s => s - 1)} className="flex-1 py-3 bg-slate-100 hover:bg-slate-200 text-slate-700 font-bold rounded-md uppercase tracking-wide text-sm">{t('Back', lang)}</button>}
-          {step < 3 ? <button onClick={() => setStep(s => s + 1)} className="flex-1 py-3 bg-emerald-800 hover:bg-emerald-900 text-white font-bold rounded-md shadow-md uppercase tracking-wide text-sm">{t('Next', lang)}</button> : <button onClick={saveMission} className="flex-1 py-3 bg-emerald-700 hover:bg-emerald-800 text-white font-bold rounded-md shadow-md flex justify-center items-center gap-2 uppercase tracking-wide text-sm"><Save className="h-5 w-5" /> {t('Save Mission', lang)}</button>}
+// -- STORAGE VIEW --
+const StorageView = ({ missions, estimate, persisted, imageSettings, onSaveImageSettings, onCompressImages, onRequestPersist, onRefresh, onBack, lang }) => {
+  const [attachmentBytes, setAttachmentBytes] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const sized = missions.map(m => ({ m, total: getMissionStorageBytes(m), images: getMissionImageBytes(m) })).sort((a, b) => b.total - a.total);
+  const missionTotal = sized.reduce((sum, s) => sum + s.total, 0);
+  const imageTotal = sized.reduce((sum, s) => sum + s.images, 0);
+  const ratio = estimate ? estimate.ratio : 0;
+  const level = ratio >= STORAGE_CRITICAL_RATIO ? 'critical' : (ratio >= STORAGE_WARNING_RATIO ? 'warning' : 'ok');
+
+  useEffect(() => {
+    onRefresh();
+    db.attachments.toArray().then(list => setAttachmentBytes(list.reduce((sum, a) => sum + a.size, 0))).catch(err => console.error(err));
+  }, []);
+
+  const compress = async () => {
+    if (!confirm(t("Re-encode the images in every mission at the current settings? Images are only replaced when the result is smaller. Signed missions are skipped so their signatures stay valid.", lang))) return;
+    setBusy(true);
+    await onCompressImages();
+    setBusy(false);
+  };
+
+  const selectClass = "w-full p-2 border border-slate-300 rounded-md text-sm bg-white";
+
+  return (
+    <div className="min-h-screen bg-slate-100 pb-20">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+        <button onClick={onBack} className="p-1 hover:bg-emerald-800 rounded"><ArrowLeft className="h-6 w-6" /></button>
+        <h2 className="font-bold text-lg">{t('Storage', lang)}</h2>
+      </div>
+
+      <div className="p-4 max-w-3xl mx-auto space-y-4">
+        <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-3">
+          <h3 className="font-bold text-slate-800 flex items-center gap-2"><HardDrive className="h-5 w-5 text-emerald-700" /> {t('Device Storage', lang)}</h3>
+          {estimate ? (
+            <>
+              <div className="h-3 bg-slate-100 rounded-full overflow-hidden">
+                <div className={`h-full ${level === 'critical' ? 'bg-red-600' : (level === 'warning' ? 'bg-amber-500' : 'bg-emerald-600')}`} style={{ width: `${Math.min(100, Math.max(1, ratio * 100))}%` }} />
+              </div>
+              <p className="text-sm text-slate-700"><strong>{formatFileSize(estimate.usage)}</strong> {t('used of', lang)} {formatFileSize(estimate.quota)} ({(ratio * 100).toFixed(1)}%)</p>
+              {level !== 'ok' && (
+                <div className={`p-3 rounded-md border text-sm font-bold flex items-center gap-2 ${level === 'critical' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-amber-50 border-amber-300 text-amber-900'}`}>
+                  <AlertTriangle className="h-4 w-4 shrink-0" /> {t('Storage is nearly full. Back up your data, then compress images or empty the recycle bin. New missions may fail to save.', lang)}
+                </div>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-slate-500">{t('This browser does not report storage usage.', lang)}</p>
+          )}
+          <div className="flex justify-between items-center gap-3 text-sm">
+            <span className={`font-bold ${persisted ? 'text-emerald-700' : 'text-amber-700'}`}>{persisted ? t('Persistent storage granted - the browser will not clear this data on its own.', lang) : t('Storage is not persistent - the browser may clear it when the device runs low on space.', lang)}</span>
+            {!persisted && <button onClick={onRequestPersist} className="bg-emerald-700 hover:bg-emerald-800 text-white px-3 py-2 rounded font-bold text-xs uppercase shrink-0">{t('Request', lang)}</button>}
+          </div>
+          <div className="grid grid-cols-3 gap-2 text-center text-xs">
+            <div className="bg-slate-50 rounded p-2"><div className="font-bold text-slate-800 text-sm">{formatFileSize(missionTotal)}</div>{t('Missions', lang)}</div>
+            <div className="bg-slate-50 rounded p-2"><div className="font-bold text-slate-800 text-sm">{formatFileSize(imageTotal)}</div>{t('Images in missions', lang)}</div>
+            <div className="bg-slate-50 rounded p-2"><div className="font-bold text-slate-800 text-sm">{attachmentBytes === null ? '…' : formatFileSize(attachmentBytes)}</div>{t('Evidence Attachments', lang)}</div>
+          </div>
+        </div>
+
+        <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-3">
+          <h3 className="font-bold text-slate-800 flex items-center gap-2"><ImageIcon className="h-5 w-5 text-emerald-700" /> {t('Image Compression', lang)}</h3>
+          <p className="text-xs text-slate-600">{t('Weather screenshots, NAV CANADA files and sketch maps are downscaled and saved as JPEG when added. PDFs are stored unchanged.', lang)}</p>
+          <div className="grid grid-cols-2 gap-3">
+            <label className="text-xs font-bold text-slate-600 uppercase">{t('Max size (px)', lang)}
+              <select className={selectClass} value={imageSettings.maxDimension} onChange={(e) => onSaveImageSettings({ ...imageSettings, maxDimension: Number(e.target.value) })}>
+                {IMAGE_MAX_DIMENSIONS.map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+            </label>
+            <label className="text-xs font-bold text-slate-600 uppercase">{t('JPEG quality', lang)}
+              <select className={selectClass} value={imageSettings.quality} onChange={(e) => onSaveImageSettings({ ...imageSettings, quality: Number(e.target.value) })}>
+                {IMAGE_QUALITIES.map(q => <option key={q} value={q}>{Math.round(q * 100)}%</option>)}
+              </select>
+            </label>
+          </div>
+          <button onClick={compress} disabled={busy || missions.length === 0} className="w-full bg-white hover:bg-slate-50 disabled:opacity-40 text-slate-700 py-3 rounded-md font-bold text-sm border border-slate-200 shadow-sm flex items-center justify-center gap-2"><RefreshCw className={`h-4 w-4 ${busy ? 'animate-spin' : ''}`} /> {t('Compress Existing Images', lang)}</button>
+        </div>
+
+        <div className="bg-white rounded-md border border-slate-200 shadow-sm overflow-hidden">
+          <h3 className="font-bold text-slate-800 p-4 border-b border-slate-100">{t('Usage by Mission', lang)}</h3>
+          {sized.length === 0 ? (
+            <p className="p-4 text-sm text-slate-500">{t('No mission data found.', lang)}</p>
+          ) : (
+            <table className="w-full text-xs">
+              <thead className="bg-slate-50 text-slate-500 uppercase">
+                <tr><th className="p-2 text-left">{t('Mission', lang)}</th><th className="p-2 text-right">{t('Images', lang)}</th><th className="p-2 text-right">{t('Total', lang)}</th></tr>
+              </thead>
+              <tbody>
+                {sized.map(({ m, total, images }) => (
+                  <tr key={m.id} className="border-t border-slate-100">
+                    <td className="p-2"><div className="font-bold text-slate-700 truncate">{m.location || '—'}</div><div className="text-slate-500">{formatDateTime24h(m.start)}</div></td>
+                    <td className="p-2 text-right text-slate-600 whitespace-nowrap">{formatFileSize(images)}</td>
+                    <td className="p-2 text-right font-bold text-slate-800 whitespace-nowrap">{formatFileSize(total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// -- MISSION HISTORY VIEW --
+const AUDIT_ACTION_BADGE = {
+  create: 'bg-emerald-100 text-emerald-800',
+  edit: 'bg-blue-100 text-blue-700',
+  delete: 'bg-red-100 text-red-700',
+  restore: 'bg-amber-100 text-amber-800',
+  purge: 'bg-slate-700 text-white',
+  'evidence-intake': 'bg-teal-100 text-teal-800',
+  'evidence-export': 'bg-purple-100 text-purple-700',
+  'evidence-verify': 'bg-teal-100 text-teal-800',
+  'evidence-link': 'bg-blue-100 text-blue-700',
+  'evidence-remove': 'bg-red-100 text-red-700'
+};
+
+const formatAuditValue = (v) => {
+  if (v === null || v === undefined || v === '') return '—';
+  const text = typeof v === 'string' ? v : JSON.stringify(v);
+  return text.length > 160 ? `${text.slice(0, 160)}…` : text;
+};
+
+const MissionHistoryView = ({ mission, onBack, lang }) => {
+  const [entries, setEntries] = useState([]);
+  const [verification, setVerification] = useState(null);
+  const [actingUser, setActingUser] = useState(() => localStorage.getItem('dfo_app_user') || '');
+
+  useEffect(() => {
+    const load = async () => {
+      setEntries(await db.auditLog.where('missionId').equals(mission.id).sortBy('seq'));
+      setVerification(await verifyAuditChain(await db.auditLog.orderBy('seq').toArray()));
+    };
+    load().catch(err => { console.error(err); alert(t("Could not verify the audit trail.", lang)); });
+  }, [mission.id]);
+
+  const changeUser = () => {
+    const entered = (prompt(t("Enter your name for the audit trail:", lang), actingUser) || '').trim();
+    if (!entered) return;
+    localStorage.setItem('dfo_app_user', entered);
+    setActingUser(entered);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-100 pb-20">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+        <button onClick={onBack} className="p-1 hover:bg-emerald-800 rounded"><ArrowLeft className="h-6 w-6" /></button>
+        <div className="flex-1 min-w-0">
+          <h2 className="font-bold text-lg leading-tight">{t('Mission History', lang)}</h2>
+          <p className="text-xs text-emerald-200 truncate">{mission.location} - {formatDateTime24h(mission.start)}</p>
+        </div>
+      </div>
+
+      <div className="p-4 max-w-3xl mx-auto space-y-4">
+        {verification && (
+          <div className={`p-3 rounded-md border font-bold text-sm flex items-center gap-2 ${verification.intact ? 'bg-emerald-50 border-emerald-200 text-emerald-800' : 'bg-red-50 border-red-200 text-red-700'}`}>
+            {verification.intact ? <ShieldCheck className="h-5 w-5" /> : <AlertTriangle className="h-5 w-5" />}
+            {verification.intact
+              ? `${t('Audit chain intact', lang)} (${verification.checked} ${t('entries verified', lang)})`
+              : `${t('Audit chain broken at entry', lang)} #${verification.brokenAt} - ${t('records may have been altered', lang)}`}
+          </div>
+        )}
+
+        <div className="flex justify-between items-center text-xs text-slate-600">
+          <span>{t('Acting user', lang)}: <strong>{actingUser || t('Not set', lang)}</strong></span>
+          <button onClick={changeUser} className="font-bold text-emerald-700 hover:underline">{t('Change', lang)}</button>
         </div>
+
+        {entries.length === 0 ? (
+          <div className="text-center py-16 bg-white rounded-md border-2 border-dashed border-slate-200 text-slate-500">{t('No history recorded for this mission.', lang)}</div>
+        ) : entries.slice().reverse().map(entry => (
+          <div key={entry.seq} className="bg-white rounded-md border border-slate-200 shadow-sm overflow-hidden">
+            <div className="p-3 flex justify-between items-center border-b border-slate-100">
+              <div className="flex items-center gap-2">
+                <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${AUDIT_ACTION_BADGE[entry.action]}`}>{t(entry.action, lang)}</span>
+                <span className="text-sm font-bold text-slate-700">{entry.user}</span>
+              </div>
+              <span className="text-xs text-slate-500">#{entry.seq} - {formatDateTime24h(entry.at)}</span>
+            </div>
+            <table className="w-full text-xs">
+              <tbody>
+                {entry.changes.map(c => (
+                  <tr key={c.field} className="border-b border-slate-50 align-top">
+                    <td className="p-2 font-bold text-slate-600 w-1/4 break-all">{c.field}</td>
+                    <td className="p-2 text-red-700 break-all">{formatAuditValue(c.from)}</td>
+                    <td className="p-2 text-emerald-800 break-all">{formatAuditValue(c.to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="px-3 py-1 bg-slate-50 text-[10px] font-mono text-slate-400 truncate">SHA-256 {entry.hash}</div>
+          </div>
+        ))}
       </div>
     </div>
   );
 };
 
-// --- PRINT VIEW COMPONENT ---
-const PrintMissionView = ({ mission, onBack, lang }) => {
-  if (!mission) return null;
+// -- EVIDENCE ATTACHMENTS VIEW --
+const AttachmentPreview = ({ attachment }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!attachment.type.startsWith('image/')) return undefined;
+    const objectUrl = URL.createObjectURL(attachment.blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [attachment.id]);
+
+  if (url) return <img src={url} alt={attachment.name} className="w-20 h-20 object-cover rounded border border-slate-200 flex-shrink-0" />;
+  const Icon = attachment.type.startsWith('video/') ? FileVideo : FileText;
+  return <div className="w-20 h-20 rounded border border-slate-200 bg-slate-50 flex items-center justify-center flex-shrink-0"><Icon className="h-8 w-8 text-slate-400" /></div>;
+};
+
+const MissionAttachmentsView = ({ mission, onBack, lang }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [checks, setChecks] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [openLog, setOpenLog] = useState(null);
+  const fileInputRef = useRef(null);
+  const flights = getMissionFlights(mission);
+
+  const load = async () => setAttachments(await getMissionAttachments(mission.id));
+
+  useEffect(() => {
+    load().catch(err => { console.error(err); alert(t("Could not load attachments.", lang)); });
+  }, [mission.id]);
+
+  const run = async (work) => {
+    setBusy(true);
+    try {
+      await work();
+      await load();
+    } catch (err) {
+      console.error(err);
+      alert(t("Failed to save.", lang));
+    }
+    setBusy(false);
+  };
+
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    run(async () => {
+      const user = getActingUser(lang);
+      for (const file of files) await putAttachment(await createAttachment(file, mission, user));
+    });
+  };
+
+  const changeFlight = (attachment, value) => run(async () => {
+    const flightIndex = value === '' ? null : Number(value);
+    const note = flightIndex === null ? 'unlinked' : `flight ${flightIndex + 1}`;
+    await putAttachment({ ...(await logCustody(attachment, 'link', getActingUser(lang), note)), flightIndex });
+  });
+
+  const download = (attachment) => run(async () => {
+    await putAttachment(await logCustody(attachment, 'export', getActingUser(lang), 'single file download'));
+    downloadBlob(attachment.blob, attachment.name);
+  });
+
+  const verify = (attachment) => run(async () => {
+    const intact = await verifyAttachment(attachment);
+    await putAttachment(await logCustody(attachment, 'verify', getActingUser(lang), intact ? 'hash matches intake' : 'HASH MISMATCH'));
+    setChecks(prev => ({ ...prev, [attachment.id]: intact }));
+  });
+
+  const remove = (attachment) => {
+    if (!confirm(t("Remove this attachment? The file is deleted from this device; its custody entries stay in the mission history.", lang))) return;
+    run(async () => {
+      await logCustody(attachment, 'remove', getActingUser(lang));
+      await db.attachments.delete(attachment.id);
+    });
+  };
+
+  const exportPackage = () => run(async () => {
+    const result = await buildEvidencePackage(mission, attachments, getActingUser(lang), lang);
+    setChecks(Object.fromEntries(result.attachments.map((a, i) => [a.id, result.verified[i]])));
+    downloadBlob(result.blob, `evidence_${mission.start ? mission.start.slice(0, 10) : 'mission'}_${mission.id}.zip`);
+    if (result.verified.includes(false)) alert(t("Warning: one or more files no longer match their intake hash. See manifest.json.", lang));
+  });
+
+  const exportCustodyLog = () => {
+    downloadBlob(new Blob(["\uFEFF" + buildCustodyCSV(attachments, lang)], { type: 'text/csv;charset=utf-8;' }), `custody_log_${mission.id}.csv`);
+  };
+
+  const flightLabel = (i) => `${t('Flight', lang)} ${i + 1}${flights[i].takeoff ? ` - ${formatDateTime24h(flights[i].takeoff)}` : ''}`;
 
   return (
-    <div className="min-h-screen bg-white text-black font-sans pb-20">
-      <div className="print:hidden bg-emerald-900 text-white p-4 flex justify-between items-center shadow-md">
-        <button onClick={onBack} className="flex items-center gap-2 font-bold hover:text-emerald-200 transition-colors">
-          <ArrowLeft className="h-5 w-5" /> {t('Back', lang)}
-        </button>
-        <button onClick={() => window.print()} className="bg-white text-emerald-900 px-4 py-2 rounded font-bold flex items-center gap-2 hover:bg-emerald-50 transition-colors shadow-sm">
-          <Printer className="h-5 w-5" /> {t('Print Report', lang)}
-        </button>
+    <div className="min-h-screen bg-slate-100 pb-20">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+        <button onClick={onBack} className="p-1 hover:bg-emerald-800 rounded"><ArrowLeft className="h-6 w-6" /></button>
+        <div className="flex-1 min-w-0">
+          <h2 className="font-bold text-lg leading-tight">{t('Evidence Attachments', lang)}</h2>
+          <p className="text-xs text-emerald-200 truncate">{mission.location} - {formatDateTime24h(mission.start)}</p>
+        </div>
       </div>
 
-      <div className="max-w-4xl mx-auto p-8">
-        <div className="border-b-2 border-slate-800 pb-4 mb-6">
-          <h1 className="text-2xl font-bold uppercase tracking-wider">{t('DFO RPAS Flight Log - Mission Report', lang)}</h1>
-          <p className="text-sm text-slate-600 mt-1">{t('Mission ID', lang)}: {mission.id}</p>
-          <div className="text-[10px] text-slate-500 mt-2 space-y-0.5">
-            <p>{t('Compliant with CARs Part IX - TC and DFO Policy Draft', lang)}</p>
-            <p>{t('Regional RPAS program coordinator: Philip Bouma', lang)}</p>
-            <p>{t('Chief of Enforcement Operations: Ulysse Brideau', lang)}</p>
+      <div className="p-4 max-w-3xl mx-auto space-y-4">
+        <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-3">
+          <input ref={fileInputRef} type="file" multiple accept={ATTACHMENT_ACCEPT} className="hidden" onChange={(e) => { addFiles(e.target.files); e.target.value = ''; }} />
+          <button onClick={() => fileInputRef.current?.click()} disabled={busy} className="w-full bg-emerald-700 hover:bg-emerald-800 disabled:opacity-50 text-white py-3 rounded-md font-bold flex items-center justify-center gap-2"><Paperclip className="h-5 w-5" /> {t('Add Photos, Videos or PDFs', lang)}</button>
+          <p className="text-xs text-slate-500">{t('A SHA-256 hash is recorded when each file is added. Photo capture time and GPS position are read from EXIF data and used to link the file to a flight. Every download, check and removal is written to the custody log.', lang)}</p>
+          <div className="grid grid-cols-2 gap-2">
+            <button onClick={exportPackage} disabled={busy || attachments.length === 0} className="bg-white hover:bg-slate-50 disabled:opacity-40 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><Package className="h-4 w-4" /> {t('Evidence Package (ZIP)', lang)}</button>
+            <button onClick={exportCustodyLog} disabled={attachments.length === 0} className="bg-white hover:bg-slate-50 disabled:opacity-40 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><FileText className="h-4 w-4" /> {t('Custody Log (CSV)', lang)}</button>
           </div>
+          <p className="text-[10px] text-slate-400">{t('Attachments are included in backups and encrypted by the app lock, but they are not synced to other devices. Export an evidence package to hand them over.', lang)}</p>
         </div>
 
-        <div className="grid grid-cols-2 gap-6 mb-6">
-          <div>
-            <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Location & Time', lang)}</h3>
-            <p className="text-sm mb-1"><strong>Site:</strong> {mission.location}</p>
-            <p className="text-sm mb-1"><strong>{t('Start:', lang)}</strong> {formatDateTime24h(mission.start)}</p>
-            <p className="text-sm mb-1"><strong>{t('End:', lang)}</strong> {formatDateTime24h(mission.end)}</p>
-            <p className="text-sm mb-1"><strong>{t('Primary GPS', lang)}:</strong> {mission.coords?.lat || t('N/A', lang)}, {mission.coords?.lng || t('N/A', lang)}</p>
-            {(mission.secondaryLat || mission.secondaryLng) && (
-              <p className="text-sm mb-1"><strong>{t('Ref GPS', lang)}:</strong> {mission.secondaryLat}, {mission.secondaryLng} ({mission.referenceGpsUnit})</p>
+        {attachments.length === 0 ? (
+          <div className="text-center py-16 bg-white rounded-md border-2 border-dashed border-slate-200 text-slate-500">{t('No attachments for this mission.', lang)}</div>
+        ) : attachments.map(a => (
+          <div key={a.id} className="bg-white rounded-md border border-slate-200 shadow-sm overflow-hidden">
+            <div className="p-3 flex gap-3">
+              <AttachmentPreview attachment={a} />
+              <div className="flex-1 min-w-0 text-xs text-slate-600 space-y-1">
+                <div className="font-bold text-sm text-slate-800 break-all">{a.name}</div>
+                <div>{formatFileSize(a.size)} - {t('Added', lang)} {formatDateTime24h(a.addedAt)} {t('by', lang)} {a.addedBy}</div>
+                {a.exif?.takenAt && <div>{t('Captured', lang)}: {formatDateTime24h(a.exif.takenAt)}{(a.exif.make || a.exif.model) && ` - ${[a.exif.make, a.exif.model].filter(Boolean).join(' ')}`}</div>}
+                {a.exif?.lat !== null && a.exif?.lat !== undefined && <div>GPS: {a.exif.lat}, {a.exif.lng}{a.exif.alt !== null ? ` - ${a.exif.alt} m` : ''}</div>}
+                {a.exif?.takenAt && !isWithinMission(mission, a.exif.takenAt) && <div className="text-amber-700 font-bold flex items-center gap-1"><AlertTriangle className="h-3 w-3" /> {t('Captured outside the mission window', lang)}</div>}
+                <select value={a.flightIndex ?? ''} onChange={(e) => changeFlight(a, e.target.value)} disabled={busy} className="w-full p-1 border border-slate-300 rounded text-xs bg-white">
+                  <option value="">{t('Not linked to a flight', lang)}</option>
+                  {flights.map((f, i) => <option key={i} value={i}>{flightLabel(i)}</option>)}
+                </select>
+              </div>
+            </div>
+            <div className="px-3 py-1 bg-slate-50 text-[10px] font-mono text-slate-400 truncate flex items-center gap-1">
+              {checks[a.id] === true && <ShieldCheck className="h-3 w-3 text-emerald-600 flex-shrink-0" />}
+              {checks[a.id] === false && <AlertTriangle className="h-3 w-3 text-red-600 flex-shrink-0" />}
+              SHA-256 {a.sha256}
+            </div>
+            {checks[a.id] === false && <div className="px-3 py-2 bg-red-50 text-xs font-bold text-red-700">{t('File no longer matches its intake hash.', lang)}</div>}
+            <div className="flex gap-2 p-2 border-t border-slate-100">
+              <button onClick={() => download(a)} disabled={busy} className="flex-1 bg-white hover:bg-slate-50 text-slate-600 py-2 rounded text-xs font-bold uppercase border border-slate-200 flex items-center justify-center gap-1 transition-colors"><Download className="h-3 w-3" /> {t('Download', lang)}</button>
+              <button onClick={() => verify(a)} disabled={busy} className="flex-1 bg-white hover:bg-slate-50 text-slate-600 py-2 rounded text-xs font-bold uppercase border border-slate-200 flex items-center justify-center gap-1 transition-colors"><ShieldCheck className="h-3 w-3" /> {t('Verify', lang)}</button>
+              <button onClick={() => setOpenLog(openLog === a.id ? null : a.id)} className="flex-1 bg-white hover:bg-slate-50 text-slate-600 py-2 rounded text-xs font-bold uppercase border border-slate-200 flex items-center justify-center gap-1 transition-colors"><HistoryIcon className="h-3 w-3" /> {t('Custody', lang)} ({a.custody.length})</button>
+              <button onClick={() => remove(a)} disabled={busy} className="bg-white hover:bg-red-50 text-red-600 px-3 py-2 rounded text-xs font-bold uppercase border border-red-100 flex items-center gap-1"><Trash2 className="h-3 w-3" /></button>
+            </div>
+            {openLog === a.id && (
+              <table className="w-full text-xs border-t border-slate-100">
+                <tbody>
+                  {a.custody.map((c, i) => (
+                    <tr key={i} className="border-b border-slate-50 align-top">
+                      <td className="p-2 text-slate-500 whitespace-nowrap">{formatDateTime24h(c.at)}</td>
+                      <td className="p-2 font-bold text-slate-700">{t(CUSTODY_ACTIONS[c.action] || c.action, lang)}</td>
+                      <td className="p-2 text-slate-600">{c.by}</td>
+                      <td className="p-2 text-slate-500 break-all">{c.note}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
             )}
           </div>
-          <div>
-            <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Operational Resources', lang)}</h3>
-            <p className="text-sm mb-1"><strong>{t('Pilot In Command', lang)}:</strong> {mission.pilot}</p>
-            <p className="text-sm mb-1"><strong>{t('Additional Pilots', lang)}:</strong> {Array.isArray(mission.additionalPilots) ? mission.additionalPilots.join(', ') : t('None', lang)}</p>
-            <p className="text-sm mb-1"><strong>{t('Camera Operators', lang)}:</strong> {Array.isArray(mission.cameraOperators) ? mission.cameraOperators.join(', ') : t('None', lang)}</p>
-            <p className="text-sm mb-1"><strong>{t('Observers', lang)}:</strong> {Array.isArray(mission.observers) ? mission.observers.join(', ') : (mission.observer || t('None', lang))}</p>
-            <p className="text-sm mb-1 mt-2"><strong>RPAS:</strong> {Array.isArray(mission.rpas) ? mission.rpas.join(', ') : (mission.rpas || t('N/A', lang))}</p>
-            <p className="text-sm mb-1"><strong>{t('Op Category', lang)}:</strong> {mission.opCategory || t('N/A', lang)}</p>
-            <p className="text-sm mb-1"><strong>{t('Payload', lang)}:</strong> {Array.isArray(mission.payload) ? mission.payload.join(', ') : (mission.payload || t('N/A', lang))}</p>
-          </div>
-        </div>
+        ))}
+      </div>
+    </div>
+  );
+};
 
-        <div className="grid grid-cols-2 gap-6 mb-6">
-          <div>
-            <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Mission Details', lang)}</h3>
-            <p className="text-sm mb-1"><strong>Type:</strong> {mission.type}</p>
-            <p className="text-sm mb-1"><strong>{t('Work Elements', lang)}:</strong> {Array.isArray(mission.workElements) ? mission.workElements.join(', ') : (mission.workElement || t('N/A', lang))}</p>
-            <p className="text-sm mb-1"><strong>{t('Flights', lang)}:</strong> {mission.flightCount || 1}</p>
-            <p className="text-sm mb-1"><strong>Distance:</strong> {mission.distance || t('N/A', lang)} km</p>
-            <p className="text-sm mb-1"><strong>{t('Airspace', lang)}:</strong> {mission.airspace} ({mission.airspaceType})</p>
-            <p className="text-sm mb-1"><strong>{t('Aerodromes within 100km', lang)}:</strong><br/><span style={{whiteSpace: 'pre-wrap'}}>{mission.aerodromesWithin100km ? mission.aerodromesWithin100km : (Array.isArray(mission.aerodromesInfo) ? mission.aerodromesInfo.join(', ') : (mission.aerodromesInfo || t('None', lang)))}</span></p>
-            <p className="text-sm mb-1 mt-2"><strong>NOTAMS:</strong> {mission.notams || t('None', lang)}</p>
-            <p className="text-sm mb-1"><strong>NavCan Ref:</strong> {mission.navCanRef || t('N/A', lang)}</p>
-            <p className="text-sm mb-1 mt-2"><strong>{t('Approach Alt', lang)}:</strong> {mission.approachAlt || t('N/A', lang)}, <strong>Route:</strong> {mission.approachRoute ? t(mission.approachRoute, lang) : t('N/A', lang)}</p>
-            <p className="text-sm mb-1"><strong>{t('Emergency Landing Site', lang)}:</strong> {mission.emergencySite || t('N/A', lang)}</p>
-            <p className="text-sm mb-1 mt-2"><strong>{t('Description / Objectives', lang)}:</strong> {mission.description || t('N/A', lang)}</p>
-          </div>
-          <div>
-             <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('WEATHER CONDITIONS', lang)}</h3>
-             <p className="text-sm mb-1"><strong>Temp:</strong> {mission.temperature ? `${mission.temperature}°C` : t('N/A', lang)}</p>
-             <p className="text-sm mb-1"><strong>Wind:</strong> {mission.windSpeed ? `${mission.windSpeed} km/h ${mission.windDir ? t(mission.windDir, lang) : ''}` : t('N/A', lang)}</p>
-             <p className="text-sm mb-1"><strong>{t('Visibility (km)', lang)}:</strong> {mission.visibility ? t(mission.visibility, lang) : t('N/A', lang)}</p>
-             <p className="text-sm mb-1 mt-2"><strong>{t('Weather Notes', lang)}:</strong> {mission.weatherText || t('None', lang)}</p>
-             
-             <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2 mt-4">{t('AFTER MISSION REPORT', lang)}</h3>
-             <p className="text-sm mb-1"><strong>{t('Preflight Checked', lang)}:</strong> {mission.preflightCompleted ? t('Yes', lang) : t('No', lang)}</p>
-             <p className="text-sm mb-1"><strong>{t('Issues', lang)}:</strong> {mission.preflightIssues || t('None', lang)}</p>
-             <p className="text-sm mb-1"><strong>{t('Outcomes', lang)}:</strong> {mission.outcomesSummary || t('None', lang)}</p>
-             <p className="text-sm mb-1"><strong>{t('Maintenance', lang)}:</strong> {mission.incidentsMaintenance || t('None', lang)}</p>
-          </div>
+// -- MERGE CONFLICT RESOLVER VIEW --
+const MergeConflictsView = ({ conflicts, onApply, onCancel, lang }) => {
+  // Default to whichever copy was saved last
+  const [resolutions, setResolutions] = useState(() => Object.fromEntries(conflicts.map(({ local, incoming }) => [incoming.id, getMissionVersion(incoming) > getMissionVersion(local) ? 'incoming' : 'local'])));
+  const [busy, setBusy] = useState(false);
+
+  const apply = async () => {
+    setBusy(true);
+    await onApply(resolutions);
+    setBusy(false);
+  };
+
+  const sideButton = (id, side, label, record) => (
+    <button onClick={() => setResolutions(prev => ({ ...prev, [id]: side }))} className={`flex-1 p-2 rounded border text-left ${resolutions[id] === side ? 'border-emerald-500 bg-emerald-50 ring-1 ring-emerald-500' : 'border-slate-200 bg-white hover:bg-slate-50'}`}>
+      <span className="block text-xs font-bold uppercase text-slate-700">{label}</span>
+      <span className="block text-[10px] text-slate-500">{t('Last saved', lang)}: {formatDateTime24h(getMissionVersion(record))} · rev {record.rev || 1}</span>
+    </button>
+  );
+
+  return (
+    <div className="min-h-screen bg-slate-100 pb-28">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+        <button onClick={onCancel} className="p-1 hover:bg-emerald-800 rounded"><ArrowLeft className="h-6 w-6" /></button>
+        <div>
+          <h2 className="font-bold text-lg leading-tight">{t('Resolve Merge Conflicts', lang)}</h2>
+          <p className="text-xs text-emerald-200">{conflicts.length} {t('missions were edited on both devices', lang)}</p>
         </div>
+      </div>
 
-        <div className="mb-6">
-          <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Risk Assessment', lang)}</h3>
-          {(!mission.risks || Object.keys(mission.risks).filter(k => mission.risks[k].checked).length === 0) ? (
-            <p className="text-sm italic text-slate-500">{t('No risks flagged.', lang)}</p>
-          ) : (
-            <table className="w-full text-sm border-collapse border border-slate-300">
+      <div className="p-4 max-w-4xl mx-auto space-y-4">
+        {conflicts.map(({ local, incoming }) => (
+          <div key={incoming.id} className="bg-white rounded-md border border-slate-200 shadow-sm overflow-hidden">
+            <div className="p-3 border-b border-slate-100">
+              <h3 className="font-bold text-slate-800">{local.location || incoming.location || t('N/A', lang)}</h3>
+              <p className="text-xs text-slate-500">{formatDateTime24h(local.start)} - {t('Mission ID', lang)}: {local.id}</p>
+            </div>
+            <div className="p-3 flex gap-2">
+              {sideButton(incoming.id, 'local', t('Keep this device', lang), local)}
+              {sideButton(incoming.id, 'incoming', t('Use backup', lang), incoming)}
+            </div>
+            <table className="w-full text-xs">
               <thead>
-                <tr className="bg-slate-100">
-                  <th className="border border-slate-300 p-2 text-left">{t('Risk Factor', lang)}</th>
-                  <th className="border border-slate-300 p-2 text-left w-24">{t('Risk Level', lang)}</th>
-                  <th className="border border-slate-300 p-2 text-left">{t('Mitigation Strategy', lang)}</th>
+                <tr className="bg-slate-50 text-slate-500 uppercase text-[10px]">
+                  <th className="p-2 text-left w-1/4">{t('Field', lang)}</th>
+                  <th className="p-2 text-left">{t('This device', lang)}</th>
+                  <th className="p-2 text-left">{t('Backup', lang)}</th>
                 </tr>
               </thead>
               <tbody>
-                {Object.entries(mission.risks).filter(([_, v]) => v.checked).map(([k, v]) => (
-                  <tr key={k}>
-                    <td className="border border-slate-300 p-2 font-medium">{t(k, lang)}</td>
-                    <td className="border border-slate-300 p-2">{t(v.level || '-', lang)}</td>
-                    <td className="border border-slate-300 p-2">{v.mitigation || t('None specified', lang)}</td>
+                {diffMission(local, incoming).filter(c => !VERSION_FIELDS.includes(c.field)).map(c => (
+                  <tr key={c.field} className="border-t border-slate-50 align-top">
+                    <td className="p-2 font-bold text-slate-600 break-all">{c.field}</td>
+                    <td className={`p-2 break-all ${resolutions[incoming.id] === 'local' ? 'text-emerald-800 font-bold' : 'text-slate-500'}`}>{formatAuditValue(c.from)}</td>
+                    <td className={`p-2 break-all ${resolutions[incoming.id] === 'incoming' ? 'text-emerald-800 font-bold' : 'text-slate-500'}`}>{formatAuditValue(c.to)}</td>
                   </tr>
                 ))}
               </tbody>
             </table>
-          )}
+          </div>
+        ))}
+      </div>
+
+      <div className="fixed bottom-0 left-0 right-0 bg-white border-t border-slate-200 z-20 shadow-lg" style={{ padding: '1rem', paddingBottom: 'calc(1rem + env(safe-area-inset-bottom))' }}>
+        <div className="max-w-4xl mx-auto flex gap-4">
+          <button onClick={onCancel} disabled={busy} className="flex-1 py-3 bg-slate-100 hover:bg-slate-200 text-slate-700 font-bold rounded-md uppercase tracking-wide text-sm">{t('CANCEL', lang)}</button>
+          <button onClick={apply} disabled={busy} className="flex-1 py-3 bg-emerald-700 hover:bg-emerald-800 disabled:opacity-50 text-white font-bold rounded-md shadow-md uppercase tracking-wide text-sm">{t('Apply Merge', lang)}</button>
         </div>
+      </div>
+    </div>
+  );
+};
 
-        <div className="mt-8 flex flex-col gap-6">
-          {mission.sketch && (
-            <div className="page-break-inside-avoid">
-              <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Mission Area Map', lang)}</h3>
-              <img src={mission.sketch} alt="Mission Map" className="w-full max-h-[500px] object-contain border border-slate-300 rounded p-2" />
+// -- QR SCANNER --
+const QrScanner = ({ onFrame, lang }) => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    const scan = () => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (video && canvas && video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const code = jsQR(ctx.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height, { inversionAttempts: 'dontInvert' });
+        if (code) onFrame(code.data);
+      }
+      timer = setTimeout(scan, 120);
+    };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } }).then(s => {
+      if (cancelled) { s.getTracks().forEach(track => track.stop()); return; }
+      stream = s;
+      videoRef.current.srcObject = s;
+      videoRef.current.play();
+      scan();
+    }).catch(() => alert(t("Camera unavailable. Use a bundle file instead.", lang)));
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  return (
+    <div className="relative bg-black rounded-md overflow-hidden">
+      <video ref={videoRef} className="w-full max-h-[60vh] object-cover" playsInline muted />
+      <canvas ref={canvasRef} className="hidden" />
+      <div className="absolute inset-8 border-2 border-emerald-400 rounded pointer-events-none" />
+    </div>
+  );
+};
+
+// -- DEVICE SYNC VIEW --
+const SyncView = ({ missions, aircraft, deviceId, syncSent, onMarkSent, onImportBundle, remoteConfig, remoteStatus, onSaveRemoteConfig, onSyncNow, onBack, lang }) => {
+  const [tab, setTab] = useState('send');
+  const [serverForm, setServerForm] = useState(remoteConfig || { endpoint: '', token: '', enabled: false });
+  const [peer, setPeer] = useState('');
+  const [onlyChanged, setOnlyChanged] = useState(true);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [frames, setFrames] = useState(null);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [qrImage, setQrImage] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [received, setReceived] = useState({ session: null, total: 0, chunks: new Map() });
+
+  const candidates = onlyChanged && peer.trim() ? getChangedSince(missions, syncSent[peer.trim()]) : missions;
+  const selected = missions.filter(m => selectedIds.includes(m.id));
+
+  // Preselect whatever changed since the last hand-off to this peer
+  useEffect(() => setSelectedIds(candidates.map(m => m.id)), [peer, onlyChanged]);
+
+  useEffect(() => {
+    if (!frames) return;
+    const timer = setInterval(() => setFrameIndex(i => (i + 1) % frames.length), QR_FRAME_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [frames]);
+
+  useEffect(() => {
+    if (!frames) return;
+    QRCode.toDataURL(frames[frameIndex], { errorCorrectionLevel: 'L', margin: 2, width: 480 }).then(setQrImage).catch(console.error);
+  }, [frames, frameIndex]);
+
+  const toggle = (id) => setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+
+  const getPayload = () => {
+    if (!peer.trim()) { alert(t("Enter the name of the receiving device or officer.", lang)); return null; }
+    if (selected.length === 0) { alert(t("Select at least one mission.", lang)); return null; }
+    return encodeSyncBundle(buildSyncBundle(selected, aircraft, deviceId));
+  };
+
+  const showQr = () => {
+    const bytes = getPayload();
+    if (!bytes) return;
+    const qrFrames = splitIntoQrFrames(bytes);
+    if (qrFrames.length > QR_MAX_FRAMES) {
+      alert(t("This selection is too large for QR transfer. Save a bundle file instead.", lang));
+      return;
+    }
+    setFrameIndex(0);
+    setFrames(qrFrames);
+  };
+
+  const saveBundle = () => {
+    const bytes = getPayload();
+    if (!bytes) return;
+    downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), `dfo_sync_${peer.trim().replace(/\W+/g, '_')}_${new Date().toISOString().slice(0, 10)}${SYNC_FILE_EXTENSION}`);
+    onMarkSent(peer.trim(), selected);
+  };
+
+  const finishQr = () => {
+    onMarkSent(peer.trim(), selected);
+    setFrames(null);
+    setQrImage(null);
+  };
+
+  const handleFrame = (text) => {
+    const frame = parseQrFrame(text);
+    if (!frame) return;
+    setReceived(prev => {
+      // A new sender session starts a fresh collection
+      const state = prev.session === frame.session ? prev : { session: frame.session, total: frame.total, chunks: new Map() };
+      if (state.chunks.has(frame.index)) return state;
+      const chunks = new Map(state.chunks).set(frame.index, frame.chunk);
+      return { ...state, chunks };
+    });
+  };
+
+  useEffect(() => {
+    if (!received.session || received.chunks.size < received.total) return;
+    setScanning(false);
+    try {
+      onImportBundle(decodeSyncBundle(joinQrFrames(received.chunks, received.total)));
+    } catch (err) { alert(t("Could not read the transferred data.", lang)); }
+    setReceived({ session: null, total: 0, chunks: new Map() });
+  }, [received]);
+
+  const openBundle = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = null;
+    if (!file) return;
+    try {
+      onImportBundle(decodeSyncBundle(new Uint8Array(await file.arrayBuffer())));
+    } catch (err) { alert(t("Could not read the transferred data.", lang)); }
+  };
+
+  const saveServer = () => {
+    const endpoint = serverForm.endpoint.trim();
+    if (serverForm.enabled && !/^https?:\/\//i.test(endpoint)) { alert(t("Enter the server address, starting with http:// or https://", lang)); return; }
+    onSaveRemoteConfig({ ...serverForm, endpoint, token: serverForm.token.trim() });
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-100 pb-20">
+      <div className="bg-emerald-900 text-white p-4 sticky top-0 z-10 flex items-center shadow-md gap-3">
+        <button onClick={onBack} className="p-1 hover:bg-emerald-800 rounded"><ArrowLeft className="h-6 w-6" /></button>
+        <div>
+          <h2 className="font-bold text-lg leading-tight">{t('Device Sync', lang)}</h2>
+          <p className="text-xs text-emerald-200">{t('Device ID', lang)}: {deviceId}</p>
+        </div>
+      </div>
+
+      <div className="p-4 max-w-3xl mx-auto space-y-4">
+        <div className="grid grid-cols-3 gap-2">
+          {[['send', Send, 'Send'], ['receive', Inbox, 'Receive'], ['server', Server, 'Server']].map(([key, Icon, label]) => (
+            <button key={key} onClick={() => setTab(key)} className={`py-3 rounded-md font-bold text-sm flex items-center justify-center gap-2 border ${tab === key ? 'bg-emerald-700 text-white border-emerald-700' : 'bg-white text-slate-700 border-slate-200'}`}><Icon className="h-4 w-4" /> {t(label, lang)}</button>
+          ))}
+        </div>
+
+        {tab === 'send' && (
+          <>
+            <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-3">
+              <div>
+                <label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t('Send to (device or officer)', lang)}</label>
+                <input list="sync-peers" value={peer} onChange={(e) => setPeer(e.target.value)} className="w-full p-2 border border-slate-300 rounded text-sm" />
+                <datalist id="sync-peers">{Object.keys(syncSent).map(p => <option key={p} value={p} />)}</datalist>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-slate-700">
+                <input type="checkbox" className="w-4 h-4 accent-emerald-700" checked={onlyChanged} onChange={(e) => setOnlyChanged(e.target.checked)} />
+                {t('Only missions changed since the last send to this device', lang)}
+              </label>
             </div>
-          )}
-          {mission.weatherImage && (
-            <div className="page-break-inside-avoid">
-              <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('Weather Forecast / Screenshot', lang)}</h3>
-              <img src={mission.weatherImage} alt="Weather Screenshot" className="w-full max-h-[500px] object-contain border border-slate-300 rounded p-2" />
+
+            <div className="bg-white rounded-md border border-slate-200 shadow-sm divide-y divide-slate-100">
+              {candidates.length === 0 ? <p className="p-4 text-sm text-slate-500 text-center">{t('Nothing has changed since the last send.', lang)}</p> : candidates.map(m => (
+                <label key={m.id} className="flex items-center gap-3 p-3 cursor-pointer hover:bg-slate-50">
+                  <input type="checkbox" className="w-4 h-4 accent-emerald-700" checked={selectedIds.includes(m.id)} onChange={() => toggle(m.id)} />
+                  <span className="flex-1 text-sm text-slate-800">{m.location || t('N/A', lang)} <span className="text-slate-500">- {formatDateTime24h(m.start)}</span></span>
+                  <span className="text-[10px] font-mono text-slate-400">rev {m.rev || 1}</span>
+                </label>
+              ))}
             </div>
-          )}
-          {mission.navCanFile && (
-            <div className="page-break-inside-avoid">
-              <h3 className="text-xs font-bold text-slate-400 uppercase border-b border-slate-200 mb-2">{t('NAV Canada Authorization File', lang)}</h3>
-              <img src={mission.navCanFile} alt="NAV Canada File" className="w-full max-h-[500px] object-contain border border-slate-300 rounded p-2" />
+
+            <div className="grid grid-cols-2 gap-2">
+              <button onClick={showQr} className="bg-emerald-700 hover:bg-emerald-800 text-white py-3 rounded-md font-bold text-xs uppercase flex items-center justify-center gap-2"><QrCode className="h-4 w-4" /> {t('Show QR Code', lang)}</button>
+              <button onClick={saveBundle} className="bg-white hover:bg-slate-50 text-slate-700 py-3 rounded-md font-bold text-xs uppercase border border-slate-200 flex items-center justify-center gap-2"><Download className="h-4 w-4" /> {t('Save Bundle File', lang)}</button>
+            </div>
+          </>
+        )}
+
+        {tab === 'receive' && (
+          <div className="space-y-3">
+            {scanning ? (
+              <>
+                <QrScanner onFrame={handleFrame} lang={lang} />
+                <div className="flex justify-between items-center text-sm">
+                  <span className="font-bold text-slate-700">{received.total ? `${received.chunks.size}/${received.total} ${t('frames received', lang)}` : t('Point the camera at the QR code on the sending device.', lang)}</span>
+                  <button onClick={() => setScanning(false)} className="text-xs font-bold uppercase text-red-600">{t('CANCEL', lang)}</button>
+                </div>
+                {received.total > 0 && <div className="h-2 bg-slate-200 rounded"><div className="h-2 bg-emerald-600 rounded" style={{ width: `${(received.chunks.size / received.total) * 100}%` }} /></div>}
+              </>
+            ) : (
+              <div className="grid grid-cols-2 gap-2">
+                <button onClick={() => setScanning(true)} className="bg-emerald-700 hover:bg-emerald-800 text-white py-3 rounded-md font-bold text-xs uppercase flex items-center justify-center gap-2"><Camera className="h-4 w-4" /> {t('Scan QR Code', lang)}</button>
+                <label className="bg-white hover:bg-slate-50 text-slate-700 py-3 rounded-md font-bold text-xs uppercase border border-slate-200 flex items-center justify-center gap-2 cursor-pointer">
+                  <Upload className="h-4 w-4" /> {t('Open Bundle File', lang)}
+                  <input type="file" accept={SYNC_FILE_EXTENSION} onChange={openBundle} className="hidden" />
+                </label>
+              </div>
+            )}
+            <p className="text-xs text-slate-500">{t('Received missions are merged with the ones on this device. Conflicting edits are shown for review before anything is saved.', lang)}</p>
+          </div>
+        )}
+
+        {tab === 'server' && (
+          <div className="space-y-3">
+            <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-3">
+              <div>
+                <label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t('Server Address', lang)}</label>
+                <input type="url" placeholder="https://" value={serverForm.endpoint} onChange={(e) => setServerForm({ ...serverForm, endpoint: e.target.value })} className="w-full p-2 border border-slate-300 rounded text-sm" />
+              </div>
+              <div>
+                <label className="block text-xs font-bold text-slate-500 uppercase mb-1">{t('Access Token', lang)}</label>
+                <input type="password" value={serverForm.token} onChange={(e) => setServerForm({ ...serverForm, token: e.target.value })} className="w-full p-2 border border-slate-300 rounded text-sm" />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-slate-700">
+                <input type="checkbox" className="w-4 h-4 accent-emerald-700" checked={serverForm.enabled} onChange={(e) => setServerForm({ ...serverForm, enabled: e.target.checked })} />
+                {t('Sync missions and saved lists with this server', lang)}
+              </label>
+              <button onClick={saveServer} className="w-full bg-emerald-700 hover:bg-emerald-800 text-white py-3 rounded-md font-bold text-xs uppercase flex items-center justify-center gap-2"><Save className="h-4 w-4" /> {t('SAVE', lang)}</button>
             </div>
-          )}
-        </div>
 
+            {remoteConfig && remoteConfig.enabled && (
+              <div className="bg-white p-4 rounded-md border border-slate-200 shadow-sm space-y-2 text-sm">
+                <p className="text-slate-700"><span className="font-bold">{t('Waiting to upload', lang)}:</span> {remoteStatus.outbox}</p>
+                <p className="text-slate-700"><span className="font-bold">{t('Last sync', lang)}:</span> {remoteStatus.lastSyncAt ? formatDateTime24h(remoteStatus.lastSyncAt) : t('Never', lang)}</p>
+                {remoteStatus.error && <p className="text-red-700 text-xs flex items-center gap-1"><AlertTriangle className="h-3 w-3" /> {remoteStatus.error}</p>}
+                <button onClick={onSyncNow} disabled={remoteStatus.running} className="w-full bg-white hover:bg-slate-50 text-slate-700 py-3 rounded-md font-bold text-xs uppercase border border-slate-200 flex items-center justify-center gap-2 disabled:opacity-50"><RefreshCw className={`h-4 w-4 ${remoteStatus.running ? 'animate-spin' : ''}`} /> {t('Sync Now', lang)}</button>
+              </div>
+            )}
+            <p className="text-xs text-slate-500">{t('Changes made offline are queued and uploaded when the device is back online. Missions edited both here and on the server are shown for review.', lang)}</p>
+          </div>
+        )}
       </div>
+
+      {frames && (
+        <div className="fixed inset-0 bg-white z-50 flex flex-col items-center justify-center p-4 gap-4">
+          {qrImage && <img src={qrImage} alt="QR" className="w-full max-w-sm aspect-square" />}
+          <p className="text-sm font-bold text-slate-700">{t('Frame', lang)} {frameIndex + 1}/{frames.length}</p>
+          <p className="text-xs text-slate-500 text-center max-w-sm">{t('Keep this screen in view of the receiving device until it reports that all frames were received.', lang)}</p>
+          <div className="flex gap-2 w-full max-w-sm">
+            <button onClick={() => { setFrames(null); setQrImage(null); }} className="flex-1 bg-slate-100 hover:bg-slate-200 text-slate-700 py-3 rounded font-bold text-xs uppercase">{t('CANCEL', lang)}</button>
+            <button onClick={finishQr} className="flex-1 bg-emerald-700 hover:bg-emerald-800 text-white py-3 rounded font-bold text-xs uppercase">{t('Done', lang)}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// -- MISSION WORKFLOW PANEL --
+const STATUS_ACTION_STYLES = {
+  submitted: 'bg-blue-600 hover:bg-blue-700 text-white',
+  approved: 'bg-emerald-700 hover:bg-emerald-800 text-white',
+  rejected: 'bg-red-600 hover:bg-red-700 text-white',
+  draft: 'bg-white hover:bg-slate-50 text-slate-700 border border-slate-300',
+  flown: 'bg-indigo-600 hover:bg-indigo-700 text-white',
+  closed: 'bg-slate-700 hover:bg-slate-800 text-white'
+};
+
+const STATUS_ACTION_LABELS = {
+  submitted: 'Submit for Approval', approved: 'Approve', rejected: 'Reject',
+  draft: 'Return to Draft', flown: 'Mark Flown', closed: 'Close Mission'
+};
+
+const MissionWorkflowPanel = ({ mission, approvers, onChangeStatus, lang }) => {
+  const [by, setBy] = useState('');
+  const [comments, setComments] = useState('');
+  const needsApproval = requiresApproval(mission);
+  const history = mission.statusHistory || [];
+
+  const handleAction = (next) => {
+    const blocker = getStatusBlocker(mission, next);
+    if (blocker) return alert(t(blocker, lang));
+    const isDecision = next === 'approved' || next === 'rejected';
+    if (isDecision) {
+      const approverBlocker = getApproverBlocker(mission, by, approvers);
+      if (approverBlocker) return alert(t(approverBlocker, lang));
+    }
+    if (next === 'rejected' && !comments.trim()) return alert(t("Comments are required when rejecting a mission.", lang));
+    // Other transitions are recorded against whoever is using the app, not assumed to be the PIC
+    onChangeStatus(mission, next, { by: isDecision ? findApprover(approvers, by) : (by.trim() || getActingUser(lang)), comments });
+    setComments('');
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-slate-50 border border-slate-200 rounded space-y-2 text-xs">
+      <p className="text-slate-500">
+        {needsApproval ? t("Supervisor approval is required before this mission is flown.", lang) : t("No supervisor approval required for this operation.", lang)}
+      </p>
+      {mission.approval && <p className="font-bold text-slate-700">{formatApproval(mission.approval, lang)}</p>}
+      {history.length > 0 && (
+        <ul className="space-y-1 border-l-2 border-slate-200 pl-2">
+          {history.map(h => (
+            <li key={h.id} className="text-slate-600">
+              <span className="font-bold">{t(MISSION_STATUSES[h.to]?.label || h.to, lang)}</span> - {formatDateTime24h(h.at)}{h.by ? ` - ${h.by}` : ''}{h.comments ? `: ${h.comments}` : ''}
+            </li>
+          ))}
+        </ul>
+      )}
+      {getStatusActions(mission).length > 0 && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <input list={`approvers-${mission.id}`} value={by} onChange={e => setBy(e.target.value)} placeholder={t("Name (approver for approve / reject)", lang)} className="w-full p-2 border border-slate-300 rounded bg-white" />
+            <datalist id={`approvers-${mission.id}`}>{(approvers || []).map(a => <option key={a} value={a} />)}</datalist>
+            <input value={comments} onChange={e => setComments(e.target.value)} placeholder={t("Comments", lang)} className="w-full p-2 border border-slate-300 rounded bg-white" />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {getStatusActions(mission).map(next => (
+              <button key={next} onClick={() => handleAction(next)} className={`flex-1 py-2 px-2 rounded font-bold uppercase ${STATUS_ACTION_STYLES[next]}`}>{t(STATUS_ACTION_LABELS[next], lang)}</button>
+            ))}
+          </div>
+        </>
+      )}
     </div>
   );
 };
 
-const Dashboard = ({ missions, onCreateNew, onDelete, onEdit, onExport, onExportFull, onManageLists, onBackup, onRestore, onPrint, scrollRef, lang, onToggleLang }) => {
-  const [searchTerm, setSearchTerm] = useState('');
+const Dashboard = ({ missionsRevision, approvers, onChangeStatus, onHistory, onAttachments, onCreateNew, missionTemplates, onCreateFromTemplate, onDeleteMissionTemplate, onDuplicate, onDelete, onEdit, onExport, onExportFull, onExportGis, onManageLists, onPilotLogbook, onStatistics, onAircraftRegistry, onPersonnel, qualificationAlerts, onMap, onAirspace, onChecklists, onRecycleBin, onSecurity, onStorage, storageWarning, onSync, syncConflicts, onReviewSyncConflicts, searchPresets, onSaveSearchPreset, onDeleteSearchPreset, onBackup, onRestore, onPrint, scrollRef, lang, onToggleLang }) => {
+  const [filter, setFilter] = useState(EMPTY_MISSION_FILTER);
+  const [sortKey, setSortKey] = useState('newest');
+  const [showFilters, setShowFilters] = useState(false);
+  const [showGisMenu, setShowGisMenu] = useState(false);
+  const [workflowId, setWorkflowId] = useState(null);
+  const [limit, setLimit] = useState(DASHBOARD_PAGE_SIZE);
+  const [filterOptions, setFilterOptions] = useState(() => getMissionFilterOptions([]));
 
   useEffect(() => {
     if (scrollRef && scrollRef.current !== undefined) {
@@ -1605,11 +7605,48 @@ const Dashboard = ({ missions, onCreateNew, onDelete, onEdit, onExport, onExport
     return () => window.removeEventListener('scroll', handleScroll);
   }, [scrollRef]);
   
-  // JSON global search filter, newest first sort
-  const filteredMissions = missions.filter(m => {
-    if (!searchTerm) return true;
-    return JSON.stringify(m).toLowerCase().includes(searchTerm.toLowerCase());
-  }).sort((a,b) => new Date(b.start) - new Date(a.start));
+  const filterActive = isMissionFilterActive(filter);
+  const { missions: filteredMissions, total } = useMissionQuery(filter, sortKey, limit, missionsRevision);
+  const setFilterField = (field, value) => setFilter(prev => ({ ...prev, [field]: value }));
+
+  // A new query starts again from the first page
+  useEffect(() => setLimit(DASHBOARD_PAGE_SIZE), [JSON.stringify(filter), sortKey]);
+
+  // The dropdown choices need every recorded value, so they are only read while the panel is open
+  useEffect(() => {
+    if (!showFilters) return;
+    let cancelled = false;
+    getMissionsNewestFirst().then(all => { if (!cancelled) setFilterOptions(getMissionFilterOptions(all)); }).catch(err => console.error(err));
+    return () => { cancelled = true; };
+  }, [showFilters, missionsRevision]);
+
+  // Exports cover every match, not just the page on screen
+  const exportGis = async (format) => {
+    setShowGisMenu(false);
+    onExportGis(format, (await queryMissions(filter, sortKey)).missions);
+  };
+
+  const savePreset = () => {
+    const name = prompt(t("Name for this filter:", lang));
+    if (name && name.trim()) onSaveSearchPreset({ id: generateId(), name: name.trim(), filter, sortKey });
+  };
+
+  const applyPreset = (id) => {
+    const preset = searchPresets.find(p => p.id === id);
+    if (!preset) return;
+    setFilter({ ...EMPTY_MISSION_FILTER, ...preset.filter });
+    setSortKey(MISSION_SORTS[preset.sortKey] ? preset.sortKey : 'newest');
+  };
+
+  const filterSelect = (field, label, options, renderLabel = (o) => o) => (
+    <div>
+      <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t(label, lang)}</label>
+      <select value={filter[field]} onChange={(e) => setFilterField(field, e.target.value)} className="w-full p-2 border border-slate-300 rounded text-sm bg-white">
+        <option value="">{t('All', lang)}</option>
+        {options.map(o => <option key={o} value={o}>{renderLabel(o)}</option>)}
+      </select>
+    </div>
+  );
 
   return (
     <div className="p-4 max-w-4xl mx-auto space-y-6 pb-20">
@@ -1639,7 +7676,19 @@ const Dashboard = ({ missions, onCreateNew, onDelete, onEdit, onExport, onExport
       <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
         <button onClick={onExport} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><FileText className="h-4 w-4 text-emerald-600" /> {t('CSV Report', lang)}</button>
         <button onClick={onExportFull} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><Globe className="h-4 w-4 text-purple-600" /> {t('Full Report', lang)}</button>
+        <button onClick={() => setShowGisMenu(!showGisMenu)} className={`${showGisMenu ? 'bg-emerald-50 border-emerald-300' : 'bg-white border-slate-200'} hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border shadow-sm`}><Layers className="h-4 w-4 text-orange-600" /> {t('GIS Export', lang)}</button>
         <button onClick={onManageLists} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><List className="h-4 w-4 text-indigo-600" /> {t('Saved Lists', lang)}</button>
+        <button onClick={onPilotLogbook} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><Users className="h-4 w-4 text-emerald-700" /> {t('Pilot Logbook', lang)}</button>
+        <button onClick={onStatistics} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><BarChart3 className="h-4 w-4 text-sky-700" /> {t('Statistics', lang)}</button>
+        <button onClick={onAircraftRegistry} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><Crosshair className="h-4 w-4 text-slate-700" /> {t('Aircraft Registry', lang)}</button>
+        <button onClick={() => onPersonnel()} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><BadgeCheck className="h-4 w-4 text-emerald-700" /> {t('Personnel Registry', lang)}</button>
+        <button onClick={onMap} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><MapPin className="h-4 w-4 text-sky-600" /> {t('Mission Map', lang)}</button>
+        <button onClick={onAirspace} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><Plane className="h-4 w-4 text-red-600" /> {t('Aerodromes & Airspace', lang)}</button>
+        <button onClick={onChecklists} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><ClipboardCheck className="h-4 w-4 text-emerald-600" /> {t('Checklist Templates', lang)}</button>
+        <button onClick={onRecycleBin} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><Trash2 className="h-4 w-4 text-red-600" /> {t('Recycle Bin', lang)}</button>
+        <button onClick={onSync} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><QrCode className="h-4 w-4 text-slate-700" /> {t('Device Sync', lang)}</button>
+        <button onClick={onSecurity} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><ShieldCheck className="h-4 w-4 text-emerald-700" /> {t('Security', lang)}</button>
+        <button onClick={onStorage} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><HardDrive className="h-4 w-4 text-slate-600" /> {t('Storage', lang)}</button>
         <button onClick={onBackup} className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm"><Database className="h-4 w-4 text-blue-600" /> {t('Backup Data', lang)}</button>
         <label className="bg-white hover:bg-slate-50 text-slate-700 px-2 py-3 rounded-md font-bold flex flex-col items-center justify-center text-xs gap-1 border border-slate-200 shadow-sm cursor-pointer">
           <Upload className="h-4 w-4 text-amber-600" /> {t('Restore Data', lang)}
@@ -1650,29 +7699,129 @@ const Dashboard = ({ missions, onCreateNew, onDelete, onEdit, onExport, onExport
         </button>
       </div>
 
+      {qualificationAlerts.length > 0 && (
+        <div className="bg-white border border-amber-300 rounded-md p-3 text-sm space-y-1">
+          <p className="font-bold text-amber-900 flex items-center gap-2"><GraduationCap className="h-4 w-4 shrink-0" /> {t('Expiring Qualifications', lang)}</p>
+          {qualificationAlerts.slice(0, 5).map((al, i) => (
+            <button key={i} onClick={() => onPersonnel(al.personId)} className={`w-full text-left text-xs hover:underline ${al.level === 'expired' ? 'text-red-700 font-bold' : 'text-amber-800'}`}>{al.name}: {formatQualificationAlert(al, lang)}</button>
+          ))}
+          {qualificationAlerts.length > 5 && <button onClick={() => onPersonnel()} className="text-xs font-bold text-emerald-700 hover:underline">+{qualificationAlerts.length - 5} {t('more', lang)}</button>}
+        </div>
+      )}
+
+      {storageWarning > 0 && (
+        <div className="bg-amber-50 border border-amber-300 text-amber-900 p-3 rounded-md flex items-center justify-between gap-3 text-sm">
+          <span className="flex items-center gap-2"><AlertTriangle className="h-4 w-4 shrink-0" /> {lang === 'fr' ? `Le stockage de l'appareil est plein à ${Math.round(storageWarning * 100)} %.` : `Device storage is ${Math.round(storageWarning * 100)}% full.`}</span>
+          <button onClick={onStorage} className="bg-amber-600 hover:bg-amber-700 text-white px-3 py-2 rounded font-bold text-xs uppercase shrink-0">{t('Manage', lang)}</button>
+        </div>
+      )}
+
+      {syncConflicts > 0 && (
+        <div className="bg-amber-50 border border-amber-300 text-amber-900 p-3 rounded-md flex items-center justify-between gap-3 text-sm">
+          <span className="flex items-center gap-2"><AlertTriangle className="h-4 w-4 shrink-0" /> {syncConflicts} {t('mission(s) were changed both here and on the sync server.', lang)}</span>
+          <button onClick={onReviewSyncConflicts} className="bg-amber-600 hover:bg-amber-700 text-white px-3 py-2 rounded font-bold text-xs uppercase shrink-0">{t('Review', lang)}</button>
+        </div>
+      )}
+
+      {showGisMenu && (
+        <div className="bg-white p-3 rounded-md border border-emerald-200 shadow-sm space-y-2">
+          <p className="text-[10px] font-bold text-slate-500 uppercase tracking-wide">
+            {filterActive ? `${t('Exporting filtered missions', lang)}: ${total}` : `${t('Exporting all missions', lang)}: ${total}`}
+          </p>
+          <div className="grid grid-cols-3 gap-2">
+            {[['kml', 'KML'], ['kmz', 'KMZ'], ['geojson', 'GeoJSON']].map(([format, label]) => (
+              <button key={format} onClick={() => exportGis(format)} className="bg-slate-50 hover:bg-slate-100 text-slate-700 py-2 rounded text-xs font-bold uppercase border border-slate-200">{label}</button>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="flex gap-3 mt-4">
         <button onClick={onCreateNew} className="flex-1 bg-emerald-700 hover:bg-emerald-800 text-white py-4 rounded-md shadow-md font-bold flex items-center justify-center gap-2 text-md"><Plus className="h-5 w-5" /> {t('NEW MISSION', lang)}</button>
       </div>
 
+      {missionTemplates.length > 0 && (
+        <div className="flex flex-wrap gap-2 items-center">
+          <span className="text-[10px] font-bold uppercase text-slate-500">{t('From template', lang)}:</span>
+          {missionTemplates.map(tpl => (
+            <span key={tpl.id} className="bg-white border border-emerald-200 text-emerald-800 text-xs px-2 py-1 rounded flex items-center gap-1">
+              <button onClick={() => onCreateFromTemplate(tpl)} className="font-bold">{tpl.name}</button>
+              <button onClick={() => { if (confirm(t("Delete this mission template?", lang))) onDeleteMissionTemplate(tpl.id); }} className="text-slate-400 hover:text-red-600"><X className="h-3 w-3" /></button>
+            </span>
+          ))}
+        </div>
+      )}
+
       <div className="text-center text-[10px] text-slate-400 font-bold uppercase tracking-widest mt-2">
         {t('Note: Backup your data often', lang)}
       </div>
 
       {/* SEARCH BAR */}
-      <div className="relative">
-         <Search className="absolute left-3 top-3 h-4 w-4 text-slate-400" />
-         <input 
-           type="text" 
-           placeholder={t("Search all mission data...", lang)} 
-           className="w-full pl-10 p-3 rounded-md border border-slate-300 focus:ring-2 focus:ring-emerald-500 outline-none"
-           value={searchTerm}
-           onChange={(e) => setSearchTerm(e.target.value)}
-         />
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+           <Search className="absolute left-3 top-3 h-4 w-4 text-slate-400" />
+           <input 
+             type="text" 
+             placeholder={t("Search all mission data...", lang)} 
+             className="w-full pl-10 p-3 rounded-md border border-slate-300 focus:ring-2 focus:ring-emerald-500 outline-none"
+             value={filter.text}
+             onChange={(e) => setFilterField('text', e.target.value)}
+           />
+        </div>
+        <button onClick={() => setShowFilters(!showFilters)} className={`px-3 rounded-md border font-bold text-xs flex items-center gap-1 ${showFilters || filterActive ? 'bg-emerald-700 text-white border-emerald-700' : 'bg-white text-slate-700 border-slate-300'}`}><Filter className="h-4 w-4" /> {t('Filters', lang)}</button>
       </div>
 
+      {showFilters && (
+        <div className="bg-white p-3 rounded-md border border-slate-200 shadow-sm space-y-3">
+          <p className="text-[10px] text-slate-500">{t('Limit a search term to one field with a prefix:', lang)} {Object.keys(SEARCH_FIELDS).map(f => `${f}:`).join(' ')}</p>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+            <div>
+              <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t('From', lang)}</label>
+              <input type="date" value={filter.from} onChange={(e) => setFilterField('from', e.target.value)} className="w-full p-2 border border-slate-300 rounded text-sm" />
+            </div>
+            <div>
+              <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t('To', lang)}</label>
+              <input type="date" value={filter.to} onChange={(e) => setFilterField('to', e.target.value)} className="w-full p-2 border border-slate-300 rounded text-sm" />
+            </div>
+            {filterSelect('pilot', 'Pilot', filterOptions.pilot)}
+            {filterSelect('rpas', 'RPAS', filterOptions.rpas)}
+            {filterSelect('type', 'Mission Type', filterOptions.type, o => t(o, lang))}
+            {filterSelect('opCategory', 'Op Category', filterOptions.opCategory, o => t(o, lang))}
+            {filterSelect('workElement', 'Work Element', filterOptions.workElement, o => t(o, lang))}
+            {filterSelect('airspace', 'Airspace Class', filterOptions.airspace, o => t(o, lang))}
+            {filterSelect('riskBand', 'Risk Level', [...RISK_BAND_ORDER, 'None'], o => t(o, lang))}
+            {filterSelect('navCan', 'NAV CAN Authorization', ['yes', 'no'], o => t(o === 'yes' ? 'Yes' : 'No', lang))}
+            <div>
+              <label className="block text-[10px] font-bold text-slate-500 uppercase mb-1">{t('Sort', lang)}</label>
+              <select value={sortKey} onChange={(e) => setSortKey(e.target.value)} className="w-full p-2 border border-slate-300 rounded text-sm bg-white">
+                {Object.entries(MISSION_SORTS).map(([key, s]) => <option key={key} value={key}>{t(s.label, lang)}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-2 items-center border-t border-slate-100 pt-3">
+            <select value="" onChange={(e) => applyPreset(e.target.value)} className="flex-1 min-w-[10rem] p-2 border border-slate-300 rounded text-sm bg-white">
+              <option value="">{searchPresets.length > 0 ? t('Saved filters...', lang) : t('No saved filters yet', lang)}</option>
+              {searchPresets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <button onClick={savePreset} disabled={!filterActive && sortKey === 'newest'} className="bg-emerald-700 hover:bg-emerald-800 text-white px-3 py-2 rounded text-xs font-bold uppercase flex items-center gap-1 disabled:opacity-50"><Save className="h-3 w-3" /> {t('Save Filter', lang)}</button>
+            <button onClick={() => { setFilter(EMPTY_MISSION_FILTER); setSortKey('newest'); }} className="bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-2 rounded text-xs font-bold uppercase">{t('Clear', lang)}</button>
+          </div>
+          {searchPresets.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {searchPresets.map(p => (
+                <span key={p.id} className="bg-slate-100 text-slate-700 text-xs px-2 py-1 rounded flex items-center gap-1">
+                  <button onClick={() => applyPreset(p.id)} className="font-bold">{p.name}</button>
+                  <button onClick={() => { if (confirm(t("Delete this saved filter?", lang))) onDeleteSearchPreset(p.id); }} className="text-slate-400 hover:text-red-600"><X className="h-3 w-3" /></button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="border-b border-slate-200 pb-2 flex justify-between items-end">
         <h2 className="text-sm font-bold text-slate-500 uppercase tracking-wide">{t('Recorded Missions', lang)}</h2>
-        <span className="text-xs text-slate-400">{filteredMissions.length} {t('RECORDS', lang)}</span>
+        <span className="text-xs text-slate-400">{total} {t('RECORDS', lang)}</span>
       </div>
 
       {filteredMissions.length === 0 ? (
@@ -1680,7 +7829,7 @@ const Dashboard = ({ missions, onCreateNew, onDelete, onEdit, onExport, onExport
       ) : (
         <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-1">
           {filteredMissions.map((mission, index) => {
-            const visualRefNum = filteredMissions.length - index;
+            const visualRefNum = total - index;
             
             return (
               <div key={mission.id} className="bg-white rounded-md shadow-sm border border-slate-200 overflow-hidden flex flex-col sm:flex-row">
@@ -1694,7 +7843,10 @@ const Dashboard = ({ missions, onCreateNew, onDelete, onEdit, onExport, onExport
                         <span className="text-slate-400 mr-2">#{visualRefNum}</span>
                         {mission.location}
                       </h3>
-                      <span className="text-[10px] font-bold uppercase bg-slate-100 text-slate-600 px-2 py-1 rounded">{mission.opCategory || 'Basic'}</span>
+                      <div className="flex flex-wrap justify-end gap-1">
+                        <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${MISSION_STATUSES[getMissionStatus(mission)].badge}`}>{t(MISSION_STATUSES[getMissionStatus(mission)].label, lang)}</span>
+                        <span className="text-[10px] font-bold uppercase bg-slate-100 text-slate-600 px-2 py-1 rounded">{mission.opCategory || 'Basic'}</span>
+                      </div>
                     </div>
                     <div className="text-sm text-slate-600 space-y-1 mb-4">
                       <div className="flex items-center gap-2"><Calendar className="h-3 w-3 text-emerald-600" /><span>{formatDateTime24h(mission.start)}</span></div>
@@ -1703,25 +7855,69 @@ const Dashboard = ({ missions, onCreateNew, onDelete, onEdit, onExport, onExport
                   </div>
                   <div className="flex flex-wrap items-center gap-2 pt-3 border-t border-slate-100 mt-auto">
                     <button onClick={() => onEdit(mission)} className="flex-1 bg-slate-50 hover:bg-slate-100 text-slate-700 py-2 rounded text-xs font-bold uppercase border border-slate-200 flex items-center justify-center gap-1 transition-colors"><Edit2 className="h-3 w-3" /> {t('Edit', lang)}</button>
+                    <button onClick={() => onDuplicate(mission)} className="flex-1 bg-white hover:bg-slate-50 text-slate-600 py-2 rounded text-xs font-bold uppercase border border-slate-200 flex items-center justify-center gap-1 transition-colors"><Copy className="h-3 w-3" /> {t('Duplicate', lang)}</button>
                     <button onClick={() => onPrint(mission)} className="flex-1 bg-emerald-50 hover:bg-emerald-100 text-emerald-700 py-2 rounded text-xs font-bold uppercase border border-emerald-200 flex items-center justify-center gap-1 transition-colors"><Printer className="h-3 w-3" /> {t('Print', lang)}</button>
+                    <button onClick={() => setWorkflowId(workflowId === mission.id ? null : mission.id)} className="flex-1 bg-white hover:bg-blue-50 text-blue-700 py-2 rounded text-xs font-bold uppercase border border-blue-100 flex items-center justify-center gap-1 transition-colors"><FileCheck className="h-3 w-3" /> {t('Status', lang)}</button>
+                    <button onClick={() => onHistory(mission)} className="flex-1 bg-white hover:bg-slate-50 text-slate-600 py-2 rounded text-xs font-bold uppercase border border-slate-200 flex items-center justify-center gap-1 transition-colors"><HistoryIcon className="h-3 w-3" /> {t('History', lang)}</button>
+                    <button onClick={() => onAttachments(mission)} className="flex-1 bg-white hover:bg-slate-50 text-slate-600 py-2 rounded text-xs font-bold uppercase border border-slate-200 flex items-center justify-center gap-1 transition-colors"><Paperclip className="h-3 w-3" /> {t('Evidence', lang)}</button>
                     <button onClick={() => onDelete(mission.id)} className="flex-1 bg-white hover:bg-red-50 text-red-600 py-2 rounded text-xs font-bold uppercase border border-red-100 flex items-center justify-center gap-1 transition-colors"><Trash2 className="h-3 w-3" /> {t('Delete', lang)}</button>
                   </div>
+                  {workflowId === mission.id && <MissionWorkflowPanel mission={mission} approvers={approvers} onChangeStatus={onChangeStatus} lang={lang} />}
                 </div>
               </div>
             );
           })}
         </div>
       )}
+      {filteredMissions.length < total && (
+        <button onClick={() => setLimit(l => l + DASHBOARD_PAGE_SIZE)} className="w-full bg-white hover:bg-slate-50 text-slate-700 py-3 rounded-md font-bold text-sm border border-slate-200 shadow-sm">
+          {t('Show more', lang)} ({filteredMissions.length} / {total})
+        </button>
+      )}
     </div>
   );
 };
 
+// Views that work over every mission; only these load the full, decrypted list
+const FULL_MISSION_LIST_VIEWS = ['form', 'stats', 'pilot-logbook', 'aircraft', 'map', 'sync', 'storage'];
+
 export default function App() {
   const [lang, setLang] = useState(() => localStorage.getItem('dfo_app_lang') || 'en');
   const [view, setView] = useState('dashboard');
   const [missions, setMissions] = useState([]);
+  // Bumped on every mission write: the dashboard re-runs its query, full-list views reload
+  const [missionsRevision, setMissionsRevision] = useState(0);
+  const loadedRevisionRef = useRef(null);
   const [editingMission, setEditingMission] = useState(null);
   const [lists, setLists] = useState(DEFAULT_LISTS);
+  const [aircraft, setAircraft] = useState([]);
+  const [personnel, setPersonnel] = useState([]);
+  const [missionTemplates, setMissionTemplates] = useState([]);
+  // Starting values for a new mission created from a template or as a duplicate
+  const [missionPrefill, setMissionPrefill] = useState(null);
+  const [focusPersonId, setFocusPersonId] = useState(null);
+  const [mapLayers, setMapLayers] = useState([]);
+  const [aerodromes, setAerodromes] = useState([]);
+  const [airspaceZones, setAirspaceZones] = useState([]);
+  const [checklistTemplates, setChecklistTemplates] = useState([]);
+  const [recycleBin, setRecycleBin] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_RETENTION_DAYS);
+  // 'checking' until the app-lock setting is read, then 'locked' or 'unlocked'
+  const [lockState, setLockState] = useState('checking');
+  const [lockEnabled, setLockEnabled] = useState(false);
+  const [passphraseRequest, setPassphraseRequest] = useState(null);
+  const [mergeSession, setMergeSession] = useState(null);
+  const [deviceId, setDeviceId] = useState('');
+  const [syncSent, setSyncSent] = useState({});
+  const [searchPresets, setSearchPresets] = useState([]);
+  const [imageSettings, setImageSettings] = useState(DEFAULT_IMAGE_SETTINGS);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  const [storagePersisted, setStoragePersisted] = useState(false);
+  const [remoteConfig, setRemoteConfig] = useState(null);
+  const [remoteStatus, setRemoteStatus] = useState({ outbox: 0, lastSyncAt: null, error: null, running: false });
+  // Set while a sync is running, and kept set while server conflicts wait for review
+  const remoteSyncBusy = useRef(false);
+  const runRemoteSyncRef = useRef(null);
   const [deferredPrompt, setDeferredPrompt] = useState(null);
   const [showIosPrompt, setShowIosPrompt] = useState(false);
   const dashboardScrollRef = useRef(0);
@@ -1733,10 +7929,56 @@ export default function App() {
   };
 
   useEffect(() => {
+    db.settings.get('appLock').then(lock => {
+      setLockEnabled(!!lock);
+      setLockState(lock && !appLockKey ? 'locked' : 'unlocked');
+    }).catch(err => { console.error(err); setLockState('unlocked'); });
+  }, []);
+
+  const refreshMissions = () => setMissionsRevision(r => r + 1);
+
+  useEffect(() => {
+    if (lockState !== 'unlocked' || !FULL_MISSION_LIST_VIEWS.includes(view) || loadedRevisionRef.current === missionsRevision) return;
+    let cancelled = false;
+    getMissionsNewestFirst().then(all => {
+      if (cancelled) return;
+      loadedRevisionRef.current = missionsRevision;
+      setMissions(all);
+    }).catch(err => console.error(err));
+    return () => { cancelled = true; };
+  }, [view, missionsRevision, lockState]);
+
+  useEffect(() => {
+    if (lockState !== 'unlocked') return;
     const loadData = async () => {
       try {
-        const savedMissions = await db.missions.toArray();
-        setMissions(savedMissions);
+        setAircraft(await db.aircraft.orderBy('model').toArray());
+        setPersonnel(await db.personnel.orderBy('name').toArray());
+        setMissionTemplates(await getMissionTemplates());
+        setMapLayers(await db.mapLayers.orderBy('created').toArray());
+        setAerodromes(await db.aerodromes.orderBy('code').toArray());
+        setAirspaceZones(await db.airspaceZones.orderBy('created').toArray());
+        setChecklistTemplates(await db.checklistTemplates.orderBy('name').toArray());
+        const savedRetention = await db.settings.get('recycleRetentionDays');
+        const days = savedRetention ? savedRetention.value : DEFAULT_RETENTION_DAYS;
+        setRetentionDays(days);
+        const expired = getExpiredRecycleEntries(await db.recycleBin.toArray(), days);
+        if (expired.length > 0) await purgeRecycleEntries(expired, 'System (retention expired)');
+        setRecycleBin(await getRecycleBinEntries());
+        const savedDevice = await db.settings.get('deviceId');
+        const id = savedDevice ? savedDevice.value : generateId();
+        if (!savedDevice) await db.settings.put({ key: 'deviceId', value: id });
+        setDeviceId(id);
+        const savedSync = await db.settings.get('syncSent');
+        if (savedSync) setSyncSent(savedSync.value);
+        const savedPresets = await db.settings.get('searchPresets');
+        if (savedPresets) setSearchPresets(savedPresets.value);
+        const savedImageSettings = await db.settings.get('imageSettings');
+        if (savedImageSettings) setImageSettings({ ...DEFAULT_IMAGE_SETTINGS, ...savedImageSettings.value });
+        setStoragePersisted(await requestPersistentStorage());
+        await refreshStorageEstimate();
+        setRemoteConfig(await getRemoteSyncConfig());
+        await refreshRemoteStatus();
         const savedLists = await db.settings.get('customLists');
         
         if (savedLists) {
@@ -1752,13 +7994,23 @@ export default function App() {
                 : DEFAULT_LISTS.workElements,
              additionalPilots: savedLists.value.additionalPilots || DEFAULT_LISTS.additionalPilots,
              cameraOperators: savedLists.value.cameraOperators || DEFAULT_LISTS.cameraOperators,
-             observers: savedLists.value.observers || DEFAULT_LISTS.observers,
-             aerodromesInfo: savedLists.value.aerodromesInfo || DEFAULT_LISTS.aerodromesInfo
+             observers: savedLists.value.observers || DEFAULT_LISTS.observers
            }));
         }
       } catch (error) { console.error(error); }
     };
     loadData();
+  }, [lockState]);
+
+  // The outbox drains once the data has loaded and again whenever the connection comes back
+  useEffect(() => {
+    if (deviceId) runRemoteSyncRef.current();
+  }, [deviceId]);
+
+  useEffect(() => {
+    const handleOnline = () => runRemoteSyncRef.current && runRemoteSyncRef.current();
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
   }, []);
 
   useEffect(() => {
@@ -1786,36 +8038,501 @@ export default function App() {
     const newLists = { ...lists };
     const current = newLists[key] || [];
     if (action === 'add' && !current.includes(value)) newLists[key] = [...current, value];
-    else if (action === 'del') newLists[key] = current.filter(x => x !== value);
+    else if (action === 'del' && current.includes(value)) {
+      newLists[key] = current.filter(x => x !== value);
+      await db.recycleBin.put(createRecycleEntry('listItem', { listKey: key, value }, getActingUser(lang)));
+      setRecycleBin(await getRecycleBinEntries());
+    }
     setLists(newLists);
     await db.settings.put({ key: 'customLists', value: newLists });
+    await queueAndSync('lists', 'lists');
   };
   
   const handleUpdateBulkLists = async (newListsObj) => {
     const updatedLists = { ...lists, ...newListsObj };
     setLists(updatedLists);
     await db.settings.put({ key: 'customLists', value: updatedLists });
+    await queueAndSync('lists', 'lists');
   };
 
   const handleSaveMission = async (mission) => {
     try {
-      await db.missions.put(mission);
-      const allMissions = await db.missions.toArray();
-      setMissions(allMissions);
+      const user = getActingUser(lang);
+      const before = await getMission(mission.id);
+      const stamped = stampMissionVersion(mission, before);
+      await putMissionAudited(before, stamped, user);
+      refreshMissions();
       setEditingMission(null);
       setView('dashboard');
+      await queueAndSync('mission', stamped.id);
+      await refreshStorageEstimate();
+    } catch (error) {
+      const quotaExceeded = error.name === 'QuotaExceededError' || error.inner?.name === 'QuotaExceededError';
+      alert(t(quotaExceeded ? "Device storage is full. Free up space in the Storage view, then save again." : "Failed to save.", lang));
+    }
+  };
+
+  const handleChangeStatus = async (mission, next, details) => {
+    try {
+      const updated = stampMissionVersion(applyStatusChange(mission, next, details), mission);
+      await putMissionAudited(mission, updated, getActingUser(lang));
+      refreshMissions();
+      await queueAndSync('mission', updated.id);
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleSaveAircraft = async (record) => {
+    try {
+      await db.aircraft.put(record);
+      setAircraft(await db.aircraft.orderBy('model').toArray());
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleDeleteAircraft = async (id) => {
+    await db.aircraft.delete(id);
+    setAircraft(await db.aircraft.orderBy('model').toArray());
+  };
+
+  // A template saved under an existing name replaces it
+  const handleSaveMissionTemplate = async (name, mission) => {
+    try {
+      const existing = missionTemplates.find(tpl => tpl.name.toLowerCase() === name.toLowerCase());
+      if (existing && !confirm(t("A template with this name exists. Replace it?", lang))) return;
+      await putMissionTemplate(buildMissionTemplate(name, mission, existing));
+      setMissionTemplates(await getMissionTemplates());
+      alert(t("Template saved.", lang));
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleDeleteMissionTemplate = async (id) => {
+    await db.missionTemplates.delete(id);
+    setMissionTemplates(await getMissionTemplates());
+  };
+
+  const startNewMission = (prefill = null) => {
+    setEditingMission(null);
+    setMissionPrefill(prefill);
+    setView('form');
+  };
+
+  const handleSavePerson = async (record) => {
+    try {
+      await db.personnel.put(record);
+      setPersonnel(await db.personnel.orderBy('name').toArray());
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleDeletePerson = async (id) => {
+    await db.personnel.delete(id);
+    setPersonnel(await db.personnel.orderBy('name').toArray());
+  };
+
+  const handleSaveMapLayer = async (layer) => {
+    try {
+      await db.mapLayers.put(layer);
+      setMapLayers(await db.mapLayers.orderBy('created').toArray());
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleDeleteMapLayer = async (id) => {
+    await db.mapLayers.delete(id);
+    setMapLayers(await db.mapLayers.orderBy('created').toArray());
+  };
+
+  const handleSaveAerodrome = async (record) => {
+    try {
+      await db.aerodromes.put(record);
+      setAerodromes(await db.aerodromes.orderBy('code').toArray());
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleDeleteAerodrome = async (id) => {
+    await db.aerodromes.delete(id);
+    setAerodromes(await db.aerodromes.orderBy('code').toArray());
+  };
+
+  const handleSaveZone = async (zone) => {
+    try {
+      await db.airspaceZones.put(zone);
+      setAirspaceZones(await db.airspaceZones.orderBy('created').toArray());
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleDeleteZone = async (id) => {
+    await db.airspaceZones.delete(id);
+    setAirspaceZones(await db.airspaceZones.orderBy('created').toArray());
+  };
+
+  const handleSaveChecklistTemplate = async (template) => {
+    try {
+      await db.checklistTemplates.put(template);
+      setChecklistTemplates(await db.checklistTemplates.orderBy('name').toArray());
     } catch (error) { alert(t("Failed to save.", lang)); }
   };
 
+  const handleDeleteChecklistTemplate = async (id) => {
+    await db.checklistTemplates.delete(id);
+    setChecklistTemplates(await db.checklistTemplates.orderBy('name').toArray());
+  };
+
   const handleEditStart = (mission) => { setEditingMission(mission); setView('form'); };
 
   const handleDeleteMission = async (id) => {
-    if (confirm(t("Are you sure you want to delete this mission record?", lang))) {
-      await db.missions.delete(id);
-      const allMissions = await db.missions.toArray();
-      setMissions(allMissions);
+    if (confirm(t("Move this mission to the recycle bin?", lang))) {
+      try {
+        const user = getActingUser(lang);
+        await binMissionAudited(await getMission(id), user);
+        setRecycleBin(await getRecycleBinEntries());
+        refreshMissions();
+        await queueAndSync('missionDelete', id);
+      } catch (error) { alert(t("Failed to save.", lang)); }
+    }
+  };
+
+  const handleRestoreFromBin = async (entry) => {
+    try {
+      const user = getActingUser(lang);
+      if (entry.kind === 'mission') {
+        const sealed = await sealMission(entry.record);
+        await commitWithAudit([buildMissionAuditEntry(null, entry.record, user, 'restore')], [db.missions, db.recycleBin], async () => {
+          await db.missions.put(sealed);
+          await db.recycleBin.delete(entry.id);
+        });
+        refreshMissions();
+        await queueAndSync('mission', entry.record.id);
+      } else {
+        const current = lists[entry.listKey] || [];
+        if (!current.includes(entry.value)) await handleUpdateBulkLists({ [entry.listKey]: [...current, entry.value] });
+        await db.recycleBin.delete(entry.id);
+      }
+      setRecycleBin(await getRecycleBinEntries());
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handlePurgeFromBin = async (entries) => {
+    try {
+      await purgeRecycleEntries(entries, getActingUser(lang));
+      setRecycleBin(await getRecycleBinEntries());
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleSetRetention = async (days) => {
+    await db.settings.put({ key: 'recycleRetentionDays', value: days });
+    setRetentionDays(days);
+  };
+
+  // Resolves with the entered passphrase, or null when the dialog is cancelled
+  const askPassphrase = (title, confirmEntry) => new Promise(resolve => setPassphraseRequest({ title, confirm: confirmEntry, resolve }));
+
+  const handleBackup = async () => {
+    // Deleted records only leave the device when the user asks for them
+    const includeBin = recycleBin.length > 0 && confirm(lang === 'fr' ? `Inclure les ${recycleBin.length} élément(s) de la corbeille dans la sauvegarde ?` : `Include the ${recycleBin.length} item(s) in the recycle bin in this backup?`);
+    let passphrase = null;
+    if (confirm(t("Protect this backup with a passphrase? Recommended before emailing or sharing it.", lang))) {
+      passphrase = await askPassphrase(t("Backup passphrase", lang), true);
+      if (!passphrase) return;
+    }
+    try {
+      const missions = await getMissionsNewestFirst();
+      // Only the files of missions that are in this backup
+      const backedUp = new Set([...missions, ...(includeBin ? recycleBin.filter(e => e.kind === 'mission').map(e => e.record) : [])].map(m => m.id));
+      const attachments = (await getAllAttachments()).filter(a => backedUp.has(a.missionId));
+      await backupData({ missions, lists, aircraft, personnel, aerodromes, airspaceZones, checklistTemplates, missionTemplates, recycleBin: includeBin ? recycleBin : undefined, attachments, passphrase });
+    } catch (error) { alert(t("Backup failed.", lang)); }
+  };
+
+  const handleUnlock = async (pin) => {
+    const lock = await db.settings.get('appLock');
+    const unlocked = lock && await unlockAppLock(pin, lock.value);
+    if (!unlocked) return false;
+    setAppLockKey(unlocked.key, unlocked.indexKey);
+    if (!unlocked.indexKey) {
+      // Lock set up by an earlier build: add an index key and re-seal so the indexes work again
+      try {
+        const { indexKey, wrapped } = await createIndexKey(unlocked.key);
+        await rewriteMissionsWithKey(unlocked.key, indexKey, { ...lock.value, indexKey: wrapped });
+      } catch (error) { console.error(error); }
+    }
+    setLockState('unlocked');
+    return true;
+  };
+
+  const handleLockNow = () => {
+    setAppLockKey(null);
+    setMissions([]);
+    loadedRevisionRef.current = null;
+    setRecycleBin([]);
+    setEditingMission(null);
+    setView('dashboard');
+    setLockState('locked');
+  };
+
+  // Re-writes every mission, binned mission, template and attachment under the new key, or in
+  // the clear when key is null
+  const rewriteMissionsWithKey = async (key, indexKey, lockSetting) => {
+    const all = await getMissionsNewestFirst();
+    const bin = await getRecycleBinEntries();
+    const templates = await getMissionTemplates();
+    const attachments = await getAllAttachments();
+    const previousKey = appLockKey;
+    const previousIndexKey = appLockIndexKey;
+    setAppLockKey(key, indexKey);
+    try {
+      const sealedMissions = await Promise.all(all.map(sealMission));
+      const sealedBin = await Promise.all(bin.map(sealRecycleEntry));
+      const sealedTemplates = await Promise.all(templates.map(sealMissionTemplate));
+      const sealedAttachments = await Promise.all(attachments.map(sealAttachment));
+      await db.transaction('rw', [db.missions, db.recycleBin, db.missionTemplates, db.attachments, db.settings], async () => {
+        await db.missions.bulkPut(sealedMissions);
+        await db.recycleBin.bulkPut(sealedBin);
+        await db.missionTemplates.bulkPut(sealedTemplates);
+        await db.attachments.bulkPut(sealedAttachments);
+        if (lockSetting) await db.settings.put({ key: 'appLock', value: lockSetting });
+        else await db.settings.delete('appLock');
+      });
+    } catch (error) {
+      setAppLockKey(previousKey, previousIndexKey);
+      throw error;
+    }
+  };
+
+  const handleEnableLock = async (pin) => {
+    try {
+      const { key, indexKey, settings } = await createAppLock(pin);
+      await rewriteMissionsWithKey(key, indexKey, settings);
+      setLockEnabled(true);
+      alert(t("App lock enabled. Mission records are now encrypted on this device.", lang));
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleDisableLock = async () => {
+    try {
+      await rewriteMissionsWithKey(null, null, null);
+      setLockEnabled(false);
+      alert(t("App lock disabled. Mission records are stored unencrypted.", lang));
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  // options.source 'server' applies a pull from the sync server quietly, without leaving the current view
+  const applyMergeRestore = async (data, plan, resolutions, options = {}) => {
+    const fromServer = options.source === 'server';
+    try {
+      const user = getActingUser(lang);
+      const writes = [
+        ...plan.added.map(m => ({ before: null, after: m })),
+        ...plan.updated.map(({ local, incoming }) => ({ before: local, after: incoming })),
+        ...plan.conflicts.map(({ local, incoming }) => ({ before: local, after: resolveMergeConflict(local, incoming, resolutions[incoming.id]) }))
+      ];
+      const sealedMissions = await Promise.all(writes.map(w => sealMission(w.after)));
+      const mergedLists = data.lists ? mergeLists(lists, data.lists) : null;
+      // Older backups only carry aerodromes as saved-list strings
+      const incomingAerodromes = Array.isArray(data.aerodromes) ? data.aerodromes
+        : (data.lists && Array.isArray(data.lists.aerodromesInfo) ? buildDefaultAerodromes(data.lists.aerodromesInfo) : []);
+      const newBinEntries = await Promise.all(getMissingRecords(await db.recycleBin.toArray(), data.recycleBin).map(sealRecycleEntry));
+      const newMissionTemplates = await Promise.all(getMissingRecords(missionTemplates, data.missionTemplates, tpl => tpl.name).map(sealMissionTemplate));
+      const attachmentIds = (await db.attachments.toCollection().primaryKeys()).map(id => ({ id }));
+      const newAttachments = await Promise.all(getMissingRecords(attachmentIds, data.attachments).map(a => sealAttachment(deserializeAttachment(a))));
+      const auditEntries = writes.map(w => buildMissionAuditEntry(w.before, w.after, user));
+      await commitWithAudit(auditEntries, [db.missions, db.settings, db.aircraft, db.personnel, db.aerodromes, db.airspaceZones, db.checklistTemplates, db.missionTemplates, db.recycleBin, db.attachments], async () => {
+        await db.missions.bulkPut(sealedMissions);
+        if (mergedLists) await db.settings.put({ key: 'customLists', value: mergedLists });
+        await db.aircraft.bulkAdd(getMissingRecords(aircraft, data.aircraft));
+        await db.personnel.bulkAdd(getMissingRecords(personnel, data.personnel, p => normalizePersonName(p.name)));
+        await db.aerodromes.bulkAdd(getMissingRecords(aerodromes, incomingAerodromes, a => a.code));
+        await db.airspaceZones.bulkAdd(getMissingRecords(airspaceZones, data.airspaceZones));
+        await db.checklistTemplates.bulkAdd(getMissingRecords(checklistTemplates, data.checklistTemplates, c => c.name));
+        await db.missionTemplates.bulkAdd(newMissionTemplates);
+        await db.recycleBin.bulkAdd(newBinEntries);
+        await db.attachments.bulkAdd(newAttachments);
+      });
+      if (fromServer) {
+        // Server copies are now known; local copies that are newer or were just resolved go back up
+        await setRemoteVersions(data.versions);
+        for (const { incoming } of plan.conflicts) await queueRemoteSync('mission', incoming.id);
+        for (const incoming of plan.skipped) {
+          const local = await getMission(incoming.id);
+          if (local && !isSameMissionContent(local, incoming)) await queueRemoteSync('mission', incoming.id);
+        }
+      } else {
+        for (const w of writes) await queueRemoteSync('mission', w.after.id);
+        if (mergedLists) await queueRemoteSync('lists', 'lists');
+      }
+      if (mergedLists) setLists(mergedLists);
+      setAircraft(await db.aircraft.orderBy('model').toArray());
+      setPersonnel(await db.personnel.orderBy('name').toArray());
+      setAerodromes(await db.aerodromes.orderBy('code').toArray());
+      setAirspaceZones(await db.airspaceZones.orderBy('created').toArray());
+      setChecklistTemplates(await db.checklistTemplates.orderBy('name').toArray());
+      setMissionTemplates(await getMissionTemplates());
+      setRecycleBin(await getRecycleBinEntries());
+      refreshMissions();
+      setMergeSession(null);
+      if (fromServer) {
+        setView(v => v === 'merge' ? 'dashboard' : v);
+        return;
+      }
+      setView('dashboard');
+      const counts = [plan.added.length, plan.updated.length, plan.skipped.length, plan.conflicts.length];
+      alert(lang === 'fr'
+        ? `Fusion terminée : ${counts[0]} ajoutée(s), ${counts[1]} mise(s) à jour, ${counts[2]} ignorée(s), ${counts[3]} conflit(s) résolu(s).`
+        : `Merge complete: ${counts[0]} added, ${counts[1]} updated, ${counts[2]} skipped, ${counts[3]} conflict(s) resolved.`);
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  // Backups, sync bundles and server pulls share one merge path; conflicts go to the resolver first.
+  // Server conflicts wait behind a dashboard banner instead of interrupting the current view.
+  // Resolves true when conflicts are waiting for review.
+  const startMerge = async (data, options = {}) => {
+    const plan = planMissionMerge(await getMissionsNewestFirst(), data.missions.map(m => upgradeLegacyMission({ ...m })));
+    if (plan.conflicts.length > 0) {
+      setMergeSession({ data, plan, source: options.source });
+      if (options.source !== 'server') setView('merge');
+      return true;
+    }
+    await applyMergeRestore(data, plan, {}, options);
+    return false;
+  };
+
+  const handleCancelMerge = async () => {
+    const session = mergeSession;
+    setMergeSession(null);
+    setView('dashboard');
+    if (session.source !== 'server') return;
+    // Pushing the local copies again brings the conflicts back on the next sync
+    for (const { local } of session.plan.conflicts) await queueRemoteSync('mission', local.id);
+    remoteSyncBusy.current = false;
+    await refreshRemoteStatus();
+  };
+
+  const refreshStorageEstimate = async () => {
+    try {
+      setStorageEstimate(await getStorageEstimate());
+    } catch (error) { console.error(error); }
+  };
+
+  const handleRequestPersist = async () => {
+    const granted = await requestPersistentStorage();
+    setStoragePersisted(granted);
+    if (!granted) alert(t("The browser declined persistent storage. Installing the app to the home screen usually allows it.", lang));
+  };
+
+  const handleSaveImageSettings = async (settings) => {
+    setImageSettings(settings);
+    await db.settings.put({ key: 'imageSettings', value: settings });
+  };
+
+  const handleCompressImages = async () => {
+    try {
+      const user = getActingUser(lang);
+      let count = 0;
+      let saved = 0;
+      let skipped = 0;
+      for (const mission of await getMissionsNewestFirst()) {
+        if (hasValidSignatures(mission)) {
+          skipped++;
+          continue;
+        }
+        const compressed = await compressMissionImages(mission, imageSettings);
+        if (!compressed) continue;
+        const stamped = stampMissionVersion(compressed, mission);
+        await putMissionAudited(mission, stamped, user);
+        await queueRemoteSync('mission', stamped.id);
+        saved += getMissionImageBytes(mission) - getMissionImageBytes(compressed);
+        count++;
+      }
+      refreshMissions();
+      await refreshStorageEstimate();
+      runRemoteSync();
+      alert(lang === 'fr'
+        ? `${count} mission(s) compressée(s), ${formatFileSize(saved)} libéré(s).${skipped ? ` ${skipped} mission(s) signée(s) laissée(s) telle(s) quelle(s).` : ''}`
+        : `Compressed ${count} mission(s), freeing ${formatFileSize(saved)}.${skipped ? ` ${skipped} signed mission(s) left unchanged.` : ''}`);
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
+
+  const handleSaveSearchPreset = async (preset) => {
+    // A preset saved under an existing name replaces it
+    const updated = [...searchPresets.filter(p => p.name !== preset.name), preset].sort((a, b) => a.name.localeCompare(b.name));
+    setSearchPresets(updated);
+    await db.settings.put({ key: 'searchPresets', value: updated });
+  };
+
+  const handleDeleteSearchPreset = async (id) => {
+    const updated = searchPresets.filter(p => p.id !== id);
+    setSearchPresets(updated);
+    await db.settings.put({ key: 'searchPresets', value: updated });
+  };
+
+  const handleMarkSent = async (peer, sentMissions) => {
+    const updated = { ...syncSent, [peer]: { ...(syncSent[peer] || {}), ...Object.fromEntries(sentMissions.map(m => [m.id, m.rev || 1])) } };
+    setSyncSent(updated);
+    await db.settings.put({ key: 'syncSent', value: updated });
+  };
+
+  const refreshRemoteStatus = async (changes = {}) => {
+    const outbox = await db.syncOutbox.count();
+    const { lastSyncAt } = await getRemoteSyncState();
+    setRemoteStatus(prev => ({ ...prev, outbox, lastSyncAt, ...changes }));
+  };
+
+  // A mission deleted on another device goes to this device's recycle bin, like a local delete
+  const removeMissionsDeletedRemotely = async (ids) => {
+    for (const id of ids) {
+      const before = await getMission(id);
+      if (before) await binMissionAudited(before, 'Server sync');
+    }
+    if (ids.length > 0) {
+      setRecycleBin(await getRecycleBinEntries());
+      refreshMissions();
+    }
+  };
+
+  const runRemoteSync = async () => {
+    const config = await getRemoteSyncConfig();
+    if (!config || !config.enabled || !navigator.onLine || remoteSyncBusy.current) return;
+    remoteSyncBusy.current = true;
+    let conflictsPending = false;
+    setRemoteStatus(prev => ({ ...prev, running: true }));
+    try {
+      const result = await syncWithServer(config);
+      if (result.lists) setLists(prev => ({ ...prev, ...result.lists }));
+      await removeMissionsDeletedRemotely(result.deletedIds);
+      if (result.incoming.length > 0) {
+        conflictsPending = await startMerge({
+          missions: result.incoming.map(i => i.record),
+          versions: Object.fromEntries(result.incoming.map(i => [i.record.id, i.version]))
+        }, { source: 'server' });
+      }
+      await refreshRemoteStatus({ running: false, error: null });
+    } catch (error) {
+      console.error(error);
+      await refreshRemoteStatus({ running: false, error: error.message });
+    } finally {
+      remoteSyncBusy.current = conflictsPending;
     }
   };
+  runRemoteSyncRef.current = runRemoteSync;
+
+  const queueAndSync = async (kind, recordId) => {
+    await queueRemoteSync(kind, recordId);
+    runRemoteSync();
+  };
+
+  // Turning sync on (or pointing it at another server) queues everything on this device
+  const handleSaveRemoteConfig = async (config) => {
+    try {
+      const previous = await getRemoteSyncConfig();
+      await db.settings.put({ key: 'remoteSync', value: config });
+      setRemoteConfig(config);
+      if (config.enabled && (!previous || !previous.enabled || previous.endpoint !== config.endpoint)) {
+        if (previous && previous.endpoint !== config.endpoint) await db.settings.delete('remoteSyncState');
+        await db.syncOutbox.clear();
+        for (const m of await getMissionsNewestFirst()) await queueRemoteSync('mission', m.id);
+        await queueRemoteSync('lists', 'lists');
+      }
+      await refreshRemoteStatus({ error: null });
+      runRemoteSync();
+    } catch (error) { alert(t("Failed to save.", lang)); }
+  };
 
   const handleRestore = (e) => {
     const file = e.target.files[0];
@@ -1823,20 +8540,100 @@ export default function App() {
     const reader = new FileReader();
     reader.onload = async (event) => {
       try {
-        const data = JSON.parse(event.target.result);
-        if (data.missions && Array.isArray(data.missions)) {
+        let data = JSON.parse(event.target.result);
+        if (isEncryptedBackup(data)) {
+          const passphrase = await askPassphrase(t("Enter the backup passphrase", lang), false);
+          if (!passphrase) return;
+          try {
+            data = await decryptBackup(data, passphrase);
+          } catch (err) {
+            alert(t("Incorrect passphrase or damaged backup file.", lang));
+            return;
+          }
+        }
+        if (data.missions && Array.isArray(data.missions) && confirm(t("Merge this backup with the data on this device? Choose Cancel to replace all current data instead.", lang))) {
+          await startMerge(data);
+        } else if (data.missions && Array.isArray(data.missions)) {
           const confirmMsg = lang === 'fr' ? `Restaurer ${data.missions.length} missions ? Cela écrasera les données actuelles.` : `Restore ${data.missions.length} missions? This will overwrite current data.`;
           if(confirm(confirmMsg)) {
-             await db.transaction('rw', db.missions, db.settings, async () => {
+             const user = getActingUser(lang);
+             const previous = await getMissionsNewestFirst();
+             const upgradedMissions = data.missions.map(m => upgradeLegacyMission({ ...m }));
+             const restoredMissions = await Promise.all(upgradedMissions.map(sealMission));
+             // The restore overwrites records, so log it against each mission it touched
+             const previousById = new Map(previous.map(m => [m.id, m]));
+             const restoredIds = new Set(upgradedMissions.map(m => m.id));
+             const auditEntries = [
+               ...upgradedMissions.map(m => buildMissionAuditEntry(previousById.get(m.id), m, user)),
+               ...previous.filter(m => !restoredIds.has(m.id)).map(m => buildMissionAuditEntry(m, null, user))
+             ];
+             const restoredBin = Array.isArray(data.recycleBin) ? await Promise.all(data.recycleBin.map(sealRecycleEntry)) : null;
+             const restoredTemplates = Array.isArray(data.missionTemplates) ? await Promise.all(data.missionTemplates.map(sealMissionTemplate)) : null;
+             const restoredAttachments = Array.isArray(data.attachments) ? await Promise.all(data.attachments.map(a => sealAttachment(deserializeAttachment(a)))) : null;
+             // Backups from before attachments were included keep the files of missions that are still present
+             const keptMissionIds = new Set([...data.missions, ...(data.recycleBin || recycleBin).filter(e => e.kind === 'mission').map(e => e.record)].map(m => m.id));
+             await commitWithAudit(auditEntries, [db.missions, db.settings, db.aircraft, db.personnel, db.aerodromes, db.airspaceZones, db.checklistTemplates, db.missionTemplates, db.recycleBin, db.attachments], async () => {
                 await db.missions.clear();
-                await db.missions.bulkPut(data.missions);
+                await db.missions.bulkPut(restoredMissions);
                 if(data.lists) {
                    await db.settings.put({ key: 'customLists', value: data.lists });
                    setLists(data.lists);
                 }
+                if (Array.isArray(data.aircraft)) {
+                   await db.aircraft.clear();
+                   await db.aircraft.bulkPut(data.aircraft);
+                }
+                if (Array.isArray(data.personnel)) {
+                   await db.personnel.clear();
+                   await db.personnel.bulkPut(data.personnel);
+                }
+                // Older backups only carry aerodromes as saved-list strings
+                const restoredAerodromes = Array.isArray(data.aerodromes) ? data.aerodromes
+                  : (data.lists && Array.isArray(data.lists.aerodromesInfo) ? buildDefaultAerodromes(data.lists.aerodromesInfo) : null);
+                if (restoredAerodromes) {
+                   await db.aerodromes.clear();
+                   await db.aerodromes.bulkPut(restoredAerodromes);
+                }
+                if (Array.isArray(data.airspaceZones)) {
+                   await db.airspaceZones.clear();
+                   await db.airspaceZones.bulkPut(data.airspaceZones);
+                }
+                if (Array.isArray(data.checklistTemplates)) {
+                   await db.checklistTemplates.clear();
+                   await db.checklistTemplates.bulkPut(data.checklistTemplates);
+                }
+                if (restoredTemplates) {
+                   await db.missionTemplates.clear();
+                   await db.missionTemplates.bulkPut(restoredTemplates);
+                }
+                if (restoredBin) {
+                   await db.recycleBin.clear();
+                   await db.recycleBin.bulkPut(restoredBin);
+                }
+                if (restoredAttachments) {
+                   await db.attachments.clear();
+                   await db.attachments.bulkPut(restoredAttachments);
+                } else {
+                   await db.attachments.filter(a => !keptMissionIds.has(a.missionId)).delete();
+                }
              });
-             const allMissions = await db.missions.toArray();
-             setMissions(allMissions);
+             setRecycleBin(await getRecycleBinEntries());
+             setAircraft(await db.aircraft.orderBy('model').toArray());
+             setPersonnel(await db.personnel.orderBy('name').toArray());
+             setAerodromes(await db.aerodromes.orderBy('code').toArray());
+             setAirspaceZones(await db.airspaceZones.orderBy('created').toArray());
+             setChecklistTemplates(await db.checklistTemplates.orderBy('name').toArray());
+             setMissionTemplates(await getMissionTemplates());
+             const allMissions = await getMissionsNewestFirst();
+             // Replacing this device's data doesn't delete anything on the sync server; the
+             // restored records are pushed and the next pull starts over from the beginning
+             if (remoteConfig && remoteConfig.enabled) {
+               await db.settings.delete('remoteSyncState');
+               await db.syncOutbox.clear();
+               for (const m of allMissions) await queueRemoteSync('mission', m.id);
+               await queueAndSync('lists', 'lists');
+             }
+             refreshMissions();
              alert(t("Restored successfully.", lang));
           }
         } else alert(t("Invalid backup file.", lang));
@@ -1846,18 +8643,51 @@ export default function App() {
     e.target.value = null; 
   };
 
+  if (lockState === 'checking') return <div className="min-h-screen bg-emerald-900" />;
+  if (lockState === 'locked') return <LockScreen onUnlock={handleUnlock} lang={lang} />;
+
   return (
     <div className="min-h-screen bg-slate-100 font-sans text-slate-900 overscroll-none">
+      {passphraseRequest && (
+        <PassphraseDialog request={passphraseRequest} onClose={(value) => { passphraseRequest.resolve(value); setPassphraseRequest(null); }} lang={lang} />
+      )}
       {view === 'dashboard' && (
         <Dashboard 
-          missions={missions} 
-          onCreateNew={() => { setEditingMission(null); setView('form'); }} 
+          missionsRevision={missionsRevision}
+          approvers={lists.approvers}
+          onChangeStatus={handleChangeStatus}
+          onHistory={(mission) => { setEditingMission(mission); setView('history'); }}
+          onAttachments={(mission) => { setEditingMission(mission); setView('attachments'); }}
+          onCreateNew={() => startNewMission()}
+          missionTemplates={missionTemplates}
+          onCreateFromTemplate={(tpl) => startNewMission(tpl.fields)}
+          onDeleteMissionTemplate={handleDeleteMissionTemplate}
+          onDuplicate={(mission) => startNewMission(buildDuplicateMission(mission))}
           onEdit={handleEditStart}
           onDelete={handleDeleteMission}
-          onExport={() => exportToCSV(missions, lang)}
-          onExportFull={() => exportToHTML(missions, lang)}
+          onExport={async () => exportToCSV(await getMissionsNewestFirst(), lang)}
+          onExportFull={async () => exportToHTML(await getMissionsNewestFirst(), lang)}
+          onExportGis={(format, selected) => format === 'geojson' ? exportToGeoJSON(selected, aerodromes, lang) : exportToKML(selected, aerodromes, lang, format === 'kmz')}
           onManageLists={() => setView('saved-lists')}
-          onBackup={() => backupData(missions, lists)}
+          onPilotLogbook={() => setView('pilot-logbook')}
+          onStatistics={() => setView('stats')}
+          onAircraftRegistry={() => setView('aircraft')}
+          onPersonnel={(personId) => { setFocusPersonId(personId || null); setView('personnel'); }}
+          qualificationAlerts={getQualificationAlerts(personnel)}
+          onMap={() => setView('map')}
+          onAirspace={() => setView('airspace')}
+          onChecklists={() => setView('checklists')}
+          onBackup={handleBackup}
+          onRecycleBin={() => setView('recycle-bin')}
+          onSecurity={() => setView('security')}
+          onStorage={() => setView('storage')}
+          storageWarning={storageEstimate && storageEstimate.ratio >= STORAGE_WARNING_RATIO ? storageEstimate.ratio : 0}
+          onSync={() => setView('sync')}
+          syncConflicts={mergeSession && mergeSession.source === 'server' ? mergeSession.plan.conflicts.length : 0}
+          onReviewSyncConflicts={() => setView('merge')}
+          searchPresets={searchPresets}
+          onSaveSearchPreset={handleSaveSearchPreset}
+          onDeleteSearchPreset={handleDeleteSearchPreset}
           onRestore={handleRestore}
           onPrint={(mission) => { setEditingMission(mission); setView('print'); }}
           scrollRef={dashboardScrollRef}
@@ -1868,14 +8698,29 @@ export default function App() {
       {view === 'form' && (
         <MissionForm 
           initialData={editingMission}
+          prefill={missionPrefill}
           onSave={handleSaveMission} 
+          onSaveTemplate={handleSaveMissionTemplate}
           onCancel={() => setView('dashboard')}
           lists={lists}
           onUpdateList={handleUpdateList}
           onUpdateBulkLists={handleUpdateBulkLists}
+          aircraft={aircraft}
+          personnel={personnel}
+          missions={missions}
+          aerodromes={aerodromes}
+          airspaceZones={airspaceZones}
+          checklistTemplates={checklistTemplates}
+          imageSettings={imageSettings}
           lang={lang}
         />
       )}
+      {view === 'history' && (
+        <MissionHistoryView mission={editingMission} onBack={() => setView('dashboard')} lang={lang} />
+      )}
+      {view === 'attachments' && (
+        <MissionAttachmentsView mission={editingMission} onBack={() => setView('dashboard')} lang={lang} />
+      )}
       {view === 'print' && (
         <PrintMissionView 
           mission={editingMission} 
@@ -1883,10 +8728,147 @@ export default function App() {
           lang={lang}
         />
       )}
+      {view === 'stats' && (
+        <FleetStatsView
+          missions={missions}
+          onBack={() => setView('dashboard')}
+          lang={lang}
+        />
+      )}
+      {view === 'pilot-logbook' && (
+        <PilotLogbookView 
+          missions={missions} 
+          onBack={() => setView('dashboard')} 
+          lang={lang}
+        />
+      )}
+      {view === 'personnel' && (
+        <PersonnelRegistryView
+          personnel={personnel}
+          lists={lists}
+          initialPersonId={focusPersonId}
+          onSavePerson={handleSavePerson}
+          onDeletePerson={handleDeletePerson}
+          onBack={() => { setFocusPersonId(null); setView('dashboard'); }}
+          lang={lang}
+        />
+      )}
+      {view === 'aircraft' && (
+        <AircraftRegistryView 
+          aircraft={aircraft} 
+          missions={missions} 
+          onSaveAircraft={handleSaveAircraft} 
+          onDeleteAircraft={handleDeleteAircraft} 
+          onBack={() => setView('dashboard')} 
+          lang={lang}
+        />
+      )}
+      {view === 'map' && (
+        <MapView 
+          missions={missions} 
+          aerodromes={aerodromes} 
+          airspaceZones={airspaceZones} 
+          mapLayers={mapLayers} 
+          onSaveMapLayer={handleSaveMapLayer} 
+          onDeleteMapLayer={handleDeleteMapLayer} 
+          onOpenMission={handleEditStart} 
+          onPrint={(mission) => { setEditingMission(mission); setView('print'); }} 
+          onBack={() => setView('dashboard')} 
+          lang={lang}
+        />
+      )}
+      {view === 'airspace' && (
+        <AirspaceRegistryView 
+          aerodromes={aerodromes} 
+          airspaceZones={airspaceZones} 
+          lists={lists} 
+          onSaveAerodrome={handleSaveAerodrome} 
+          onDeleteAerodrome={handleDeleteAerodrome} 
+          onSaveZone={handleSaveZone} 
+          onDeleteZone={handleDeleteZone} 
+          onBack={() => setView('dashboard')} 
+          lang={lang}
+        />
+      )}
+      {view === 'sync' && (
+        <SyncView
+          missions={missions}
+          aircraft={aircraft}
+          deviceId={deviceId}
+          syncSent={syncSent}
+          onMarkSent={handleMarkSent}
+          onImportBundle={(bundle) => startMerge(bundle).catch(() => alert(t("Failed to save.", lang)))}
+          remoteConfig={remoteConfig}
+          remoteStatus={remoteStatus}
+          onSaveRemoteConfig={handleSaveRemoteConfig}
+          onSyncNow={runRemoteSync}
+          onBack={() => setView('dashboard')}
+          lang={lang}
+        />
+      )}
+      {view === 'merge' && mergeSession && (
+        <MergeConflictsView
+          conflicts={mergeSession.plan.conflicts}
+          onApply={async (resolutions) => {
+            await applyMergeRestore(mergeSession.data, mergeSession.plan, resolutions, { source: mergeSession.source });
+            if (mergeSession.source === 'server') { remoteSyncBusy.current = false; runRemoteSync(); }
+          }}
+          onCancel={handleCancelMerge}
+          lang={lang}
+        />
+      )}
+      {view === 'storage' && (
+        <StorageView
+          missions={missions}
+          estimate={storageEstimate}
+          persisted={storagePersisted}
+          imageSettings={imageSettings}
+          onSaveImageSettings={handleSaveImageSettings}
+          onCompressImages={handleCompressImages}
+          onRequestPersist={handleRequestPersist}
+          onRefresh={refreshStorageEstimate}
+          onBack={() => setView('dashboard')}
+          lang={lang}
+        />
+      )}
+      {view === 'security' && (
+        <SecurityView
+          lockEnabled={lockEnabled}
+          onEnableLock={handleEnableLock}
+          onDisableLock={handleDisableLock}
+          onLockNow={handleLockNow}
+          onBack={() => setView('dashboard')}
+          lang={lang}
+        />
+      )}
+      {view === 'recycle-bin' && (
+        <RecycleBinView
+          entries={recycleBin}
+          retentionDays={retentionDays}
+          onSetRetention={handleSetRetention}
+          onRestore={handleRestoreFromBin}
+          onPurge={handlePurgeFromBin}
+          onExportMissions={(deleted) => exportToCSV(deleted, lang)}
+          onBack={() => setView('dashboard')}
+          lang={lang}
+        />
+      )}
+      {view === 'checklists' && (
+        <ChecklistTemplatesView 
+          templates={checklistTemplates} 
+          aircraft={aircraft} 
+          lists={lists} 
+          onSaveTemplate={handleSaveChecklistTemplate} 
+          onDeleteTemplate={handleDeleteChecklistTemplate} 
+          onBack={() => setView('dashboard')} 
+          lang={lang}
+        />
+      )}
       {view === 'saved-lists' && (
         <SavedListsView 
           lists={lists} 
           onUpdateBulkLists={handleUpdateBulkLists} 
+          onDeleteItem={(key, value) => handleUpdateList(key, value, 'del')}
           onBack={() => setView('dashboard')} 
           lang={lang}
         />